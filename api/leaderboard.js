@@ -0,0 +1,72 @@
+import { createClient } from '@supabase/supabase-js';
+
+// Default and maximum number of players returned per leaderboard
+const DEFAULT_LIMIT = 10;
+const MAX_LIMIT = 50;
+
+// This function returns the current round leaderboard, the all-time leaderboard and the planet win record
+export default async function handler(req, res) {
+  if (req.method !== 'GET') {
+    return res.status(405).json({ success: false, error: 'Method not allowed' });
+  }
+
+  try {
+    const limit = Math.min(Number.parseInt(req.query?.limit, 10) || DEFAULT_LIMIT, MAX_LIMIT);
+
+    // Create Supabase client with service role key for admin access
+    const supabase = createClient(
+      process.env.VITE_SUPABASE_URL,
+      process.env.SUPABASE_SERVICE_ROLE_KEY
+    );
+
+    // Use the requested game, or the current game if none was given
+    let gameId = Number.parseInt(req.query?.gameId, 10) || null;
+    if (!gameId) {
+      const { data: currentGame, error: fetchError } = await supabase
+        .from('game_queue')
+        .select('id')
+        .not('current_state', 'eq', 'ended')
+        .order('id', { ascending: false })
+        .limit(1)
+        .single();
+
+      if (fetchError && fetchError.code !== 'PGRST116') {
+        throw new Error(`Error fetching current game: ${fetchError.message}`);
+      }
+
+      gameId = currentGame ? currentGame.id : null;
+    }
+
+    const [roundResult, allTimeResult, recordResult] = await Promise.all([
+      gameId
+        ? supabase.rpc('get_round_leaderboard', { p_game_id: gameId, p_limit: limit })
+        : Promise.resolve({ data: {}, error: null }),
+      supabase.rpc('get_alltime_leaderboard', { p_limit: limit }),
+      supabase.rpc('get_planet_win_record')
+    ]);
+
+    const error = roundResult.error || allTimeResult.error || recordResult.error;
+    if (error) {
+      throw new Error(`Error fetching leaderboard: ${error.message}`);
+    }
+
+    // Leaderboards only change every few seconds, let the CDN absorb repeated requests
+    res.setHeader('Cache-Control', 's-maxage=5, stale-while-revalidate=10');
+
+    return res.status(200).json({
+      success: true,
+      round: {
+        gameId,
+        planets: roundResult.data || {}
+      },
+      allTime: allTimeResult.data || [],
+      planetRecord: recordResult.data || { wins: {}, ties: 0 }
+    });
+  } catch (error) {
+    console.error('Error in leaderboard:', error);
+    return res.status(500).json({
+      success: false,
+      error: error.message
+    });
+  }
+}
@@ -0,0 +1,118 @@
+import { createClient } from '@supabase/supabase-js';
+
+// Postgres error code for exceptions raised by our own functions (RAISE EXCEPTION)
+const RAISED_EXCEPTION_CODE = 'P0001';
+
+// This function spends a player's click points on an upgrade for the active game
+export default async function handler(req, res) {
+  if (req.method !== 'POST') {
+    return res.status(405).json({ success: false, error: 'Method not allowed' });
+  }
+
+  try {
+    // Extract the anonymous user token from the Authorization header
+    const authHeader = req.headers.authorization || '';
+    const token = authHeader.startsWith('Bearer ') ? authHeader.slice(7) : null;
+
+    if (!token) {
+      return res.status(401).json({ success: false, error: 'Missing access token' });
+    }
+
+    const upgradeName = req.body?.upgrade;
+    if (typeof upgradeName !== 'string' || !upgradeName) {
+      return res.status(400).json({ success: false, error: 'Invalid upgrade' });
+    }
+
+    // Create Supabase client with service role key for admin access
+    const supabase = createClient(
+      process.env.VITE_SUPABASE_URL,
+      process.env.SUPABASE_SERVICE_ROLE_KEY
+    );
+
+    // Verify the token and extract the player's session ID
+    const { data: userData, error: userError } = await supabase.auth.getUser(token);
+    if (userError || !userData?.user) {
+      return res.status(401).json({ success: false, error: 'Invalid access token' });
+    }
+    const sessionId = userData.user.id;
+
+    // Get the current active game
+    const { data: currentGame, error: fetchError } = await supabase
+      .from('game_queue')
+      .select('id, current_state')
+      .not('current_state', 'eq', 'ended')
+      .order('id', { ascending: false })
+      .limit(1)
+      .single();
+
+    if (fetchError && fetchError.code !== 'PGRST116') {
+      throw new Error(`Error fetching current game: ${fetchError.message}`);
+    }
+
+    if (!currentGame || currentGame.current_state !== 'active') {
+      return res.status(409).json({ success: false, error: 'No active game' });
+    }
+
+    // Upgrades apply to the planet the player is assigned to
+    const { data: player, error: playerError } = await supabase
+      .from('players')
+      .select('planet_name')
+      .eq('session_id', sessionId)
+      .single();
+
+    if (playerError && playerError.code !== 'PGRST116') {
+      throw new Error(`Error fetching player: ${playerError.message}`);
+    }
+
+    if (!player || !player.planet_name) {
+      return res.status(403).json({ success: false, error: 'Player is not assigned to a planet' });
+    }
+
+    // Flagged sessions can't spend points earned with discounted clicks
+    const { data: flag, error: flagError } = await supabase
+      .from('flagged_sessions')
+      .select('flagged')
+      .eq('session_id', sessionId)
+      .eq('game_id', currentGame.id)
+      .maybeSingle();
+
+    if (flagError) {
+      throw new Error(`Error fetching session flag: ${flagError.message}`);
+    }
+
+    if (flag?.flagged) {
+      return res.status(403).json({ success: false, error: 'Session flagged for suspicious activity' });
+    }
+
+    // Points, limits and the purchase are checked and recorded in a single transaction
+    const { data: purchase, error: purchaseError } = await supabase.rpc('purchase_upgrade', {
+      p_game_id: currentGame.id,
+      p_session_id: sessionId,
+      p_planet_name: player.planet_name,
+      p_upgrade_name: upgradeName
+    });
+
+    if (purchaseError) {
+      // Not enough points, limit reached or unknown upgrade
+      if (purchaseError.code === RAISED_EXCEPTION_CODE) {
+        return res.status(400).json({ success: false, error: purchaseError.message });
+      }
+      throw new Error(`Error purchasing upgrade: ${purchaseError.message}`);
+    }
+
+    console.log(`${sessionId} bought ${upgradeName} on ${player.planet_name} (game ${currentGame.id})`);
+
+    return res.status(200).json({
+      success: true,
+      gameId: currentGame.id,
+      upgrade: purchase.upgrade,
+      points: purchase.points
+    });
+  } catch (error) {
+    console.error('Error in purchase upgrade:', error);
+    return res.status(500).json({
+      success: false,
+      error: error.message
+    });
+  }
+}
@@ -0,0 +1,276 @@
+import { createClient } from '@supabase/supabase-js';
+
+// Interval (in seconds) at which clients are expected to push their click batches
+const CLICK_PUSH_RATE = Number(process.env.VITE_CLICK_PUSH_RATE) || 2;
+
+// Allow a little jitter between pushes before rate limiting kicks in
+const RATE_LIMIT_TOLERANCE = 0.8;
+
+// Upper bound for a single batch, to reject obviously invalid payloads
+const MAX_CLICKS_PER_BATCH = 1000;
+
+// Maximum sustained clicks per second a single session may contribute
+const MAX_CLICKS_PER_SECOND = Number(process.env.MAX_CLICKS_PER_SECOND) || 15;
+
+// Longest time (in push intervals) a batch can be spread over, so idle time can't be banked
+const MAX_BATCH_WINDOWS = 3;
+
+// Rate violations in a game before a session is flagged and its clicks discounted
+const VIOLATIONS_BEFORE_FLAG = 3;
+
+// Maximum distance between the player's stored position and their rocket
+// Must match ROCKET_CLICK_RANGE in src/core/Game.js
+const ROCKET_CLICK_RANGE = 6;
+
+// Distance from the center of the system to every planet
+// Must match ORBIT_RADIUS in src/objects/PlanetDefinitions.js
+const ORBIT_RADIUS = 30;
+
+/**
+ * Get the position of a planet in the orbit layout
+ * Must match getPlanetSlot in src/objects/PlanetDefinitions.js
+ * @param {number} index - Index of the planet in game_queue.planets
+ * @param {number} count - Number of planets in the game
+ * @returns {Object} The planet's center
+ */
+function getPlanetSlot(index, count) {
+  const angle = Math.PI + (index / count) * Math.PI * 2;
+
+  return {
+    x: Math.round(Math.cos(angle) * ORBIT_RADIUS * 1000) / 1000,
+    y: Math.round(Math.sin(angle) * ORBIT_RADIUS * 1000) / 1000,
+    z: 0
+  };
+}
+
+/**
+ * Get the position of a planet's rocket in a game
+ * Rockets sit on the north pole of each planet (see PlanetSystem.addRocket)
+ * @param {string[]} planets - The game's planets (game_queue.planets)
+ * @param {string} planetName - The planet
+ * @param {number} radius - The planet's radius (planet_definitions.radius)
+ * @returns {Object|null} The rocket position, or null if the planet isn't part of the game
+ */
+function getRocketPosition(planets, planetName, radius) {
+  const index = (planets || []).indexOf(planetName);
+  if (index === -1) {
+    return null;
+  }
+
+  const slot = getPlanetSlot(index, planets.length);
+  return { x: slot.x, y: slot.y + radius, z: slot.z };
+}
+
+/**
+ * Get the distance between a stored player position and a rocket
+ * @param {Object} player - Player row with position_x/y/z
+ * @param {Object|null} rocket - Rocket position
+ * @returns {number} Distance in world units, or Infinity if unknown
+ */
+function getDistanceToRocket(player, rocket) {
+  if (!rocket || player.position_x === null || player.position_y === null || player.position_z === null) {
+    return Infinity;
+  }
+
+  return Math.hypot(
+    player.position_x - rocket.x,
+    player.position_y - rocket.y,
+    player.position_z - rocket.z
+  );
+}
+
+// This function receives batched clicks from players and records them on the active game
+export default async function handler(req, res) {
+  if (req.method !== 'POST') {
+    return res.status(405).json({ success: false, error: 'Method not allowed' });
+  }
+
+  try {
+    // Extract the anonymous user token from the Authorization header
+    const authHeader = req.headers.authorization || '';
+    const token = authHeader.startsWith('Bearer ') ? authHeader.slice(7) : null;
+
+    if (!token) {
+      return res.status(401).json({ success: false, error: 'Missing access token' });
+    }
+
+    // Validate the click batch
+    const clicks = Number(req.body?.clicks);
+    if (!Number.isInteger(clicks) || clicks <= 0 || clicks > MAX_CLICKS_PER_BATCH) {
+      return res.status(400).json({ success: false, error: 'Invalid click count' });
+    }
+
+    // Clicks are made for a game, queued ones may arrive after it ended
+    const gameId = Number(req.body?.gameId);
+    if (!Number.isInteger(gameId) || gameId <= 0) {
+      return res.status(400).json({ success: false, error: 'Invalid game ID' });
+    }
+
+    // Create Supabase client with service role key for admin access
+    const supabase = createClient(
+      process.env.VITE_SUPABASE_URL,
+      process.env.SUPABASE_SERVICE_ROLE_KEY
+    );
+
+    // Verify the token and extract the player's session ID
+    const { data: userData, error: userError } = await supabase.auth.getUser(token);
+    if (userError || !userData?.user) {
+      return res.status(401).json({ success: false, error: 'Invalid access token' });
+    }
+    const sessionId = userData.user.id;
+
+    // Get the current active game
+    const { data: currentGame, error: fetchError } = await supabase
+      .from('game_queue')
+      .select('id, current_state, planets')
+      .not('current_state', 'eq', 'ended')
+      .order('id', { ascending: false })
+      .limit(1)
+      .single();
+
+    if (fetchError && fetchError.code !== 'PGRST116') {
+      throw new Error(`Error fetching current game: ${fetchError.message}`);
+    }
+
+    if (!currentGame || currentGame.current_state !== 'active') {
+      return res.status(409).json({ success: false, error: 'No active game' });
+    }
+
+    // Never count the clicks of a previous game for the current one
+    if (currentGame.id !== gameId) {
+      return res.status(409).json({ success: false, error: 'Clicks belong to another game' });
+    }
+
+    // Determine which planet the player is assigned to
+    const { data: player, error: playerError } = await supabase
+      .from('players')
+      .select('planet_name, last_click_push_at, position_x, position_y, position_z')
+      .eq('session_id', sessionId)
+      .single();
+
+    if (playerError && playerError.code !== 'PGRST116') {
+      throw new Error(`Error fetching player: ${playerError.message}`);
+    }
+
+    if (!player || !player.planet_name) {
+      return res.status(403).json({ success: false, error: 'Player is not assigned to a planet' });
+    }
+
+    // Ignore sessions that were flagged in this game
+    const { data: flag, error: flagError } = await supabase
+      .from('flagged_sessions')
+      .select('flagged')
+      .eq('session_id', sessionId)
+      .eq('game_id', currentGame.id)
+      .maybeSingle();
+
+    if (flagError) {
+      throw new Error(`Error fetching session flag: ${flagError.message}`);
+    }
+
+    if (flag?.flagged) {
+      return res.status(403).json({ success: false, error: 'Session flagged for suspicious activity' });
+    }
+
+    // Reject pushes that come in faster than the configured rate
+    let elapsedSeconds = CLICK_PUSH_RATE;
+    if (player.last_click_push_at) {
+      const elapsed = Date.now() - new Date(player.last_click_push_at).getTime();
+      if (elapsed < CLICK_PUSH_RATE * 1000 * RATE_LIMIT_TOLERANCE) {
+        return res.status(429).json({
+          success: false,
+          error: 'Clicks pushed too frequently',
+          retryAfter: CLICK_PUSH_RATE
+        });
+      }
+      elapsedSeconds = Math.min(elapsed / 1000, CLICK_PUSH_RATE * MAX_BATCH_WINDOWS);
+    }
+
+    // Reject batches with more clicks than a person can make in the elapsed time
+    if (clicks > MAX_CLICKS_PER_SECOND * elapsedSeconds) {
+      const { data: flagged, error: violationError } = await supabase.rpc('record_click_violation', {
+        p_game_id: currentGame.id,
+        p_session_id: sessionId,
+        p_reason: `${clicks} clicks in ${elapsedSeconds.toFixed(1)}s`,
+        p_flag_after: VIOLATIONS_BEFORE_FLAG
+      });
+
+      if (violationError) {
+        throw new Error(`Error recording click violation: ${violationError.message}`);
+      }
+
+      console.warn(`Rejected ${clicks} clicks from ${sessionId} (flagged: ${flagged})`);
+
+      return res.status(422).json({ success: false, error: 'Click rate too high', flagged });
+    }
+
+    // Reject clicks from players that are not standing next to their rocket
+    const { data: planetDefinition, error: definitionError } = await supabase
+      .from('planet_definitions')
+      .select('radius')
+      .eq('name', player.planet_name)
+      .maybeSingle();
+
+    if (definitionError) {
+      throw new Error(`Error fetching planet definition: ${definitionError.message}`);
+    }
+
+    const rocket = planetDefinition
+      ? getRocketPosition(currentGame.planets, player.planet_name, planetDefinition.radius)
+      : null;
+
+    if (getDistanceToRocket(player, rocket) > ROCKET_CLICK_RANGE) {
+      return res.status(403).json({ success: false, error: 'Too far from the rocket' });
+    }
+
+    // Apply the multipliers and team boosts bought with upgrades (rate checks above use the raw clicks)
+    const { data: multiplier, error: multiplierError } = await supabase.rpc('get_click_multiplier', {
+      p_game_id: currentGame.id,
+      p_session_id: sessionId,
+      p_planet_name: player.planet_name
+    });
+
+    if (multiplierError) {
+      throw new Error(`Error fetching click multiplier: ${multiplierError.message}`);
+    }
+
+    const effectiveClicks = Math.round(clicks * (Number(multiplier) || 1));
+
+    // Append the batch to the player's contributions for this game
+    const { error: appendError } = await supabase.rpc('append_click_contribution', {
+      p_game_id: currentGame.id,
+      p_planet_name: player.planet_name,
+      p_session_id: sessionId,
+      p_clicks: effectiveClicks
+    });
+
+    if (appendError) {
+      throw new Error(`Error appending click contribution: ${appendError.message}`);
+    }
+
+    // Pushes arrive every few seconds, so drones progress between the updateGameState runs too
+    const { error: droneError } = await supabase.rpc('accrue_drone_clicks', {
+      p_game_id: currentGame.id
+    });
+
+    if (droneError) {
+      console.error('Error accruing drone clicks:', droneError);
+    }
+
+    console.log(`Recorded ${clicks} clicks (${effectiveClicks} with upgrades) for ${sessionId} on ${player.planet_name} (game ${currentGame.id})`);
+
+    return res.status(200).json({
+      success: true,
+      gameId: currentGame.id,
+      planet: player.planet_name,
+      clicks,
+      effectiveClicks
+    });
+  } catch (error) {
+    console.error('Error in push clicks:', error);
+    return res.status(500).json({
+      success: false,
+      error: error.message
+    });
+  }
+}
@@ -1,5 +1,8 @@
 import { createClient } from '@supabase/supabase-js';
 
+// Planet assignment strategy of the games created when none exists (see assignment_strategies), later games keep the previous one's
+const ASSIGNATION_ALGO = process.env.ASSIGNATION_ALGO || 'roundrobin';
+
 // This function will be called by Vercel Cron every minute
 export default async function handler(req, res) {
   try {
@@ -11,6 +14,18 @@ export default async function handler(req, res) {
       process.env.SUPABASE_SERVICE_ROLE_KEY
     );
 
+    // Remove the players that stopped refreshing their row, clients only track who is online
+    const { data: removedPlayers, error: cleanupError } = await supabase.rpc('cleanup_stale_players', {
+      p_inactive_seconds: 300
+    });
+
+    if (cleanupError) {
+      // Not worth skipping the state transitions for
+      console.error('Error cleaning up stale players:', cleanupError);
+    } else if (removedPlayers > 0) {
+      console.log(`Removed ${removedPlayers} stale players`);
+    }
+
     // Get the current active game
     const { data: currentGame, error: fetchError } = await supabase
       .from('game_queue')
@@ -33,7 +48,7 @@ export default async function handler(req, res) {
         p_cooldown_duration: 120,
         p_waiting_duration: 60,
         p_active_duration: 360,
-        p_assignation_algo: 'roundrobin'
+        p_assignation_algo: ASSIGNATION_ALGO
       });
 
       if (createError) {
@@ -95,6 +110,30 @@ export default async function handler(req, res) {
         break;
         
       case 'active':
+        // Add the clicks made by upgrade drones, even when their owners aren't pushing clicks
+        const { error: droneError } = await supabase.rpc('accrue_drone_clicks', {
+          p_game_id: currentGame.id
+        });
+
+        if (droneError) {
+          throw new Error(`Error accruing drone clicks: ${droneError.message}`);
+        }
+
+        // Safety net: declare the winner if a planet already reached the goal
+        const { data: victoryGame, error: victoryError } = await supabase.rpc('check_game_victory', {
+          p_game_id: currentGame.id
+        });
+
+        if (victoryError) {
+          throw new Error(`Error checking for victory: ${victoryError.message}`);
+        }
+
+        if (victoryGame) {
+          newState = 'victory';
+          console.log(`Victory declared for ${victoryGame.winner_planet}`);
+          break;
+        }
+
         const activeSince = new Date(currentGame.started_at || currentGame.created_at);
         const activeDuration = currentGame.active_duration * 1000; // convert to ms
         
@@ -124,13 +163,32 @@ export default async function handler(req, res) {
         }
         break;
         
-      case 'victory':
-        // Victory should quickly transition to cooldown
+      case 'victory': {
+        // Give the winning team time to choose which rival their rocket destroys
+        const victorySince = new Date(currentGame.ended_at || now);
+        const pickDuration = (currentGame.target_pick_duration || 0) * 1000; // convert to ms
+        
+        if (!currentGame.victory_target && now - victorySince < pickDuration) {
+          console.log('Waiting for the winners to choose a target');
+          break;
+        }
+        
+        // Target the strongest rival if the winners didn't pick one
+        const { error: targetError } = await supabase.rpc('finalize_victory_target', {
+          p_game_id: currentGame.id
+        });
+        
+        if (targetError) {
+          throw new Error(`Error finalizing victory target: ${targetError.message}`);
+        }
+        
+        // Then quickly transition to cooldown
         newState = 'cooldown';
         updateData.current_state = newState;
         updateData.ended_at = now;
         console.log('Transitioning from victory to cooldown');
         break;
+      }
     }
 
     // Update the game state if needed
@@ -183,7 +241,7 @@ export default async function handler(req, res) {
     return res.status(200).json({ 
       success: true,
       message: 'Game state checked',
-      stateChanged: Object.keys(updateData).length > 0,
+      stateChanged: Object.keys(updateData).length > 0 || newState !== currentState,
       game: currentGame,
       newState: newState !== currentState ? newState : undefined
     });
@@ -0,0 +1,171 @@
+/**
+ * Procedurally synthesized sounds
+ * The game ships no audio files, every sound is rendered into an AudioBuffer when the audio starts
+ */
+
+// Length of the ambient loop in seconds
+// Every ambient frequency and LFO completes a whole number of cycles in this time, so the loop is seamless
+const AMBIENT_LOOP_DURATION = 16;
+
+/**
+ * Render a mono buffer sample by sample
+ * @param {AudioContext} context - Audio context the buffer is created for
+ * @param {number} duration - Length in seconds
+ * @param {Function} render - Called with (time, index), returns the sample between -1 and 1
+ * @returns {AudioBuffer} The rendered buffer
+ * @private
+ */
+function renderBuffer(context, duration, render) {
+  const sampleRate = context.sampleRate;
+  const buffer = context.createBuffer(1, Math.ceil(duration * sampleRate), sampleRate);
+  const data = buffer.getChannelData(0);
+
+  for (let i = 0; i < data.length; i++) {
+    data[i] = render(i / sampleRate, i);
+  }
+
+  return buffer;
+}
+
+/**
+ * Frequency of a note
+ * @param {number} semitones - Semitones above A4 (440 Hz), negative for lower notes
+ * @returns {number} Frequency in Hz
+ * @private
+ */
+function note(semitones) {
+  return 440 * Math.pow(2, semitones / 12);
+}
+
+/**
+ * Bright tone made of odd harmonics, softer than a square wave
+ * @param {number} frequency - Base frequency in Hz
+ * @param {number} time - Time since the note started in seconds
+ * @returns {number} Sample between -1 and 1
+ * @private
+ */
+function brassTone(frequency, time) {
+  const phase = 2 * Math.PI * frequency * time;
+  return (Math.sin(phase) + Math.sin(3 * phase) / 3 + Math.sin(5 * phase) / 6) * 0.7;
+}
+
+/**
+ * Play a sequence of notes with an attack and an exponential decay each
+ * @param {Array<Object>} notes - Notes as { start, duration, frequency } in seconds and Hz
+ * @param {Function} tone - Tone generator called with (frequency, time)
+ * @param {number} time - Current time in seconds
+ * @returns {number} Sum of the notes sounding at that time
+ * @private
+ */
+function sequence(notes, tone, time) {
+  let sample = 0;
+
+  notes.forEach(({ start, duration, frequency }) => {
+    const t = time - start;
+    if (t < 0 || t > duration) return;
+
+    const attack = Math.min(1, t / 0.02);
+    const decay = Math.exp(-3 * t / duration);
+    sample += tone(frequency, t) * attack * decay;
+  });
+
+  return sample;
+}
+
+/**
+ * Create every sound of the game
+ * @param {AudioContext} context - Audio context of the listener
+ * @returns {Object<string, AudioBuffer>} Buffers by sound name
+ */
+export function createSoundBuffers(context) {
+  // Random numbers are only used for noise, a fixed generator keeps the sounds the same between sessions
+  let noiseState = 12345;
+  const noise = () => {
+    noiseState = (noiseState * 1103515245 + 12345) & 0x7fffffff;
+    return noiseState / 0x3fffffff - 1;
+  };
+
+  // Rocket click: short downward blip with a tick of noise
+  const click = renderBuffer(context, 0.08, (t) => {
+    const frequency = 1200 - 6000 * t;
+    return (Math.sin(2 * Math.PI * frequency * t) * 0.6 + noise() * 0.15 * Math.exp(-t * 200)) * Math.exp(-t * 45);
+  });
+
+  // Footstep: low thud of filtered noise
+  let footstepFiltered = 0;
+  const footstep = renderBuffer(context, 0.12, (t) => {
+    footstepFiltered += (noise() - footstepFiltered) * 0.08;
+    return (footstepFiltered * 1.5 + Math.sin(2 * Math.PI * 80 * t) * 0.4) * Math.exp(-t * 35);
+  });
+
+  // Ping: two quick high blips, like a radar contact
+  const ping = renderBuffer(context, 0.35, (t) => {
+    return sequence([
+      { start: 0, duration: 0.12, frequency: note(19) },
+      { start: 0.12, duration: 0.22, frequency: note(26) }
+    ], (frequency, time) => Math.sin(2 * Math.PI * frequency * time), t) * 0.4;
+  });
+
+  // Rocket stage: metallic clank followed by a rising two note chime
+  const rocketStage = renderBuffer(context, 0.9, (t) => {
+    const clank = noise() * Math.exp(-t * 60) * 0.4 + Math.sin(2 * Math.PI * 620 * t) * Math.exp(-t * 25) * 0.3;
+    const chime = sequence([
+      { start: 0.08, duration: 0.4, frequency: note(3) },
+      { start: 0.3, duration: 0.6, frequency: note(10) }
+    ], (frequency, time) => Math.sin(2 * Math.PI * frequency * time) + Math.sin(4 * Math.PI * frequency * time) * 0.3, t);
+    return clank + chime * 0.4;
+  });
+
+  // Rocket complete: major arpeggio
+  const rocketComplete = renderBuffer(context, 1.6, (t) => {
+    return sequence([
+      { start: 0, duration: 0.5, frequency: note(3) },
+      { start: 0.15, duration: 0.5, frequency: note(7) },
+      { start: 0.3, duration: 0.5, frequency: note(10) },
+      { start: 0.45, duration: 1.1, frequency: note(15) }
+    ], (frequency, time) => Math.sin(2 * Math.PI * frequency * time), t) * 0.45;
+  });
+
+  // Victory: brass fanfare ending on a long major chord
+  const victory = renderBuffer(context, 3.2, (t) => {
+    return sequence([
+      { start: 0, duration: 0.25, frequency: note(-2) },
+      { start: 0.25, duration: 0.25, frequency: note(-2) },
+      { start: 0.5, duration: 0.25, frequency: note(-2) },
+      { start: 0.75, duration: 0.6, frequency: note(5) },
+      { start: 1.35, duration: 0.3, frequency: note(3) },
+      { start: 1.65, duration: 1.5, frequency: note(10) },
+      { start: 1.65, duration: 1.5, frequency: note(5) },
+      { start: 1.65, duration: 1.5, frequency: note(1) }
+    ], brassTone, t) * 0.3;
+  });
+
+  // Defeat: slow descending minor line with a wobble
+  const defeat = renderBuffer(context, 3, (t) => {
+    const vibrato = 1 + Math.sin(2 * Math.PI * 5 * t) * 0.01;
+    return sequence([
+      { start: 0, duration: 0.6, frequency: note(-2) * vibrato },
+      { start: 0.6, duration: 0.6, frequency: note(-6) * vibrato },
+      { start: 1.2, duration: 0.6, frequency: note(-9) * vibrato },
+      { start: 1.8, duration: 1.2, frequency: note(-14) * vibrato }
+    ], brassTone, t) * 0.6;
+  });
+
+  // Ambient soundtrack: a slowly breathing drone of detuned low tones
+  const ambient = renderBuffer(context, AMBIENT_LOOP_DURATION, (t) => {
+    const loopPhase = 2 * Math.PI * t / AMBIENT_LOOP_DURATION;
+    const swell1 = 0.6 + 0.4 * Math.sin(loopPhase);
+    const swell2 = 0.6 + 0.4 * Math.sin(2 * loopPhase + 1);
+    const shimmer = 0.5 + 0.5 * Math.sin(3 * loopPhase + 2);
+
+    return (
+      Math.sin(2 * Math.PI * 55 * t) * 0.35 * swell1 +
+      Math.sin(2 * Math.PI * 82.5 * t) * 0.25 * swell2 +
+      Math.sin(2 * Math.PI * 110.25 * t) * 0.15 * swell1 +
+      Math.sin(2 * Math.PI * 330 * t) * 0.04 * shimmer +
+      Math.sin(2 * Math.PI * 495 * t) * 0.03 * (1 - shimmer)
+    ) * 0.5;
+  });
+
+  return { click, footstep, ping, rocketStage, rocketComplete, victory, defeat, ambient };
+}
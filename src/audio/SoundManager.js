@@ -0,0 +1,363 @@
+import * as THREE from 'three';
+import { createSoundBuffers } from './SoundLibrary.js';
+
+// localStorage key of the volume settings
+const SETTINGS_STORAGE_KEY = 'sound_settings';
+
+// Volumes between 0 and 1
+const DEFAULT_SETTINGS = {
+  master: 0.8,
+  music: 0.5,
+  sfx: 0.8,
+  muted: false
+};
+
+// Most sound effects playing at once, extra ones are dropped (e.g. fast clicking)
+const MAX_VOICES = 24;
+
+// Distance under which positional sounds play at full volume
+const REF_DISTANCE = 6;
+
+// Seconds the soundtrack takes to fade in
+const MUSIC_FADE_IN = 4;
+
+/**
+ * SoundManager - Plays the soundtrack and sound effects through a THREE.AudioListener on the camera
+ *
+ * This class is responsible for:
+ * - Attaching the listener to the camera so positional sounds follow the view
+ * - Routing sounds through a music and a sound effects channel under the master volume
+ * - Playing one-shot sounds, positional (rockets, footsteps) or not (victory and defeat stingers)
+ * - Persisting the master, music and sound effects volumes and the mute toggle in localStorage
+ */
+class SoundManager {
+  /**
+   * Create a new SoundManager instance
+   * @constructor
+   */
+  constructor() {
+    // Listener attached to the camera, created by init()
+    this.listener = null;
+    this.scene = null;
+
+    // Rendered sounds by name
+    this.buffers = {};
+
+    // Channel gains, connected to the listener's master gain
+    this.channels = {};
+
+    // Looping soundtrack
+    this.music = null;
+
+    // Sound effects currently playing
+    this.voices = new Set();
+
+    // Volume settings
+    this.settings = this._loadSettings();
+
+    // Event callbacks
+    this.onSettingsChanged = null;
+
+    // Debug mode
+    this.debug = import.meta.env.DEV;
+  }
+
+  /**
+   * Log debug messages if debug mode is enabled
+   * @param {...any} args - Arguments to log
+   * @private
+   */
+  _logDebug(...args) {
+    if (this.debug) {
+      console.log('[SoundManager]', ...args);
+    }
+  }
+
+  /**
+   * Log error messages
+   * @param {...any} args - Arguments to log
+   * @private
+   */
+  _logError(...args) {
+    console.error('[SoundManager]', ...args);
+  }
+
+  /**
+   * Create the listener on the camera and render the sounds
+   * The soundtrack starts once the browser lets the page play audio, after the first click or key press
+   * @param {THREE.Camera} camera - The camera the listener follows
+   * @param {THREE.Scene} scene - Scene positional sounds without an object are added to
+   */
+  init(camera, scene) {
+    if (this.listener) return;
+
+    try {
+      this.listener = new THREE.AudioListener();
+      camera.add(this.listener);
+      this.scene = scene;
+
+      const context = this.listener.context;
+      ['music', 'sfx'].forEach(channel => {
+        this.channels[channel] = context.createGain();
+        this.channels[channel].connect(this.listener.getInput());
+      });
+
+      this.buffers = createSoundBuffers(context);
+      this._applySettings();
+
+      // Browsers keep the audio context suspended until the player interacts with the page
+      const unlock = () => {
+        document.removeEventListener('pointerdown', unlock);
+        document.removeEventListener('keydown', unlock);
+        context.resume().then(() => this.startMusic());
+      };
+
+      if (context.state === 'running') {
+        this.startMusic();
+      } else {
+        document.addEventListener('pointerdown', unlock);
+        document.addEventListener('keydown', unlock);
+      }
+
+      this._logDebug('Audio initialized at', context.sampleRate, 'Hz');
+    } catch (error) {
+      // The game stays playable without sound
+      this._logError('Failed to initialize audio:', error);
+      this.listener = null;
+    }
+  }
+
+  /**
+   * Check whether sounds can be played
+   * @returns {boolean} True once init() succeeded
+   */
+  isReady() {
+    return this.listener !== null;
+  }
+
+  /**
+   * Start the looping soundtrack with a fade in
+   */
+  startMusic() {
+    if (!this.isReady() || this.music || !this.buffers.ambient) return;
+
+    this.music = new THREE.Audio(this.listener);
+    this._routeToChannel(this.music, 'music');
+    this.music.setBuffer(this.buffers.ambient);
+    this.music.setLoop(true);
+
+    const context = this.listener.context;
+    this.music.gain.gain.setValueAtTime(0, context.currentTime);
+    this.music.gain.gain.linearRampToValueAtTime(1, context.currentTime + MUSIC_FADE_IN);
+    this.music.play();
+  }
+
+  /**
+   * Play a sound effect heard the same everywhere, e.g. a stinger
+   * @param {string} name - Sound name
+   * @param {Object} [options] - Playback options
+   * @param {number} [options.volume=1] - Volume of this sound
+   * @param {number} [options.playbackRate=1] - Speed and pitch
+   * @returns {THREE.Audio|null} The playing sound, or null if it couldn't be played
+   */
+  play(name, options = {}) {
+    if (!this._canPlay(name)) return null;
+
+    const sound = new THREE.Audio(this.listener);
+    return this._startVoice(sound, name, options, null, null);
+  }
+
+  /**
+   * Play a sound effect from a place in the world, louder when the camera is close
+   * @param {string} name - Sound name
+   * @param {THREE.Object3D|THREE.Vector3|CANNON.Vec3} source - Object the sound follows, or a fixed position
+   * @param {Object} [options] - Playback options
+   * @param {number} [options.volume=1] - Volume of this sound
+   * @param {number} [options.playbackRate=1] - Speed and pitch
+   * @returns {THREE.PositionalAudio|null} The playing sound, or null if it couldn't be played
+   */
+  playAt(name, source, options = {}) {
+    if (!this._canPlay(name) || !source) return null;
+
+    const sound = new THREE.PositionalAudio(this.listener);
+    sound.setRefDistance(REF_DISTANCE);
+
+    // Fixed positions get an anchor in the scene, removed with the sound
+    let parent = source;
+    let anchor = null;
+    if (!(source instanceof THREE.Object3D)) {
+      if (!this.scene) return null;
+      anchor = new THREE.Object3D();
+      anchor.position.set(source.x, source.y, source.z);
+      this.scene.add(anchor);
+      parent = anchor;
+    }
+
+    parent.add(sound);
+    return this._startVoice(sound, name, options, parent, anchor);
+  }
+
+  /**
+   * Get the volume settings
+   * @returns {Object} { master, music, sfx, muted }
+   */
+  getSettings() {
+    return { ...this.settings };
+  }
+
+  /**
+   * Set the volume of a channel
+   * @param {string} channel - 'master', 'music' or 'sfx'
+   * @param {number} volume - Volume between 0 and 1
+   */
+  setVolume(channel, volume) {
+    if (!(channel in DEFAULT_SETTINGS) || channel === 'muted') {
+      this._logError(`Unknown volume channel "${channel}"`);
+      return;
+    }
+
+    this.settings[channel] = THREE.MathUtils.clamp(Number(volume) || 0, 0, 1);
+    this._settingsChanged();
+  }
+
+  /**
+   * Mute or unmute every sound
+   * @param {boolean} muted - Whether sounds are muted
+   */
+  setMuted(muted) {
+    this.settings.muted = !!muted;
+    this._settingsChanged();
+  }
+
+  /**
+   * Switch between muted and unmuted
+   * @returns {boolean} Whether sounds are now muted
+   */
+  toggleMute() {
+    this.setMuted(!this.settings.muted);
+    return this.settings.muted;
+  }
+
+  /**
+   * Check whether a sound effect can be played now
+   * @param {string} name - Sound name
+   * @returns {boolean} True if the sound exists and a voice is free
+   * @private
+   */
+  _canPlay(name) {
+    if (!this.isReady() || this.listener.context.state !== 'running') {
+      return false;
+    }
+
+    if (!this.buffers[name]) {
+      this._logError(`Unknown sound "${name}"`);
+      return false;
+    }
+
+    // Nothing is heard while muted, don't spend voices on it
+    return !this.settings.muted && this.voices.size < MAX_VOICES;
+  }
+
+  /**
+   * Play a one-shot sound on the sound effects channel and clean it up when it ends
+   * @param {THREE.Audio} sound - The sound to play
+   * @param {string} name - Sound name
+   * @param {Object} options - Playback options
+   * @param {THREE.Object3D|null} parent - Object the sound was added to
+   * @param {THREE.Object3D|null} anchor - Anchor created for a fixed position, removed with the sound
+   * @returns {THREE.Audio} The playing sound
+   * @private
+   */
+  _startVoice(sound, name, options, parent, anchor) {
+    this._routeToChannel(sound, 'sfx');
+    sound.setBuffer(this.buffers[name]);
+    sound.setVolume(options.volume ?? 1);
+    sound.setPlaybackRate(options.playbackRate ?? 1);
+
+    const onEnded = sound.onEnded.bind(sound);
+    sound.onEnded = () => {
+      onEnded();
+      this.voices.delete(sound);
+      sound.disconnect();
+      sound.gain.disconnect();
+
+      if (parent) {
+        parent.remove(sound);
+      }
+      if (anchor) {
+        this.scene.remove(anchor);
+      }
+    };
+
+    this.voices.add(sound);
+    sound.play();
+    return sound;
+  }
+
+  /**
+   * Send a sound to a channel instead of straight to the master gain
+   * @param {THREE.Audio} sound - The sound
+   * @param {string} channel - 'music' or 'sfx'
+   * @private
+   */
+  _routeToChannel(sound, channel) {
+    sound.gain.disconnect();
+    sound.gain.connect(this.channels[channel]);
+  }
+
+  /**
+   * Apply, save and announce the settings
+   * @private
+   */
+  _settingsChanged() {
+    this._applySettings();
+    this._saveSettings();
+
+    if (this.onSettingsChanged) {
+      this.onSettingsChanged(this.getSettings());
+    }
+  }
+
+  /**
+   * Apply the settings to the listener and channel gains
+   * @private
+   */
+  _applySettings() {
+    if (!this.isReady()) return;
+
+    this.listener.setMasterVolume(this.settings.muted ? 0 : this.settings.master);
+    const now = this.listener.context.currentTime;
+    this.channels.music.gain.setTargetAtTime(this.settings.music, now, 0.05);
+    this.channels.sfx.gain.setTargetAtTime(this.settings.sfx, now, 0.05);
+  }
+
+  /**
+   * Load the settings saved in localStorage
+   * @returns {Object} Saved settings merged over the defaults
+   * @private
+   */
+  _loadSettings() {
+    try {
+      const saved = JSON.parse(localStorage.getItem(SETTINGS_STORAGE_KEY) || '{}');
+      return { ...DEFAULT_SETTINGS, ...saved };
+    } catch (error) {
+      this._logError('Failed to load sound settings:', error);
+      return { ...DEFAULT_SETTINGS };
+    }
+  }
+
+  /**
+   * Save the settings to localStorage
+   * @private
+   */
+  _saveSettings() {
+    try {
+      localStorage.setItem(SETTINGS_STORAGE_KEY, JSON.stringify(this.settings));
+    } catch (error) {
+      this._logError('Failed to save sound settings:', error);
+    }
+  }
+}
+
+// Create and export a singleton instance
+export const soundManager = new SoundManager();
@@ -37,6 +37,15 @@ export class PlanetClickControls {
     // Current planet the marker is attached to
     this.markerPlanet = null;
     
+    // When set, the next click drops a ping instead of moving the player
+    this.pingMode = false;
+    
+    // Optional callback for when a ping is dropped on a planet surface
+    this.onPlanetPing = null;
+    
+    // Temporary ping markers, each with the time it has left
+    this.pingMarkers = [];
+    
     // Path finder for calculating and visualizing paths
     this.pathFinder = new SphericalPathFinder({
       segmentCount: options.pathSegmentCount || 30
@@ -95,6 +104,17 @@ export class PlanetClickControls {
     });
   }
   
+  /**
+   * Remove every clickable object, e.g. before registering the planets of a new game
+   */
+  clearClickableObjects() {
+    this.clickableObjects = [];
+    
+    // Pings belong to the previous planets
+    this.pingMarkers.forEach(ping => this._disposeMarker(ping.marker));
+    this.pingMarkers = [];
+  }
+  
   /**
    * Add a planet to the list of clickable objects
    * @param {THREE.Object3D} planet - Planet object to add
@@ -116,9 +136,51 @@ export class PlanetClickControls {
     // When disabling, hide the marker
     if (!enabled) {
       this.marker.visible = false;
+      this.pingMode = false;
     }
   }
   
+  /**
+   * Make the next click drop a ping instead of moving the player
+   * Alt+click drops a ping without arming it first
+   * @param {boolean} enabled - Whether the next click is a ping
+   */
+  setPingMode(enabled) {
+    this.pingMode = !!enabled && this.enabled;
+    
+    if (this.domElement.style) {
+      this.domElement.style.cursor = this.pingMode ? 'crosshair' : '';
+    }
+  }
+  
+  /**
+   * Show a ping marker on a planet for a few seconds
+   * @param {Object} ping - The ping
+   * @param {string} ping.planetName - Planet the ping was dropped on
+   * @param {Object} ping.position - Point in the planet's local space {x, y, z}
+   * @param {Object} ping.normal - Surface normal in the planet's local space {x, y, z}
+   * @param {THREE.Color|string|number} [ping.color=0x40c4ff] - Color of the player who pinged
+   * @param {number} [ping.duration=6] - Seconds the marker stays
+   * @returns {THREE.Object3D|null} The marker, or null if the planet isn't clickable
+   */
+  addPingMarker({ planetName, position, normal, color = 0x40c4ff, duration = 6 }) {
+    const planet = this.clickableObjects.find(obj => obj.userData.isPlanet && obj.name === planetName);
+    if (!planet || !position || !normal) return null;
+    
+    const marker = this._createMarker(color, color);
+    marker.scale.setScalar(2);
+    marker.position.set(position.x, position.y, position.z);
+    marker.quaternion.setFromUnitVectors(
+      new THREE.Vector3(0, 1, 0),
+      new THREE.Vector3(normal.x, normal.y, normal.z).normalize()
+    );
+    planet.add(marker);
+    
+    this.pingMarkers.push({ marker, timeLeft: duration });
+    
+    return marker;
+  }
+  
   /**
    * Set planet rotation controls for coordination
    * @param {PlanetRotationControls[]} controls - Array of rotation controls
@@ -129,17 +191,19 @@ export class PlanetClickControls {
   
   /**
    * Create a visual marker for the clicked point
+   * @param {THREE.Color|string|number} [color=0xffff00] - Color of the sphere and ring
+   * @param {THREE.Color|string|number} [pinColor=0xff0000] - Color of the pin
    * @returns {THREE.Object3D} Marker mesh
    * @private
    */
-  _createMarker() {
+  _createMarker(color = 0xffff00, pinColor = 0xff0000) {
     // Create a marker group to hold all visual elements
     const markerGroup = new THREE.Group();
     
     // Create a small sphere to mark the clicked location
     const sphereGeometry = new THREE.SphereGeometry(0.2, 16, 16);
     const sphereMaterial = new THREE.MeshBasicMaterial({ 
-      color: 0xffff00,
+      color: color,
       opacity: 0.8,
       transparent: true
     });
@@ -149,7 +213,7 @@ export class PlanetClickControls {
     // Add a larger, pulsing ring
     const ringGeometry = new THREE.RingGeometry(0.3, 0.4, 32);
     const ringMaterial = new THREE.MeshBasicMaterial({ 
-      color: 0xffff00, 
+      color: color, 
       opacity: 0.6,
       transparent: true,
       side: THREE.DoubleSide
@@ -162,7 +226,7 @@ export class PlanetClickControls {
     
     // Add a pin/arrow pointing from the surface
     const pinGeometry = new THREE.ConeGeometry(0.15, 0.5, 8);
-    const pinMaterial = new THREE.MeshBasicMaterial({ color: 0xff0000 });
+    const pinMaterial = new THREE.MeshBasicMaterial({ color: pinColor });
     const pin = new THREE.Mesh(pinGeometry, pinMaterial);
     pin.rotation.x = Math.PI; // Point away from the center
     pin.position.y = 0.4; // Position above the sphere
@@ -185,26 +249,66 @@ export class PlanetClickControls {
    */
   update(deltaTime) {
     if (this.marker && this.marker.visible) {
-      // Update animation time
-      this.marker.animationTime += deltaTime;
-      
-      // Animate the pin up and down
-      if (this.marker.pin) {
-        this.marker.pin.position.y = 0.4 + Math.sin(this.marker.animationTime * 5) * 0.1;
-      }
-      
-      // Animate the ring size
-      if (this.marker.ring) {
-        const scale = 1 + Math.sin(this.marker.animationTime * 3) * 0.2;
-        this.marker.ring.scale.set(scale, scale, scale);
+      this._animateMarker(this.marker, deltaTime);
+    }
+    
+    // Animate the pings and remove the expired ones
+    this.pingMarkers = this.pingMarkers.filter(ping => {
+      ping.timeLeft -= deltaTime;
+      if (ping.timeLeft <= 0) {
+        this._disposeMarker(ping.marker);
+        return false;
       }
       
-      // Animate the sphere pulsing
-      if (this.marker.sphere) {
-        const opacity = 0.6 + Math.sin(this.marker.animationTime * 7) * 0.4;
-        this.marker.sphere.material.opacity = Math.max(0.2, opacity);
-      }
+      this._animateMarker(ping.marker, deltaTime);
+      return true;
+    });
+  }
+  
+  /**
+   * Animate the pin, ring and sphere of a marker
+   * @param {THREE.Object3D} marker - Marker created by _createMarker
+   * @param {number} deltaTime - Time in seconds since last update
+   * @private
+   */
+  _animateMarker(marker, deltaTime) {
+    // Update animation time
+    marker.animationTime += deltaTime;
+    
+    // Animate the pin up and down
+    if (marker.pin) {
+      marker.pin.position.y = 0.4 + Math.sin(marker.animationTime * 5) * 0.1;
+    }
+    
+    // Animate the ring size
+    if (marker.ring) {
+      const scale = 1 + Math.sin(marker.animationTime * 3) * 0.2;
+      marker.ring.scale.set(scale, scale, scale);
+    }
+    
+    // Animate the sphere pulsing
+    if (marker.sphere) {
+      const opacity = 0.6 + Math.sin(marker.animationTime * 7) * 0.4;
+      marker.sphere.material.opacity = Math.max(0.2, opacity);
+    }
+  }
+  
+  /**
+   * Remove a marker and free its geometries and materials
+   * @param {THREE.Object3D} marker - Marker created by _createMarker
+   * @private
+   */
+  _disposeMarker(marker) {
+    if (marker.parent) {
+      marker.parent.remove(marker);
     }
+    
+    [marker.sphere, marker.ring, marker.pin].forEach(mesh => {
+      if (mesh) {
+        mesh.geometry.dispose();
+        mesh.material.dispose();
+      }
+    });
   }
   
   /**
@@ -251,11 +355,11 @@ export class PlanetClickControls {
       let clickedPlanetName = null;
       let planetObject = intersection.object;
       while (planetObject && !clickedPlanetName) {
-          // Look for earth or mars in the name
-          if (planetObject.name.includes('earth')) {
-              clickedPlanetName = 'earth';
-          } else if (planetObject.name.includes('mars')) {
-              clickedPlanetName = 'mars';
+          // Planet meshes are named after their planet, water and rocket parts carry the planet name
+          if (planetObject.userData.isPlanet) {
+              clickedPlanetName = planetObject.name;
+          } else if (planetObject.userData.planetName) {
+              clickedPlanetName = planetObject.userData.planetName;
           }
           // Move up to parent
           if (!clickedPlanetName && planetObject.parent) {
@@ -376,6 +480,12 @@ export class PlanetClickControls {
         position: planet ? new THREE.Vector3().setFromMatrixPosition(planet.matrixWorld) : 'unknown'
       });
       
+      // Drop a ping instead of moving when armed or on Alt+click
+      if (this.pingMode || (event && event.altKey)) {
+        this._processPing(intersection, planet, clickedPlanetName);
+        return;
+      }
+      
       // If the marker is already attached to a different planet, remove it first
       if (this.markerPlanet && this.markerPlanet !== planet) {
         this.markerPlanet.remove(this.marker);
@@ -471,6 +581,37 @@ export class PlanetClickControls {
     }
   }
   
+  /**
+   * Report a ping at a surface point, in the planet's local space so it turns with the planet
+   * @param {THREE.Intersection} intersection - The surface intersection
+   * @param {THREE.Object3D} planet - The planet mesh
+   * @param {string} planetName - The planet name
+   * @private
+   */
+  _processPing(intersection, planet, planetName) {
+    this.setPingMode(false);
+    
+    if (!planet || !planet.matrixWorld || !this.onPlanetPing) return;
+    
+    const worldToLocal = new THREE.Matrix4().copy(planet.matrixWorld).invert();
+    const localPosition = intersection.point.clone().applyMatrix4(worldToLocal);
+    
+    // The surface normal points away from the planet center, as on the sphere
+    const localNormal = localPosition.clone().normalize();
+    if (intersection.face) {
+      const normalMatrix = new THREE.Matrix3().getNormalMatrix(intersection.object.matrixWorld);
+      const worldNormal = intersection.face.normal.clone().applyMatrix3(normalMatrix);
+      localNormal.copy(worldNormal.transformDirection(worldToLocal));
+    }
+    
+    this.onPlanetPing({
+      point: intersection.point.clone(),
+      planetName: planetName,
+      position: localPosition,
+      normal: localNormal
+    });
+  }
+  
   /**
    * Get the player's current position on a planet
    * This is a placeholder - the actual implementation would come from your player system
@@ -514,7 +655,17 @@ export class PlanetClickControls {
     console.log('Creating path from', startPoint, 'to', endPoint, 'with planet center', planetCenter, 'and radius', radius);
     
     // Calculate path points using findPath which accounts for planet center
-    const pathPoints = this.pathFinder.findPath(startPoint, endPoint, planetCenter, radius);
+    // and follows the terrain when the planet mesh shares its heightfield
+    // and walks around obstacles when it shares its navigation graph
+    const heightfield = planet && planet.userData ? planet.userData.heightfield : null;
+    const navigationGraph = planet && planet.userData ? planet.userData.navigationGraph : null;
+    const pathPoints = this.pathFinder.findPath(startPoint, endPoint, planetCenter, radius, heightfield, navigationGraph);
+    
+    // The clicked point can't be reached (in a lake, on a rocket or walled in), there is no path to show
+    if (!pathPoints) {
+      this.marker.visible = false;
+      return;
+    }
     
     // Create path visualization
     const pathVisualization = this.pathFinder.createPathVisualization(pathPoints);
@@ -788,6 +939,10 @@ export class PlanetClickControls {
     // Clear the active path
     this._clearActivePath();
     
+    // Remove the pings
+    this.pingMarkers.forEach(ping => this._disposeMarker(ping.marker));
+    this.pingMarkers = [];
+    
     // Remove the marker
     if (this.marker) {
       this.scene.remove(this.marker);
@@ -0,0 +1,170 @@
+import * as THREE from 'three';
+
+/**
+ * Free camera for spectators: orbit around the planet system by dragging the empty space and zoom with the wheel
+ * Drags that start on a planet are left to its PlanetRotationControls
+ * @class
+ */
+export class SpectatorCameraControls {
+  /**
+   * Create spectator camera controls
+   * @param {THREE.Camera} camera - The camera to move
+   * @param {HTMLElement} domElement - The DOM element to listen for events on (typically canvas)
+   * @param {Object} options - Configuration options
+   * @param {Function} options.canMove - Returns whether the camera may be moved now (e.g. not during a cinematic)
+   * @param {Function} [options.getPlanetMeshes] - Returns the meshes a drag must not start on
+   * @param {number} [options.minDistance=25] - Closest distance to the center of the system
+   * @param {number} [options.maxDistance=140] - Farthest distance to the center of the system
+   * @param {number} [options.rotateSpeed=0.005] - Radians per dragged pixel
+   */
+  constructor(camera, domElement, options = {}) {
+    this.camera = camera;
+    this.domElement = domElement;
+    this.canMove = options.canMove || (() => true);
+    this.getPlanetMeshes = options.getPlanetMeshes || (() => []);
+    this.minDistance = options.minDistance || 25;
+    this.maxDistance = options.maxDistance || 140;
+    this.rotateSpeed = options.rotateSpeed || 0.005;
+
+    // Point the camera orbits around, the center of the planet system
+    this.target = new THREE.Vector3(0, 0, 0);
+
+    // Camera position around the target, read from the camera when a move starts
+    this.spherical = new THREE.Spherical();
+
+    // Drag state
+    this.isDragging = false;
+    this.pointerId = null;
+    this.previousPointer = new THREE.Vector2();
+    this.raycaster = new THREE.Raycaster();
+
+    this.onPointerDownBound = this.onPointerDown.bind(this);
+    this.onPointerMoveBound = this.onPointerMove.bind(this);
+    this.onPointerUpBound = this.onPointerUp.bind(this);
+    this.onWheelBound = this.onWheel.bind(this);
+
+    this.domElement.addEventListener('pointerdown', this.onPointerDownBound);
+    this.domElement.addEventListener('wheel', this.onWheelBound, { passive: false });
+  }
+
+  /**
+   * Start orbiting when a drag starts on empty space
+   * @param {PointerEvent} event - The pointer event
+   * @private
+   */
+  onPointerDown(event) {
+    if (this.isDragging || event.button !== 0 || !this.canMove()) return;
+    if (this._isOverPlanet(event)) return;
+
+    this.isDragging = true;
+    this.pointerId = event.pointerId;
+    this.previousPointer.set(event.clientX, event.clientY);
+    this._readCamera();
+
+    document.addEventListener('pointermove', this.onPointerMoveBound);
+    document.addEventListener('pointerup', this.onPointerUpBound);
+    document.addEventListener('pointercancel', this.onPointerUpBound);
+  }
+
+  /**
+   * Orbit the camera with the dragged distance
+   * @param {PointerEvent} event - The pointer event
+   * @private
+   */
+  onPointerMove(event) {
+    if (!this.isDragging || event.pointerId !== this.pointerId) return;
+
+    // Stop if something else took the camera over mid drag
+    if (!this.canMove()) {
+      this.onPointerUp(event);
+      return;
+    }
+
+    const deltaX = event.clientX - this.previousPointer.x;
+    const deltaY = event.clientY - this.previousPointer.y;
+    this.previousPointer.set(event.clientX, event.clientY);
+
+    this.spherical.theta -= deltaX * this.rotateSpeed;
+    this.spherical.phi -= deltaY * this.rotateSpeed;
+    this._applyCamera();
+  }
+
+  /**
+   * Stop orbiting
+   * @param {PointerEvent} event - The pointer event
+   * @private
+   */
+  onPointerUp(event) {
+    if (event.pointerId !== this.pointerId) return;
+
+    this.isDragging = false;
+    this.pointerId = null;
+
+    document.removeEventListener('pointermove', this.onPointerMoveBound);
+    document.removeEventListener('pointerup', this.onPointerUpBound);
+    document.removeEventListener('pointercancel', this.onPointerUpBound);
+  }
+
+  /**
+   * Zoom in and out of the system
+   * @param {WheelEvent} event - The wheel event
+   * @private
+   */
+  onWheel(event) {
+    if (!this.canMove()) return;
+
+    event.preventDefault();
+
+    this._readCamera();
+    this.spherical.radius *= Math.exp(event.deltaY * 0.001);
+    this._applyCamera();
+  }
+
+  /**
+   * Check whether a pointer is over one of the planets
+   * @param {PointerEvent} event - The pointer event
+   * @returns {boolean} True if a planet is under the pointer
+   * @private
+   */
+  _isOverPlanet(event) {
+    const rect = this.domElement.getBoundingClientRect();
+    const pointer = new THREE.Vector2(
+      ((event.clientX - rect.left) / rect.width) * 2 - 1,
+      -((event.clientY - rect.top) / rect.height) * 2 + 1
+    );
+
+    this.raycaster.setFromCamera(pointer, this.camera);
+    return this.raycaster.intersectObjects(this.getPlanetMeshes(), false).length > 0;
+  }
+
+  /**
+   * Start from where the camera is, other code may have moved it since the last orbit
+   * @private
+   */
+  _readCamera() {
+    this.spherical.setFromVector3(new THREE.Vector3().subVectors(this.camera.position, this.target));
+  }
+
+  /**
+   * Place the camera on the orbit and look at the center
+   * @private
+   */
+  _applyCamera() {
+    this.spherical.radius = THREE.MathUtils.clamp(this.spherical.radius, this.minDistance, this.maxDistance);
+    this.spherical.makeSafe();
+
+    this.camera.position.setFromSpherical(this.spherical).add(this.target);
+    this.camera.lookAt(this.target);
+  }
+
+  /**
+   * Remove event listeners
+   */
+  dispose() {
+    this.domElement.removeEventListener('pointerdown', this.onPointerDownBound);
+    this.domElement.removeEventListener('wheel', this.onWheelBound);
+    document.removeEventListener('pointermove', this.onPointerMoveBound);
+    document.removeEventListener('pointerup', this.onPointerUpBound);
+    document.removeEventListener('pointercancel', this.onPointerUpBound);
+  }
+}
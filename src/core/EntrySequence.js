@@ -0,0 +1,406 @@
+import * as THREE from 'three';
+import gsap from 'gsap';
+
+// Height above the atmosphere where the heating starts
+const ENTRY_INTERFACE_MARGIN = 10;
+
+// Inward speed at which the heating glow is the brightest (units per second)
+const MAX_HEATING_SPEED = 12;
+
+// Height above the terrain where the parachute opens
+const PARACHUTE_ALTITUDE = 6;
+
+// Descent speed under the parachute (units per second)
+const PARACHUTE_DESCENT_SPEED = 2.5;
+
+// Strongest parachute drag, in multiples of the planet's pull, so opening it doesn't throw the player back up
+const MAX_PARACHUTE_DRAG = 4;
+
+// Distance from the terrain that counts as touching down
+const TOUCHDOWN_TOLERANCE = 0.1;
+
+// The sequence ends after this long even if the player never touched down (in seconds)
+const MAX_ENTRY_DURATION = 20;
+
+// Camera offset from the player: above along the surface normal and behind along the surface
+const CAMERA_HEIGHT = 5;
+const CAMERA_TRAIL = 7;
+
+// How fast the camera catches up with the player (per second)
+const CAMERA_FOLLOW_RATE = 4;
+
+/**
+ * EntrySequence - Atmospheric entry of the local player when joining a planet
+ *
+ * The player falls under the planet's gravity (Game.applyPlanetGravity) through four phases:
+ * - freefall: above the atmosphere, the camera rides along
+ * - entry: through the atmosphere, with a heating glow growing with the speed
+ * - parachute: close to the ground, a drag force scaled on the planet's pull slows the descent
+ * - landed: touchdown, the impact callback fires and the landing point is reported
+ * A sequence that ends without a touchdown (timed out or cancelled) reports the point below the player instead,
+ * so the player always gets a position on the ground
+ * @class
+ */
+export class EntrySequence {
+  /**
+   * Create a new entry sequence
+   * @param {Object} options - Sequence configuration options
+   * @param {THREE.Scene} options.scene - The Three.js scene
+   * @param {THREE.Camera} options.camera - The camera that rides along with the player
+   * @param {Function} [options.onImpact] - Callback with the touchdown position and color, used for the landing effect
+   * @param {Function} [options.onLanded] - Callback with the landing point once the sequence ends, touched down or not
+   * @param {Function} [options.onComplete] - Callback with the planet when the sequence has finished, and whether the camera was still riding along
+   */
+  constructor(options = {}) {
+    this.scene = options.scene;
+    this.camera = options.camera;
+
+    // Callbacks
+    this.onImpact = options.onImpact || (() => {});
+    this.onLanded = options.onLanded || (() => {});
+    this.onComplete = options.onComplete || (() => {});
+
+    // Player and planet of the running sequence, if any
+    this.sphereBot = null;
+    this.planet = null;
+    this.phase = null;
+    this.elapsed = 0;
+
+    // Whether the camera follows the player, cleared when the player looks elsewhere
+    this.cameraAttached = false;
+
+    // Heating glow intensity between 0 and 1, smoothed over frames
+    this.heat = 0;
+
+    // Effects added to the scene
+    this.glow = null;
+    this.parachute = null;
+  }
+
+  /**
+   * Whether a player is entering the atmosphere
+   * @returns {boolean} True until the player lands or the sequence is cancelled
+   */
+  isActive() {
+    return this.phase !== null;
+  }
+
+  /**
+   * Start the entry of a player spawned above a planet
+   * @param {SphereBot} sphereBot - The player, already falling under the planet's gravity
+   * @param {Planet} planet - The planet the player enters
+   */
+  start(sphereBot, planet) {
+    // Only one player enters at a time
+    this.cancel();
+
+    this.sphereBot = sphereBot;
+    this.planet = planet;
+    this.phase = 'freefall';
+    this.elapsed = 0;
+    this.heat = 0;
+    this.cameraAttached = true;
+
+    this.glow = this._createGlow();
+    this.scene.add(this.glow);
+  }
+
+  /**
+   * Stop the camera from following the player, the fall goes on without it
+   */
+  detachCamera() {
+    this.cameraAttached = false;
+  }
+
+  /**
+   * Update the sequence, called after the planet's gravity has been applied for this frame
+   * @param {number} deltaTime - Time since the last frame in seconds
+   */
+  update(deltaTime) {
+    if (!this.isActive()) return;
+
+    const body = this.sphereBot.body;
+    if (!body || !this.planet.heightfield) {
+      this.cancel();
+      return;
+    }
+
+    this.elapsed += deltaTime;
+
+    const center = this.planet.position;
+    const up = new THREE.Vector3(
+      body.position.x - center.x,
+      body.position.y - center.y,
+      body.position.z - center.z
+    );
+    const distance = up.length();
+    up.divideScalar(distance);
+
+    const bodyRadius = body.shapes[0] ? body.shapes[0].radius : 0;
+    const altitude = distance - this.planet.heightfield.getSurfaceRadius(body.position) - bodyRadius;
+    const inwardSpeed = -(body.velocity.x * up.x + body.velocity.y * up.y + body.velocity.z * up.z);
+
+    // Move to the next phase as the player gets closer to the ground
+    if (this.phase === 'freefall' && distance < this._getAtmosphereTop() + ENTRY_INTERFACE_MARGIN) {
+      this.phase = 'entry';
+    }
+    if (this.phase === 'entry' && altitude < PARACHUTE_ALTITUDE) {
+      this.phase = 'parachute';
+      this._openParachute();
+    }
+
+    if (this.phase === 'parachute') {
+      this._applyParachuteDrag(body, up, inwardSpeed);
+    }
+
+    // Glow only while plunging through the atmosphere, fading out smoothly under the parachute
+    const targetHeat = this.phase === 'entry' ? THREE.MathUtils.clamp(inwardSpeed / MAX_HEATING_SPEED, 0, 1) : 0;
+    this.heat += (targetHeat - this.heat) * Math.min(1, deltaTime * 5);
+    this._updateEffects(body, up);
+
+    if (this.cameraAttached) {
+      this._updateCamera(body, up, deltaTime);
+    }
+
+    if (altitude <= TOUCHDOWN_TOLERANCE && this.phase === 'parachute') {
+      this._land(body, bodyRadius);
+    } else if (this.elapsed > MAX_ENTRY_DURATION) {
+      this._finish();
+    }
+  }
+
+  /**
+   * Stop the sequence and remove its effects, without notifying onComplete
+   */
+  cancel() {
+    if (!this.isActive()) return;
+
+    this._finish(false);
+  }
+
+  /**
+   * Get the distance from the planet center to the top of its atmosphere
+   * @returns {number} Outer radius of the atmosphere layer
+   * @private
+   */
+  _getAtmosphereTop() {
+    const atmosphere = this.planet.atmosphere;
+    if (atmosphere && atmosphere.params) {
+      return atmosphere.params.radius + atmosphere.params.thickness;
+    }
+
+    return this.planet.radius * 1.2;
+  }
+
+  /**
+   * Slow the descent to the parachute speed with a drag growing with the square of the speed
+   * The drag is scaled on the pull of the planet this frame, so the descent speed is the same on every planet
+   * @param {CANNON.Body} body - The player's body
+   * @param {THREE.Vector3} up - Surface normal below the player
+   * @param {number} inwardSpeed - Speed towards the planet center
+   * @private
+   */
+  _applyParachuteDrag(body, up, inwardSpeed) {
+    if (inwardSpeed <= 0) return;
+
+    const pull = -(body.force.x * up.x + body.force.y * up.y + body.force.z * up.z);
+    if (pull <= 0) return;
+
+    const ratio = inwardSpeed / PARACHUTE_DESCENT_SPEED;
+    const drag = Math.min(pull * ratio * ratio, pull * MAX_PARACHUTE_DRAG);
+
+    body.force.x += drag * up.x;
+    body.force.y += drag * up.y;
+    body.force.z += drag * up.z;
+  }
+
+  /**
+   * Report the touchdown and end the sequence
+   * @param {CANNON.Body} body - The player's body
+   * @param {number} bodyRadius - Radius of the player's collision sphere
+   * @private
+   */
+  _land(body, bodyRadius) {
+    const landingPoint = this.planet.heightfield.projectToSurface(body.position, bodyRadius);
+    const groundPoint = this.planet.heightfield.projectToSurface(body.position, 0.05);
+
+    this.phase = 'landed';
+    this.onImpact(groundPoint, this.sphereBot.color);
+    this.onLanded(landingPoint);
+    this._finish();
+  }
+
+  /**
+   * Remove the effects and notify the game
+   * @param {boolean} [notify=true] - Whether to call onComplete
+   * @private
+   */
+  _finish(notify = true) {
+    const planet = this.planet;
+    const cameraAttached = this.cameraAttached;
+
+    // No touchdown, report the ground below the player so a position is still saved
+    const body = this.sphereBot ? this.sphereBot.body : null;
+    if (this.phase !== 'landed' && body && planet && planet.heightfield) {
+      const bodyRadius = body.shapes[0] ? body.shapes[0].radius : 0;
+      this.onLanded(planet.heightfield.projectToSurface(body.position, bodyRadius));
+    }
+
+    this._removeGlow();
+    this._collapseParachute();
+
+    this.sphereBot = null;
+    this.planet = null;
+    this.phase = null;
+    this.cameraAttached = false;
+
+    if (notify) {
+      this.onComplete(planet, cameraAttached);
+    }
+  }
+
+  /**
+   * Move the camera towards its spot behind and above the player
+   * @param {CANNON.Body} body - The player's body
+   * @param {THREE.Vector3} up - Surface normal below the player
+   * @param {number} deltaTime - Time since the last frame in seconds
+   * @private
+   */
+  _updateCamera(body, up, deltaTime) {
+    // Any direction along the surface works, pick one that is never parallel to the normal
+    const reference = Math.abs(up.z) < 0.9 ? new THREE.Vector3(0, 0, 1) : new THREE.Vector3(1, 0, 0);
+    const along = new THREE.Vector3().crossVectors(up, reference).normalize();
+
+    const target = new THREE.Vector3(body.position.x, body.position.y, body.position.z)
+      .addScaledVector(up, CAMERA_HEIGHT)
+      .addScaledVector(along, CAMERA_TRAIL);
+
+    // Ease in frame rate independently, with a slight shake while the heat is high
+    this.camera.position.lerp(target, 1 - Math.exp(-CAMERA_FOLLOW_RATE * deltaTime));
+    if (this.heat > 0.2) {
+      const shake = 0.15 * this.heat;
+      this.camera.position.x += (Math.random() - 0.5) * shake;
+      this.camera.position.y += (Math.random() - 0.5) * shake;
+      this.camera.position.z += (Math.random() - 0.5) * shake;
+    }
+
+    this.camera.lookAt(body.position.x, body.position.y, body.position.z);
+  }
+
+  /**
+   * Keep the glow and parachute on the player
+   * @param {CANNON.Body} body - The player's body
+   * @param {THREE.Vector3} up - Surface normal below the player
+   * @private
+   */
+  _updateEffects(body, up) {
+    if (this.glow) {
+      this.glow.position.set(body.position.x, body.position.y, body.position.z);
+      this.glow.visible = this.heat > 0.01;
+      this.glow.material.opacity = this.heat * 0.8;
+      this.glow.material.color.setHex(0xff4400).lerp(new THREE.Color(0xffe0b0), this.heat);
+      this.glow.scale.setScalar(1 + this.heat * 0.6);
+    }
+
+    if (this.parachute) {
+      this.parachute.position.set(body.position.x, body.position.y, body.position.z);
+      this.parachute.quaternion.setFromUnitVectors(new THREE.Vector3(0, 1, 0), up);
+    }
+  }
+
+  /**
+   * Create the heating glow around the player
+   * @returns {THREE.Mesh} The glow, hidden until the player heats up
+   * @private
+   */
+  _createGlow() {
+    const radius = (this.sphereBot.radius || 0.5) * 1.8;
+    const glow = new THREE.Mesh(
+      new THREE.SphereGeometry(radius, 16, 12),
+      new THREE.MeshBasicMaterial({
+        color: 0xff4400,
+        transparent: true,
+        opacity: 0,
+        blending: THREE.AdditiveBlending,
+        depthWrite: false
+      })
+    );
+    glow.visible = false;
+
+    return glow;
+  }
+
+  /**
+   * Remove the heating glow from the scene
+   * @private
+   */
+  _removeGlow() {
+    if (!this.glow) return;
+
+    this.scene.remove(this.glow);
+    this.glow.geometry.dispose();
+    this.glow.material.dispose();
+    this.glow = null;
+  }
+
+  /**
+   * Add the parachute above the player and unfold it
+   * @private
+   */
+  _openParachute() {
+    const parachute = new THREE.Group();
+
+    // Canopy: the top half of a sphere above the player
+    const canopy = new THREE.Mesh(
+      new THREE.SphereGeometry(1.2, 16, 8, 0, Math.PI * 2, 0, Math.PI / 2),
+      new THREE.MeshStandardMaterial({ color: 0xf4f4f4, side: THREE.DoubleSide, roughness: 0.9 })
+    );
+    canopy.position.y = 2.2;
+    parachute.add(canopy);
+
+    // Suspension lines from the rim of the canopy to the player
+    const linePoints = [];
+    for (let i = 0; i < 6; i++) {
+      const angle = (i / 6) * Math.PI * 2;
+      linePoints.push(new THREE.Vector3(Math.cos(angle) * 1.2, 2.2, Math.sin(angle) * 1.2), new THREE.Vector3(0, 0.4, 0));
+    }
+    const lines = new THREE.LineSegments(
+      new THREE.BufferGeometry().setFromPoints(linePoints),
+      new THREE.LineBasicMaterial({ color: 0xcccccc })
+    );
+    parachute.add(lines);
+
+    parachute.scale.setScalar(0.1);
+    this.scene.add(parachute);
+    this.parachute = parachute;
+
+    gsap.to(parachute.scale, { x: 1, y: 1, z: 1, duration: 0.4, ease: 'back.out(2)' });
+  }
+
+  /**
+   * Fold the parachute and remove it from the scene
+   * @private
+   */
+  _collapseParachute() {
+    if (!this.parachute) return;
+
+    const parachute = this.parachute;
+    this.parachute = null;
+
+    gsap.killTweensOf(parachute.scale);
+    gsap.to(parachute.scale, {
+      x: 0.01,
+      y: 0.01,
+      z: 0.01,
+      duration: 0.5,
+      ease: 'power2.in',
+      onComplete: () => {
+        this.scene.remove(parachute);
+        parachute.traverse(child => {
+          if (child.geometry) child.geometry.dispose();
+          if (child.material) child.material.dispose();
+        });
+      }
+    });
+  }
+}
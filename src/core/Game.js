@@ -9,6 +9,7 @@ import * as CANNON from 'cannon-es';
 import { networkManager } from '../network/network-manager.js';
 import { SphereBot } from '../objects/SphereBot.js';
 import { PlanetClickControls } from '../controls/PlanetClickControls.js';
+import { SpectatorCameraControls } from '../controls/SpectatorCameraControls.js';
 import { SphericalMovement } from '../physics/SphericalMovement.js';
 import { SphericalPathFinder } from '../physics/SphericalPathFinder.js';
 import { supabase } from '../network/supabase-client.js';
@@ -16,6 +17,13 @@ import gsap from 'gsap'; // Import GSAP
 import { ProgressBar } from '../ui/ProgressBar.js'; // Import ProgressBar
 import { ClickEffect } from '../ui/ClickEffect.js'; // Import ClickEffect
 import { GameTimer } from './GameTimer.js';
+import { VictoryCinematic } from './VictoryCinematic.js';
+import { EntrySequence } from './EntrySequence.js';
+import { soundManager } from '../audio/SoundManager.js';
+import { PlanetPicker } from '../ui/PlanetPicker.js';
+import { SpeechBubble } from '../ui/SpeechBubble.js';
+import { BufferHealthLabel } from '../ui/BufferHealthLabel.js';
+import { getPlanetDefinition, getPlanetDisplayName, getPlanetTeamName } from '../objects/PlanetDefinitions.js';
 
 // --- Zoom Constants ---
 const MIN_ZOOM_DISTANCE = 15; // Minimum distance from planet center
@@ -23,6 +31,24 @@ const MAX_ZOOM_DISTANCE = 80; // Maximum distance from planet center
 const ZOOM_SENSITIVITY = 0.001;
 // --- End Zoom Constants ---
 
+// Closest distance of the overview camera, enough to see two planets side by side
+const OVERVIEW_CAMERA_DISTANCE = 48;
+
+// Maximum distance from the rocket at which a player can click it
+// Must match ROCKET_CLICK_RANGE in api/push_clicks.js
+const ROCKET_CLICK_RANGE = 6;
+
+// How often the player's position is streamed to the others (ms), movements are sent as intents
+const IDLE_POSITION_STREAM_INTERVAL = 1000;
+
+// Time to blend a replayed movement into the position its player stopped at (ms),
+// and longest wait for that position before going back to the streamed positions
+const REPLAY_CORRECTION_TIME = 300;
+const REPLAY_SETTLE_TIMEOUT = 1000;
+
+// How often the network debug labels are redrawn (ms)
+const NETWORK_DEBUG_INTERVAL = 250;
+
 /**
  * Core Game class for Planet Clicker Wars
  * Handles initialization and main game loop
@@ -54,16 +80,48 @@ export class Game {
     this.playerCount = 0;
     this.playerBodies = {};
     
-    // Track player contributions to each planet's rocket
-    this.rocketContributions = {
-      earth: new Map(), // Map of player ID to click count
-      mars: new Map()   // Map of player ID to click count
-    };
+    // Whether the player is joining the new round with the planet they kept
+    this.isRejoining = false;
+    
+    // Destination of the player's current movement and last state streamed to the others (planet frame)
+    this.movementTarget = null;
+    this.lastStreamedPosition = null;
+    this.lastStreamedMoving = false;
+    this.lastStreamTime = 0;
+    
+    // Movements of the other players replayed from their intents (session ID -> replay state)
+    this.remoteMovements = new Map();
     
     // Game state
     this.gameState = 'waiting_for_players';
     this.buildingEnabled = false;
     
+    // ID of the game whose victory has already been shown
+    this.victoryGameId = null;
+    
+    // Rocket launch and planet destruction sequence played on victory
+    this.victoryCinematic = null;
+    this.victoryReturnPlanet = null;
+    
+    // Atmospheric entry of the local player when joining a planet
+    this.entrySequence = null;
+    
+    // Winners of multi-team games pick the rival their rocket destroys
+    this.victoryTargetGameId = null;
+    this.victoryTargetPicker = null;
+    this.victoryTargetTimeout = null;
+    
+    // Planet picker shown when the game lets players choose their planet
+    this.planetPicker = null;
+    
+    // Chat speech bubbles above the SphereBots (session ID -> SpeechBubble)
+    this.speechBubbles = new Map();
+    
+    // Position buffer health above the other SphereBots, toggled from the debug panel (session ID -> BufferHealthLabel)
+    this.networkDebug = false;
+    this.bufferHealthLabels = new Map();
+    this.lastNetworkDebugUpdate = 0;
+    
     // Back button listener state
     this._backButtonListenerAdded = false;
 
@@ -141,6 +199,9 @@ export class Game {
       
       // Adjust camera position to better view the planets
       this.camera.position.z = 50;
+      
+      // Sounds are heard from the camera
+      soundManager.init(this.camera, this.scene);
     } catch (error) {
       console.error('Failed to initialize renderer:', error);
     }
@@ -223,6 +284,15 @@ export class Game {
       // Initialize click controls for planets
       this.initPlanetClickControls();
       
+      // Free camera for players watching the round without a planet
+      this.initSpectatorControls();
+      
+      // Set up the victory sequence with the planets and rockets
+      this.initVictoryCinematic();
+      
+      // Set up the entry sequence played when the player joins a planet
+      this.initEntrySequence();
+      
       // Make sure progress bars are hidden initially
       this.updateProgressBarsVisibility();
       
@@ -232,6 +302,103 @@ export class Game {
     }
   }
   
+  /**
+   * Initialize the victory cinematic
+   * @private
+   */
+  initVictoryCinematic() {
+    this.victoryCinematic = new VictoryCinematic({
+      scene: this.scene,
+      camera: this.camera,
+      planetSystem: this.planetSystem,
+      particleEffects: this.particleEffects,
+      onFocusPlanet: (planet) => this.cameraFollowPlanet(planet),
+      onImpact: (position, color) => {
+        // Staggered shockwaves spreading over the losing planet
+        this.createHitWaveEffect(position, color);
+        setTimeout(() => this.createHitWaveEffect(position, 0xffffff), 150);
+        setTimeout(() => this.createHitWaveEffect(position, color), 300);
+      },
+      onComplete: () => this.finishVictoryCinematic()
+    });
+  }
+  
+  /**
+   * Initialize the atmospheric entry sequence
+   * @private
+   */
+  initEntrySequence() {
+    this.entrySequence = new EntrySequence({
+      scene: this.scene,
+      camera: this.camera,
+      onImpact: (position, color) => {
+        // Dust ring around the landing spot
+        this.createHitWaveEffect(position, color);
+        setTimeout(() => this.createHitWaveEffect(position, 0xffffff), 120);
+      },
+      // The landing point becomes the player's saved position, unless the player has just lost their planet
+      onLanded: (position) => {
+        if (networkManager.playerManager.currentPlanet) {
+          this.saveDestinationPosition(position);
+        }
+      },
+      onComplete: (planet, cameraAttached) => this.finishEntrySequence(planet, cameraAttached)
+    });
+  }
+  
+  /**
+   * Ride along with the local player from the top of the sky down to the surface
+   * @param {SphereBot} sphereBot - The player just spawned above the planet
+   * @param {string} planetName - The planet the player joined
+   * @private
+   */
+  startEntrySequence(sphereBot, planetName) {
+    const planet = this.planetSystem.getPlanet(planetName);
+    if (!this.entrySequence || !planet || !sphereBot) return;
+    
+    // Focus the planet first, the sequence then takes over the camera
+    this.cameraFollowPlanet(planet);
+    
+    // Players can't walk before they have landed
+    if (this.planetClickControls) {
+      this.planetClickControls.setEnabled(false);
+    }
+    
+    this.entrySequence.start(sphereBot, planet);
+  }
+  
+  /**
+   * Hand the camera back after the entry sequence
+   * @param {Planet} planet - The planet the player landed on
+   * @param {boolean} cameraAttached - Whether the camera was still riding along with the player
+   * @private
+   */
+  finishEntrySequence(planet, cameraAttached) {
+    // Frame the planet again, unless the player already moved the camera elsewhere
+    if (cameraAttached && planet) {
+      this.cameraFollowPlanet(planet);
+    }
+  }
+  
+  /**
+   * Hand the camera back to the player after the victory cinematic
+   * @private
+   */
+  finishVictoryCinematic() {
+    const planetName = this.victoryReturnPlanet;
+    this.victoryReturnPlanet = null;
+    
+    // Return to the planet the player was looking at, or to the overview
+    const planet = planetName && this.planetSystem.getPlanet(planetName);
+    if (planet) {
+      this.cameraFollowPlanet(planet);
+    } else {
+      // Clear the focus set by the cinematic so no "Re-enter" button is offered for it
+      this.focusedPlanet = null;
+      this.cameraStopFollowingPlanet();
+    }
+  }
+  
   /**
    * Initialize the game timer
    * @private
@@ -307,6 +474,11 @@ export class Game {
    * @private
    */
   cameraFollowPlanet(planet) {
+    // Any other camera move ends the ride along of the entry sequence
+    if (this.entrySequence) {
+      this.entrySequence.detachCamera();
+    }
+    
     if (this.camera && planet) {
       // Position the camera to view the planet from an angle with the planet in the left portion of screen
       const planetPos = planet.position;
@@ -436,12 +608,17 @@ export class Game {
    * @private
    */
   cameraStopFollowingPlanet() {
+    // Any other camera move ends the ride along of the entry sequence
+    if (this.entrySequence) {
+      this.entrySequence.detachCamera();
+    }
+    
     if (this.camera) {
       // Remember which planet we were viewing
       const previousPlanet = this.focusedPlanet;
       
-      // Reset camera to view both planets
-      this.camera.position.set(0, 0, 48);
+      // Reset camera to view all planets
+      this.camera.position.set(0, 0, this.getOverviewCameraDistance());
       this.camera.lookAt(new THREE.Vector3(0, 0, 0));
       
       // Disable click controls when not focused on a single planet
@@ -465,7 +642,8 @@ export class Game {
       this.createAndUpdatePlanetIndicators();
       
       // Show "re-enter planet atmosphere" button if we were previously viewing a planet
-      if (previousPlanet) {
+      // Spectators watch a planet with the scoreboard instead, they have none to re-enter
+      if (previousPlanet && !networkManager.isSpectating) {
         const joinButton = document.getElementById('joinButton');
         if (joinButton) {
           // Display a planet-specific message on the button
@@ -524,6 +702,23 @@ export class Game {
     }
   }
 
+  /**
+   * Get the distance of the overview camera that fits every planet of the orbit layout
+   * @returns {number} Distance from the center of the system
+   * @private
+   */
+  getOverviewCameraDistance() {
+    if (!this.planetSystem || this.planetSystem.planets.length === 0) {
+      return OVERVIEW_CAMERA_DISTANCE;
+    }
+    
+    // Planets above and below the center need a wider view, with room for their atmospheres
+    const halfFov = THREE.MathUtils.degToRad(this.camera.fov / 2);
+    const top = Math.max(...this.planetSystem.planets.map(planet => Math.abs(planet.position.y) + planet.radius * 1.15));
+    
+    return Math.max(OVERVIEW_CAMERA_DISTANCE, top / Math.tan(halfFov));
+  }
+  
   /**
    * Create and update planet indicators with current player counts
    * @private
@@ -540,24 +735,16 @@ export class Game {
       // Clear existing indicators
       container.innerHTML = '';
       
-      // Define planet-specific display names for inhabitants
-      const inhabitantNames = {
-        earth: 'Terrans',
-        mars: 'Martians'
-      };
-      
       // Create an indicator for each planet in the system
       if (this.planetSystem && this.planetSystem.planets) {
-        // Sort planets by X position (left to right)
-        const sortedPlanets = [...this.planetSystem.planets].sort((a, b) => a.position.x - b.position.x);
-        
-        sortedPlanets.forEach(planet => {
+        // Keep the game's planet order (left planet first, then around the orbit)
+        this.planetSystem.planets.forEach(planet => {
           // Get planet name and count
           const planetName = planet.name;
           const count = planetCounts[planetName] || 0;
           
-          // Get inhabitant name or use generic fallback
-          const inhabitants = inhabitantNames[planetName] || `${planetName} Settlers`;
+          // Get inhabitant name from the planet definition
+          const inhabitants = getPlanetTeamName(planetName);
           
           // Create the indicator element
           const indicator = document.createElement('div');
@@ -567,7 +754,7 @@ export class Game {
           // Create name element
           const nameElement = document.createElement('div');
           nameElement.className = `planet-name planet-name-${planetName}`;
-          nameElement.textContent = planetName.charAt(0).toUpperCase() + planetName.slice(1);
+          nameElement.textContent = getPlanetDisplayName(planetName);
           
           // Create population element with count
           const populationElement = document.createElement('div');
@@ -691,9 +878,19 @@ export class Game {
       }
     });
 
-    // Listen for server position updates (for reconciliation)
-    networkManager.on('onPositionUpdated', (playerId, serverPosition, isTestPlayer, planetName) => {
-      this.handleServerPositionUpdate(playerId, serverPosition, isTestPlayer, planetName);
+    // Listen for players going offline
+    networkManager.on('onPlayerLeft', (playerId) => {
+      this.handlePlayerDespawn(playerId);
+    });
+    
+    // Listen for the full list of online players to catch up on missed joins and leaves
+    networkManager.on('onPresenceSynced', (onlinePlayers) => {
+      this.syncOnlinePlayers(onlinePlayers);
+    });
+
+    // Listen for the other players starting to walk somewhere
+    networkManager.on('onMoveIntent', (playerId, intent) => {
+      this.handleMoveIntent(playerId, intent);
     });
 
     // Listen for game state changes from the NetworkManager
@@ -701,6 +898,29 @@ export class Game {
       this.handleGameStateChange(gameData);
     });
 
+    // Listen for server-side rocket progress so all clients show the same totals
+    networkManager.on('onRocketProgressUpdated', (clickTotals) => {
+      this.applyRocketProgress(clickTotals);
+    });
+
+    // Listen for upgrades so every client sees the drones working on each rocket
+    networkManager.on('onUpgradesChanged', () => {
+      this.applyUpgradeDrones();
+    });
+
+    // Listen for chat messages to show them above their sender
+    networkManager.on('onChatMessage', (message) => {
+      this.showSpeechBubble(message);
+    });
+
+    // Listen for teammates' emotes and pings
+    networkManager.on('onEmote', (signal) => {
+      this.showEmote(signal.sessionId, signal.emote);
+    });
+    networkManager.on('onPing', (signal) => {
+      this.showPing(signal);
+    });
+
     console.log('Event listeners registered');
   }
   
@@ -712,6 +932,19 @@ export class Game {
   handleGameStateChange(gameData) {
     console.log('Handling game state change:', gameData);
     
+    // Every game has its own planets, generated from the same seed on every client
+    if (this.planetSystem) {
+      const planetsChanged = this.planetSystem.setPlanets(gameData.planets, gameData.terrain_seed);
+      this.planetSystem.setTerrainSeed(gameData.terrain_seed);
+      
+      if (planetsChanged) {
+        this.onPlanetsChanged();
+      }
+    }
+    
+    // Players staying on their planet into the next round join it again
+    this.rejoinNewRound();
+    
     // Update local game state
     this.gameState = gameData.current_state;
     
@@ -726,14 +959,27 @@ export class Game {
       // Set the correct time remaining
       this.gameTimer.timeRemaining = remainingTime > 0 ? remainingTime : 0;
       
+      // The victory target can only be picked during the victory state
+      if (gameData.current_state !== 'victory') {
+        this.clearVictoryTargetPick();
+      }
+      
       switch (gameData.current_state) {
         case 'waiting_for_players':
           // Instead of static waiting status, show a waiting countdown
           this.gameTimer.startWaitingTimer(remainingTime);
           this.buildingEnabled = false;
+          
+          // Spectators of the previous round take part in this one
+          this.joinNextRoundIfSpectating();
           break;
           
         case 'active':
+          // A new round can't be played on a destroyed planet, even if the local cooldown didn't reset it
+          if (this.victoryCinematic && this.victoryCinematic.isActive()) {
+            this.victoryCinematic.restore();
+          }
+          
           // Don't just set status, actually start the timer with remaining time
           this.gameTimer.startGameTimer();
           this.buildingEnabled = true;
@@ -754,9 +1000,11 @@ export class Game {
           this.gameTimer.setVictoryStatus();
           this.buildingEnabled = false;
           
-          // Display victory sequence if winner_planet is set
-          if (gameData.winner_planet) {
-            this.handleVictory(gameData.winner_planet);
+          // Display victory sequence for the winner decided by the server once its target is known
+          if (gameData.winner_planet && gameData.victory_target) {
+            this.handleVictory(gameData.winner_planet, gameData.id, gameData.victory_target);
+          } else if (gameData.winner_planet) {
+            this.awaitVictoryTarget(gameData);
           }
           break;
           
@@ -773,6 +1021,51 @@ export class Game {
     console.log(`Game state updated to: ${this.gameState}, building enabled: ${this.buildingEnabled}`);
   }
   
+  /**
+   * Reset everything tied to the previous planets after a game changed them
+   * @private
+   */
+  onPlanetsChanged() {
+    // The focused planet may be gone, go back to the overview without offering to re-enter it
+    this.focusedPlanet = null;
+    
+    // Players have to join one of the new planets
+    networkManager.playerManager.currentPlanet = null;
+    networkManager.updateChatRoom();
+    networkManager.updatePresence();
+    const joinButton = document.getElementById('joinButton');
+    if (joinButton) {
+      joinButton.textContent = 'Join a mission';
+      delete joinButton.dataset.targetPlanet;
+    }
+    
+    // Players of the previous planets can't stay on the new ones
+    if (this.entrySequence) {
+      this.entrySequence.cancel();
+    }
+    this.cleanupExistingPlayers();
+    this.loadActivePlayers();
+    
+    // Planets and rockets may have been added or removed
+    this.progressBars.forEach((progressBar, rocket) => {
+      if (!this.planetSystem.rockets.includes(rocket)) {
+        progressBar.dispose();
+        this.progressBars.delete(rocket);
+      }
+    });
+    this.planetSystem.rockets.forEach(rocket => this.createProgressBarForRocket(rocket));
+    this.updateProgressBarsVisibility();
+    
+    if (this.planetClickControls) {
+      this.registerClickableObjects();
+    }
+    
+    // Frame the new layout
+    this.cameraStopFollowingPlanet();
+    
+    console.log(`Planets changed to ${this.planetSystem.getPlanetNames().join(', ')}`);
+  }
+  
   /**
    * Clean up controls when page is unloaded
    * @private
@@ -795,9 +1088,10 @@ export class Game {
   
   /**
    * Handle join button click
+   * @param {string|null} [requestedPlanet=null] - Planet chosen in the planet picker
    * @private
    */
-  async onJoinButtonClick() {
+  async onJoinButtonClick(requestedPlanet = null) {
     try {
       // Get the join button
       const joinButton = document.getElementById('joinButton');
@@ -842,48 +1136,20 @@ export class Game {
       }
 
       // THEN, check if we're in a state that allows new players to join
-      if (this.gameState === 'active' || this.gameState === 'ended') {
-        console.log(`Cannot join in game state: ${this.gameState}`);
-        
-        // Hide the join button
+      // Players arriving mid-round watch it and take part in the next one
+      if (this.gameState !== 'waiting_for_players') {
+        console.log(`Cannot join in game state: ${this.gameState}, spectating instead`);
+        await this.startSpectating();
+        return;
+      }
+      
+      // Spectating ends with the join
+      this.stopSpectating();
+
+      // Let the player choose a planet if the game's assignment strategy allows it
+      if (!requestedPlanet && await networkManager.requiresPlanetChoice()) {
         joinButton.style.display = 'none';
-        
-        // Create message container in the same area
-        const messageContainer = document.createElement('div');
-        messageContainer.id = 'joinMessageContainer';
-        messageContainer.style.position = 'fixed';
-        messageContainer.style.bottom = '20px';
-        messageContainer.style.left = '50%';
-        messageContainer.style.transform = 'translateX(-50%)';
-        messageContainer.style.backgroundColor = 'rgba(0, 0, 0, 0.7)';
-        messageContainer.style.color = 'white';
-        messageContainer.style.padding = '15px';
-        messageContainer.style.borderRadius = '5px';
-        messageContainer.style.maxWidth = '80%';
-        messageContainer.style.textAlign = 'center';
-        messageContainer.style.zIndex = '1000';
-        messageContainer.style.fontFamily = 'Arial, sans-serif';
-        
-        // Add message content
-        messageContainer.textContent = this.gameState === 'active' 
-          ? 'You will be able to join the next game that starts soon, you are welcome to watch the current planet obliteration'
-          : 'The current game has ended. A new game will start soon!';
-        
-        // Add the message to the document body
-        document.body.appendChild(messageContainer);
-        
-        // Remove the message after 10 seconds
-        setTimeout(() => {
-          if (messageContainer.parentNode) {
-            messageContainer.parentNode.removeChild(messageContainer);
-            
-            // Show the button again if we're in a joinable state now
-            if (this.gameState !== 'active' && this.gameState !== 'ended') {
-              joinButton.style.display = 'block';
-            }
-          }
-        }, 10000);
-        
+        await this.showPlanetPicker();
         return;
       }
 
@@ -892,13 +1158,18 @@ export class Game {
       this.playerCount++;
 
       // Join game using network manager
-      const { planetName, color } = await networkManager.joinGame();
+      const { planetName, color } = await networkManager.joinGame(requestedPlanet);
       
       // Get the planet's position
       const planetPosition = this.planetSystem.getPlanet(planetName).position;
 
       // Create player physics body with the assigned color
       const spawnResult = this.spawnPlayer(planetName, planetPosition, color);
+      
+      // Ride along with the player through the atmosphere down to the surface, players resuming on the ground are already there
+      if (spawnResult.newPositionGenerated) {
+        this.startEntrySequence(spawnResult.sphereBot, planetName);
+      }
 
       // Store the assignment
       this.playerAssignments.push({
@@ -906,7 +1177,8 @@ export class Game {
         planetName: planetName,
         instanceId: spawnResult.instanceId,
         bodyIndex: spawnResult.bodyIndex,
-        sessionId: networkManager.authManager.getCurrentUserId()
+        sessionId: networkManager.authManager.getCurrentUserId(),
+        sphereBot: spawnResult.sphereBot
       });
       
       // Change the join button to "Re-enter <planet> atmosphere" instead of hiding it
@@ -919,8 +1191,7 @@ export class Game {
         
         // Auto-start the game when we have at least 2 players total with at least 1 on each planet
         if (totalPlayers >= 2 && 
-            planetCounts['earth'] >= 1 && 
-            planetCounts['mars'] >= 1) {
+            this.planetSystem.getPlanetNames().every(name => planetCounts[name] >= 1)) {
           this.startGame();
         }
       }
@@ -932,8 +1203,148 @@ export class Game {
       console.log(`Player successfully joined planet ${planetName}`);
     } catch (error) {
       console.error('Failed to join game:', error);
+      
+      // Show the join button again so the player can retry
+      const joinButton = document.getElementById('joinButton');
+      if (joinButton && requestedPlanet) {
+        joinButton.style.display = 'block';
+      }
+    }
+  }
+  
+  /**
+   * Join the current game again when the player kept their planet from the previous one
+   * The planet is requested again, if the game's strategy assigns another one the player lands there like a new join
+   * @private
+   */
+  async rejoinNewRound() {
+    if (this.isRejoining || !networkManager.needsRejoin()) return;
+    
+    // Players without a SphereBot join with the button
+    const sessionId = networkManager.authManager.getCurrentUserId();
+    if (!this.playerAssignments.some(a => a.sessionId === sessionId)) return;
+    
+    this.isRejoining = true;
+    try {
+      const previousPlanet = networkManager.playerManager.currentPlanet;
+      const { planetName } = await networkManager.joinGame(previousPlanet);
+      
+      if (planetName !== previousPlanet) {
+        console.log(`Moved from ${previousPlanet} to ${planetName} for the new round`);
+        
+        this.handlePlayerDespawn(sessionId);
+        const joinButton = document.getElementById('joinButton');
+        if (joinButton) {
+          joinButton.textContent = 'Join a mission';
+          delete joinButton.dataset.targetPlanet;
+        }
+        await this.onJoinButtonClick(planetName);
+      }
+    } catch (error) {
+      console.error('Failed to join the new round:', error);
+    } finally {
+      this.isRejoining = false;
+    }
+  }
+  
+  /**
+   * Show the planet picker in place of the join button
+   * @private
+   */
+  async showPlanetPicker() {
+    if (!this.planetPicker) {
+      this.planetPicker = new PlanetPicker({
+        onSelect: (planetName) => this.onJoinButtonClick(planetName)
+      });
+    }
+    
+    // The planets change with every game's theme
+    this.planetPicker.planets = this.planetSystem.getPlanetNames();
+    
+    // Show how many players are already on each planet
+    this.planetPicker.playerCounts = await networkManager.getPlayerCounts();
+    this.planetPicker.show();
+  }
+
+  /**
+   * Watch the round without a planet, in the overview with the free camera
+   * @private
+   */
+  async startSpectating() {
+    const joinButton = document.getElementById('joinButton');
+    if (joinButton) {
+      joinButton.style.display = 'none';
+    }
+    
+    const success = await networkManager.startSpectating();
+    if (!success) {
+      // Let the player try again
+      if (joinButton) {
+        joinButton.style.display = 'block';
+      }
+      return;
+    }
+    
+    this.cameraStopFollowingPlanet();
+    console.log(`Spectating the game in state: ${this.gameState}`);
+  }
+  
+  /**
+   * Stop watching the round
+   * @private
+   */
+  stopSpectating() {
+    networkManager.stopSpectating();
+  }
+  
+  /**
+   * Join the round waiting for players if the spectator asked for it, offer to join otherwise
+   * @private
+   */
+  joinNextRoundIfSpectating() {
+    if (!networkManager.isSpectating) return;
+    
+    if (networkManager.joinNextRound) {
+      this.stopSpectating();
+      this.onJoinButtonClick();
+      return;
+    }
+    
+    const joinButton = document.getElementById('joinButton');
+    if (joinButton) {
+      joinButton.style.display = 'block';
     }
   }
+  
+  /**
+   * Move the spectator's camera to a planet
+   * @param {string} planetName - Name of the planet to watch
+   */
+  watchPlanet(planetName) {
+    const planet = this.planetSystem && this.planetSystem.getPlanet(planetName);
+    if (planet) {
+      this.cameraFollowPlanet(planet);
+    }
+  }
+  
+  /**
+   * Get the live standings shown to spectators
+   * @returns {Array<Object>} The planets with their team, player count and rocket progress (0-100)
+   */
+  getSpectatorStandings() {
+    if (!this.planetSystem) return [];
+    
+    return this.planetSystem.getPlanetNames().map(name => {
+      const rocket = this.planetSystem.rockets.find(r => r.planetName === name);
+      return {
+        name,
+        displayName: getPlanetDisplayName(name),
+        teamName: getPlanetTeamName(name),
+        players: this.playerAssignments.filter(a => a.planetName === name).length,
+        progress: rocket ? rocket.getTotalProgressPercent() : 0
+      };
+    });
+  }
 
   /**
    * Handle add test player button click
@@ -944,7 +1355,8 @@ export class Game {
       // Increment player count
       this.playerCount++;
 
-      const planetName = this.playerCount % 2 === 0 ? "earth" : "mars";
+      const planetNames = this.planetSystem.getPlanetNames();
+      const planetName = planetNames[this.playerCount % planetNames.length];
       
       // Generate a fake session ID
       const fakeSessionId = `fake_${Math.random().toString(36).substring(2, 15)}`;
@@ -960,10 +1372,12 @@ export class Game {
         );
         console.log(`Test player created for ${planetName} with color ${playerColor}`);
         
-        // Generate a random position on the planet's surface
+        // Generate a random position on the planet's surface, following the terrain
         const planet = this.planetSystem.getPlanet(planetName);
         const planetRadius = planet.geometry.parameters.radius;
-        const randomPos = this._generateRandomPositionOnPlanet(planet.position, planetRadius);
+        const randomPos = planet.heightfield.projectToSurface(
+          this._generateRandomPositionOnPlanet(planet.position, planetRadius)
+        );
         
         // Update the test player's position in the database
         // This will also trigger the real-time subscription
@@ -1040,10 +1454,10 @@ export class Game {
 
   /**
    * Spawn a player for the specified planet
-   * @param {string} planetName - The planet name ('earth' or 'mars')
+   * @param {string} planetName - The planet name
    * @param {THREE.Vector3} planetPosition - The planet's position
    * @param {string} [overrideColor] - Optional color to override the session color
-   * @returns {Object} - The player spawn result
+   * @returns {Object} - The player spawn result, with newPositionGenerated set when the player spawned above the planet
    * @private
    */
   spawnPlayer(planetName, planetPosition, color, savedPosition = null) {
@@ -1153,17 +1567,17 @@ export class Game {
     console.log(`Spawned SphereBot player for planet ${planetName} at position:`, 
                 { x, y, z }, `body index: ${bodyIndex}`);
     
-    // If we generated a new position (not from saved data), save it to the database now
-    if (newPositionGenerated && networkManager.authManager.getCurrentUserId()) {
-      const position = { x, y, z };
-      networkManager.authManager.updatePlayerPosition(position);
+    // A generated position is high in the sky, the entry sequence saves the landing point instead
+    if (newPositionGenerated) {
+      console.log('Spawned above the surface, the landing point will be saved after the entry sequence');
     }
     
     return {
       bodyIndex: bodyIndex,
       instanceIndex: bodyIndex, // Use same index for consistency
       body: sphereBot.body,
-      sphereBot: sphereBot // Return the created SphereBot
+      sphereBot: sphereBot, // Return the created SphereBot
+      newPositionGenerated: newPositionGenerated // Spawned high above the planet
     };
   }
 
@@ -1220,6 +1634,9 @@ export class Game {
       this.movementManager.update(deltaTime);
     }
     
+    // Stream the player's position and move the other players to theirs
+    this.syncPlayerPositions(deltaTime);
+    
     // We don't need to call updatePhysics() on sphere bots, as they're
     // already included in the gameObjects array which is updated below.
     // The sphereBot.update() method is called in the gameObjects loop.
@@ -1249,12 +1666,14 @@ export class Game {
     // Apply planet gravity to all player bodies
     this.applyPlanetGravity();
     
+    // The entry sequence adds the parachute drag on top of this frame's gravity
+    if (this.entrySequence) {
+      this.entrySequence.update(deltaTime);
+    }
+    
     // Limit player velocities to prevent extreme speeds
     this.limitPlayerVelocities();
     
-    // Update network player positions for multiplayer synchronization
-    this.syncPlayerPositions();
-    
     // Update click effects
     this.updateClickEffects(deltaTime);
     
@@ -1379,24 +1798,14 @@ export class Game {
     // Gravity constant
     const G = 200; // Increased from 100 to 200 for faster falling
     
-    // Planet radii - MUST match the physics body radius in Planet.js
-    const planetRadii = {
-      earth: 15, // Updated from 21
-      mars: 15   // Updated from 21
-    };
-    
-    // Surface gravity (Earth is about 1g, Mars is about 0.38g)
-    const surfaceGravity = {
-      earth: 1.5, // Increased from 1.0 to 1.5
-      mars: 0.57  // Increased from 0.38 to 0.57 (same proportional increase)
-    };
-    
     // Apply gravity for each planet
     Object.keys(this.playerBodies).forEach(planetName => {
       const planet = this.planetSystem.getPlanet(planetName);
+      if (!planet) return;
+      
       const planetPos = planet.position;
-      const planetRadius = planetRadii[planetName];
-      const gravity = surfaceGravity[planetName];
+      // Surface gravity comes from the planet definition
+      const gravity = planet.gravity;
       
       // Apply gravity to players on this planet
       for (const body of this.playerBodies[planetName]) {
@@ -1414,25 +1823,22 @@ export class Game {
         const distSq = dx*dx + dy*dy + dz*dz;
         const dist = Math.sqrt(distSq);
         
-        // Check if player center is inside the planet's physics radius
+        // The body rests on the terrain below it, not on the planet's collision sphere
+        const bodyRadius = body.shapes[0] ? body.shapes[0].radius : 0;
+        const planetRadius = planet.heightfield.getSurfaceRadius(body.position) + bodyRadius;
+        
+        // Check if player center is below the terrain
         if (dist < planetRadius) {
-          // Apply outward force to push player center back towards the surface
-          const outwardForce = 60; // Slightly increased force
-          const penetrationDepth = planetRadius - dist;
-          // Scale force by penetration depth to make it stronger the deeper it goes
-          const effectiveForce = outwardForce * (1 + penetrationDepth * 2); 
-
-          body.force.x -= effectiveForce * dx / dist;
-          body.force.y -= effectiveForce * dy / dist;
-          body.force.z -= effectiveForce * dz / dist;
-
-          // Also apply a small impulse to immediately correct deep penetrations
-          if (penetrationDepth > 0.1) { // Only if penetration is significant
-              const impulseMagnitude = penetrationDepth * body.mass * 0.5; // Small corrective impulse
-              body.applyImpulse(
-                  new CANNON.Vec3(-impulseMagnitude * dx / dist, -impulseMagnitude * dy / dist, -impulseMagnitude * dz / dist),
-                  body.position // Apply at center of mass
-              );
+          // Put the body back on the surface
+          const surfacePoint = planet.heightfield.projectToSurface(body.position, bodyRadius);
+          body.position.set(surfacePoint.x, surfacePoint.y, surfacePoint.z);
+          
+          // Cancel the velocity going into the ground, keeping the part along the surface
+          const inwardSpeed = (body.velocity.x * dx + body.velocity.y * dy + body.velocity.z * dz) / dist;
+          if (inwardSpeed > 0) {
+            body.velocity.x -= inwardSpeed * dx / dist;
+            body.velocity.y -= inwardSpeed * dy / dist;
+            body.velocity.z -= inwardSpeed * dz / dist;
           }
           
           // Skip normal gravity calculation when pushing out
@@ -1468,14 +1874,274 @@ export class Game {
   }
   
   /**
-   * Sync player visual instances with physics bodies
-   * Note: This method is no longer needed with SphereBots handling their own updates,
-   * but is kept for backward compatibility
+   * Stream the player's position and move the other players' bodies to theirs
+   * @param {number} deltaTime - Time since the last frame in seconds
+   * @private
+   */
+  syncPlayerPositions(deltaTime) {
+    this.streamPlayerState();
+    this.updateRemotePlayers(deltaTime);
+  }
+  
+  /**
+   * Stream the player's position, heading and destination to the other players
+   * Sent every IDLE_POSITION_STREAM_INTERVAL and right away when a movement ends, the movements themselves are intents
+   * @private
+   */
+  streamPlayerState() {
+    const playerId = networkManager.authManager.getCurrentUserId();
+    const planetName = networkManager.playerManager.currentPlanet;
+    if (!playerId || !planetName) return;
+    
+    const assignment = this.playerAssignments.find(a => a.sessionId === playerId);
+    const body = assignment && this.playerBodies[planetName] && this.playerBodies[planetName][assignment.bodyIndex];
+    if (!body) return;
+    
+    const isMoving = !!(this.movementManager && this.movementManager.isMoving && this.movementManager.targetBody === body);
+    if (!isMoving) {
+      this.movementTarget = null;
+    }
+    
+    // Stopping is sent right away, it is the endpoint the others correct their replay with
+    const now = Date.now();
+    const stopped = this.lastStreamedMoving && !isMoving;
+    if (!stopped && now - this.lastStreamTime < IDLE_POSITION_STREAM_INTERVAL) return;
+    
+    const planet = this.planetSystem.getPlanet(planetName);
+    const position = this.toPlanetFrame(planet, body.position);
+    
+    // Direction of the movement since the last message, for the others to extrapolate
+    let heading = null;
+    if (this.lastStreamedPosition && position.distanceToSquared(this.lastStreamedPosition) > 1e-6) {
+      heading = position.clone().sub(this.lastStreamedPosition).normalize();
+    }
+    
+    this.lastStreamTime = now;
+    this.lastStreamedPosition = position;
+    this.lastStreamedMoving = isMoving;
+    
+    networkManager.streamCurrentPlayerState({
+      position: { x: position.x, y: position.y, z: position.z },
+      heading: heading ? { x: heading.x, y: heading.y, z: heading.z } : null,
+      target: this.movementTarget
+    });
+  }
+  
+  /**
+   * Move the other players' bodies, along their replayed movements or to their interpolated streamed positions
+   * Positions are interpolated along the planet's surface, the planet's center is the same in its unrotated frame
+   * Players who haven't streamed anything yet are left to the physics
+   * @param {number} deltaTime - Time since the last frame in seconds
+   * @private
+   */
+  updateRemotePlayers(deltaTime) {
+    const playerId = networkManager.authManager.getCurrentUserId();
+    
+    this.playerAssignments.forEach(assignment => {
+      if (assignment.sessionId === playerId) return;
+      
+      const body = this.playerBodies[assignment.planetName] && this.playerBodies[assignment.planetName][assignment.bodyIndex];
+      if (!body) return;
+      
+      const planet = this.planetSystem.getPlanet(assignment.planetName);
+      if (this.updateRemoteMovement(assignment, body, planet, deltaTime)) return;
+      
+      const position = networkManager.getInterpolatedPosition(assignment.sessionId, planet ? planet.position : null);
+      if (!position) return;
+      
+      const worldPosition = this.fromPlanetFrame(planet, position);
+      
+      body.position.set(worldPosition.x, worldPosition.y, worldPosition.z);
+      body.velocity.set(0, 0, 0);
+    });
+    
+    if (this.networkDebug) {
+      this.updateBufferHealthLabels();
+    }
+  }
+  
+  /**
+   * Replay another player's movement when its intent is due
+   * @param {string} playerId - The player's session ID
+   * @param {Object} intent - The intent from NetworkManager, { planetName, from, to, sentAt, startedAt, replayAt }
+   * @private
+   */
+  handleMoveIntent(playerId, intent) {
+    const assignment = this.playerAssignments.find(a => a.sessionId === playerId);
+    if (!assignment || assignment.planetName !== intent.planetName || !this.movementManager) return;
+    
+    let replay = this.remoteMovements.get(playerId);
+    if (!replay) {
+      // Same timing as the player's own movement, so the replay lasts as long
+      replay = {
+        movement: new SphericalMovement({
+          speed: this.movementManager.speed,
+          accelerationTime: this.movementManager.accelerationTime,
+          decelerationTime: this.movementManager.decelerationTime,
+          trailLength: this.movementManager.trailLength
+        }),
+        intent: null,
+        sentAt: 0,
+        finishedAt: null,
+        correction: null
+      };
+      replay.movement.onStep = (position) => this.playFootstep(position);
+      this.remoteMovements.set(playerId, replay);
+    }
+    
+    // Replaces an intent not started yet, the current movement goes on until the new one is due
+    replay.intent = intent;
+  }
+  
+  /**
+   * Move a player along their replayed movement, then blend it into the position they stopped at
+   * @param {Object} assignment - The player's assignment
+   * @param {CANNON.Body} body - The player's body
+   * @param {Planet|null} planet - The player's planet
+   * @param {number} deltaTime - Time since the last frame in seconds
+   * @returns {boolean} Whether the replay placed the body this frame
+   * @private
+   */
+  updateRemoteMovement(assignment, body, planet, deltaTime) {
+    const replay = this.remoteMovements.get(assignment.sessionId);
+    if (!replay || !planet) return false;
+    
+    const now = Date.now();
+    
+    if (replay.intent && now >= replay.intent.replayAt) {
+      const intent = replay.intent;
+      replay.intent = null;
+      this.startRemoteMovement(replay, intent, body, planet, (now - intent.replayAt) / 1000);
+    }
+    
+    if (replay.movement.isMoving) {
+      replay.movement.update(deltaTime);
+      body.velocity.set(0, 0, 0);
+      return true;
+    }
+    
+    if (replay.finishedAt === null) return false;
+    
+    // The position sent when the player stopped is the authoritative endpoint of the movement
+    if (!replay.correction) {
+      const latest = networkManager.getLatestPlayerState(assignment.sessionId);
+      if (latest && !latest.target && latest.sentAt >= replay.sentAt) {
+        replay.correction = {
+          from: new THREE.Vector3().copy(body.position),
+          to: latest.position,
+          startedAt: now
+        };
+      } else if (now - replay.finishedAt < REPLAY_SETTLE_TIMEOUT) {
+        // Wait at the end of the replay
+        body.velocity.set(0, 0, 0);
+        return true;
+      } else {
+        replay.finishedAt = null;
+        return false;
+      }
+    }
+    
+    const t = Math.min(1, (now - replay.correction.startedAt) / REPLAY_CORRECTION_TIME);
+    const endpoint = this.fromPlanetFrame(planet, replay.correction.to);
+    const position = replay.correction.from.clone().lerp(endpoint, t);
+    
+    body.position.set(position.x, position.y, position.z);
+    body.velocity.set(0, 0, 0);
+    
+    if (t >= 1) {
+      replay.correction = null;
+      replay.finishedAt = null;
+    }
+    return true;
+  }
+  
+  /**
+   * Start replaying a movement intent, on the same path the player's client found
+   * @param {Object} replay - The player's replay state
+   * @param {Object} intent - The intent
+   * @param {CANNON.Body} body - The player's body
+   * @param {Planet} planet - The player's planet
+   * @param {number} elapsed - Seconds since the replay should have started
+   * @private
+   */
+  startRemoteMovement(replay, intent, body, planet, elapsed) {
+    const from = this.fromPlanetFrame(planet, intent.from);
+    const to = this.fromPlanetFrame(planet, intent.to);
+    const radius = planet.mesh.userData.radius || 10;
+    
+    const path = this.pathFinder.findPath(from, to, planet.position, radius, planet.heightfield, planet.navigationGraph);
+    
+    replay.movement.stopMovement();
+    replay.correction = null;
+    replay.finishedAt = null;
+    
+    const started = replay.movement.startMovement(path, body, null, {
+      position: planet.position,
+      radius,
+      heightfield: planet.heightfield
+    }, elapsed);
+    if (!started) return;
+    
+    replay.sentAt = intent.sentAt;
+    replay.movement.onMoveComplete = () => {
+      replay.finishedAt = Date.now();
+    };
+    
+    // Caught up with a movement already over
+    if (!replay.movement.isMoving) {
+      replay.finishedAt = Date.now();
+    }
+  }
+  
+  /**
+   * Stop replaying another player's movements
+   * @param {string} playerId - The player's session ID
+   * @private
+   */
+  stopRemoteMovement(playerId) {
+    const replay = this.remoteMovements.get(playerId);
+    if (!replay) return;
+    
+    replay.movement.stopMovement();
+    this.remoteMovements.delete(playerId);
+  }
+  
+  /**
+   * Show or hide the position buffer health above the other players' SphereBots
+   * @param {boolean} enabled - Whether the labels are shown
+   */
+  setNetworkDebug(enabled) {
+    this.networkDebug = enabled;
+    this.lastNetworkDebugUpdate = 0;
+    
+    if (!enabled) {
+      this.bufferHealthLabels.forEach(label => label.dispose());
+      this.bufferHealthLabels.clear();
+    }
+  }
+  
+  /**
+   * Redraw the buffer health labels, creating the missing ones
    * @private
    */
-  syncPlayerPositions() {
-    // No longer needed - SphereBots handle their own updates
-    // This is now just a placeholder for backward compatibility
+  updateBufferHealthLabels() {
+    const now = Date.now();
+    if (now - this.lastNetworkDebugUpdate < NETWORK_DEBUG_INTERVAL) return;
+    this.lastNetworkDebugUpdate = now;
+    
+    const playerId = networkManager.authManager.getCurrentUserId();
+    
+    this.playerAssignments.forEach(assignment => {
+      if (assignment.sessionId === playerId || !assignment.sphereBot || !assignment.sphereBot.mesh) return;
+      
+      let label = this.bufferHealthLabels.get(assignment.sessionId);
+      if (!label) {
+        label = new BufferHealthLabel({ parent: assignment.sphereBot.mesh });
+        this.bufferHealthLabels.set(assignment.sessionId, label);
+      }
+      
+      label.update(networkManager.getBufferHealth(assignment.sessionId));
+    });
   }
 
   /**
@@ -1545,6 +2211,9 @@ export class Game {
       if (currentGame) {
         // Apply the game state directly
         this.handleGameStateChange(currentGame);
+        
+        // Hydrate rockets to the current server progress (late joiners)
+        this.applyRocketProgress(networkManager.getClickTotals());
       } else {
         // Default to waiting state if no game is found
         this.gameState = 'waiting_for_players';
@@ -1586,6 +2255,9 @@ export class Game {
 
       // Spawn players using the new handlePlayerSpawn logic
       for (const player of activePlayers) {
+         // Players that aren't online yet are spawned by their presence join
+         if (!networkManager.isPlayerOnline(player.session_id)) continue;
+         
          // Check if player already exists from a previous partial load or reconnect
          if (!this.playerAssignments.some(a => a.sessionId === player.session_id)) {
               this.handlePlayerSpawn(player.session_id, player, false);
@@ -1616,6 +2288,14 @@ export class Game {
    * @private
    */
    cleanupExistingPlayers() {
+        // Bubbles float above the SphereBots removed below
+        this.speechBubbles.forEach(bubble => bubble.dispose());
+        this.speechBubbles.clear();
+        this.bufferHealthLabels.forEach(label => label.dispose());
+        this.bufferHealthLabels.clear();
+        this.remoteMovements.forEach(replay => replay.movement.stopMovement());
+        this.remoteMovements.clear();
+      
         // Remove SphereBots from gameObjects and dispose them
         this.gameObjects = this.gameObjects.filter(obj => {
           if (obj instanceof SphereBot) {
@@ -1773,18 +2453,8 @@ export class Game {
         pathSegmentCount: 40
       });
       
-      // Add all planets as clickable objects
-      this.planetClickControls.addClickablePlanets(this.planetSystem.planets);
-      
-      // Add buildable elements (rockets, etc.) as clickable objects
-      if (this.planetSystem && this.planetSystem.rockets) {
-        console.log(`Adding ${this.planetSystem.rockets.length} buildable elements to clickable objects`);
-        this.planetSystem.rockets.forEach(buildable => {
-          if (buildable && buildable.mesh) {
-            this.planetClickControls.addClickableObject({ mesh: buildable.mesh, name: buildable.mesh.name });
-          }
-        });
-      }
+      // Add all planets and buildable elements as clickable objects
+      this.registerClickableObjects();
       
       // Link planet rotation controls with click controls
       if (this.planetSystem && this.planetSystem.planetControls) {
@@ -1803,6 +2473,9 @@ export class Game {
       // Set callback for when a planet is clicked
       this.planetClickControls.setClickCallback(this.onPlanetClicked.bind(this));
       
+      // Set callback for when a ping is dropped
+      this.planetClickControls.onPlanetPing = this.onPlanetPinged.bind(this);
+      
       // Make player position function available to the click controls
       // This allows the path finder to get the current player position
       window.game = window.game || {};
@@ -1816,6 +2489,37 @@ export class Game {
     }
   }
 
+  /**
+   * Initialize the free camera used while spectating
+   * @private
+   */
+  initSpectatorControls() {
+    this.spectatorControls = new SpectatorCameraControls(this.camera, this.renderer.canvas, {
+      // Only in the overview, the focused view and the cinematics drive the camera themselves
+      canMove: () => networkManager.isSpectating &&
+        !this.focusedPlanet &&
+        !(this.victoryCinematic && this.victoryCinematic.isActive()),
+      // Dragging a planet still rotates it
+      getPlanetMeshes: () => this.planetSystem.planets.map(planet => planet.mesh).filter(Boolean)
+    });
+  }
+
+  /**
+   * Register the planets and buildable elements (rockets, etc.) with the click controls
+   * @private
+   */
+  registerClickableObjects() {
+    this.planetClickControls.clearClickableObjects();
+    this.planetClickControls.addClickablePlanets(this.planetSystem.planets);
+    
+    console.log(`Adding ${this.planetSystem.rockets.length} buildable elements to clickable objects`);
+    this.planetSystem.rockets.forEach(buildable => {
+      if (buildable && buildable.mesh) {
+        this.planetClickControls.addClickableObject({ mesh: buildable.mesh, name: buildable.mesh.name });
+      }
+    });
+  }
+
   /**
    * Handle planet surface click events
    * @param {Object} clickData - Data about the click event
@@ -1873,6 +2577,12 @@ export class Game {
       return;
     }
     
+    // The clicked point can't be reached, keep going where the player was going
+    if (!clickData.path || clickData.path.length < 2) {
+      console.log('No walkable path to the clicked point, ignoring click');
+      return;
+    }
+    
     // If a movement is in progress, stop it
     if (this.movementManager && this.movementManager.isMoving) {
       console.log('Stopping previous movement to start new one');
@@ -1883,7 +2593,8 @@ export class Game {
     if (clickData.path && clickData.path.length > 1) {
       const planetData = {
         position: planet.position,
-        radius: planet.mesh.userData.radius || 10
+        radius: planet.mesh.userData.radius || 10,
+        heightfield: planet.heightfield
       };
       
       // Visual indication that movement is about to start
@@ -1900,6 +2611,14 @@ export class Game {
       if (movementStarted) {
         console.log('Movement started along path with', clickData.path.length, 'points');
         
+        // The others find the same path and replay the movement
+        const from = this.toPlanetFrame(planet, clickData.path[0]);
+        const to = this.toPlanetFrame(planet, clickData.path[clickData.path.length - 1]);
+        networkManager.sendMoveIntent(
+          { x: from.x, y: from.y, z: from.z },
+          { x: to.x, y: to.y, z: to.z }
+        );
+        
         // Enable DEBUG_MOVEMENT flag for visual debugging
         window.DEBUG_MOVEMENT = true;
       } else {
@@ -1970,15 +2689,53 @@ export class Game {
     const playerId = networkManager.authManager.getCurrentUserId();
     if (!playerId) return;
     
+    // Store the position in the planet's unrotated frame, where the rocket sits on the north pole
+    // This is the frame the server uses to check the distance to the rocket
+    const planet = this.planetSystem.getPlanet(networkManager.playerManager.currentPlanet);
+    const planetPosition = this.toPlanetFrame(planet, position);
+    
     const positionData = {
-      x: position.x,
-      y: position.y, 
-      z: position.z
+      x: planetPosition.x,
+      y: planetPosition.y, 
+      z: planetPosition.z
     };
     
-    // Save the destination position to the database using the new method
+    // Streamed as the target of the movement until the player gets there
+    this.movementTarget = positionData;
+    
+    // Save the destination position to the database, throttled by the network manager
     networkManager.updateCurrentPlayerPosition(positionData);
-    console.log("Destination position saved to database:", positionData);
+  }
+  
+  /**
+   * Convert a world position to the planet's unrotated frame, the frame positions are shared in
+   * @param {Planet|null} planet - The planet the position is on
+   * @param {THREE.Vector3|Object} position - The world position {x, y, z}
+   * @returns {THREE.Vector3} The position in the planet's frame, unchanged without a planet
+   * @private
+   */
+  toPlanetFrame(planet, position) {
+    const planetPosition = new THREE.Vector3(position.x, position.y, position.z);
+    if (planet && planet.mesh) {
+      const inverseRotation = planet.mesh.quaternion.clone().invert();
+      planetPosition.sub(planet.position).applyQuaternion(inverseRotation).add(planet.position);
+    }
+    return planetPosition;
+  }
+  
+  /**
+   * Convert a position in the planet's unrotated frame back to a world position
+   * @param {Planet|null} planet - The planet the position is on
+   * @param {Object} position - The position in the planet's frame {x, y, z}
+   * @returns {THREE.Vector3} The world position, unchanged without a planet
+   * @private
+   */
+  fromPlanetFrame(planet, position) {
+    const worldPosition = new THREE.Vector3(position.x, position.y, position.z);
+    if (planet && planet.mesh) {
+      worldPosition.sub(planet.position).applyQuaternion(planet.mesh.quaternion).add(planet.position);
+    }
+    return worldPosition;
   }
 
   /**
@@ -2094,56 +2851,50 @@ export class Game {
       return;
     }
     
+    // Check that the player is standing next to the rocket (the server rejects clicks from further away)
+    const playerBody = this.getCurrentPlayerBody();
+    const rocketWorldPosition = new THREE.Vector3();
+    buildableRocket.mesh.getWorldPosition(rocketWorldPosition);
+    if (!playerBody || rocketWorldPosition.distanceTo(playerBody.position) > ROCKET_CLICK_RANGE) {
+      console.log('Player is too far from the rocket to build');
+      
+      // Show negative visual feedback
+      const effectPosition = buildableRocket.mesh.position.clone().add(new THREE.Vector3(0, 1, 0));
+      const clickEffect = new ClickEffect({
+        scene: this.scene,
+        position: effectPosition,
+        camera: this.camera,
+        text: 'TOO FAR',
+        color: new THREE.Color(0xffffff), // White color to preserve original close.png color
+        size: 2.0,
+        floatHeight: 2.5,
+        imagePath: '/close.png' // Use close.png instead of default plus-one.png
+      });
+      this.clickEffects.push(clickEffect);
+      return;
+    }
+    
     // Log the click
     console.log(`Player clicked on buildable (${buildableRocket.type}) on planet ${buildableRocket.planetName}`);
     
-    // Get the current player ID
-    const playerId = networkManager.authManager.getCurrentUserId();
-    
-    // Track the player's contribution to this rocket
-    if (!this.rocketContributions[buildableRocket.planetName]) {
-      this.rocketContributions[buildableRocket.planetName] = new Map();
-    }
-    
-    // Get current count or default to 0
-    const currentCount = this.rocketContributions[buildableRocket.planetName].get(playerId) || 0;
-    // Increment the count
-    this.rocketContributions[buildableRocket.planetName].set(playerId, currentCount + 1);
+    // Call the rocket's addClick method with what the click is worth after upgrades
+    const clickValue = networkManager.getClickMultiplier();
+    buildableRocket.addClick(clickValue);
     
-    // Log contribution
-    console.log(`Player ${playerId} now has ${currentCount + 1} contributions to ${buildableRocket.planetName} rocket`);
+    // Slightly different pitch on every click so fast clicking doesn't sound mechanical
+    soundManager.playAt('click', buildableRocket.mesh, { playbackRate: 0.9 + Math.random() * 0.2 });
     
-    // Call the rocket's addClick method
-    buildableRocket.addClick();
+    // Queue the click to be pushed to the server with the next batch
+    // Victory is decided by the server once the click totals reach the goal
+    networkManager.recordClick();
     
     // Update player contributions display if this planet is focused
     if (this.focusedPlanet === buildableRocket.planetName) {
       this.updatePlayerContributions(buildableRocket.planetName);
     }
     
-    // Save the click to database (to be implemented in step 6)
-    // For now just log it
-    console.log(`Click saved for player ${networkManager.authManager.getCurrentUserId()} on ${buildableRocket.planetName}`);
-    
-    // Check if construction is complete
-    const isComplete = buildableRocket.currentState === 4;
-    if (isComplete) {
-      console.log('Buildable is complete!');
-      this.handleVictory(buildableRocket.planetName);
-      return;
-    }
-    
-    // Update the progress bar if it exists
-    if (!this.progressBars.has(buildableRocket)) {
-        this.createProgressBarForRocket(buildableRocket);
-        this.progressBars.get(buildableRocket)?.setProgress(buildableRocket.getTotalProgressPercent());
-    } else {
-        // Update both progress and click count
-        console.log('Updating progress bar for rocket:', buildableRocket.currentClickCount);
-        const progressBar = this.progressBars.get(buildableRocket);
-        progressBar.setProgress(buildableRocket.getTotalProgressPercent());
-        progressBar.setClickCount(buildableRocket.currentClickCount);
-    }
+    // Update the progress bar
+    this.updateProgressBarForRocket(buildableRocket);
 
     // --- Step 4: Create +1 Click Effect ---
     // Find the rocket in the scene to get its current world position
@@ -2170,9 +2921,6 @@ export class Game {
     });
     this.clickEffects.push(clickEffect);
     // --- End Step 4 ---
-
-    // For the future implementation, we'll send a message to the server
-    // networkManager.sendBuildAction(playerPlanet, buildableRocket.type);
   }
 
   /**
@@ -2207,6 +2955,11 @@ export class Game {
       this.planetClickControls.dispose();
     }
     
+    // Dispose of spectator camera controls
+    if (this.spectatorControls) {
+      this.spectatorControls.dispose();
+    }
+    
     // Dispose of renderer
     if (this.renderer) {
       this.renderer.dispose();
@@ -2263,9 +3016,23 @@ export class Game {
       console.log('Movement completed');
     };
     
+    this.movementManager.onStep = (position) => this.playFootstep(position);
+    
     console.log('Movement system initialized');
   }
 
+  /**
+   * Play a footstep of a walking SphereBot
+   * @param {THREE.Object3D|CANNON.Vec3} position - The SphereBot's mesh or body position
+   * @private
+   */
+  playFootstep(position) {
+    soundManager.playAt('footstep', position, {
+      volume: 0.6,
+      playbackRate: 0.85 + Math.random() * 0.3
+    });
+  }
+
   /**
    * Get the current player's physics body
    * @returns {CANNON.Body|null} The player's physics body or null if not found
@@ -2340,10 +3107,13 @@ export class Game {
         // Generate a random spawn position for real players
         const surfaceOffset = 0.5; // Offset from planet surface
         const planetRadius = planet.radius || 15;
-        spawnPosition = this._generateRandomPositionOnPlanet(
+        const randomPosition = this._generateRandomPositionOnPlanet(
           planet.position,
-          planetRadius + surfaceOffset
+          planetRadius
         );
+        
+        // Drop the player just above the terrain at that spot
+        spawnPosition = planet.heightfield.projectToSurface(randomPosition, surfaceOffset);
       }
       
       // Create the player's sphere bot
@@ -2370,6 +3140,80 @@ export class Game {
     }
   }
 
+  /**
+   * Remove a player who went offline: their SphereBot, physics body and speech bubble
+   * @param {string} sessionId - The player's session ID
+   * @private
+   */
+  handlePlayerDespawn(sessionId) {
+    const assignment = this.playerAssignments.find(a => a.sessionId === sessionId);
+    if (!assignment) return;
+    
+    const { planetName, sphereBot } = assignment;
+    
+    const bubble = this.speechBubbles.get(sessionId);
+    if (bubble) {
+      bubble.dispose();
+      this.speechBubbles.delete(sessionId);
+    }
+    
+    const label = this.bufferHealthLabels.get(sessionId);
+    if (label) {
+      label.dispose();
+      this.bufferHealthLabels.delete(sessionId);
+    }
+    
+    this.stopRemoteMovement(sessionId);
+    
+    if (sphereBot) {
+      // Later bodies of the planet move down one index
+      const bodies = this.playerBodies[planetName] || [];
+      const bodyIndex = bodies.indexOf(sphereBot.body);
+      if (bodyIndex > -1) {
+        bodies.splice(bodyIndex, 1);
+        this.playerAssignments.forEach(a => {
+          if (a.planetName === planetName && a.bodyIndex > bodyIndex) {
+            a.bodyIndex--;
+            a.instanceId = a.bodyIndex;
+          }
+        });
+      }
+      
+      this.planetSystem.removePlayerBody(planetName, sphereBot.body);
+      this.gameObjects = this.gameObjects.filter(obj => obj !== sphereBot);
+      sphereBot.dispose();
+    }
+    
+    this.playerAssignments = this.playerAssignments.filter(a => a !== assignment);
+    
+    console.log(`Player ${sessionId} went offline, removed from ${planetName}`);
+    
+    // Update the planet indicators with new counts
+    this.createAndUpdatePlanetIndicators();
+  }
+  
+  /**
+   * Match the spawned players with the players online in the round
+   * Spawns the online players missing and removes the ones that are gone or changed planet
+   * @param {Array<Object>} onlinePlayers - Rows of the online players whose presence matched their planet and round, the current player excluded
+   * @private
+   */
+  syncOnlinePlayers(onlinePlayers) {
+    const online = new Map(onlinePlayers.map(player => [player.session_id, player]));
+    
+    // Test players and the current player have no presence to match and are always kept
+    this.playerAssignments
+      .filter(a => !networkManager.isPlayerOnline(a.sessionId) ||
+        (online.has(a.sessionId) && online.get(a.sessionId).planet_name !== a.planetName))
+      .forEach(a => this.handlePlayerDespawn(a.sessionId));
+    
+    online.forEach((player, sessionId) => {
+      if (!this.playerAssignments.some(a => a.sessionId === sessionId)) {
+        this.handlePlayerSpawn(sessionId, player, false);
+      }
+    });
+  }
+
   /**
    * Create a landing hit wave effect
    * @param {THREE.Vector3} position - The landing position
@@ -2438,7 +3282,7 @@ export class Game {
   /**
    * Spawn a player for the specified planet. 
    * This now just creates the SphereBot at a given position without the height logic.
-   * @param {string} planetName - The planet name ('earth' or 'mars')
+   * @param {string} planetName - The planet name
    * @param {string} color - The player's color
    * @param {Object} position - The position {x, y, z} to spawn at
    * @param {string} sessionId - The player's session ID
@@ -2503,84 +3347,117 @@ export class Game {
   }
 
   /**
-   * Handle server position updates for reconciliation.
-   * This is called when NetworkManager detects a significant discrepancy.
-   * @param {string} playerId - The session ID of the player whose position needs update.
-   * @param {Object} serverPosition - The authoritative position from the server {x, y, z}.
-   * @param {boolean} isTestPlayer - Flag if this is a test player.
-   * @param {string} planetName - The name of the planet the player is on.
+   * Show a chat message in a bubble above its sender's SphereBot
+   * Senders without a SphereBot in this client (e.g. spectators) only appear in the chat panel
+   * @param {Object} message - Chat message from the ChatManager
    * @private
    */
-  handleServerPositionUpdate(playerId, serverPosition, isTestPlayer, planetName) {
-    console.log(`Handling server position update for player ${playerId} on ${planetName}`);
+  showSpeechBubble(message) {
+    const assignment = this.playerAssignments.find(a => a.sessionId === message.sessionId);
+    if (!assignment || !assignment.sphereBot || !assignment.sphereBot.mesh) return;
 
-    // Find the player's assignment and SphereBot instance
-    const assignment = this.playerAssignments.find(a => a.sessionId === playerId);
-    if (!assignment || !assignment.sphereBot) {
-      console.warn(`Could not find SphereBot instance for player ${playerId} to reconcile position.`);
-      return;
+    // A new message replaces the previous bubble of the sender
+    const previous = this.speechBubbles.get(message.sessionId);
+    if (previous) {
+      previous.dispose();
     }
-    const sphereBot = assignment.sphereBot;
-    const playerBody = sphereBot.body;
 
-    // Get the planet object
-    const planet = this.planetSystem.getPlanet(planetName);
-    if (!planet) {
-      console.warn(`Could not find planet ${planetName} for player ${playerId} reconciliation.`);
-      return;
-    }
-    const planetData = {
-      position: planet.position,
-      radius: planet.mesh.userData.radius || 10
-    };
+    const bubble = new SpeechBubble({
+      parent: assignment.sphereBot.mesh,
+      text: message.text,
+      color: message.color || undefined
+    });
+    this.speechBubbles.set(message.sessionId, bubble);
+  }
 
-    // Get current physics body position
-    const currentPosition = new THREE.Vector3().copy(playerBody.position);
-    
-    // Convert server position to THREE.Vector3
-    const targetPosition = new THREE.Vector3(serverPosition.x, serverPosition.y, serverPosition.z);
+  /**
+   * Play an emote on the current player's SphereBot and show it to teammates
+   * @param {string} emote - One of EMOTES
+   */
+  playEmote(emote) {
+    const playerId = networkManager.authManager.getCurrentUserId();
+    if (!this.showEmote(playerId, emote)) return;
 
-    // Ensure target position is on the planet surface
-    const direction = targetPosition.clone().sub(planetData.position).normalize();
-    targetPosition.copy(planetData.position).addScaledVector(direction, planetData.radius);
+    networkManager.sendEmote(emote).catch(error => {
+      console.log('Emote not sent:', error.message);
+    });
+  }
 
-    console.log(`Reconciling player ${playerId}: Current:`, currentPosition, `Target:`, targetPosition);
+  /**
+   * Play an emote on a player's SphereBot
+   * @param {string} sessionId - The player's session ID
+   * @param {string} emote - Emote name
+   * @returns {boolean} Whether the emote was played
+   * @private
+   */
+  showEmote(sessionId, emote) {
+    const assignment = this.playerAssignments.find(a => a.sessionId === sessionId);
+    if (!assignment || !assignment.sphereBot) return false;
 
-    // Calculate the path from current position to target server position
-    // Use the Game's pathFinder instance
-    const pathPoints = this.pathFinder.findPath(
-      currentPosition,
-      targetPosition,
-      planetData.position,
-      planetData.radius
-    );
+    return assignment.sphereBot.playEmote(emote);
+  }
 
-    if (!pathPoints || pathPoints.length < 2) {
-      console.warn(`Could not calculate reconciliation path for player ${playerId}. Snapping instead.`);
-      // Fallback: Snap position directly (might look jerky)
-      playerBody.position.copy(targetPosition);
-      playerBody.velocity.set(0, 0, 0); // Reset velocity
-      if(sphereBot.mesh) sphereBot.mesh.position.copy(targetPosition);
-      return;
+  /**
+   * Make the next click on the player's planet drop a ping
+   * @returns {boolean} Whether pings can be dropped now
+   */
+  armPing() {
+    if (!this.planetClickControls || !networkManager.playerManager.currentPlanet ||
+        this.focusedPlanet !== networkManager.playerManager.currentPlanet) {
+      return false;
     }
 
-    // If a movement is already in progress *for this specific bot*, stop it
-    if (this.movementManager && this.movementManager.isMoving && this.movementManager.targetBody === playerBody) {
-      console.log(`Stopping existing movement for player ${playerId} before server reconciliation.`);
-      this.movementManager.stopMovement();
+    this.planetClickControls.setPingMode(true);
+    return true;
+  }
+
+  /**
+   * Handle a ping dropped by the current player
+   * @param {Object} pingData - Ping from the click controls
+   * @param {string} pingData.planetName - The pinged planet
+   * @param {THREE.Vector3} pingData.position - Point in the planet's local space
+   * @param {THREE.Vector3} pingData.normal - Surface normal in the planet's local space
+   * @private
+   */
+  onPlanetPinged(pingData) {
+    // Pings are for teammates, only on the player's own planet
+    if (pingData.planetName !== networkManager.playerManager.currentPlanet) {
+      console.log(`Pinged ${pingData.planetName} but player is on ${networkManager.playerManager.currentPlanet}, ignoring`);
+      return;
     }
 
-    // Start movement along the reconciliation path
-    console.log(`Starting server-reconciliation movement for player ${playerId} along path with ${pathPoints.length} points.`);
-    const movementStarted = this.movementManager.startMovement(
-      pathPoints,
-      playerBody,
-      null, // No separate mesh for SphereBot
-      planetData
-    );
+    const position = { x: pingData.position.x, y: pingData.position.y, z: pingData.position.z };
+    const normal = { x: pingData.normal.x, y: pingData.normal.y, z: pingData.normal.z };
+
+    networkManager.sendPing(position, normal).then(() => {
+      this.showPing({
+        planetName: pingData.planetName,
+        position,
+        normal,
+        color: networkManager.playerManager.currentColor
+      });
+    }).catch(error => {
+      console.log('Ping not sent:', error.message);
+    });
+  }
+
+  /**
+   * Show a ping marker on a planet surface
+   * @param {Object} ping - Ping from the current player or a teammate
+   * @private
+   */
+  showPing(ping) {
+    if (!this.planetClickControls) return;
+
+    const marker = this.planetClickControls.addPingMarker({
+      planetName: ping.planetName,
+      position: ping.position,
+      normal: ping.normal,
+      color: ping.color || undefined
+    });
 
-    if (!movementStarted) {
-      console.warn(`Failed to start reconciliation movement for player ${playerId}.`);
+    if (marker) {
+      soundManager.playAt('ping', marker);
     }
   }
 
@@ -2595,7 +3472,7 @@ export class Game {
       console.log('Creating progress bar for rocket', rocket.planetName);
       const progressBar = new ProgressBar({
           scene: this.scene,
-          offsetX: 1.8,                   // Horizontal offset from the rocket
+          offsetX: 2.9,                   // Horizontal offset from the rocket's visible parts
           positionStyle: 'side',          // Position on the side instead of on top
           width: 0.2,                     // Smaller width (becomes height when rotated)
           height: 2.0                     // Larger height (becomes width when rotated)
@@ -2617,6 +3494,66 @@ export class Game {
       this.progressBars.set(rocket, progressBar);
   }
 
+  /**
+   * Updates a rocket's progress bar with its current progress and click count.
+   * Creates the progress bar if it doesn't exist yet.
+   * @param {Rocket} rocket - The rocket object.
+   * @private
+   */
+  updateProgressBarForRocket(rocket) {
+      if (!this.progressBars.has(rocket)) {
+          this.createProgressBarForRocket(rocket);
+      }
+
+      const progressBar = this.progressBars.get(rocket);
+      if (!progressBar) return;
+
+      progressBar.setProgress(rocket.getTotalProgressPercent());
+      // Multiplied clicks can be fractional until the server rounds the batch
+      progressBar.setClickCount(Math.floor(rocket.currentClickCount));
+  }
+
+  /**
+   * Show the drones bought with upgrades around each planet's rocket
+   * @private
+   */
+  applyUpgradeDrones() {
+    if (!this.planetSystem || !this.planetSystem.rockets) return;
+    
+    this.planetSystem.rockets.forEach(rocket => {
+      rocket.setDroneCount(networkManager.upgradeManager.getDroneCount(rocket.planetName));
+    });
+  }
+
+  /**
+   * Apply server-side click totals to every rocket.
+   * The local player's unconfirmed clicks are added on top of their planet's
+   * total so their own clicks don't visually roll back while in flight.
+   * @param {Object} clickTotals - Map of planet name to total clicks
+   * @private
+   */
+  applyRocketProgress(clickTotals = {}) {
+    if (!this.planetSystem || !this.planetSystem.rockets) return;
+
+    const playerPlanet = networkManager.playerManager.currentPlanet;
+
+    this.planetSystem.rockets.forEach(rocket => {
+      let clickCount = clickTotals[rocket.planetName] || 0;
+
+      if (rocket.planetName === playerPlanet) {
+        clickCount += networkManager.getUnconfirmedClicks();
+      }
+
+      rocket.setClickCount(clickCount);
+      this.updateProgressBarForRocket(rocket);
+    });
+    
+    // Refresh the contributions of the focused planet with the new server data
+    if (this.focusedPlanet) {
+      this.updatePlayerContributions(this.focusedPlanet);
+    }
+  }
+
   /**
    * Handles mouse wheel events for zooming when focused on a planet.
    * @param {WheelEvent} event - The wheel event.
@@ -2775,15 +3712,14 @@ export class Game {
     // Reset timer
     this.gameTimer.resetTimer();
     
+    // Rebuild the planet destroyed by the victory cinematic and put the rocket back on its pad
+    if (this.victoryCinematic) {
+      this.victoryCinematic.restore();
+    }
+    
     // Reset buildable objects
     this.resetBuildables();
     
-    // Reset player contributions
-    this.rocketContributions = {
-      earth: new Map(),
-      mars: new Map()
-    };
-    
     // Update UI elements
     this.updateProgressBarsVisibility();
     
@@ -2829,12 +3765,101 @@ export class Game {
   }
 
   /**
-   * Handle victory when a rocket is completed
+   * Wait for the winning team to choose which rival their rocket destroys
+   * Players of the winning planet get a picker, everyone else a message. If nobody picks in time,
+   * every client asks the server for the default target (the strongest rival)
+   * @param {Object} gameData - Game row in the victory state, without a victory_target yet
+   */
+  awaitVictoryTarget(gameData) {
+    // Game row updates can repeat the victory state, only ask once per game
+    if (this.victoryTargetGameId === gameData.id) {
+      return;
+    }
+    this.victoryTargetGameId = gameData.id;
+    
+    const winningPlanet = gameData.winner_planet;
+    const rivals = (gameData.planets || this.planetSystem.getPlanetNames())
+      .filter(planetName => planetName !== winningPlanet);
+    
+    console.log(`Victory for planet ${winningPlanet}, waiting for the target`);
+    
+    this.gameState = 'victory';
+    this.buildingEnabled = false;
+    this.updateProgressBarsVisibility();
+    
+    // The picker takes the place of the victory message for the winning team
+    if (networkManager.playerManager.currentPlanet === winningPlanet) {
+      this.victoryTargetPicker = new PlanetPicker({
+        title: 'Choose a rival to destroy',
+        planets: rivals,
+        showPlayerCounts: false,
+        onSelect: (planetName) => this.chooseVictoryTarget(planetName)
+      });
+      this.victoryTargetPicker.show();
+    } else {
+      this.showVictoryMessage(winningPlanet);
+    }
+    
+    // Ask for the default target once the pick window is over, the server ignores early calls from other teams
+    const pickDuration = (gameData.target_pick_duration || 0) + 1;
+    this.victoryTargetTimeout = setTimeout(() => {
+      this.victoryTargetTimeout = null;
+      this.chooseVictoryTarget(null);
+    }, pickDuration * 1000);
+  }
+  
+  /**
+   * Send the victory target to the server
+   * The target reaches every client through handleGameStateChange
+   * @param {string|null} targetPlanet - Rival planet, or null for the default target
+   * @private
+   */
+  async chooseVictoryTarget(targetPlanet) {
+    try {
+      await networkManager.chooseVictoryTarget(targetPlanet);
+    } catch (error) {
+      console.error('Error choosing victory target:', error);
+    }
+  }
+  
+  /**
+   * Remove the victory target picker and its fallback timeout
+   * @private
+   */
+  clearVictoryTargetPick() {
+    if (this.victoryTargetTimeout) {
+      clearTimeout(this.victoryTargetTimeout);
+      this.victoryTargetTimeout = null;
+    }
+    
+    if (this.victoryTargetPicker) {
+      this.victoryTargetPicker.hide();
+      this.victoryTargetPicker = null;
+    }
+  }
+
+  /**
+   * Handle victory when the server declares a winner
    * @param {string} winningPlanet - The name of the winning planet
+   * @param {number} [gameId] - ID of the game that was won, used to show the victory only once
+   * @param {string} [targetPlanet] - Rival destroyed by the winning rocket, defaults to the first rival
    */
-  handleVictory(winningPlanet) {
+  handleVictory(winningPlanet, gameId, targetPlanet) {
+    // Game row updates can repeat the victory state, only show it once per game
+    if (gameId !== undefined && this.victoryGameId === gameId) {
+      return;
+    }
+    this.victoryGameId = gameId;
+    
     console.log(`Victory for planet ${winningPlanet}!`);
     
+    // The target is known, stop waiting for it
+    this.clearVictoryTargetPick();
+    const waitingMessage = document.getElementById('gameEndMessage');
+    if (waitingMessage && waitingMessage.parentNode) {
+      waitingMessage.parentNode.removeChild(waitingMessage);
+    }
+    
     // Set game state
     this.gameState = 'victory';
     this.buildingEnabled = false;
@@ -2847,38 +3872,45 @@ export class Game {
     this.gameTimer.setVictoryStatus();
     
     // Show victory message
-    this.showVictoryMessage(winningPlanet);
+    this.showVictoryMessage(winningPlanet, targetPlanet);
     
-    // Animate rocket victory sequence (to be implemented in step 9)
+    // Fanfare for the winners and spectators, a defeat stinger for the other teams
+    const playerPlanet = networkManager.playerManager.currentPlanet;
+    soundManager.play(!playerPlanet || playerPlanet === winningPlanet ? 'victory' : 'defeat');
+    
+    // Launch the winning rocket at the target, remembering the view to return to afterwards
+    if (this.victoryCinematic) {
+      this.victoryReturnPlanet = this.focusedPlanet || null;
+      this.victoryCinematic.play(winningPlanet, targetPlanet);
+    }
     
-    // After victory sequence, transition to cooldown
+    // Remove the victory message after the sequence
+    // The server moves the game to cooldown, which reaches every client through handleGameStateChange
     setTimeout(() => {
-      // Remove victory message
       const victoryMessage = document.getElementById('gameEndMessage');
       if (victoryMessage && victoryMessage.parentNode) {
         document.body.removeChild(victoryMessage);
       }
-      
-      // Start cooldown
-      this.gameState = 'cooldown';
-      this.gameTimer.startCooldownTimer();
-    }, 5000); // Show victory for 5 seconds before cooldown
-    
-    // Update database to record the victory (will be implemented in step 6)
+    }, 5000); // Show victory for 5 seconds
   }
 
   /**
    * Show victory message when a rocket is completed
    * @param {string} winningPlanet - The name of the winning planet
+   * @param {string} [targetPlanet] - Rival destroyed by the rocket, the winners are still choosing if not set
    */
-  showVictoryMessage(winningPlanet) {
+  showVictoryMessage(winningPlanet, targetPlanet) {
+    const launchText = targetPlanet
+      ? `Launching the rocket at ${getPlanetDisplayName(targetPlanet)}...`
+      : `The ${getPlanetTeamName(winningPlanet)} are choosing which planet to destroy...`;
+    
     // Create a message that stays visible during victory sequence
     const message = document.createElement('div');
     message.id = 'gameEndMessage';
     message.innerHTML = `
-      <h2>VICTORY FOR ${winningPlanet.toUpperCase()}!</h2>
-      <p>The ${winningPlanet} team has completed their rocket first!</p>
-      <p>Preparing for rocket launch...</p>
+      <h2>VICTORY FOR ${getPlanetDisplayName(winningPlanet).toUpperCase()}!</h2>
+      <p>The ${getPlanetTeamName(winningPlanet)} have completed their rocket first!</p>
+      <p>${launchText}</p>
     `;
     
     message.style.position = 'fixed';
@@ -2895,7 +3927,7 @@ export class Game {
     // Style the heading with planet-specific color
     const heading = message.querySelector('h2');
     if (heading) {
-      heading.style.color = winningPlanet === 'earth' ? '#4CAF50' : '#FF5722';
+      heading.style.color = getPlanetDefinition(winningPlanet)?.uiColor || '#FFFFFF';
       heading.style.marginBottom = '15px';
     }
     
@@ -3021,14 +4053,19 @@ export class Game {
       return;
     }
     
-    // Get the contributions for this planet
-    const contributions = this.rocketContributions[planetName] || new Map();
+    // Get the clicks recorded on the server for this planet in the current round
+    const contributions = networkManager.getSessionClickTotals(planetName);
     
     // Create an array combining all players with their contributions
     const contributionsArray = planetPlayers.map(player => {
       const tempName = player.username || `Anon ${player.sessionId}`;
       // Get contribution count or 0 if none
-      const clicks = contributions.get(tempName) || 0;
+      let clicks = contributions[player.sessionId] || 0;
+      
+      // Include the current player's clicks that are not pushed yet
+      if (player.sessionId === currentPlayerId) {
+        clicks += networkManager.getUnconfirmedClicks();
+      }
       return [tempName, clicks, player];
     });
     
@@ -0,0 +1,449 @@
+import * as THREE from 'three';
+import gsap from 'gsap';
+
+// Durations of each phase of the cinematic (in seconds)
+const IGNITION_DURATION = 1.5;
+const ASCENT_DURATION = 2.5;
+const FLIGHT_DURATION = 3;
+const EXPLOSION_DURATION = 4;
+
+// How far the rocket climbs above the launch pad before turning towards the target
+const ASCENT_HEIGHT = 14;
+
+// Number of pieces the losing planet breaks into
+const FRAGMENT_COUNT = 30;
+
+// Camera position used while the rocket flies between the planets
+const FLIGHT_CAMERA_POSITION = new THREE.Vector3(0, 20, 70);
+
+/**
+ * VictoryCinematic - Plays the rocket launch and planet destruction sequence when a planet wins
+ * @class
+ */
+export class VictoryCinematic {
+  /**
+   * Create a new victory cinematic
+   * @param {Object} options - Cinematic configuration options
+   * @param {THREE.Scene} options.scene - The Three.js scene
+   * @param {THREE.Camera} options.camera - The camera driven during the flight
+   * @param {PlanetSystem} options.planetSystem - Planet system with the planets and rockets
+   * @param {Array} options.particleEffects - Particle effects updated every frame by the game
+   * @param {Function} [options.onFocusPlanet] - Callback to frame a planet with the camera
+   * @param {Function} [options.onImpact] - Callback with the impact position and color, used for the shockwave
+   * @param {Function} [options.onComplete] - Callback when the sequence has finished
+   */
+  constructor(options = {}) {
+    this.scene = options.scene;
+    this.camera = options.camera;
+    this.planetSystem = options.planetSystem;
+    this.particleEffects = options.particleEffects;
+
+    // Callbacks
+    this.onFocusPlanet = options.onFocusPlanet || (() => {});
+    this.onImpact = options.onImpact || (() => {});
+    this.onComplete = options.onComplete || (() => {});
+
+    // Running timeline, if any
+    this.timeline = null;
+
+    // Objects changed by the sequence, kept so they can be restored
+    this.launchedRocket = null;
+    this.rocketSnapshot = null;
+    this.destroyedPlanet = null;
+    this.destroyedRocket = null;
+
+    // Debris and effects added to the scene
+    this.fragments = [];
+    this.fireball = null;
+    this.exhaust = null;
+  }
+
+  /**
+   * Whether the sequence is playing or has left the scene changed
+   * @returns {boolean} True until restore() is called
+   */
+  isActive() {
+    return this.timeline !== null || this.launchedRocket !== null || this.destroyedPlanet !== null;
+  }
+
+  /**
+   * Play the cinematic for the winning planet
+   * @param {string} winningPlanet - Name of the planet whose rocket launches
+   * @param {string} [targetPlanet] - Name of the rival destroyed by the rocket, defaults to the first rival
+   */
+  play(winningPlanet, targetPlanet) {
+    // Start from a clean scene if a previous sequence was not restored
+    this.restore();
+
+    const winner = this.planetSystem.getPlanet(winningPlanet);
+    const loser = (targetPlanet && targetPlanet !== winningPlanet)
+      ? this.planetSystem.getPlanet(targetPlanet)
+      : this.planetSystem.planets.find(planet => planet.name !== winningPlanet);
+    const rocket = this.planetSystem.rockets.find(r => r.planetName === winningPlanet);
+
+    if (!winner || !loser || !rocket || !rocket.mesh) {
+      console.warn(`Cannot play victory cinematic for ${winningPlanet}: missing planet or rocket`);
+      this.onComplete();
+      return;
+    }
+
+    // Detach the rocket from the planet rotation so the controls don't move it back to the pad
+    this.launchedRocket = rocket;
+    this.rocketSnapshot = {
+      position: rocket.mesh.position.clone(),
+      quaternion: rocket.mesh.quaternion.clone(),
+      visible: rocket.mesh.visible
+    };
+    rocket.inFlight = true;
+    rocket.mesh.visible = true;
+
+    // Direction the rocket points to on the launch pad
+    const launchUp = new THREE.Vector3(0, 1, 0).applyQuaternion(rocket.mesh.quaternion).normalize();
+    const padPosition = rocket.mesh.position.clone();
+    const ascentTop = padPosition.clone().addScaledVector(launchUp, ASCENT_HEIGHT);
+
+    // Arc from the top of the ascent to the side of the losing planet facing the winner
+    const impactNormal = new THREE.Vector3().subVectors(ascentTop, loser.position).normalize();
+    const impactPoint = loser.position.clone().addScaledVector(impactNormal, loser.radius);
+    const arcControl = new THREE.Vector3()
+      .addVectors(ascentTop, impactPoint)
+      .multiplyScalar(0.5)
+      .add(new THREE.Vector3(0, ASCENT_HEIGHT * 1.5, 0));
+    const flightPath = new THREE.QuadraticBezierCurve3(ascentTop, arcControl, impactPoint);
+
+    // Exhaust particles follow the rocket for the whole flight
+    const exhaust = this._createParticleEffect(600, 0.6);
+    this.exhaust = exhaust;
+    const flightLookAt = new THREE.Vector3().addVectors(winner.position, loser.position).multiplyScalar(0.5);
+    const up = new THREE.Vector3(0, 1, 0);
+
+    this.timeline = gsap.timeline({
+      onComplete: () => {
+        exhaust.spawning = false;
+        this.timeline = null;
+        this.onComplete();
+      }
+    });
+
+    // Ignition: frame the winning planet, shake the rocket and start the exhaust
+    const ignition = { progress: 0 };
+    this.timeline.call(() => this.onFocusPlanet(winner));
+    this.timeline.to(ignition, {
+      progress: 1,
+      duration: IGNITION_DURATION,
+      ease: 'none',
+      onUpdate: () => {
+        const shake = 0.08 * ignition.progress;
+        rocket.mesh.position.set(
+          padPosition.x + (Math.random() - 0.5) * shake,
+          padPosition.y + (Math.random() - 0.5) * shake,
+          padPosition.z + (Math.random() - 0.5) * shake
+        );
+        this._emitExhaust(exhaust, rocket.mesh, Math.ceil(ignition.progress * 4), 0xffaa33);
+      }
+    });
+
+    // Ascent: leave the pad behind and climb straight up with a trail behind the rocket
+    const ascent = { progress: 0 };
+    this.timeline.call(() => rocket.detachLaunchPad());
+    this.timeline.to(ascent, {
+      progress: 1,
+      duration: ASCENT_DURATION,
+      ease: 'power2.in',
+      onUpdate: () => {
+        rocket.mesh.position.lerpVectors(padPosition, ascentTop, ascent.progress);
+        this._emitExhaust(exhaust, rocket.mesh, 4, 0xffffff);
+        this.camera.lookAt(rocket.mesh.position);
+      }
+    });
+
+    // Flight: show the losing planet, pull the camera back and follow the arc to the target
+    const flight = { progress: 0 };
+    this.timeline.call(() => this._setPlanetVisible(loser, true));
+    this.timeline.to(this.camera.position, {
+      x: FLIGHT_CAMERA_POSITION.x,
+      y: FLIGHT_CAMERA_POSITION.y,
+      z: FLIGHT_CAMERA_POSITION.z,
+      duration: FLIGHT_DURATION * 0.5,
+      ease: 'power1.inOut',
+      onUpdate: () => this.camera.lookAt(flightLookAt)
+    });
+    this.timeline.to(flight, {
+      progress: 1,
+      duration: FLIGHT_DURATION,
+      ease: 'power1.in',
+      onUpdate: () => {
+        rocket.mesh.position.copy(flightPath.getPoint(flight.progress));
+        rocket.mesh.quaternion.setFromUnitVectors(up, flightPath.getTangent(flight.progress).normalize());
+        this._emitExhaust(exhaust, rocket.mesh, 4, 0xffffff);
+      }
+    }, '<');
+
+    // Impact: shockwave, fireball and the losing planet breaking apart
+    this.timeline.call(() => {
+      rocket.mesh.visible = false;
+      exhaust.spawning = false;
+      this.onImpact(impactPoint, 0xffaa33);
+      this._explodePlanet(loser, impactPoint);
+    });
+
+    // Leave time for the debris to fly apart before handing the camera back
+    this.timeline.to({}, { duration: EXPLOSION_DURATION });
+  }
+
+  /**
+   * Stop the sequence and put the rockets and planets back as they were before the launch
+   */
+  restore() {
+    if (this.timeline) {
+      this.timeline.kill();
+      this.timeline = null;
+    }
+
+    // Let the particle loop clean up the exhaust once its particles fade
+    if (this.exhaust) {
+      this.exhaust.spawning = false;
+      this.exhaust = null;
+    }
+
+    // Put the launched rocket back on its pad
+    if (this.launchedRocket && this.rocketSnapshot) {
+      const rocket = this.launchedRocket;
+      rocket.inFlight = false;
+      rocket.mesh.position.copy(this.rocketSnapshot.position);
+      rocket.mesh.quaternion.copy(this.rocketSnapshot.quaternion);
+      rocket.mesh.visible = this.rocketSnapshot.visible;
+      rocket.reattachLaunchPad();
+    }
+    this.launchedRocket = null;
+    this.rocketSnapshot = null;
+
+    // Rebuild the destroyed planet and its rocket
+    if (this.destroyedPlanet) {
+      gsap.killTweensOf(this.destroyedPlanet.mesh.scale);
+      this.destroyedPlanet.mesh.scale.setScalar(1);
+      if (this.destroyedPlanet.waterMesh) {
+        gsap.killTweensOf(this.destroyedPlanet.waterMesh.scale);
+        this.destroyedPlanet.waterMesh.scale.setScalar(1);
+      }
+    }
+    if (this.destroyedRocket) {
+      this.destroyedRocket.mesh.scale.setScalar(1);
+    }
+    this.destroyedPlanet = null;
+    this.destroyedRocket = null;
+
+    // Remove the debris
+    this.fragments.forEach(fragment => {
+      gsap.killTweensOf(fragment.position);
+      gsap.killTweensOf(fragment.rotation);
+      this.scene.remove(fragment);
+      fragment.geometry.dispose();
+      fragment.material.dispose();
+    });
+    this.fragments = [];
+
+    if (this.fireball) {
+      gsap.killTweensOf(this.fireball.scale);
+      gsap.killTweensOf(this.fireball.material);
+      this.scene.remove(this.fireball);
+      this.fireball.geometry.dispose();
+      this.fireball.material.dispose();
+      this.fireball = null;
+    }
+  }
+
+  /**
+   * Show or hide a planet with its atmosphere and water
+   * @param {Planet} planet - The planet to show or hide
+   * @param {boolean} visible - Whether the planet should be visible
+   * @private
+   */
+  _setPlanetVisible(planet, visible) {
+    if (planet.mesh) planet.mesh.visible = visible;
+    if (planet.atmosphere) planet.atmosphere.visible = visible;
+    if (planet.waterMesh) planet.waterMesh.visible = visible;
+  }
+
+  /**
+   * Break the planet into fragments that fly away from the impact
+   * The planet is shrunk instead of hidden so camera changes don't bring it back
+   * @param {Planet} planet - The planet to destroy
+   * @param {THREE.Vector3} impactPoint - Where the rocket hit the planet
+   * @private
+   */
+  _explodePlanet(planet, impactPoint) {
+    this.destroyedPlanet = planet;
+
+    gsap.to(planet.mesh.scale, { x: 0.001, y: 0.001, z: 0.001, duration: 0.3, ease: 'power2.in' });
+    if (planet.waterMesh) {
+      gsap.to(planet.waterMesh.scale, { x: 0.001, y: 0.001, z: 0.001, duration: 0.3, ease: 'power2.in' });
+    }
+
+    // The planet's own rocket goes down with it
+    const planetRocket = this.planetSystem.rockets.find(r => r.planetName === planet.name);
+    if (planetRocket && planetRocket.mesh) {
+      this.destroyedRocket = planetRocket;
+      planetRocket.mesh.scale.setScalar(0.001);
+    }
+
+    // Fireball expanding from the impact
+    const fireballMaterial = new THREE.MeshBasicMaterial({
+      color: 0xffaa33,
+      transparent: true,
+      opacity: 1,
+      blending: THREE.AdditiveBlending,
+      depthWrite: false
+    });
+    this.fireball = new THREE.Mesh(new THREE.SphereGeometry(1, 24, 24), fireballMaterial);
+    this.fireball.position.copy(planet.position);
+    this.scene.add(this.fireball);
+    gsap.to(this.fireball.scale, {
+      x: planet.radius * 1.6,
+      y: planet.radius * 1.6,
+      z: planet.radius * 1.6,
+      duration: 1,
+      ease: 'power2.out'
+    });
+    gsap.to(fireballMaterial, { opacity: 0, duration: 1.5, ease: 'power1.in' });
+
+    // Rock fragments colored like the terrain they came from
+    const colors = this._samplePlanetColors(planet, FRAGMENT_COUNT);
+    const awayFromImpact = new THREE.Vector3().subVectors(planet.position, impactPoint).normalize();
+
+    for (let i = 0; i < FRAGMENT_COUNT; i++) {
+      const direction = new THREE.Vector3().randomDirection();
+      const size = planet.radius * (0.15 + Math.random() * 0.15);
+
+      const fragment = new THREE.Mesh(
+        new THREE.IcosahedronGeometry(size, 0),
+        new THREE.MeshStandardMaterial({ color: colors[i], roughness: 0.9, flatShading: true })
+      );
+      fragment.position.copy(planet.position).addScaledVector(direction, planet.radius * 0.6);
+      fragment.rotation.set(Math.random() * Math.PI, Math.random() * Math.PI, Math.random() * Math.PI);
+      this.scene.add(fragment);
+      this.fragments.push(fragment);
+
+      // Pieces are pushed outwards and a bit further away from the impact side
+      const distance = planet.radius * (1.5 + Math.random() * 2);
+      const target = fragment.position.clone()
+        .addScaledVector(direction, distance)
+        .addScaledVector(awayFromImpact, planet.radius * 0.5);
+
+      gsap.to(fragment.position, {
+        x: target.x,
+        y: target.y,
+        z: target.z,
+        duration: EXPLOSION_DURATION,
+        ease: 'power3.out'
+      });
+      gsap.to(fragment.rotation, {
+        x: fragment.rotation.x + (Math.random() - 0.5) * Math.PI * 4,
+        y: fragment.rotation.y + (Math.random() - 0.5) * Math.PI * 4,
+        duration: EXPLOSION_DURATION,
+        ease: 'power2.out'
+      });
+    }
+
+    // Burst of burning particles
+    const burst = this._createParticleEffect(400, 0.8);
+    const burstColor = new THREE.Color();
+    for (let i = 0; i < 400; i++) {
+      const direction = new THREE.Vector3().randomDirection();
+      burstColor.setHSL(0.05 + Math.random() * 0.08, 1, 0.5 + Math.random() * 0.2);
+      burst.particles.push({
+        position: planet.position.clone().addScaledVector(direction, planet.radius * Math.random()),
+        velocity: direction.multiplyScalar(8 + Math.random() * 12),
+        color: burstColor.clone(),
+        age: 0,
+        lifetime: 1.5 + Math.random() * 1.5
+      });
+    }
+    burst.spawning = false;
+  }
+
+  /**
+   * Pick random vertex colors from the planet terrain
+   * @param {Planet} planet - The planet to sample
+   * @param {number} count - Number of colors to pick
+   * @returns {THREE.Color[]} The sampled colors
+   * @private
+   */
+  _samplePlanetColors(planet, count) {
+    const colorAttribute = planet.geometry && planet.geometry.attributes.color;
+    const colors = [];
+
+    for (let i = 0; i < count; i++) {
+      if (colorAttribute) {
+        const index = Math.floor(Math.random() * colorAttribute.count);
+        colors.push(new THREE.Color().fromBufferAttribute(colorAttribute, index));
+      } else {
+        colors.push(new THREE.Color(planet.color));
+      }
+    }
+
+    return colors;
+  }
+
+  /**
+   * Create a particle effect that is animated by the game's particle update loop
+   * @param {number} maxParticles - Maximum number of live particles
+   * @param {number} size - Point size
+   * @returns {Object} The particle effect
+   * @private
+   */
+  _createParticleEffect(maxParticles, size) {
+    const geometry = new THREE.BufferGeometry();
+    geometry.setAttribute('position', new THREE.BufferAttribute(new Float32Array(maxParticles * 3), 3));
+    geometry.setAttribute('color', new THREE.BufferAttribute(new Float32Array(maxParticles * 3), 3));
+    geometry.setDrawRange(0, 0);
+
+    const material = new THREE.PointsMaterial({
+      size,
+      vertexColors: true,
+      transparent: true,
+      opacity: 1,
+      blending: THREE.AdditiveBlending,
+      depthWrite: false
+    });
+
+    const points = new THREE.Points(geometry, material);
+    points.frustumCulled = false;
+    this.scene.add(points);
+
+    const effect = {
+      points,
+      geometry,
+      material,
+      particles: [],
+      maxParticles,
+      spawning: true
+    };
+    this.particleEffects.push(effect);
+
+    return effect;
+  }
+
+  /**
+   * Emit exhaust particles from the base of the rocket
+   * @param {Object} effect - The particle effect to emit into
+   * @param {THREE.Object3D} rocketMesh - The rocket mesh
+   * @param {number} count - Number of particles to emit
+   * @param {number} color - Particle color
+   * @private
+   */
+  _emitExhaust(effect, rocketMesh, count, color) {
+    const down = new THREE.Vector3(0, -1, 0).applyQuaternion(rocketMesh.quaternion);
+
+    for (let i = 0; i < count && effect.particles.length < effect.maxParticles; i++) {
+      const spread = new THREE.Vector3().randomDirection().multiplyScalar(0.8);
+      effect.particles.push({
+        position: rocketMesh.position.clone().addScaledVector(down, 0.3),
+        velocity: down.clone().multiplyScalar(4 + Math.random() * 2).add(spread),
+        color: new THREE.Color(color).lerp(new THREE.Color(0xff5500), Math.random() * 0.5),
+        age: 0,
+        lifetime: 0.8 + Math.random() * 0.6
+      });
+    }
+  }
+}
@@ -30,8 +30,8 @@ declare
   result json;
 begin
   -- Validate planet name
-  if p_planet_name not in ('earth', 'mars') then
-    raise exception 'Invalid planet name. Must be either ''earth'' or ''mars''';
+  if not exists (select 1 from public.planet_definitions d where d.name = p_planet_name) then
+    raise exception 'Invalid planet name. Must be one of planet_definitions';
   end if;
 
   select json_agg(p.*)
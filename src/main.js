@@ -1,6 +1,14 @@
 import './style.css'
 import { Game } from './core/Game.js'
 import { networkManager } from './network/network-manager.js'
+import { ProfilePanel } from './ui/ProfilePanel.js'
+import { LeaderboardPanel } from './ui/LeaderboardPanel.js'
+import { UpgradePanel } from './ui/UpgradePanel.js'
+import { SoundPanel } from './ui/SoundPanel.js'
+import { ChatPanel } from './ui/ChatPanel.js'
+import { EmoteMenu } from './ui/EmoteMenu.js'
+import { SpectatorPanel } from './ui/SpectatorPanel.js'
+import { soundManager } from './audio/SoundManager.js'
 
 /**
  * Planet Clicker Wars - Main Entry Point
@@ -18,8 +26,16 @@ document.addEventListener('DOMContentLoaded', () => {
     const loadingIndicator = document.getElementById('loadingIndicator') || createLoadingIndicator();
     const connectionDot = document.getElementById('connectionDot');
     const connectionStatus = document.getElementById('connectionStatus');
+    const statusPanel = document.getElementById('statusPanel');
     const userId = document.getElementById('userId');
     const destroySessionButton = document.getElementById('destroySession');
+    const networkDebugButton = document.getElementById('toggleNetworkDebug');
+    const profileButton = document.getElementById('profileButton');
+    const leaderboardButton = document.getElementById('leaderboardButton');
+    const upgradesButton = document.getElementById('upgradesButton');
+    const soundButton = document.getElementById('soundButton');
+    const chatButton = document.getElementById('chatButton');
+    const emoteButton = document.getElementById('emoteButton');
     
     // Initial UI state
     connectionDot.className = 'dot connecting';
@@ -57,6 +73,120 @@ document.addEventListener('DOMContentLoaded', () => {
       });
     }
     
+    // Set up the position buffer health labels above the other players
+    if (networkDebugButton) {
+      networkDebugButton.addEventListener('click', () => {
+        game.setNetworkDebug(!game.networkDebug);
+        networkDebugButton.textContent = game.networkDebug ? 'Hide Network Buffers' : 'Show Network Buffers';
+      });
+    }
+    
+    // Set up profile button listener
+    if (profileButton) {
+      const profilePanel = new ProfilePanel({ profileManager: networkManager.profileManager });
+      profileButton.addEventListener('click', () => profilePanel.toggle());
+    }
+    
+    // Set up upgrades button listener
+    if (upgradesButton) {
+      const upgradePanel = new UpgradePanel({ networkManager });
+      upgradesButton.addEventListener('click', () => upgradePanel.toggle());
+    }
+    
+    // Set up leaderboard toggle (button or "L" key)
+    const leaderboardPanel = new LeaderboardPanel({
+      leaderboardManager: networkManager.leaderboardManager,
+      getCurrentUserId: () => networkManager.authManager.getCurrentUserId()
+    });
+    if (leaderboardButton) {
+      leaderboardButton.addEventListener('click', () => leaderboardPanel.toggle());
+    }
+    
+    // Set up sound settings (button, or "M" key to mute)
+    const soundPanel = new SoundPanel({ soundManager, button: soundButton });
+    if (soundButton) {
+      soundButton.addEventListener('click', () => soundPanel.toggle());
+    }
+    
+    // Set up chat (button, or "Enter" to start typing)
+    const chatPanel = new ChatPanel({ networkManager, button: chatButton });
+    if (chatButton) {
+      chatButton.addEventListener('click', () => {
+        chatPanel.toggle();
+        chatPanel.focus();
+      });
+    }
+    
+    // Set up emotes and pings (button, or "E" then a number key; Alt+click also pings)
+    const emoteMenu = new EmoteMenu({
+      onEmote: (emote) => game.playEmote(emote),
+      onPing: () => game.armPing()
+    });
+    if (emoteButton) {
+      emoteButton.addEventListener('click', () => emoteMenu.toggle());
+    }
+    
+    // Set up the scoreboard shown while spectating a round
+    new SpectatorPanel({
+      networkManager,
+      getStandings: () => game.getSpectatorStandings(),
+      onWatchPlanet: (planetName) => game.watchPlanet(planetName)
+    });
+    
+    document.addEventListener('keydown', (event) => {
+      // Don't toggle while typing in a form field
+      if (event.target instanceof HTMLInputElement || event.target instanceof HTMLTextAreaElement) return;
+      if (event.key === 'Enter' && !(event.target instanceof HTMLButtonElement)) {
+        if (!chatPanel.isVisible) {
+          chatPanel.show();
+        }
+        chatPanel.focus();
+        event.preventDefault();
+      }
+      if (emoteMenu.handleKey(event.key)) return;
+      if (event.key === 'e' || event.key === 'E') {
+        emoteMenu.toggle();
+      }
+      if (event.key === 'Escape') {
+        emoteMenu.hide();
+      }
+      if (event.key === 'l' || event.key === 'L') {
+        leaderboardPanel.toggle();
+      }
+      if (event.key === 'm' || event.key === 'M') {
+        soundManager.toggleMute();
+      }
+    });
+    
+    // Status of the session, shown again once the connection is back
+    const sessionStatus = { dot: 'dot connecting', text: 'Connecting...' };
+    
+    // Banner shown instead while the connection is lost or unstable
+    const networkBanners = {
+      offline: { dot: 'dot disconnected', text: 'Offline: clicks and moves are queued' },
+      degraded: { dot: 'dot degraded', text: 'Connection unstable, retrying...' },
+      connecting: { dot: 'dot connecting', text: 'Reconnecting...' }
+    };
+    let networkState = null;
+    let hasBeenOnline = false;
+    
+    // Show the network banner if there is one, the session status otherwise
+    const showConnectionStatus = () => {
+      // Connecting is only worth a banner when the connection was lost
+      const banner = (networkState !== 'connecting' || hasBeenOnline) ? networkBanners[networkState] : null;
+      const status = banner || sessionStatus;
+      
+      connectionDot.className = status.dot;
+      connectionStatus.textContent = status.text;
+      
+      Object.keys(networkBanners).forEach(state => {
+        statusPanel.classList.toggle(`banner-${state}`, banner === networkBanners[state]);
+      });
+      if (banner) {
+        statusPanel.classList.add('expanded');
+      }
+    };
+    
     // Set up connection status listener
     networkManager.on('onConnectionStateChanged', (connectionData) => {
       const { isConnected, session, isActive } = connectionData;
@@ -65,15 +195,16 @@ document.addEventListener('DOMContentLoaded', () => {
       
       // Update connection indicators
       if (isConnected && isActive) {
-        connectionDot.className = 'dot connected';
-        connectionStatus.textContent = 'Ready to continue';
+        sessionStatus.dot = 'dot connected';
+        sessionStatus.text = 'Ready to continue';
       } else if (isConnected && !isActive) {
-        connectionDot.className = 'dot idle';
-        connectionStatus.textContent = 'Ready to join';
+        sessionStatus.dot = 'dot idle';
+        sessionStatus.text = 'Ready to join';
       } else {
-        connectionDot.className = 'dot disconnected';
-        connectionStatus.textContent = 'Disconnected';
+        sessionStatus.dot = 'dot disconnected';
+        sessionStatus.text = 'Disconnected';
       }
+      showConnectionStatus();
       
       if (isConnected && session) {
         // Update user ID display
@@ -93,12 +224,31 @@ document.addEventListener('DOMContentLoaded', () => {
         // Hide loading indicator when connected
         loadingIndicator.style.display = 'none';
         joinButton.style.display = 'block';
+        
+        // The profile is available once there is a session
+        if (profileButton) {
+          profileButton.style.display = 'block';
+        }
+        if (upgradesButton) {
+          upgradesButton.style.display = 'block';
+        }
       } else {
         // Not connected or no session
         userId.textContent = 'Not connected';
       }
     });
     
+    // Set up network state listener, clicks and moves keep working while offline and are sent once back online
+    networkManager.on('onNetworkStateChanged', ({ state }) => {
+      console.log('Network state changed:', state);
+      
+      networkState = state;
+      if (state === 'online') {
+        hasBeenOnline = true;
+      }
+      showConnectionStatus();
+    });
+    
     // Set up player join listener
     networkManager.on('onPlayerJoined', (playerId, data) => {
       console.log(`Player joined: ${playerId}`, data);
@@ -28,10 +28,11 @@ class AuthManager {
         console.log("Found existing session", session.user.id);
         
         // Check if session is inactive (no activity for 5+ minutes)
+        // Accounts upgraded to an email are kept so their profile survives between rounds
         const lastActivity = session.user.user_metadata?.last_activity;
         const now = new Date().getTime();
         
-        if (lastActivity && (now - lastActivity) > INACTIVE_THRESHOLD) {
+        if (session.user.is_anonymous !== false && lastActivity && (now - lastActivity) > INACTIVE_THRESHOLD) {
           console.log("Session is inactive, creating new session");
           
           // Sign out user and create new session
@@ -0,0 +1,559 @@
+import { supabase } from './supabase-client.js';
+import { authManager } from './auth-manager.js';
+import { connectionManager } from './connection-manager.js';
+
+/**
+ * Chat scopes: the players of the same planet, or everyone in the game
+ * @type {string[]}
+ */
+export const CHAT_SCOPES = ['planet', 'global'];
+
+/**
+ * Longest message that can be sent, longer ones are cut
+ * @type {number}
+ */
+export const MAX_MESSAGE_LENGTH = 200;
+
+// Messages a player can send in RATE_LIMIT_WINDOW milliseconds
+// Also applied to received messages so a modified client can't flood everyone else
+const RATE_LIMIT_COUNT = 3;
+const RATE_LIMIT_WINDOW = 5000;
+
+// Emotes and pings a player can send in SIGNAL_RATE_LIMIT_WINDOW milliseconds
+const SIGNAL_RATE_LIMIT_COUNT = 5;
+const SIGNAL_RATE_LIMIT_WINDOW = 3000;
+
+// Received messages and signals allowed per channel in the same windows, however many players send them
+const CHANNEL_RATE_LIMIT_COUNT = 10;
+const CHANNEL_SIGNAL_RATE_LIMIT_COUNT = 15;
+
+/**
+ * Lightweight signals broadcast to the players of the same planet
+ * @type {string[]}
+ */
+export const PLANET_SIGNALS = ['emote', 'ping'];
+
+// Messages kept per scope for the chat panel
+const MAX_HISTORY = 50;
+
+// Player colors are hex strings, anything else broadcast as a color is dropped
+const COLOR_PATTERN = /^#[0-9a-f]{6}$/i;
+
+// Words masked in every message, with their common endings (fuck, fucks, fucking...)
+// Whole words only so harmless words like "cockpit" or "Scunthorpe" go through
+const PROFANITY = [
+  'arse', 'asshole', 'bastard', 'bitch', 'bollock', 'bullshit', 'cock', 'crap', 'cunt', 'dick',
+  'fuck', 'motherfuck', 'nigga', 'nigger', 'piss', 'prick', 'pussy', 'shit', 'slut', 'twat', 'wank', 'whore'
+];
+
+const PROFANITY_PATTERN = new RegExp(`\\b(${PROFANITY.join('|')})(s|es|ed|er|ers|ing|y|ty)?\\b`, 'gi');
+
+/**
+ * Mask the profanity of a message with asterisks
+ * @param {string} text - The message
+ * @returns {string} The message with every offending word replaced by asterisks of the same length
+ */
+export function filterProfanity(text) {
+  return text.replace(PROFANITY_PATTERN, word => '*'.repeat(word.length));
+}
+
+/**
+ * ChatManager - Handles the chat of the current game round over Supabase Realtime broadcast
+ *
+ * This class is responsible for:
+ * - Joining a private broadcast channel for the player's planet and a global one, both scoped to the game_queue round
+ * - Sending messages with a rate limit and a profanity filter
+ * - Filtering and rate limiting received messages the same way, per sender and per channel
+ * - Only showing messages of senders confirmed by verifySender
+ * - Keeping the recent messages of each scope for the chat panel
+ * - Sending emotes and pings to the players of the same planet on the planet channel
+ *
+ * Messages are broadcast by the server (send_chat_message, send_chat_signal), which sets the sender's session
+ * from their access token, clients can't broadcast on the chat channels themselves.
+ * Messages are not stored, players only see what was said while they were connected to the round.
+ */
+class ChatManager {
+  /**
+   * Create a new ChatManager instance
+   * @constructor
+   */
+  constructor() {
+    // Round and planet the channels belong to
+    this.gameId = null;
+    this.planetName = null;
+
+    // Broadcast channels by scope
+    this.channels = {};
+
+    // Recent messages by scope, oldest first
+    this.messages = { planet: [], global: [] };
+
+    // Send times of each session in the rate limit window (session ID -> timestamps)
+    this.sendTimes = {};
+    this.signalTimes = {};
+
+    // Receive times of each channel in the rate limit window (scope -> timestamps)
+    this.channelTimes = {};
+    this.channelSignalTimes = {};
+
+    // Checks that a sender is a player of the round, on the planet for the planet scope: (scope, sessionId) => boolean
+    // Senders claim their session ID in the payload, so nothing is shown until this is set
+    this.verifySender = null;
+
+    // Event callbacks
+    this.onMessage = null;
+    this.onRoomChanged = null;
+    this.onSignal = null;
+
+    // Debug mode
+    this.debug = import.meta.env.DEV;
+  }
+
+  /**
+   * Log debug messages if debug mode is enabled
+   * @param {...any} args - Arguments to log
+   * @private
+   */
+  _logDebug(...args) {
+    if (this.debug) {
+      console.log('[ChatManager]', ...args);
+    }
+  }
+
+  /**
+   * Log error messages
+   * @param {...any} args - Arguments to log
+   * @private
+   */
+  _logError(...args) {
+    console.error('[ChatManager]', ...args);
+  }
+
+  /**
+   * Join the chat of a round, switching channels only where something changed
+   * A new round starts with an empty history
+   * @param {number|null} gameId - ID of the current game
+   * @param {string|null} planetName - The player's planet, or null to only join the global chat
+   */
+  setRoom(gameId, planetName) {
+    gameId = gameId || null;
+    planetName = gameId ? planetName || null : null;
+
+    if (gameId === this.gameId && planetName === this.planetName) return;
+
+    if (gameId !== this.gameId) {
+      this._leave('global');
+      this.messages.global = [];
+      this.sendTimes = {};
+      this.signalTimes = {};
+    }
+
+    if (gameId !== this.gameId || planetName !== this.planetName) {
+      this._leave('planet');
+      this.messages.planet = [];
+      this.channelTimes = {};
+      this.channelSignalTimes = {};
+    }
+
+    this.gameId = gameId;
+    this.planetName = planetName;
+
+    if (this.gameId) {
+      if (!this.channels.global) {
+        this._join('global', `chat:${this.gameId}:global`);
+      }
+      if (this.planetName) {
+        this._join('planet', `chat:${this.gameId}:planet:${this.planetName}`);
+      }
+    }
+
+    this._logDebug(`Chat room is now game ${this.gameId}, planet ${this.planetName}`);
+
+    if (this.onRoomChanged) {
+      this.onRoomChanged(this.gameId, this.planetName);
+    }
+  }
+
+  /**
+   * Check whether messages can be sent to a scope
+   * Only players on a planet can send, spectators read the global chat
+   * @param {string} scope - 'planet' or 'global'
+   * @returns {boolean} True if the scope's channel is joined and the player is on a planet
+   */
+  canSend(scope) {
+    return !!this.channels[scope] && !!this.planetName;
+  }
+
+  /**
+   * Get the recent messages of a scope
+   * @param {string} scope - 'planet' or 'global'
+   * @returns {Array<Object>} Messages, oldest first
+   */
+  getMessages(scope) {
+    return [...(this.messages[scope] || [])];
+  }
+
+  /**
+   * Send a message to a scope
+   * @param {string} scope - 'planet' or 'global'
+   * @param {string} text - The message
+   * @param {Object} sender - How the sender is shown
+   * @param {string} sender.name - Name of the sender
+   * @param {string} [sender.color] - Color of the sender's SphereBot
+   * @returns {Promise<Object>} The sent message
+   * @throws {Error} If the message is empty, the scope isn't joined or the player sends too fast
+   */
+  async send(scope, text, sender) {
+    const sessionId = authManager.getCurrentUserId();
+    const channel = this.channels[scope];
+
+    if (!sessionId) {
+      throw new Error('No session available');
+    }
+    if (!channel) {
+      throw new Error(scope === 'planet' ? 'Join a planet to talk with your team' : 'No game to chat in');
+    }
+    if (!this.planetName) {
+      throw new Error('Join a planet to chat');
+    }
+
+    const cleanText = this._cleanText(text);
+    if (!cleanText) {
+      throw new Error('Message is empty');
+    }
+
+    if (!this._allow(this.sendTimes, sessionId, RATE_LIMIT_COUNT, RATE_LIMIT_WINDOW)) {
+      throw new Error('You are sending messages too fast, wait a few seconds');
+    }
+
+    const { data, error } = await supabase.rpc('send_chat_message', {
+      p_scope: scope,
+      p_text: cleanText,
+      p_name: String(sender?.name || '').slice(0, 24),
+      p_color: sender?.color || null
+    });
+
+    if (error) {
+      throw new Error(`Message could not be sent (${error.message})`);
+    }
+
+    const message = {
+      id: String(data.id),
+      gameId: this.gameId,
+      planetName: scope === 'planet' ? this.planetName : null,
+      scope,
+      sessionId,
+      name: data.name,
+      color: data.color,
+      text: cleanText,
+      sentAt: Date.now()
+    };
+
+    // The server's broadcast also reaches the sender, it is skipped in _receive
+    this._addMessage(message);
+
+    return message;
+  }
+
+  /**
+   * Send an emote or a ping to the other players of the planet
+   * @param {string} event - One of PLANET_SIGNALS
+   * @param {Object} data - The signal: { emote } for emotes, { position, normal } in planet space for pings
+   * @param {Object} sender - How the sender is shown
+   * @param {string} [sender.color] - Color of the sender's SphereBot
+   * @returns {Promise<Object>} The sent signal
+   * @throws {Error} If the player isn't on a planet, the signal is invalid or the player sends too fast
+   */
+  async sendSignal(event, data, sender) {
+    const sessionId = authManager.getCurrentUserId();
+    const channel = this.channels.planet;
+
+    if (!sessionId || !channel) {
+      throw new Error('Join a planet to signal your team');
+    }
+
+    const cleanSignal = this._cleanSignal(event, data);
+
+    if (!this._allow(this.signalTimes, sessionId, SIGNAL_RATE_LIMIT_COUNT, SIGNAL_RATE_LIMIT_WINDOW)) {
+      throw new Error('You are signalling too fast, wait a few seconds');
+    }
+
+    const { error } = await supabase.rpc('send_chat_signal', {
+      p_event: event,
+      p_data: cleanSignal,
+      p_color: sender?.color || null
+    });
+
+    if (error) {
+      throw new Error(`Signal could not be sent (${error.message})`);
+    }
+
+    return {
+      ...cleanSignal,
+      gameId: this.gameId,
+      planetName: this.planetName,
+      sessionId,
+      color: sender?.color || null
+    };
+  }
+
+  /**
+   * Join the broadcast channel of a scope
+   * Channels are private, the realtime.messages policies of 16_private_chat.sql decide who can read them
+   * @param {string} scope - 'planet' or 'global'
+   * @param {string} topic - Channel name
+   * @private
+   */
+  _join(scope, topic) {
+    const channel = supabase
+      .channel(topic, { config: { private: true, broadcast: { self: false } } })
+      .on('broadcast', { event: 'message' }, ({ payload }) => this._receive(scope, payload));
+
+    // Emotes and pings are only for teammates
+    if (scope === 'planet') {
+      PLANET_SIGNALS.forEach(event => {
+        channel.on('broadcast', { event }, ({ payload }) => this._receiveSignal(event, payload));
+      });
+    }
+
+    this.channels[scope] = channel;
+
+    // Join the channel again whenever it fails, messages sent in between are lost
+    connectionManager.registerChannel(`chat:${scope}`, () => {
+      this._leave(scope);
+      this._join(scope, topic);
+    });
+
+    channel.subscribe((status, error) => {
+      // A late status of a channel left since
+      if (channel !== this.channels[scope]) return;
+
+      connectionManager.reportChannelStatus(`chat:${scope}`, status);
+
+      if (error) {
+        this._logError(`Error joining ${topic}:`, error);
+      } else {
+        this._logDebug(`${topic}: ${status}`);
+      }
+    });
+  }
+
+  /**
+   * Leave the broadcast channel of a scope
+   * @param {string} scope - 'planet' or 'global'
+   * @private
+   */
+  _leave(scope) {
+    connectionManager.unregisterChannel(`chat:${scope}`);
+
+    if (this.channels[scope]) {
+      supabase.removeChannel(this.channels[scope]);
+      delete this.channels[scope];
+    }
+  }
+
+  /**
+   * Handle a message broadcast by another player
+   * The server sets the sender's session, the rest of the message comes from the sender and is checked again
+   * @param {string} scope - Scope of the channel it arrived on
+   * @param {Object} payload - The message
+   * @private
+   */
+  _receive(scope, payload) {
+    if (!payload || payload.gameId !== this.gameId || typeof payload.sessionId !== 'string') return;
+
+    // The player's own messages were added when sent
+    if (payload.sessionId === authManager.getCurrentUserId()) return;
+
+    const text = this._cleanText(payload.text);
+    if (!text) return;
+
+    if (!this._isVerified(scope, payload.sessionId)) {
+      this._logDebug(`Dropped message from ${payload.sessionId}, not a player of the ${scope} chat`);
+      return;
+    }
+
+    if (!this._allow(this.sendTimes, payload.sessionId, RATE_LIMIT_COUNT, RATE_LIMIT_WINDOW)) {
+      this._logDebug(`Dropped message from ${payload.sessionId}, sending too fast`);
+      return;
+    }
+
+    if (!this._allow(this.channelTimes, scope, CHANNEL_RATE_LIMIT_COUNT, RATE_LIMIT_WINDOW)) {
+      this._logDebug(`Dropped message from ${payload.sessionId}, the ${scope} chat is too busy`);
+      return;
+    }
+
+    this._addMessage({
+      id: String(payload.id),
+      gameId: this.gameId,
+      planetName: scope === 'planet' ? this.planetName : null,
+      scope,
+      sessionId: payload.sessionId,
+      name: String(payload.name || '').slice(0, 24),
+      color: COLOR_PATTERN.test(payload.color) ? payload.color : null,
+      text,
+      sentAt: Date.now()
+    });
+  }
+
+  /**
+   * Handle an emote or a ping broadcast by a teammate
+   * @param {string} event - One of PLANET_SIGNALS
+   * @param {Object} payload - The signal
+   * @private
+   */
+  _receiveSignal(event, payload) {
+    if (!payload || payload.gameId !== this.gameId || typeof payload.sessionId !== 'string') return;
+
+    // The player's own signals were shown when sent
+    if (payload.sessionId === authManager.getCurrentUserId()) return;
+
+    let signal;
+    try {
+      signal = this._cleanSignal(event, payload);
+    } catch (error) {
+      this._logDebug(`Dropped invalid ${event} from ${payload.sessionId}:`, error.message);
+      return;
+    }
+
+    if (!this._isVerified('planet', payload.sessionId)) {
+      this._logDebug(`Dropped ${event} from ${payload.sessionId}, not a player of the planet`);
+      return;
+    }
+
+    if (!this._allow(this.signalTimes, payload.sessionId, SIGNAL_RATE_LIMIT_COUNT, SIGNAL_RATE_LIMIT_WINDOW)) {
+      this._logDebug(`Dropped ${event} from ${payload.sessionId}, signalling too fast`);
+      return;
+    }
+
+    if (!this._allow(this.channelSignalTimes, 'planet', CHANNEL_SIGNAL_RATE_LIMIT_COUNT, SIGNAL_RATE_LIMIT_WINDOW)) {
+      this._logDebug(`Dropped ${event} from ${payload.sessionId}, the planet is signalling too fast`);
+      return;
+    }
+
+    if (this.onSignal) {
+      this.onSignal(event, {
+        ...signal,
+        gameId: this.gameId,
+        planetName: this.planetName,
+        sessionId: payload.sessionId,
+        color: COLOR_PATTERN.test(payload.color) ? payload.color : null
+      });
+    }
+  }
+
+  /**
+   * Check that the claimed sender of a message or signal is a player of the scope
+   * @param {string} scope - 'planet' or 'global'
+   * @param {string} sessionId - The session ID the sender claims
+   * @returns {boolean} True if verifySender confirms the sender
+   * @private
+   */
+  _isVerified(scope, sessionId) {
+    return !!this.verifySender && this.verifySender(scope, sessionId);
+  }
+
+  /**
+   * Keep only the known fields of a signal
+   * @param {string} event - One of PLANET_SIGNALS
+   * @param {Object} data - The signal
+   * @returns {Object} { emote } or { position, normal }
+   * @throws {Error} If the signal is unknown or malformed
+   * @private
+   */
+  _cleanSignal(event, data) {
+    const toVector = (vector) => {
+      const { x, y, z } = vector || {};
+      if (![x, y, z].every(Number.isFinite)) {
+        throw new Error('Ping needs a position and a normal');
+      }
+      return { x, y, z };
+    };
+
+    switch (event) {
+      case 'emote':
+        if (typeof data?.emote !== 'string' || !data.emote) {
+          throw new Error('Emote needs a name');
+        }
+        return { emote: data.emote.slice(0, 24) };
+      case 'ping':
+        return { position: toVector(data?.position), normal: toVector(data?.normal) };
+      default:
+        throw new Error(`Unknown signal "${event}"`);
+    }
+  }
+
+  /**
+   * Trim, cut and filter the text of a message
+   * @param {*} text - The text
+   * @returns {string} The cleaned text, empty if there is nothing to send
+   * @private
+   */
+  _cleanText(text) {
+    if (typeof text !== 'string') return '';
+
+    // Collapse whitespace so messages stay on a line in bubbles
+    const singleLine = text.replace(/\s+/g, ' ').trim();
+    return filterProfanity(singleLine.slice(0, MAX_MESSAGE_LENGTH));
+  }
+
+  /**
+   * Record a message or signal of a session or channel if it is under the rate limit
+   * @param {Object} log - Send times by key: sendTimes or signalTimes by session ID, channelTimes or channelSignalTimes by scope
+   * @param {string} key - The sender's session ID, or the scope of the channel
+   * @param {number} count - Most sends allowed in the window
+   * @param {number} window - Window length in milliseconds
+   * @returns {boolean} True if the send is allowed
+   * @private
+   */
+  _allow(log, key, count, window) {
+    const now = Date.now();
+    const recent = (log[key] || []).filter(time => now - time < window);
+
+    if (recent.length >= count) {
+      log[key] = recent;
+      return false;
+    }
+
+    recent.push(now);
+    log[key] = recent;
+    return true;
+  }
+
+  /**
+   * Add a message to the history of its scope and notify listeners
+   * @param {Object} message - The message
+   * @private
+   */
+  _addMessage(message) {
+    const history = this.messages[message.scope];
+    if (history.some(existing => existing.id === message.id)) return;
+
+    history.push(message);
+    if (history.length > MAX_HISTORY) {
+      history.shift();
+    }
+
+    if (this.onMessage) {
+      this.onMessage(message);
+    }
+  }
+
+  /**
+   * Clean up resources used by this object
+   */
+  cleanup() {
+    CHAT_SCOPES.forEach(scope => this._leave(scope));
+
+    this.gameId = null;
+    this.planetName = null;
+    this.messages = { planet: [], global: [] };
+    this.sendTimes = {};
+    this.signalTimes = {};
+    this.channelTimes = {};
+    this.channelSignalTimes = {};
+  }
+}
+
+// Create and export a singleton instance
+export const chatManager = new ChatManager();
@@ -0,0 +1,219 @@
+import { describe, it, expect, vi, beforeEach, afterEach } from 'vitest';
+
+const supabase = vi.hoisted(() => ({ rpc: vi.fn(), removeChannel: vi.fn() }));
+
+vi.mock('./supabase-client.js', () => ({ supabase }));
+vi.mock('./auth-manager.js', () => ({ authManager: { getCurrentUserId: () => 'me' } }));
+vi.mock('./connection-manager.js', () => ({ connectionManager: { unregisterChannel: vi.fn() } }));
+
+import { chatManager, filterProfanity } from './chat-manager.js';
+
+/**
+ * Message as broadcast by send_chat_message
+ * @param {Object} [fields] - Fields to override
+ * @returns {Object} The payload
+ */
+function payload(fields = {}) {
+  return {
+    id: `${Math.random()}`,
+    gameId: 7,
+    scope: 'global',
+    sessionId: 'teammate',
+    name: 'Ada',
+    color: '#FF5252',
+    text: 'Hello',
+    ...fields
+  };
+}
+
+describe('filterProfanity', () => {
+  it('masks whole words and their endings', () => {
+    expect(filterProfanity('Shit, what the fucking rocket')).toBe('****, what the ******* rocket');
+  });
+
+  it('keeps harmless words containing them', () => {
+    expect(filterProfanity('Back to the cockpit in Scunthorpe')).toBe('Back to the cockpit in Scunthorpe');
+  });
+});
+
+describe('ChatManager', () => {
+  let verifySender;
+
+  beforeEach(() => {
+    vi.useFakeTimers();
+    vi.spyOn(console, 'log').mockImplementation(() => {});
+    supabase.rpc.mockReset();
+
+    chatManager.cleanup();
+    chatManager.gameId = 7;
+    chatManager.planetName = 'earth';
+    chatManager.channels = { global: {}, planet: {} };
+
+    verifySender = vi.fn((scope, sessionId) => sessionId !== 'stranger');
+    chatManager.verifySender = verifySender;
+    chatManager.onMessage = vi.fn();
+    chatManager.onSignal = vi.fn();
+  });
+
+  afterEach(() => {
+    chatManager.channels = {};
+    chatManager.cleanup();
+    vi.useRealTimers();
+    vi.restoreAllMocks();
+  });
+
+  describe('receiving messages', () => {
+    it('shows filtered messages of verified senders', () => {
+      chatManager._receive('global', payload({ text: '  shit   happens ' }));
+
+      expect(chatManager.getMessages('global')).toEqual([
+        expect.objectContaining({ sessionId: 'teammate', text: '**** happens', name: 'Ada', color: '#FF5252' })
+      ]);
+      expect(verifySender).toHaveBeenCalledWith('global', 'teammate');
+    });
+
+    it('drops messages of senders that are not players of the scope', () => {
+      chatManager._receive('planet', payload({ sessionId: 'stranger' }));
+
+      expect(chatManager.getMessages('planet')).toEqual([]);
+    });
+
+    it('drops everything until senders can be verified', () => {
+      chatManager.verifySender = null;
+      chatManager._receive('global', payload());
+
+      expect(chatManager.onMessage).not.toHaveBeenCalled();
+    });
+
+    it('drops its own messages coming back from the server', () => {
+      chatManager._receive('global', payload({ sessionId: 'me' }));
+
+      expect(chatManager.onMessage).not.toHaveBeenCalled();
+    });
+
+    it('drops malformed messages and messages of another game', () => {
+      chatManager._receive('global', null);
+      chatManager._receive('global', payload({ gameId: 6 }));
+      chatManager._receive('global', payload({ sessionId: 42 }));
+      chatManager._receive('global', payload({ text: '   ' }));
+      chatManager._receive('global', payload({ text: { html: '<b>' } }));
+
+      expect(chatManager.onMessage).not.toHaveBeenCalled();
+    });
+
+    it('drops unknown colors', () => {
+      chatManager._receive('global', payload({ color: 'red; background: url(x)' }));
+
+      expect(chatManager.getMessages('global')[0].color).toBeNull();
+    });
+
+    it('rate limits each sender', () => {
+      for (let i = 0; i < 5; i++) {
+        chatManager._receive('global', payload());
+      }
+      expect(chatManager.getMessages('global')).toHaveLength(3);
+
+      vi.advanceTimersByTime(5000);
+      chatManager._receive('global', payload());
+      expect(chatManager.getMessages('global')).toHaveLength(4);
+    });
+
+    it('rate limits each channel, whoever sends', () => {
+      for (let i = 0; i < 15; i++) {
+        chatManager._receive('global', payload({ sessionId: `player-${i}` }));
+      }
+
+      expect(chatManager.getMessages('global')).toHaveLength(10);
+    });
+  });
+
+  describe('receiving signals', () => {
+    it('passes on valid signals of verified teammates', () => {
+      chatManager._receiveSignal('emote', { emote: 'wave', gameId: 7, sessionId: 'teammate', color: '#FF5252' });
+
+      expect(chatManager.onSignal).toHaveBeenCalledWith('emote', {
+        emote: 'wave',
+        gameId: 7,
+        planetName: 'earth',
+        sessionId: 'teammate',
+        color: '#FF5252'
+      });
+      expect(verifySender).toHaveBeenCalledWith('planet', 'teammate');
+    });
+
+    it('drops invalid signals and signals of unverified senders', () => {
+      chatManager._receiveSignal('ping', { position: { x: 1, y: 2 }, normal: { x: 0, y: 1, z: 0 }, gameId: 7, sessionId: 'teammate' });
+      chatManager._receiveSignal('emote', { emote: 'wave', gameId: 7, sessionId: 'stranger' });
+      chatManager._receiveSignal('emote', { emote: 'wave', gameId: 7, sessionId: 'me' });
+
+      expect(chatManager.onSignal).not.toHaveBeenCalled();
+    });
+  });
+
+  describe('sending', () => {
+    it('sends messages through the server, which sets the sender', async () => {
+      supabase.rpc.mockResolvedValue({ data: { id: 'server-id', name: 'Ada', color: '#FF5252' }, error: null });
+
+      const message = await chatManager.send('planet', ' Go  team ', { name: 'Ada', color: '#FF5252' });
+
+      expect(supabase.rpc).toHaveBeenCalledWith('send_chat_message', {
+        p_scope: 'planet',
+        p_text: 'Go team',
+        p_name: 'Ada',
+        p_color: '#FF5252'
+      });
+      expect(message).toEqual(expect.objectContaining({ id: 'server-id', sessionId: 'me', text: 'Go team' }));
+      expect(chatManager.getMessages('planet')).toEqual([message]);
+    });
+
+    it('rejects messages when the server does', async () => {
+      supabase.rpc.mockResolvedValue({ data: null, error: { message: 'Join a planet to chat' } });
+
+      await expect(chatManager.send('global', 'Hi', { name: 'Ada' })).rejects.toThrow('Join a planet to chat');
+      expect(chatManager.getMessages('global')).toEqual([]);
+    });
+
+    it("doesn't let spectators send", async () => {
+      chatManager.planetName = null;
+
+      expect(chatManager.canSend('global')).toBe(false);
+      await expect(chatManager.send('global', 'Hi', { name: 'Ada' })).rejects.toThrow('Join a planet to chat');
+      expect(supabase.rpc).not.toHaveBeenCalled();
+    });
+  });
+
+  describe('sending signals', () => {
+    it('sends the known fields of a ping through the server', async () => {
+      supabase.rpc.mockResolvedValue({ data: {}, error: null });
+      const ping = { position: { x: 1, y: 2, z: 3 }, normal: { x: 0, y: 1, z: 0, w: 1 }, html: '<b>' };
+
+      const signal = await chatManager.sendSignal('ping', ping, { color: '#FF5252' });
+
+      expect(supabase.rpc).toHaveBeenCalledWith('send_chat_signal', {
+        p_event: 'ping',
+        p_data: { position: { x: 1, y: 2, z: 3 }, normal: { x: 0, y: 1, z: 0 } },
+        p_color: '#FF5252'
+      });
+      expect(signal).toEqual(expect.objectContaining({ gameId: 7, planetName: 'earth', sessionId: 'me' }));
+    });
+
+    it('rejects unknown and malformed signals', async () => {
+      await expect(chatManager.sendSignal('shout', {})).rejects.toThrow('Unknown signal');
+      await expect(chatManager.sendSignal('emote', { emote: '' })).rejects.toThrow('Emote needs a name');
+      await expect(chatManager.sendSignal('ping', { position: { x: 1, y: 2 } })).rejects.toThrow('Ping needs a position');
+      expect(supabase.rpc).not.toHaveBeenCalled();
+    });
+
+    it('rate limits signals and needs a planet', async () => {
+      supabase.rpc.mockResolvedValue({ data: {}, error: null });
+
+      for (let i = 0; i < 5; i++) {
+        await chatManager.sendSignal('emote', { emote: 'wave' });
+      }
+      await expect(chatManager.sendSignal('emote', { emote: 'wave' })).rejects.toThrow('signalling too fast');
+
+      chatManager.channels = {};
+      await expect(chatManager.sendSignal('emote', { emote: 'wave' })).rejects.toThrow('Join a planet');
+    });
+  });
+});
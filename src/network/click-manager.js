@@ -0,0 +1,251 @@
+import { authManager } from './auth-manager.js';
+import { connectionManager } from './connection-manager.js';
+
+/**
+ * Default interval (in seconds) between click batch pushes
+ * Can be overridden with the VITE_CLICK_PUSH_RATE environment variable
+ * @type {number}
+ */
+export const CLICK_PUSH_RATE = Number(import.meta.env.VITE_CLICK_PUSH_RATE) || 2;
+
+/**
+ * Most clicks per second the server accepts, must match MAX_CLICKS_PER_SECOND in api/push_clicks.js
+ * Can be overridden with the VITE_MAX_CLICKS_PER_SECOND environment variable
+ * @type {number}
+ */
+const MAX_CLICKS_PER_SECOND = Number(import.meta.env.VITE_MAX_CLICKS_PER_SECOND) || 15;
+
+// Pushes may reach the server a little early (RATE_LIMIT_TOLERANCE in api/push_clicks.js)
+const RATE_LIMIT_TOLERANCE = 0.8;
+
+/**
+ * ClickManager - Accumulates clicks locally and pushes them to the server in batches
+ *
+ * This class is responsible for:
+ * - Counting clicks made by the current player between pushes
+ * - Flushing accumulated clicks to /api/push_clicks on a fixed interval
+ * - Retrying failed pushes by keeping the clicks for the next batch
+ * - Queueing the clicks made while offline and pushing them in batches the server accepts once back online
+ * - Dropping the clicks of a game once another game starts, so they never count for it
+ */
+class ClickManager {
+  /**
+   * Create a new ClickManager instance
+   * @constructor
+   */
+  constructor() {
+    // Clicks accumulated since the last successful push
+    this.pendingClicks = 0;
+
+    // Game the pending clicks belong to, sent with every push
+    this.gameId = null;
+
+    // Endpoint that records the click batches
+    this.endpoint = '/api/push_clicks';
+
+    // Push interval in milliseconds
+    this.pushInterval = CLICK_PUSH_RATE * 1000;
+
+    // Timer handle for the periodic flush
+    this.flushTimer = null;
+
+    // Whether a push request is currently in flight
+    this.isFlushing = false;
+
+    // Clicks sent in the request that is currently in flight
+    this.inFlightClicks = 0;
+
+    // Event callbacks
+    this.onClicksPushed = null;
+    this.onPushError = null;
+
+    // Debug mode
+    this.debug = import.meta.env.DEV;
+  }
+
+  /**
+   * Log debug messages if debug mode is enabled
+   * @param {...any} args - Arguments to log
+   * @private
+   */
+  _logDebug(...args) {
+    if (this.debug) {
+      console.log('[ClickManager]', ...args);
+    }
+  }
+
+  /**
+   * Log error messages
+   * @param {...any} args - Arguments to log
+   * @private
+   */
+  _logError(...args) {
+    console.error('[ClickManager]', ...args);
+  }
+
+  /**
+   * Start the periodic flush of accumulated clicks
+   * @param {number} [intervalSeconds] - Optional push interval override in seconds
+   */
+  start(intervalSeconds) {
+    if (intervalSeconds) {
+      this.pushInterval = intervalSeconds * 1000;
+    }
+
+    // Restart the timer if already running
+    this.stop();
+
+    this.flushTimer = setInterval(() => this.flush(), this.pushInterval);
+    this._logDebug(`Started click pushes every ${this.pushInterval}ms`);
+  }
+
+  /**
+   * Stop the periodic flush
+   */
+  stop() {
+    if (this.flushTimer) {
+      clearInterval(this.flushTimer);
+      this.flushTimer = null;
+    }
+  }
+
+  /**
+   * Switch to another game, the clicks not pushed yet belonged to the previous one and are dropped
+   * @param {number|null} gameId - ID of the current game
+   */
+  setGame(gameId) {
+    gameId = gameId || null;
+    if (gameId === this.gameId) return;
+
+    if (this.pendingClicks > 0) {
+      this._logDebug(`Dropped ${this.pendingClicks} clicks of game ${this.gameId}, game ${gameId} started`);
+    }
+
+    this.gameId = gameId;
+    this.pendingClicks = 0;
+  }
+
+  /**
+   * Record a click made by the current player
+   * @param {number} [count=1] - Number of clicks to add
+   */
+  addClick(count = 1) {
+    this.pendingClicks += count;
+  }
+
+  /**
+   * Get the clicks the server has not confirmed yet (queued or in flight)
+   * @returns {number} Number of unconfirmed clicks
+   */
+  getUnconfirmedClicks() {
+    return this.pendingClicks + this.inFlightClicks;
+  }
+
+  /**
+   * Get the most clicks a single push can carry without being rejected by the server's rate check
+   * @returns {number} Maximum clicks per push
+   */
+  getMaxBatchSize() {
+    return Math.floor(MAX_CLICKS_PER_SECOND * (this.pushInterval / 1000) * RATE_LIMIT_TOLERANCE);
+  }
+
+  /**
+   * Push the accumulated clicks to the server
+   * Clicks beyond what a push can carry stay pending for the next ones
+   * @returns {Promise<boolean>} Whether the clicks were recorded
+   */
+  async flush() {
+    if (this.isFlushing || this.pendingClicks <= 0 || !this.gameId) {
+      return false;
+    }
+
+    // Keep the clicks until the connection is back, pushing them now would only fail
+    if (connectionManager.isOffline()) {
+      connectionManager.enqueue('clicks', async () => (await this.flush()) || this.pendingClicks === 0);
+      return false;
+    }
+
+    const accessToken = authManager.currentSession?.access_token;
+    if (!accessToken) {
+      this._logDebug('No session available, keeping clicks for next push');
+      return false;
+    }
+
+    // Take the current batch so clicks made during the request go into the next one
+    const gameId = this.gameId;
+    const clicks = Math.min(this.pendingClicks, this.getMaxBatchSize());
+    this.pendingClicks -= clicks;
+    this.inFlightClicks = clicks;
+    this.isFlushing = true;
+
+    try {
+      const response = await fetch(this.endpoint, {
+        method: 'POST',
+        headers: {
+          'Content-Type': 'application/json',
+          Authorization: `Bearer ${accessToken}`
+        },
+        body: JSON.stringify({ clicks, gameId })
+      });
+
+      const result = await response.json().catch(() => ({}));
+
+      // Rejected pushes still reached the server, only server errors are connection problems
+      if (response.status >= 500) {
+        connectionManager.reportRequestFailure(new Error(`Push failed with status ${response.status}`));
+      } else {
+        connectionManager.reportRequestSuccess();
+      }
+
+      if (!response.ok) {
+        // Rate limited or server error: retry the batch on the next push, unless its game is over
+        // A 409 means the game has ended or changed, its clicks are dropped
+        if ((response.status === 429 || response.status >= 500) && gameId === this.gameId) {
+          this.pendingClicks += clicks;
+        }
+        throw new Error(result.error || `Push failed with status ${response.status}`);
+      }
+
+      this._logDebug(`Pushed ${clicks} clicks`, result);
+
+      if (this.onClicksPushed) {
+        this.onClicksPushed(result);
+      }
+
+      return true;
+    } catch (error) {
+      // Network failures never reach the status check above, so keep their clicks too
+      if (error instanceof TypeError) {
+        if (gameId === this.gameId) {
+          this.pendingClicks += clicks;
+        }
+        connectionManager.reportRequestFailure(error);
+      }
+
+      this._logError('Error pushing clicks:', error);
+
+      if (this.onPushError) {
+        this.onPushError(error);
+      }
+
+      return false;
+    } finally {
+      this.inFlightClicks = 0;
+      this.isFlushing = false;
+    }
+  }
+
+  /**
+   * Clean up resources used by this object
+   */
+  cleanup() {
+    this.stop();
+    this.gameId = null;
+    this.pendingClicks = 0;
+    this.inFlightClicks = 0;
+    this.isFlushing = false;
+  }
+}
+
+// Create and export a singleton instance
+export const clickManager = new ClickManager();
@@ -0,0 +1,186 @@
+import { describe, it, expect, vi, beforeEach, afterEach } from 'vitest';
+
+const connectionManager = vi.hoisted(() => ({
+  isOffline: vi.fn(() => false),
+  enqueue: vi.fn(),
+  reportRequestFailure: vi.fn(),
+  reportRequestSuccess: vi.fn()
+}));
+
+vi.mock('./auth-manager.js', () => ({ authManager: { currentSession: { access_token: 'token' } } }));
+vi.mock('./connection-manager.js', () => ({ connectionManager }));
+
+import { clickManager } from './click-manager.js';
+
+/**
+ * Response of /api/push_clicks
+ * @param {number} status - HTTP status
+ * @param {Object} [body] - JSON body
+ * @returns {Object} A fetch response
+ */
+function response(status, body = {}) {
+  return { ok: status < 400, status, json: async () => body };
+}
+
+describe('ClickManager', () => {
+  let fetch;
+
+  beforeEach(() => {
+    vi.spyOn(console, 'log').mockImplementation(() => {});
+    vi.spyOn(console, 'error').mockImplementation(() => {});
+    fetch = vi.fn().mockResolvedValue(response(200, { success: true }));
+    vi.stubGlobal('fetch', fetch);
+    Object.values(connectionManager).forEach(mock => mock.mockClear());
+
+    clickManager.cleanup();
+    clickManager.setGame(7);
+  });
+
+  afterEach(() => {
+    clickManager.cleanup();
+    vi.unstubAllGlobals();
+    vi.restoreAllMocks();
+  });
+
+  describe('flush', () => {
+    it('pushes the accumulated clicks with the game and the access token', async () => {
+      const onClicksPushed = vi.fn();
+      clickManager.onClicksPushed = onClicksPushed;
+      clickManager.addClick(3);
+
+      await expect(clickManager.flush()).resolves.toBe(true);
+
+      expect(fetch).toHaveBeenCalledWith('/api/push_clicks', expect.objectContaining({
+        method: 'POST',
+        headers: expect.objectContaining({ Authorization: 'Bearer token' }),
+        body: JSON.stringify({ clicks: 3, gameId: 7 })
+      }));
+      expect(clickManager.getUnconfirmedClicks()).toBe(0);
+      expect(onClicksPushed).toHaveBeenCalledWith({ success: true });
+
+      clickManager.onClicksPushed = null;
+    });
+
+    it('sends nothing without clicks', async () => {
+      await expect(clickManager.flush()).resolves.toBe(false);
+
+      expect(fetch).not.toHaveBeenCalled();
+    });
+
+    it('keeps the clicks made during a push for the next one', async () => {
+      let respond;
+      fetch.mockReturnValueOnce(new Promise(resolve => { respond = resolve; }));
+      clickManager.addClick(2);
+
+      const push = clickManager.flush();
+      clickManager.addClick(5);
+      expect(clickManager.getUnconfirmedClicks()).toBe(7);
+
+      // A push is already in flight
+      await expect(clickManager.flush()).resolves.toBe(false);
+
+      respond(response(200));
+      await push;
+      expect(clickManager.pendingClicks).toBe(5);
+    });
+
+    it.each([429, 500, 503])('retries the batch on the next push after a %i', async (status) => {
+      fetch.mockResolvedValueOnce(response(status, { error: 'Try again' }));
+      clickManager.addClick(4);
+
+      await expect(clickManager.flush()).resolves.toBe(false);
+      expect(clickManager.pendingClicks).toBe(4);
+
+      await expect(clickManager.flush()).resolves.toBe(true);
+      expect(JSON.parse(fetch.mock.calls[1][1].body).clicks).toBe(4);
+    });
+
+    it('retries the batch after a network failure', async () => {
+      fetch.mockRejectedValueOnce(new TypeError('Failed to fetch'));
+      clickManager.addClick(4);
+
+      await expect(clickManager.flush()).resolves.toBe(false);
+
+      expect(clickManager.pendingClicks).toBe(4);
+      expect(connectionManager.reportRequestFailure).toHaveBeenCalled();
+    });
+
+    it('drops batches the server rejects', async () => {
+      const onPushError = vi.fn();
+      clickManager.onPushError = onPushError;
+      fetch.mockResolvedValueOnce(response(400, { error: 'Invalid click count' }));
+      clickManager.addClick(4);
+
+      await expect(clickManager.flush()).resolves.toBe(false);
+
+      expect(clickManager.getUnconfirmedClicks()).toBe(0);
+      expect(onPushError).toHaveBeenCalledWith(new Error('Invalid click count'));
+      // The server answered, the connection is fine
+      expect(connectionManager.reportRequestSuccess).toHaveBeenCalled();
+
+      clickManager.onPushError = null;
+    });
+  });
+
+  describe('offline and game changes', () => {
+    it('queues the clicks while offline and pushes them once back', async () => {
+      connectionManager.isOffline.mockReturnValueOnce(true);
+      clickManager.addClick(3);
+
+      await expect(clickManager.flush()).resolves.toBe(false);
+      expect(fetch).not.toHaveBeenCalled();
+      expect(connectionManager.enqueue).toHaveBeenCalledWith('clicks', expect.any(Function));
+
+      const replay = connectionManager.enqueue.mock.calls[0][1];
+      await expect(replay()).resolves.toBe(true);
+      expect(JSON.parse(fetch.mock.calls[0][1].body)).toEqual({ clicks: 3, gameId: 7 });
+    });
+
+    it('pushes the clicks queued offline in batches the server accepts', async () => {
+      // 15 clicks per second over a 2 second push, minus the rate tolerance
+      expect(clickManager.getMaxBatchSize()).toBe(24);
+      clickManager.addClick(50);
+
+      await clickManager.flush();
+      await clickManager.flush();
+
+      expect(fetch.mock.calls.map(([, options]) => JSON.parse(options.body).clicks)).toEqual([24, 24]);
+      expect(clickManager.pendingClicks).toBe(2);
+    });
+
+    it('drops the clicks of a game once another starts', async () => {
+      clickManager.addClick(3);
+      clickManager.setGame(8);
+
+      await expect(clickManager.flush()).resolves.toBe(false);
+      expect(clickManager.getUnconfirmedClicks()).toBe(0);
+
+      clickManager.setGame(null);
+      clickManager.addClick(3);
+      await expect(clickManager.flush()).resolves.toBe(false);
+      expect(fetch).not.toHaveBeenCalled();
+    });
+
+    it("doesn't retry a failed batch once its game is over", async () => {
+      let respond;
+      fetch.mockReturnValueOnce(new Promise(resolve => { respond = resolve; }));
+      clickManager.addClick(4);
+
+      const push = clickManager.flush();
+      clickManager.setGame(8);
+      respond(response(503));
+      await push;
+
+      expect(clickManager.pendingClicks).toBe(0);
+    });
+
+    it('drops batches for a game that ended', async () => {
+      fetch.mockResolvedValueOnce(response(409, { error: 'Clicks belong to another game' }));
+      clickManager.addClick(4);
+
+      await expect(clickManager.flush()).resolves.toBe(false);
+
+      expect(clickManager.pendingClicks).toBe(0);
+    });
+  });
+});
@@ -0,0 +1,485 @@
+import { supabase } from './supabase-client.js';
+
+/**
+ * States of the connection to Supabase
+ * @type {Object<string, string>}
+ */
+export const CONNECTION_STATES = Object.freeze({
+  // The realtime socket is not open yet, at startup or while it reconnects
+  CONNECTING: 'connecting',
+  // Every channel is joined and requests go through
+  ONLINE: 'online',
+  // Connected, but some channels or requests fail
+  DEGRADED: 'degraded',
+  // No network, or neither the socket nor requests go through
+  OFFLINE: 'offline'
+});
+
+// Delay before retrying, doubled after each failure up to the maximum (ms)
+const RETRY_BASE_DELAY = 1000;
+const RETRY_MAX_DELAY = 30 * 1000;
+
+// Channel statuses after which the channel has to be joined again
+const FAILED_CHANNEL_STATUSES = ['CHANNEL_ERROR', 'TIMED_OUT', 'CLOSED'];
+
+/**
+ * ConnectionManager - Tracks the connection to Supabase and recovers from losing it
+ *
+ * This class is responsible for:
+ * - Deriving a connecting/online/degraded/offline state from the browser, the realtime socket,
+ *   the channels and the requests made by the other managers
+ * - Joining failed channels again with exponential backoff, and right away when the network is back
+ * - Queueing writes made while offline (clicks, position saves) and replaying them once back online
+ */
+class ConnectionManager {
+  /**
+   * Create a new ConnectionManager instance
+   * @constructor
+   */
+  constructor() {
+    this.state = CONNECTION_STATES.CONNECTING;
+
+    // What the state is derived from
+    this.browserOnline = typeof navigator === 'undefined' || navigator.onLine !== false;
+    this.socketOpen = false;
+    this.failedRequests = 0;
+
+    // Channels joined again when they fail (name -> { status, resubscribe, attempts, timer, pending })
+    this.channels = new Map();
+
+    // Tasks retried until they succeed (key -> { task, attempts, timer })
+    this.retries = new Map();
+
+    // Writes waiting for the connection, a newer write with the same key replaces the older one (key -> task)
+    this.outbox = new Map();
+    this.isFlushing = false;
+
+    this.isStarted = false;
+
+    // Event callbacks
+    this.onStateChanged = null;
+
+    // Debug mode
+    this.debug = import.meta.env.DEV;
+
+    // Bound so they can be removed
+    this._handleOnline = () => this._setBrowserOnline(true);
+    this._handleOffline = () => this._setBrowserOnline(false);
+  }
+
+  /**
+   * Log debug messages if debug mode is enabled
+   * @param {...any} args - Arguments to log
+   * @private
+   */
+  _logDebug(...args) {
+    if (this.debug) {
+      console.log('[ConnectionManager]', ...args);
+    }
+  }
+
+  /**
+   * Log error messages
+   * @param {...any} args - Arguments to log
+   * @private
+   */
+  _logError(...args) {
+    console.error('[ConnectionManager]', ...args);
+  }
+
+  /**
+   * Start following the browser's network and the realtime socket
+   */
+  start() {
+    if (this.isStarted) return;
+    this.isStarted = true;
+
+    if (typeof window !== 'undefined') {
+      window.addEventListener('online', this._handleOnline);
+      window.addEventListener('offline', this._handleOffline);
+    }
+
+    // The socket reconnects and joins its channels again by itself, it only tells when it opens and closes
+    const socket = supabase.realtime;
+    if (socket && socket.stateChangeCallbacks) {
+      socket.stateChangeCallbacks.open.push(() => this._setSocketOpen(true));
+      socket.stateChangeCallbacks.close.push(() => this._setSocketOpen(false));
+      socket.stateChangeCallbacks.error.push((error) => this._logDebug('Realtime socket error:', error));
+      this.socketOpen = socket.isConnected();
+    }
+
+    this._updateState();
+  }
+
+  /**
+   * Check whether there is no connection at all
+   * @returns {boolean} True while offline
+   */
+  isOffline() {
+    return this.state === CONNECTION_STATES.OFFLINE;
+  }
+
+  /**
+   * Join a channel again whenever it fails
+   * @param {string} name - Channel name
+   * @param {Function} resubscribe - Replaces the channel with a new one, may return a promise
+   */
+  registerChannel(name, resubscribe) {
+    const channel = this.channels.get(name);
+    if (channel) {
+      channel.resubscribe = resubscribe;
+      return;
+    }
+
+    this.channels.set(name, { status: 'joining', resubscribe, attempts: 0, timer: null, pending: false });
+    this._updateState();
+  }
+
+  /**
+   * Stop joining a channel again, call it before leaving the channel on purpose
+   * @param {string} name - Channel name
+   */
+  unregisterChannel(name) {
+    const channel = this.channels.get(name);
+    if (!channel) return;
+
+    clearTimeout(channel.timer);
+    this.channels.delete(name);
+    this._updateState();
+  }
+
+  /**
+   * Report the status of a registered channel, as given to its subscribe callback
+   * @param {string} name - Channel name
+   * @param {string} status - SUBSCRIBED, CHANNEL_ERROR, TIMED_OUT or CLOSED
+   */
+  reportChannelStatus(name, status) {
+    const channel = this.channels.get(name);
+    if (!channel) return;
+
+    channel.status = status;
+
+    if (status === 'SUBSCRIBED') {
+      channel.attempts = 0;
+    } else if (FAILED_CHANNEL_STATUSES.includes(status)) {
+      this._scheduleResubscribe(name);
+    }
+
+    this._updateState();
+  }
+
+  /**
+   * Report a request that went through
+   */
+  reportRequestSuccess() {
+    const hadFailures = this.failedRequests > 0;
+    this.failedRequests = 0;
+    this._updateState();
+
+    // The requests that failed before this one can go through now too
+    if (hadFailures || this.outbox.size) {
+      this._flushOutbox();
+    }
+  }
+
+  /**
+   * Report a request that could not reach the server
+   * Requests rejected by the server (e.g. rate limits) are not connection problems and shouldn't be reported
+   * @param {Error} [error] - The error
+   */
+  reportRequestFailure(error) {
+    this.failedRequests++;
+    this._logDebug(`Request failed (${this.failedRequests} in a row):`, error);
+    this._updateState();
+  }
+
+  /**
+   * Make a write now, or keep it queued until the connection is back if it can't go through
+   * @param {string} key - What the write is about, a newer write with the same key replaces the older one
+   * @param {Function} task - Makes the write, resolves to false or throws if it has to be retried
+   */
+  enqueue(key, task) {
+    this.outbox.set(key, task);
+    this._logDebug(`Queued ${key}, ${this.outbox.size} writes waiting`);
+
+    if (!this.isOffline()) {
+      this._flushOutbox();
+    }
+  }
+
+  /**
+   * Get the number of writes waiting for the connection
+   * @returns {number} Queued writes
+   */
+  getQueuedCount() {
+    return this.outbox.size;
+  }
+
+  /**
+   * Run a task again with exponential backoff until it succeeds, waiting while offline
+   * Does nothing if a task with the same key is already being retried
+   * @param {string} key - What the task is about
+   * @param {Function} task - Resolves to false or throws if it has to be retried
+   */
+  retry(key, task) {
+    if (this.retries.has(key)) return;
+
+    this.retries.set(key, { task, attempts: 0, timer: null });
+    this._scheduleRetry(key);
+  }
+
+  /**
+   * Stop retrying a task
+   * @param {string} key - What the task is about
+   */
+  cancelRetry(key) {
+    const entry = this.retries.get(key);
+    if (!entry) return;
+
+    clearTimeout(entry.timer);
+    this.retries.delete(key);
+  }
+
+  /**
+   * Get the delay before the next attempt
+   * @param {number} attempts - Attempts made so far
+   * @returns {number} Delay in milliseconds
+   * @private
+   */
+  _getRetryDelay(attempts) {
+    return Math.min(RETRY_BASE_DELAY * Math.pow(2, attempts), RETRY_MAX_DELAY);
+  }
+
+  /**
+   * Schedule the next attempt of a task, or leave it for when the connection is back
+   * @param {string} key - What the task is about
+   * @private
+   */
+  _scheduleRetry(key) {
+    const entry = this.retries.get(key);
+    if (!entry || entry.timer || this.isOffline()) return;
+
+    const delay = this._getRetryDelay(entry.attempts++);
+    entry.timer = setTimeout(() => this._runRetry(key), delay);
+  }
+
+  /**
+   * Make an attempt of a task
+   * @param {string} key - What the task is about
+   * @private
+   */
+  async _runRetry(key) {
+    const entry = this.retries.get(key);
+    if (!entry) return;
+    entry.timer = null;
+
+    let success = false;
+    try {
+      success = (await entry.task()) !== false;
+    } catch (error) {
+      this._logError(`Retry of ${key} failed:`, error);
+    }
+
+    // Cancelled while running
+    if (this.retries.get(key) !== entry) return;
+
+    if (success) {
+      this.retries.delete(key);
+    } else {
+      this._scheduleRetry(key);
+    }
+  }
+
+  /**
+   * Schedule joining a failed channel again, or leave it for when the connection is back
+   * @param {string} name - Channel name
+   * @private
+   */
+  _scheduleResubscribe(name) {
+    const channel = this.channels.get(name);
+    if (!channel || channel.timer) return;
+
+    if (this.isOffline()) {
+      channel.pending = true;
+      return;
+    }
+
+    const delay = this._getRetryDelay(channel.attempts++);
+    this._logDebug(`Joining ${name} again in ${delay}ms`);
+    channel.timer = setTimeout(() => this._resubscribe(name), delay);
+  }
+
+  /**
+   * Join a failed channel again
+   * @param {string} name - Channel name
+   * @private
+   */
+  async _resubscribe(name) {
+    const channel = this.channels.get(name);
+    if (!channel) return;
+
+    channel.timer = null;
+    channel.pending = false;
+
+    // Joined again by the socket in the meantime
+    if (channel.status === 'SUBSCRIBED') return;
+
+    channel.status = 'joining';
+    this._updateState();
+
+    try {
+      if ((await channel.resubscribe()) === false) {
+        throw new Error('The channel could not be created');
+      }
+    } catch (error) {
+      this._logError(`Error joining ${name} again:`, error);
+      this.reportChannelStatus(name, 'CHANNEL_ERROR');
+    }
+  }
+
+  /**
+   * Replay the queued writes in order, keeping those that fail
+   * @private
+   */
+  async _flushOutbox() {
+    if (this.isFlushing || this.isOffline() || this.outbox.size === 0) return;
+    this.isFlushing = true;
+
+    // Each task is tried once, including those queued during the replay
+    const attempted = new Set();
+    const next = () => [...this.outbox].find(([, task]) => !attempted.has(task));
+
+    try {
+      let entry;
+      while (!this.isOffline() && (entry = next())) {
+        const [key, task] = entry;
+        attempted.add(task);
+
+        let done = false;
+        try {
+          done = (await task()) !== false;
+        } catch (error) {
+          this._logError(`Error replaying ${key}:`, error);
+        }
+
+        // Unless a newer write replaced it during the replay
+        if (done && this.outbox.get(key) === task) {
+          this.outbox.delete(key);
+        }
+      }
+    } finally {
+      this.isFlushing = false;
+    }
+
+    this._logDebug(`${this.outbox.size} writes still waiting`);
+  }
+
+  /**
+   * Handle the browser going online or offline
+   * @param {boolean} online - Whether the browser has a network
+   * @private
+   */
+  _setBrowserOnline(online) {
+    this.browserOnline = online;
+
+    // Requests made without network say nothing about the connection once it is back
+    if (online) {
+      this.failedRequests = 0;
+    }
+
+    this._updateState();
+  }
+
+  /**
+   * Handle the realtime socket opening or closing
+   * @param {boolean} open - Whether the socket is open
+   * @private
+   */
+  _setSocketOpen(open) {
+    this.socketOpen = open;
+    this._updateState();
+  }
+
+  /**
+   * Derive the state of the connection
+   * @returns {string} One of CONNECTION_STATES
+   * @private
+   */
+  _computeState() {
+    if (!this.browserOnline || (!this.socketOpen && this.failedRequests > 0)) {
+      return CONNECTION_STATES.OFFLINE;
+    }
+
+    if (!this.socketOpen) {
+      return CONNECTION_STATES.CONNECTING;
+    }
+
+    const channelFailed = [...this.channels.values()].some(channel => FAILED_CHANNEL_STATUSES.includes(channel.status));
+    if (channelFailed || this.failedRequests > 0) {
+      return CONNECTION_STATES.DEGRADED;
+    }
+
+    return CONNECTION_STATES.ONLINE;
+  }
+
+  /**
+   * Update the state and recover when leaving the offline state
+   * @private
+   */
+  _updateState() {
+    const state = this._computeState();
+    if (state === this.state) return;
+
+    const previousState = this.state;
+    this.state = state;
+    this._logDebug(`Connection ${previousState} -> ${state}`);
+
+    if (previousState === CONNECTION_STATES.OFFLINE) {
+      this._recover();
+    }
+
+    if (this.onStateChanged) {
+      this.onStateChanged(state, previousState);
+    }
+  }
+
+  /**
+   * Make what waited for the connection right away: channels to join, tasks to retry and queued writes
+   * @private
+   */
+  _recover() {
+    this.channels.forEach((channel, name) => {
+      if (channel.pending) {
+        channel.attempts = 0;
+        this._scheduleResubscribe(name);
+      }
+    });
+
+    this.retries.forEach((entry, key) => {
+      if (!entry.timer) {
+        entry.attempts = 0;
+        this._scheduleRetry(key);
+      }
+    });
+
+    this._flushOutbox();
+  }
+
+  /**
+   * Forget the channels, tasks and queued writes, e.g. when the session is destroyed
+   */
+  cleanup() {
+    this.channels.forEach(channel => clearTimeout(channel.timer));
+    this.channels.clear();
+
+    this.retries.forEach(entry => clearTimeout(entry.timer));
+    this.retries.clear();
+
+    this.outbox.clear();
+    this.failedRequests = 0;
+    this._updateState();
+  }
+}
+
+// Create and export a singleton instance
+export const connectionManager = new ConnectionManager();
@@ -0,0 +1,229 @@
+import { describe, it, expect, vi, beforeEach, afterEach } from 'vitest';
+
+// Realtime socket whose open and close callbacks the tests trigger
+const socket = vi.hoisted(() => ({
+  stateChangeCallbacks: { open: [], close: [], error: [] },
+  connected: false,
+  isConnected() {
+    return this.connected;
+  }
+}));
+
+vi.mock('./supabase-client.js', () => ({ supabase: { realtime: socket } }));
+
+/**
+ * Open or close the realtime socket
+ * @param {boolean} open - Whether the socket is open
+ */
+function setSocketOpen(open) {
+  socket.connected = open;
+  socket.stateChangeCallbacks[open ? 'open' : 'close'].forEach(callback => callback());
+}
+
+describe('ConnectionManager', () => {
+  let connectionManager;
+  let CONNECTION_STATES;
+
+  beforeEach(async () => {
+    vi.useFakeTimers();
+    vi.spyOn(console, 'log').mockImplementation(() => {});
+    vi.spyOn(console, 'error').mockImplementation(() => {});
+
+    socket.stateChangeCallbacks = { open: [], close: [], error: [] };
+    socket.connected = false;
+
+    // A fresh singleton for every test
+    vi.resetModules();
+    ({ connectionManager, CONNECTION_STATES } = await import('./connection-manager.js'));
+    connectionManager.start();
+  });
+
+  afterEach(() => {
+    connectionManager.cleanup();
+    window.removeEventListener('online', connectionManager._handleOnline);
+    window.removeEventListener('offline', connectionManager._handleOffline);
+    vi.useRealTimers();
+    vi.restoreAllMocks();
+  });
+
+  describe('state', () => {
+    it('is connecting until the socket opens, then online', () => {
+      expect(connectionManager.state).toBe(CONNECTION_STATES.CONNECTING);
+
+      setSocketOpen(true);
+
+      expect(connectionManager.state).toBe(CONNECTION_STATES.ONLINE);
+    });
+
+    it('is offline while the browser has no network', () => {
+      const onStateChanged = vi.fn();
+      connectionManager.onStateChanged = onStateChanged;
+      setSocketOpen(true);
+
+      window.dispatchEvent(new Event('offline'));
+      expect(connectionManager.isOffline()).toBe(true);
+
+      window.dispatchEvent(new Event('online'));
+      expect(connectionManager.state).toBe(CONNECTION_STATES.ONLINE);
+
+      expect(onStateChanged.mock.calls).toEqual([
+        [CONNECTION_STATES.ONLINE, CONNECTION_STATES.CONNECTING],
+        [CONNECTION_STATES.OFFLINE, CONNECTION_STATES.ONLINE],
+        [CONNECTION_STATES.ONLINE, CONNECTION_STATES.OFFLINE]
+      ]);
+    });
+
+    it('is degraded while a channel or request fails', () => {
+      setSocketOpen(true);
+      connectionManager.registerChannel('chat:global', vi.fn());
+
+      connectionManager.reportChannelStatus('chat:global', 'CHANNEL_ERROR');
+      expect(connectionManager.state).toBe(CONNECTION_STATES.DEGRADED);
+
+      connectionManager.reportChannelStatus('chat:global', 'SUBSCRIBED');
+      expect(connectionManager.state).toBe(CONNECTION_STATES.ONLINE);
+
+      connectionManager.reportRequestFailure(new Error('Push failed'));
+      expect(connectionManager.state).toBe(CONNECTION_STATES.DEGRADED);
+
+      connectionManager.reportRequestSuccess();
+      expect(connectionManager.state).toBe(CONNECTION_STATES.ONLINE);
+    });
+
+    it('is offline when the socket is closed and requests fail', () => {
+      setSocketOpen(true);
+      setSocketOpen(false);
+      expect(connectionManager.state).toBe(CONNECTION_STATES.CONNECTING);
+
+      connectionManager.reportRequestFailure(new Error('Push failed'));
+      expect(connectionManager.isOffline()).toBe(true);
+
+      setSocketOpen(true);
+      expect(connectionManager.state).toBe(CONNECTION_STATES.DEGRADED);
+    });
+  });
+
+  describe('channels', () => {
+    it('joins a failed channel again with backoff', async () => {
+      setSocketOpen(true);
+      const resubscribe = vi.fn(() => connectionManager.reportChannelStatus('presence', 'CHANNEL_ERROR'));
+      connectionManager.registerChannel('presence', resubscribe);
+
+      connectionManager.reportChannelStatus('presence', 'TIMED_OUT');
+
+      await vi.advanceTimersByTimeAsync(999);
+      expect(resubscribe).toHaveBeenCalledTimes(0);
+      await vi.advanceTimersByTimeAsync(1);
+      expect(resubscribe).toHaveBeenCalledTimes(1);
+
+      // Failed again, the next attempt waits twice as long
+      await vi.advanceTimersByTimeAsync(1999);
+      expect(resubscribe).toHaveBeenCalledTimes(1);
+      await vi.advanceTimersByTimeAsync(1);
+      expect(resubscribe).toHaveBeenCalledTimes(2);
+    });
+
+    it('waits for the network to join a channel that failed while offline', async () => {
+      setSocketOpen(true);
+      const resubscribe = vi.fn();
+      connectionManager.registerChannel('presence', resubscribe);
+
+      window.dispatchEvent(new Event('offline'));
+      connectionManager.reportChannelStatus('presence', 'CLOSED');
+      await vi.advanceTimersByTimeAsync(60 * 1000);
+      expect(resubscribe).not.toHaveBeenCalled();
+
+      window.dispatchEvent(new Event('online'));
+      await vi.advanceTimersByTimeAsync(1000);
+      expect(resubscribe).toHaveBeenCalledTimes(1);
+    });
+
+    it('stops joining a channel once unregistered', async () => {
+      setSocketOpen(true);
+      const resubscribe = vi.fn();
+      connectionManager.registerChannel('presence', resubscribe);
+
+      connectionManager.reportChannelStatus('presence', 'CHANNEL_ERROR');
+      connectionManager.unregisterChannel('presence');
+      await vi.advanceTimersByTimeAsync(60 * 1000);
+
+      expect(resubscribe).not.toHaveBeenCalled();
+      expect(connectionManager.state).toBe(CONNECTION_STATES.ONLINE);
+    });
+  });
+
+  describe('outbox', () => {
+    it('makes writes right away while online', async () => {
+      setSocketOpen(true);
+      const task = vi.fn().mockResolvedValue(true);
+
+      connectionManager.enqueue('clicks', task);
+      await vi.advanceTimersByTimeAsync(0);
+
+      expect(task).toHaveBeenCalledTimes(1);
+      expect(connectionManager.getQueuedCount()).toBe(0);
+    });
+
+    it('replays the writes queued offline once back online, the latest per key', async () => {
+      setSocketOpen(true);
+      window.dispatchEvent(new Event('offline'));
+
+      const olderPosition = vi.fn().mockResolvedValue(true);
+      const latestPosition = vi.fn().mockResolvedValue(true);
+      const clicks = vi.fn().mockResolvedValue(true);
+      connectionManager.enqueue('position', olderPosition);
+      connectionManager.enqueue('clicks', clicks);
+      connectionManager.enqueue('position', latestPosition);
+      await vi.advanceTimersByTimeAsync(0);
+
+      expect(clicks).not.toHaveBeenCalled();
+      expect(connectionManager.getQueuedCount()).toBe(2);
+
+      window.dispatchEvent(new Event('online'));
+      await vi.advanceTimersByTimeAsync(0);
+
+      expect(olderPosition).not.toHaveBeenCalled();
+      expect(latestPosition).toHaveBeenCalledTimes(1);
+      expect(clicks).toHaveBeenCalledTimes(1);
+      expect(connectionManager.getQueuedCount()).toBe(0);
+    });
+
+    it('keeps the writes that fail for the next replay', async () => {
+      setSocketOpen(true);
+      const task = vi.fn()
+        .mockResolvedValueOnce(false)
+        .mockRejectedValueOnce(new Error('Still down'))
+        .mockResolvedValueOnce(true);
+
+      connectionManager.enqueue('clicks', task);
+      await vi.advanceTimersByTimeAsync(0);
+      expect(connectionManager.getQueuedCount()).toBe(1);
+
+      // Any request going through again replays the outbox
+      connectionManager.reportRequestSuccess();
+      await vi.advanceTimersByTimeAsync(0);
+      expect(connectionManager.getQueuedCount()).toBe(1);
+
+      connectionManager.reportRequestSuccess();
+      await vi.advanceTimersByTimeAsync(0);
+      expect(task).toHaveBeenCalledTimes(3);
+      expect(connectionManager.getQueuedCount()).toBe(0);
+    });
+
+    it('keeps a newer write queued during the replay of an older one', async () => {
+      setSocketOpen(true);
+      const newer = vi.fn().mockResolvedValue(true);
+      const older = vi.fn(async () => {
+        connectionManager.enqueue('position', newer);
+        return true;
+      });
+
+      connectionManager.enqueue('position', older);
+      await vi.advanceTimersByTimeAsync(0);
+
+      expect(older).toHaveBeenCalledTimes(1);
+      expect(newer).toHaveBeenCalledTimes(1);
+      expect(connectionManager.getQueuedCount()).toBe(0);
+    });
+  });
+});
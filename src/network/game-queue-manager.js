@@ -1,4 +1,5 @@
 import { supabase } from './supabase-client.js';
+import { connectionManager } from './connection-manager.js';
 
 /**
  * GameQueueManager - Handles game state synchronization using the GameQueue table
@@ -28,6 +29,7 @@ class GameQueueManager {
     this.onGameStateChanged = null;
     this.onGameCreated = null;
     this.onGameEnded = null;
+    this.onClickTotalsChanged = null;
     
     // Debug mode
     this.debug = true;
@@ -107,7 +109,8 @@ class GameQueueManager {
    */
   async subscribeToGameQueue() {
     try {
-      if (this.isSubscribed) {
+      // The channel may still be joining
+      if (this.subscription) {
         this._logDebug('Already subscribed to game_queue changes');
         return true;
       }
@@ -141,14 +144,19 @@ class GameQueueManager {
       
       const handleSubscriptionStatus = (status) => {
         try {
+          // Ignore the statuses of a channel that was replaced
+          if (channel !== this.subscription) return;
           this._handleSubscriptionStatus(status);
         } catch (error) {
           this._logError('Error handling subscription status:', error);
         }
       };
       
+      // Join the channel again whenever it fails
+      connectionManager.registerChannel('game-queue', () => this.resubscribe());
+      
       // Create the subscription
-      this.subscription = supabase
+      const channel = supabase
         .channel('game-queue')
         .on(
           'postgres_changes',
@@ -168,8 +176,10 @@ class GameQueueManager {
           },
           handleGameInsert
         )
-        .on('system', handleSystemMessage)
-        .subscribe(handleSubscriptionStatus);
+        .on('system', handleSystemMessage);
+      
+      this.subscription = channel;
+      channel.subscribe(handleSubscriptionStatus);
       
       return true;
     } catch (error) {
@@ -191,9 +201,42 @@ class GameQueueManager {
     } else if (status === 'CHANNEL_ERROR') {
       this.isSubscribed = false;
       this._logError('Channel error!');
-      
-      // Try to resubscribe after a delay
-      setTimeout(() => this.subscribeToGameQueue(), 5000);
+    } else {
+      this.isSubscribed = false;
+    }
+    
+    // The connection manager joins the channel again when it failed
+    connectionManager.reportChannelStatus('game-queue', status);
+  }
+  
+  /**
+   * Replace the game_queue channel with a new one and catch up on the changes missed in between
+   * Called by the connection manager when the channel failed
+   * @returns {Promise<void>}
+   */
+  async resubscribe() {
+    this._logDebug('Resubscribing to game_queue changes...');
+    
+    if (this.subscription) {
+      const channel = this.subscription;
+      this.subscription = null;
+      await supabase.removeChannel(channel);
+    }
+    this.isSubscribed = false;
+    
+    // Join first so no change is missed between the fetch and the subscription
+    await this.subscribeToGameQueue();
+    
+    const previousGame = this.currentGame;
+    const game = await this.fetchCurrentGame();
+    if (!game) return;
+    
+    // fetchCurrentGame already stored the game, compare it with the one from before the outage
+    this.currentGame = previousGame;
+    if (previousGame && previousGame.id === game.id) {
+      this._handleGameChange({ new: game });
+    } else {
+      this._handleGameInsert({ new: game });
     }
   }
   
@@ -204,23 +247,64 @@ class GameQueueManager {
    */
   _handleGameChange(payload) {
     const { new: newGame } = payload;
+    const previousGame = this.currentGame;
     
     this._logDebug('Game updated:', newGame);
     
     // Store the updated game
     this.currentGame = newGame;
     
-    // Trigger callback if defined
-    if (this.onGameStateChanged) {
-      this.onGameStateChanged(newGame);
+    // Click pushes update the row frequently, so only notify state
+    // listeners when the game state itself has changed
+    if (this._hasGameStateChanged(previousGame, newGame)) {
+      // Trigger callback if defined
+      if (this.onGameStateChanged) {
+        this.onGameStateChanged(newGame);
+      }
+      
+      // Check for game ended
+      if (newGame.current_state === 'ended' && this.onGameEnded) {
+        this.onGameEnded(newGame);
+      }
     }
     
-    // Check for game ended
-    if (newGame.current_state === 'ended' && this.onGameEnded) {
-      this.onGameEnded(newGame);
+    // Notify listeners when the aggregated click totals have changed
+    if (this._haveClickTotalsChanged(previousGame, newGame) && this.onClickTotalsChanged) {
+      this.onClickTotalsChanged(this.getClickTotals());
     }
   }
   
+  /**
+   * Check whether an update changed the game state (as opposed to only click data)
+   * @param {Object|null} previousGame - The game before the update
+   * @param {Object} newGame - The game after the update
+   * @returns {boolean} True if the state, timestamps, winner or victory target changed
+   * @private
+   */
+  _hasGameStateChanged(previousGame, newGame) {
+    if (!previousGame || previousGame.id !== newGame.id) {
+      return true;
+    }
+    
+    return ['current_state', 'started_at', 'ended_at', 'winner_planet', 'victory_target']
+      .some(field => previousGame[field] !== newGame[field]);
+  }
+  
+  /**
+   * Check whether an update changed the aggregated click totals
+   * @param {Object|null} previousGame - The game before the update
+   * @param {Object} newGame - The game after the update
+   * @returns {boolean} True if the click totals changed
+   * @private
+   */
+  _haveClickTotalsChanged(previousGame, newGame) {
+    if (!previousGame || previousGame.id !== newGame.id) {
+      return true;
+    }
+    
+    return JSON.stringify(previousGame.click_totals || {}) !== JSON.stringify(newGame.click_totals || {});
+  }
+  
   /**
    * Handle game insert event
    * @param {Object} payload - Payload from Supabase
@@ -238,6 +322,11 @@ class GameQueueManager {
     if (this.onGameCreated) {
       this.onGameCreated(newGame);
     }
+    
+    // A new game starts with empty rockets
+    if (this.onClickTotalsChanged) {
+      this.onClickTotalsChanged(this.getClickTotals());
+    }
   }
   
   /**
@@ -283,6 +372,31 @@ class GameQueueManager {
     }
   }
   
+  /**
+   * Choose the rival planet destroyed by the winner's rocket
+   * Only the winning team can pick while the pick window runs, after that the server targets the strongest rival
+   * @param {string|null} [targetPlanet=null] - Rival planet, or null to ask for the default target
+   * @returns {Promise<string>} The target of the game
+   */
+  async chooseVictoryTarget(targetPlanet = null) {
+    try {
+      this._logDebug('Choosing victory target:', targetPlanet);
+      
+      const { data, error } = await supabase.rpc('choose_victory_target', {
+        p_target_planet: targetPlanet
+      });
+      
+      if (error) {
+        throw error;
+      }
+      
+      return data;
+    } catch (error) {
+      this._logError('Error choosing victory target:', error);
+      throw error;
+    }
+  }
+  
   /**
    * Trigger the database function to run automatic state transitions
    * This should only be used by server or admin processes, not clients
@@ -316,6 +430,30 @@ class GameQueueManager {
     return this.currentGame ? this.currentGame.current_state : null;
   }
   
+  /**
+   * Get the aggregated click totals for the current game
+   * @returns {Object} Map of planet name to total clicks, e.g. { earth: 120, mars: 95 }
+   */
+  getClickTotals() {
+    return this.currentGame?.click_totals || {};
+  }
+  
+  /**
+   * Get the clicks each session contributed to a planet in the current game
+   * @param {string} planetName - The planet name
+   * @returns {Object} Map of session ID to total clicks
+   */
+  getSessionClickTotals(planetName) {
+    const sessions = this.currentGame?.click_contributions?.[planetName] || {};
+    const totals = {};
+    
+    for (const [sessionId, batches] of Object.entries(sessions)) {
+      totals[sessionId] = batches.reduce((sum, clicks) => sum + clicks, 0);
+    }
+    
+    return totals;
+  }
+  
   /**
    * Calculate remaining time for the current game phase
    * @returns {number} Remaining time in seconds
@@ -372,6 +510,8 @@ class GameQueueManager {
   cleanup() {
     this._logDebug('Cleaning up GameQueueManager...');
     
+    connectionManager.unregisterChannel('game-queue');
+    
     if (this.subscription) {
       this.subscription.unsubscribe();
       this.subscription = null;
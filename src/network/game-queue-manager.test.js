@@ -0,0 +1,63 @@
+import { describe, it, expect, vi, beforeEach, afterEach } from 'vitest';
+
+vi.mock('./supabase-client.js', () => ({ supabase: {} }));
+vi.mock('./connection-manager.js', () => ({ connectionManager: {} }));
+
+import { gameQueueManager } from './game-queue-manager.js';
+
+describe('GameQueueManager click totals', () => {
+  const game = { id: 3, current_state: 'active', started_at: '2026-01-01T00:00:00Z', click_totals: { earth: 10, mars: 4 } };
+
+  beforeEach(() => {
+    vi.spyOn(console, 'log').mockImplementation(() => {});
+
+    gameQueueManager.currentGame = game;
+    gameQueueManager.onGameStateChanged = vi.fn();
+    gameQueueManager.onGameEnded = vi.fn();
+    gameQueueManager.onGameCreated = vi.fn();
+    gameQueueManager.onClickTotalsChanged = vi.fn();
+  });
+
+  afterEach(() => {
+    gameQueueManager.currentGame = null;
+    gameQueueManager.onGameStateChanged = null;
+    gameQueueManager.onGameEnded = null;
+    gameQueueManager.onGameCreated = null;
+    gameQueueManager.onClickTotalsChanged = null;
+    vi.restoreAllMocks();
+  });
+
+  it('reports new totals without a state change for click pushes', () => {
+    gameQueueManager._handleGameChange({ new: { ...game, click_totals: { earth: 12, mars: 4 } } });
+
+    expect(gameQueueManager.onClickTotalsChanged).toHaveBeenCalledWith({ earth: 12, mars: 4 });
+    expect(gameQueueManager.onGameStateChanged).not.toHaveBeenCalled();
+    expect(gameQueueManager.getClickTotals()).toEqual({ earth: 12, mars: 4 });
+  });
+
+  it('reports nothing for updates that change neither', () => {
+    gameQueueManager._handleGameChange({ new: { ...game, click_totals: { earth: 10, mars: 4 } } });
+
+    expect(gameQueueManager.onClickTotalsChanged).not.toHaveBeenCalled();
+    expect(gameQueueManager.onGameStateChanged).not.toHaveBeenCalled();
+  });
+
+  it('reports state changes and the end of the game', () => {
+    const ended = { ...game, current_state: 'ended', ended_at: '2026-01-01T00:06:00Z' };
+
+    gameQueueManager._handleGameChange({ new: ended });
+
+    expect(gameQueueManager.onGameStateChanged).toHaveBeenCalledWith(ended);
+    expect(gameQueueManager.onGameEnded).toHaveBeenCalledWith(ended);
+    expect(gameQueueManager.onClickTotalsChanged).not.toHaveBeenCalled();
+  });
+
+  it('starts a new game with empty rockets', () => {
+    const next = { id: 4, current_state: 'waiting_for_players' };
+
+    gameQueueManager._handleGameInsert({ new: next });
+
+    expect(gameQueueManager.onGameCreated).toHaveBeenCalledWith(next);
+    expect(gameQueueManager.onClickTotalsChanged).toHaveBeenCalledWith({});
+  });
+});
@@ -0,0 +1,77 @@
+/**
+ * LeaderboardManager - Fetches leaderboards from the server
+ *
+ * This class is responsible for:
+ * - Loading the current round, all-time and planet leaderboards from /api/leaderboard
+ * - Keeping the last response so the UI can render immediately when reopened
+ */
+class LeaderboardManager {
+  /**
+   * Create a new LeaderboardManager instance
+   * @constructor
+   */
+  constructor() {
+    // Endpoint that serves the leaderboards
+    this.endpoint = '/api/leaderboard';
+
+    // Last leaderboard received from the server
+    this.leaderboard = null;
+
+    // Debug mode
+    this.debug = import.meta.env.DEV;
+  }
+
+  /**
+   * Log debug messages if debug mode is enabled
+   * @param {...any} args - Arguments to log
+   * @private
+   */
+  _logDebug(...args) {
+    if (this.debug) {
+      console.log('[LeaderboardManager]', ...args);
+    }
+  }
+
+  /**
+   * Log error messages
+   * @param {...any} args - Arguments to log
+   * @private
+   */
+  _logError(...args) {
+    console.error('[LeaderboardManager]', ...args);
+  }
+
+  /**
+   * Fetch the leaderboards
+   * @param {Object} [options] - Query options
+   * @param {number} [options.limit] - Number of players per leaderboard
+   * @param {number} [options.gameId] - Game to show the round leaderboard for (defaults to the current game)
+   * @returns {Promise<Object|null>} {round, allTime, planetRecord} or null if the request failed
+   */
+  async fetchLeaderboard(options = {}) {
+    try {
+      const params = new URLSearchParams();
+      if (options.limit) params.set('limit', options.limit);
+      if (options.gameId) params.set('gameId', options.gameId);
+
+      const query = params.toString();
+      const response = await fetch(query ? `${this.endpoint}?${query}` : this.endpoint);
+      const result = await response.json().catch(() => ({}));
+
+      if (!response.ok) {
+        throw new Error(result.error || `Leaderboard request failed with status ${response.status}`);
+      }
+
+      this.leaderboard = result;
+      this._logDebug('Fetched leaderboard', result);
+
+      return result;
+    } catch (error) {
+      this._logError('Error fetching leaderboard:', error);
+      return null;
+    }
+  }
+}
+
+// Create and export a singleton instance
+export const leaderboardManager = new LeaderboardManager();
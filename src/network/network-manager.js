@@ -2,6 +2,13 @@ import { authManager } from './auth-manager.js';
 import { playerManager } from './player-manager.js';
 import { gameQueueManager } from './game-queue-manager.js';
 import RealtimeManager from './realtime-manager.js';
+import { clickManager } from './click-manager.js';
+import { profileManager } from './profile-manager.js';
+import { leaderboardManager } from './leaderboard-manager.js';
+import { upgradeManager } from './upgrade-manager.js';
+import { chatManager } from './chat-manager.js';
+import { presenceManager } from './presence-manager.js';
+import { connectionManager } from './connection-manager.js';
 
 /**
  * Threshold for considering a user inactive (5 minutes in milliseconds)
@@ -9,6 +16,20 @@ import RealtimeManager from './realtime-manager.js';
  */
 export const INACTIVE_THRESHOLD = 5 * 60 * 1000;
 
+/**
+ * How often an online player refreshes their players row (1 minute in milliseconds)
+ * Must stay well below the server's cleanup threshold so online players are never removed
+ * @type {number}
+ */
+export const HEARTBEAT_INTERVAL = 60 * 1000;
+
+/**
+ * Shortest time between two writes of the player's position to the database (2 seconds in milliseconds)
+ * Positions are streamed over broadcast, the database only keeps the latest one for resume and the rocket range check
+ * @type {number}
+ */
+const POSITION_SAVE_INTERVAL = 2 * 1000;
+
 /**
  * NetworkManager - Central class for coordinating all network operations
  * 
@@ -29,6 +50,13 @@ class NetworkManager {
     this.authManager = authManager;
     this.playerManager = playerManager;
     this.gameQueueManager = gameQueueManager;
+    this.clickManager = clickManager;
+    this.profileManager = profileManager;
+    this.leaderboardManager = leaderboardManager;
+    this.upgradeManager = upgradeManager;
+    this.chatManager = chatManager;
+    this.presenceManager = presenceManager;
+    this.connectionManager = connectionManager;
     this.realtimeManager = null; // Will be implemented later
     
     // Internal state
@@ -38,8 +66,18 @@ class NetworkManager {
       onPlayerJoined: [],
       onPlayerLeft: [],
       onPositionUpdated: [],
+      onMoveIntent: [],
       onConnectionStateChanged: [],
-      onGameStateChanged: []
+      onNetworkStateChanged: [],
+      onGameStateChanged: [],
+      onRocketProgressUpdated: [],
+      onUpgradesChanged: [],
+      onChatMessage: [],
+      onChatRoomChanged: [],
+      onEmote: [],
+      onPing: [],
+      onSpectatingChanged: [],
+      onPresenceSynced: []
     };
     
     // Position buffer for interpolation (playerId -> array of timestamped positions)
@@ -49,14 +87,31 @@ class NetworkManager {
     this.maxBufferSize = 10;
     
     // Network settings
-    this.interpolationDelay = 100; // ms of delay for smoother interpolation
+    this.interpolationDelay = 200; // ms of delay for smoother interpolation, two messages of a moving player
     
     // Store the last known authoritative position from the server for each player
     this.lastServerPositions = {};
     
+    // Presences checked against the players rows ("gameId:sessionId:planet" -> Promise of the row), only kept while they match,
+    // and the rows of the players whose presence matched (session ID -> row)
+    this._presenceChecks = new Map();
+    this._verifiedPresences = new Map();
+    this._presenceSyncCount = 0;
+    
+    // Position waiting to be written to the database, and when the last write happened
+    this._pendingPosition = null;
+    this._positionSaveTimer = null;
+    this._lastPositionSave = 0;
+    
+    // Spectators watch the game without a players row
+    this.isSpectating = false;
+    
+    // Whether a spectator joins automatically when the next round waits for players
+    this.joinNextRound = true;
+    
     // Connection state
     this.isConnected = false;
-    this._reconnectAttempts = 0;
+    this._heartbeatInterval = null;
   }
 
   /**
@@ -69,22 +124,39 @@ class NetworkManager {
     try {
       console.log('Initializing NetworkManager...');
       
+      // Follow the connection, channels join again and writes are queued by the connection manager
+      this.connectionManager.onStateChanged = (state, previousState) => {
+        this._triggerEvent('onNetworkStateChanged', { state, previousState });
+      };
+      this.connectionManager.start();
+      
       // Initialize session via auth manager
       const session = await this.authManager.initializeSession();
       if (!session) {
         console.error('Failed to initialize session');
+        this.connectionManager.retry('initialize', () => this.initialize(options));
         return false;
       }
       
       // Initialize player manager
       await this.playerManager.initialize(session);
       
+      // Load the optional player profile and stats
+      await this.profileManager.loadProfile();
+      
       // Initialize game queue manager
       await this.gameQueueManager.initialize();
       
       // Setup game state change handlers
       this._setupGameStateHandlers();
       
+      // Load the upgrades bought in the current game
+      await this.upgradeManager.initialize(this.gameQueueManager.currentGame?.id);
+      
+      // Start pushing batched clicks of the current game to the server
+      this.clickManager.setGame(this.gameQueueManager.currentGame?.id);
+      this.clickManager.start();
+      
       // Set up heartbeat to keep session alive
       this._setupHeartbeat();
       
@@ -97,6 +169,15 @@ class NetworkManager {
       // Delete player if inactive
       if(!isActive) playerManager.deletePlayer();
       
+      // Join the chat of the current game, inactive players have just lost their planet
+      this.chatManager.setRoom(
+        this.gameQueueManager.currentGame?.id,
+        isActive ? this.playerManager.currentPlanet : null
+      );
+      
+      // Show up as online in the current game
+      this.updatePresence();
+      
       // Initialize realtime subscription if player is active and has a planet
       if (isActive) {
         if (options.subscribeToAllPlanets) {
@@ -129,6 +210,9 @@ class NetworkManager {
         isActive: false
       });
       
+      // Try again with backoff, waiting for the connection if it is lost
+      this.connectionManager.retry('initialize', () => this.initialize(options));
+      
       return false;
     }
   }
@@ -142,6 +226,18 @@ class NetworkManager {
     this.gameQueueManager.onGameStateChanged = (gameData) => {
       console.log('Game state changed:', gameData);
       
+      // Follow the game the upgrades belong to (does nothing if it's the same game)
+      this.upgradeManager.setGame(gameData.id);
+      
+      // Clicks not pushed yet only count for their own game
+      this.clickManager.setGame(gameData.id);
+      
+      // Follow the game the chat belongs to
+      this.updateChatRoom();
+      
+      // Presence is per round too
+      this.updatePresence();
+      
       // Trigger event for game state change
       this._triggerEvent('onGameStateChanged', gameData);
     };
@@ -150,6 +246,20 @@ class NetworkManager {
     this.gameQueueManager.onGameCreated = (gameData) => {
       console.log('New game created:', gameData);
       
+      // Upgrades only last for one game
+      this.upgradeManager.setGame(gameData.id);
+      
+      // Clicks too, the ones queued for the previous game are dropped
+      this.clickManager.setGame(gameData.id);
+      
+      // Chat only lasts for one game too
+      this.updateChatRoom();
+      
+      // So does presence, checked against the rows of the new round
+      this._presenceChecks.clear();
+      this._verifiedPresences.clear();
+      this.updatePresence();
+      
       // Trigger event for game state change
       this._triggerEvent('onGameStateChanged', gameData);
     };
@@ -161,6 +271,274 @@ class NetworkManager {
       // Trigger event for game state change
       this._triggerEvent('onGameStateChanged', gameData);
     };
+    
+    // Set up callback for aggregated rocket progress
+    this.gameQueueManager.onClickTotalsChanged = (clickTotals) => {
+      // Trigger event so every client's rockets converge on the server totals
+      this._triggerEvent('onRocketProgressUpdated', clickTotals);
+    };
+    
+    // Set up callback for upgrades bought by any player
+    this.upgradeManager.onUpgradesChanged = (upgrades) => {
+      this._triggerEvent('onUpgradesChanged', upgrades);
+    };
+    
+    // Set up callback for chat messages, sent or received
+    this.chatManager.onMessage = (message) => {
+      this._triggerEvent('onChatMessage', message);
+    };
+    
+    // Set up callback for teammates' emotes and pings
+    this.chatManager.onSignal = (event, signal) => {
+      this._triggerEvent(event === 'emote' ? 'onEmote' : 'onPing', signal);
+    };
+    
+    // Only show chat from players online in the round, teammates for the planet chat
+    this.chatManager.verifySender = (scope, sessionId) => {
+      const row = this.presenceManager.isOnline(sessionId) && this._verifiedPresences.get(sessionId);
+      return !!row && (scope !== 'planet' || row.planet_name === this.chatManager.planetName);
+    };
+    
+    // Set up callback for the chat moving to another game or planet
+    this.chatManager.onRoomChanged = (gameId, planetName) => {
+      this._triggerEvent('onChatRoomChanged', gameId, planetName);
+    };
+    
+    // Set up callbacks for players coming online and going offline in the round
+    // Anyone can track any key and planet, so presences only count once they match the player's row
+    this.presenceManager.onJoin = async (playerId, presence) => {
+      const playerData = await this._verifyPresence(presence);
+      
+      // Not a player of this round on this planet, or gone while the row was loading
+      if (!playerData || !this.presenceManager.isOnline(playerId)) return;
+      
+      if (!this.playerManager.players.some(p => p.session_id === playerId)) {
+        this.playerManager.players.push(playerData);
+      }
+      this._triggerEvent('onPlayerJoined', playerId, playerData, false);
+    };
+    
+    this.presenceManager.onLeave = (playerId) => {
+      this._verifiedPresences.delete(playerId);
+      this.playerManager.players = this.playerManager.players.filter(p => p.session_id !== playerId);
+      delete this.lastServerPositions[playerId];
+      if (this.realtimeManager) {
+        this.realtimeManager.clearPlayer(playerId);
+      }
+      this._triggerEvent('onPlayerLeft', playerId);
+    };
+    
+    this.presenceManager.onSync = async (presences) => {
+      // Only the latest sync matters if rows load slower than presences change
+      const syncCount = ++this._presenceSyncCount;
+      const players = await Promise.all(presences.map(presence => this._verifyPresence(presence)));
+      if (syncCount !== this._presenceSyncCount) return;
+      
+      this._triggerEvent('onPresenceSynced', players.filter(Boolean));
+    };
+  }
+  
+  /**
+   * Check a presence against the player's row: the player must be assigned to this round, on the planet they claim
+   * Rows are loaded once per presence, players already loaded are checked without a request
+   * @param {Object} presence - The presence as { session_id, planet_name, color }
+   * @returns {Promise<Object|null>} The player's row, or null if the presence doesn't match it
+   * @private
+   */
+  async _verifyPresence(presence) {
+    const gameId = this.gameQueueManager.currentGame?.id;
+    if (!gameId) return null;
+    
+    const matches = (row) => !!row &&
+      row.planet_name === presence.planet_name &&
+      row.assigned_game_id === gameId;
+    
+    let row = this.playerManager.players.find(p => p.session_id === presence.session_id);
+    if (!matches(row)) {
+      // The player may have joined since the players were loaded
+      const key = `${gameId}:${presence.session_id}:${presence.planet_name}`;
+      if (!this._presenceChecks.has(key)) {
+        this._presenceChecks.set(key, this.playerManager.getPlayer(presence.session_id).catch(() => {
+          // Check again next time rather than hiding the player for the rest of the round
+          this._presenceChecks.delete(key);
+          return null;
+        }));
+      }
+      row = await this._presenceChecks.get(key);
+    }
+    
+    if (!matches(row)) {
+      // Checked again on the next sync, the player may not have joined the round yet
+      this._presenceChecks.delete(`${gameId}:${presence.session_id}:${presence.planet_name}`);
+      console.warn(`Ignoring presence of ${presence.session_id} on ${presence.planet_name}, it doesn't match their player row`);
+      this._verifiedPresences.delete(presence.session_id);
+      return null;
+    }
+    
+    this._verifiedPresences.set(presence.session_id, row);
+    return row;
+  }
+  
+  /**
+   * Move the chat to the current game and the current player's planet
+   * A planet kept from the previous game only gets its chat back once the player joined the new game with it
+   * Call it whenever the player joins or leaves a planet
+   */
+  updateChatRoom() {
+    this.chatManager.setRoom(
+      this.gameQueueManager.currentGame?.id,
+      this.needsRejoin() ? null : this.playerManager.currentPlanet
+    );
+  }
+  
+  /**
+   * Share the current player's planet on the presence channel of the current game
+   * Call it whenever the player joins or leaves a planet
+   */
+  updatePresence() {
+    this.presenceManager.setRoom(this.gameQueueManager.currentGame?.id);
+    this.presenceManager.setPlayer(
+      this.playerManager.currentPlanet,
+      this.playerManager.currentColor,
+      this.playerManager.assignedGameId
+    );
+  }
+  
+  /**
+   * Check whether the current player kept a planet from a previous game
+   * Their row still points to that game until they join again, so the server and the other players don't count them in this one
+   * @returns {boolean} True if the player has a planet that wasn't assigned for the current game
+   */
+  needsRejoin() {
+    const gameId = this.gameQueueManager.currentGame?.id;
+    
+    return !!gameId && !this.isSpectating &&
+      !!this.playerManager.currentPlanet &&
+      this.playerManager.assignedGameId !== gameId;
+  }
+  
+  /**
+   * Check whether a player should be shown in the game
+   * Test players have no presence and show until the server removes their row
+   * @param {string} playerId - The player's session ID
+   * @returns {boolean} True for the current player, test players and players online in the round whose presence matched their row
+   */
+  isPlayerOnline(playerId) {
+    if (playerId === this.authManager.getCurrentUserId() || playerId.startsWith('fake_')) {
+      return true;
+    }
+    
+    return this.presenceManager.isOnline(playerId) && this._verifiedPresences.has(playerId);
+  }
+  
+  /**
+   * Send a chat message as the current player
+   * @param {string} scope - 'planet' for the player's team, 'global' for everyone in the game
+   * @param {string} text - The message
+   * @returns {Promise<Object>} The sent message
+   */
+  sendChatMessage(scope, text) {
+    const sessionId = this.authManager.getCurrentUserId() || '';
+    
+    return this.chatManager.send(scope, text, {
+      name: this.profileManager.profile?.display_name || `Player ${sessionId.slice(0, 6)}`,
+      color: this.playerManager.currentColor
+    });
+  }
+  
+  /**
+   * Get the server-side click totals for the current game
+   * @returns {Object} Map of planet name to total clicks
+   */
+  getClickTotals() {
+    return this.gameQueueManager.getClickTotals();
+  }
+  
+  /**
+   * Get the server-side clicks of each session on a planet for the current game
+   * @param {string} planetName - The planet name
+   * @returns {Object} Map of session ID to total clicks
+   */
+  getSessionClickTotals(planetName) {
+    return this.gameQueueManager.getSessionClickTotals(planetName);
+  }
+  
+  /**
+   * Get the current player's clicks that the server has not confirmed yet
+   * @returns {number} Number of queued or in-flight clicks
+   */
+  getUnconfirmedClicks() {
+    // The server multiplies the batch when it's pushed, so predict the multiplied amount
+    return Math.round(this.clickManager.getUnconfirmedClicks() * this.getClickMultiplier());
+  }
+  
+  /**
+   * Get the multiplier the server applies to the current player's clicks
+   * @returns {number} The click multiplier (1 without upgrades)
+   */
+  getClickMultiplier() {
+    const planetName = this.playerManager.currentPlanet;
+    if (!planetName) return 1;
+    
+    return this.upgradeManager.getClickMultiplier(this.authManager.getCurrentUserId(), planetName);
+  }
+  
+  /**
+   * Get the upgrade points the current player can still spend in this game
+   * @returns {number} Points left
+   */
+  getUpgradePoints() {
+    const sessionId = this.authManager.getCurrentUserId();
+    const contributions = this.gameQueueManager.currentGame?.click_contributions || {};
+    
+    // Clicks on any planet earn points, like get_upgrade_points on the server
+    const contributedClicks = Object.values(contributions).reduce((sum, sessions) => {
+      const batches = sessions[sessionId] || [];
+      return sum + batches.reduce((batchSum, clicks) => batchSum + clicks, 0);
+    }, 0);
+    
+    return this.upgradeManager.getPoints(sessionId, contributedClicks);
+  }
+  
+  /**
+   * Buy an upgrade with the current player's points
+   * @param {string} upgradeName - Name of the upgrade
+   * @returns {Promise<Object>} {upgrade, points} from the server
+   */
+  purchaseUpgrade(upgradeName) {
+    return this.upgradeManager.purchase(upgradeName);
+  }
+  
+  /**
+   * Choose the rival planet destroyed by the winner's rocket
+   * @param {string|null} [targetPlanet=null] - Rival planet, or null to ask for the default target
+   * @returns {Promise<string>} The target of the game
+   */
+  chooseVictoryTarget(targetPlanet = null) {
+    return this.gameQueueManager.chooseVictoryTarget(targetPlanet);
+  }
+  
+  /**
+   * Show an emote of the current player to the players of the same planet
+   * @param {string} emote - Emote name
+   * @returns {Promise<Object>} The sent signal
+   */
+  sendEmote(emote) {
+    return this.chatManager.sendSignal('emote', { emote }, {
+      color: this.playerManager.currentColor
+    });
+  }
+  
+  /**
+   * Drop a ping visible to the players of the same planet
+   * @param {Object} position - Point in the planet's local space {x, y, z}
+   * @param {Object} normal - Surface normal in the planet's local space {x, y, z}
+   * @returns {Promise<Object>} The sent signal
+   */
+  sendPing(position, normal) {
+    return this.chatManager.sendSignal('ping', { position, normal }, {
+      color: this.playerManager.currentColor
+    });
   }
   
   /**
@@ -216,11 +594,67 @@ class NetworkManager {
     }
   }
   
+  /**
+   * Check whether the current game lets players pick their own planet
+   * @returns {Promise<boolean>} True if the player must choose a planet before joining
+   */
+  async requiresPlanetChoice() {
+    const algorithm = this.gameQueueManager.currentGame?.assignation_algo;
+    if (!algorithm) return false;
+    
+    const strategy = await this.playerManager.getAssignmentStrategy(algorithm);
+    return !!strategy?.requires_choice;
+  }
+  
+  /**
+   * Watch the game without joining it
+   * Subscribes to every planet's players without creating a players row,
+   * rocket progress already comes with the game queue subscription
+   * @returns {Promise<boolean>} Whether spectating started
+   */
+  async startSpectating() {
+    if (this.isSpectating) return true;
+    
+    if (this.playerManager.currentPlanet) {
+      console.warn(`Cannot spectate while playing on ${this.playerManager.currentPlanet}`);
+      return false;
+    }
+    
+    const success = await this.initializeGlobalRealtimeSubscription();
+    if (!success) return false;
+    
+    this.isSpectating = true;
+    this._triggerEvent('onSpectatingChanged', { isSpectating: true, joinNextRound: this.joinNextRound });
+    
+    return true;
+  }
+  
+  /**
+   * Stop watching, e.g. to join the game
+   * The realtime subscription is kept, joinGame replaces it with the planet one
+   */
+  stopSpectating() {
+    if (!this.isSpectating) return;
+    
+    this.isSpectating = false;
+    this._triggerEvent('onSpectatingChanged', { isSpectating: false, joinNextRound: this.joinNextRound });
+  }
+  
+  /**
+   * Choose whether a spectator joins automatically when the next round waits for players
+   * @param {boolean} enabled - Whether to join the next round
+   */
+  setJoinNextRound(enabled) {
+    this.joinNextRound = !!enabled;
+    this._triggerEvent('onSpectatingChanged', { isSpectating: this.isSpectating, joinNextRound: this.joinNextRound });
+  }
+  
   /**
    * Join the game, assigning the current player to a planet
+   * @param {string|null} [requestedPlanet=null] - Planet picked by the player when the game allows it
    * @returns {Promise<object>} Object containing the planet assignment and player status
    */
-  async joinGame() {
+  async joinGame(requestedPlanet = null) {
     try {
       if (!this.isInitialized) {
         await this.initialize();
@@ -230,11 +664,21 @@ class NetworkManager {
       await this.updateLastActive();
       
       // Join a planet using player manager
-      const { planetName, color } = await this.playerManager.joinPlanet();
+      // Use the color from the player's profile if they chose one
+      const { planetName, color } = await this.playerManager.joinPlanet(
+        requestedPlanet,
+        this.profileManager.profile?.color
+      );
       
       // Initialize realtime subscription now that we have a planet
       await this._initializeRealtimeSubscription();
       
+      // Talk with the new team
+      this.updateChatRoom();
+      
+      // Show up as online on the new planet
+      this.updatePresence();
+      
       // Notify any listeners with active status set to true
       this._triggerEvent('onPlayerJoined', this.authManager.getCurrentUserId(), {
         planetName,
@@ -257,6 +701,15 @@ class NetworkManager {
     }
   }
   
+  /**
+   * Record a click on the current player's buildable
+   * Clicks are accumulated locally and pushed to the server in batches
+   * @param {number} [count=1] - Number of clicks to record
+   */
+  recordClick(count = 1) {
+    this.clickManager.addClick(count);
+  }
+  
   /**
    * Calculate the distance between two positions
    * @param {Object} pos1 - First position {x, y, z}
@@ -287,34 +740,16 @@ class NetworkManager {
       return;
     }
 
-    // Get the current interpolated position for this player
-    // Note: Using interpolated position might smooth out small discrepancies. 
-    // If you need exact comparison against the game object's *current* physics state,
-    // you might need to get that state directly from the Game class.
-    const currentPosition = this.getInterpolatedPosition(playerId);
-    
-    // Calculate distance between current interpolated and server position
-    const distance = this._calculatePositionDistance(currentPosition, serverPosition);
-    
-    // Log the position difference for debugging (consider adding a debug flag)
-    // console.log(`Position update for ${isTestPlayer ? 'test' : ''} player ${playerId}:`, {
-    //   currentPosition,
-    //   serverPosition,
-    //   distance: distance.toFixed(2)
-    // });
+    // The realtime manager already buffered the position, the game reads it back interpolated every frame
+    // Compare with the previous position received, standing players keep streaming at a low rate
+    const distance = this._calculatePositionDistance(this.lastServerPositions[playerId], serverPosition);
 
     // Store the last known good position from the server
     this.lastServerPositions[playerId] = { ...serverPosition };
 
-    // If the distance is significant (e.g., > 0.1 units), trigger a position update event
-    // This allows the game logic to decide *how* to reconcile (e.g., snap, smooth move)
+    // Only report actual moves (e.g. for UI), not the idle stream
     if (distance > 0.1) { // Threshold can be adjusted
-      console.log(`Significant position difference (${distance.toFixed(2)}) for player ${playerId}. Triggering update.`);
-      this._triggerEvent('onPositionUpdated', playerId, serverPosition, isTestPlayer, playerData.planet_name);
-    } else {
-      // If the distance is small, we might not need to trigger a full reconciliation event.
-      // We still store the server position, and interpolation handles minor smoothing.
-      // console.log(`Minor position difference (${distance.toFixed(2)}) for player ${playerId}. Relying on interpolation.`);
+      this._triggerEvent('onPositionUpdated', playerId, serverPosition, isTestPlayer, playerData.planet_name, playerData);
     }
   }
 
@@ -343,21 +778,20 @@ class NetworkManager {
     // Trigger event for local subscribers (e.g., UI updates)
     // Avoid triggering the main 'onPositionUpdated' used for reconciliation here
     // this._triggerEvent('onLocalPositionUpdated', playerId, position); // Example: If needed
-    
-    // Send to realtime manager when available
-    if (this.realtimeManager) {
-      // This function name might need adjustment based on RealtimeManager's actual methods
-      // Assuming RealtimeManager sends the position update to Supabase
-      // this.realtimeManager.sendPosition(playerId, position); 
-    }
   }
   
   /**
    * Get interpolated position for a player
    * @param {string} playerId - The player's ID
+   * @param {object|null} [center=null] - Center of the player's planet {x, y, z}, to interpolate along its surface
    * @returns {object|null} Interpolated position {x, y, z} or null if unavailable
    */
-  getInterpolatedPosition(playerId) {
+  getInterpolatedPosition(playerId, center = null) {
+    // Other players' positions are streamed to the realtime manager
+    if (this.realtimeManager && playerId !== this.authManager.getCurrentUserId()) {
+      return this.realtimeManager.getInterpolatedPosition(playerId, Date.now() - this.interpolationDelay, center);
+    }
+    
     if (!this.positionBuffer[playerId] || this.positionBuffer[playerId].length === 0) {
       return null;
     }
@@ -392,6 +826,24 @@ class NetworkManager {
     };
   }
   
+  /**
+   * Get the latest movement state streamed by another player
+   * @param {string} playerId - The player's ID
+   * @returns {object|null} See RealtimeManager.getLatestState
+   */
+  getLatestPlayerState(playerId) {
+    return this.realtimeManager ? this.realtimeManager.getLatestState(playerId) : null;
+  }
+  
+  /**
+   * Get the health of another player's position buffer, for the network debug overlay
+   * @param {string} playerId - The player's ID
+   * @returns {object|null} See RealtimeManager.getBufferHealth
+   */
+  getBufferHealth(playerId) {
+    return this.realtimeManager ? this.realtimeManager.getBufferHealth(playerId) : null;
+  }
+  
   /**
    * Update the last active timestamp for the current player
    * @returns {Promise<void>}
@@ -441,42 +893,24 @@ class NetworkManager {
    * @private
    */
   _setupHeartbeat() {
-    // Send heartbeat every minute to check connection without updating activity timestamp
-    // setInterval(async () => {
-    //   try {
-    //     // Don't update last_activity timestamp during heartbeat
-    //     // Just check if the session is still valid
-    //   } catch (error) {
-    //     console.error('Heartbeat failed:', error);
-    //     this._scheduleReconnect();
-    //   }
-    // }, 60 * 1000);
-  }
-  
-  /**
-   * Schedule a reconnection attempt with exponential backoff
-   * @private
-   */
-  _scheduleReconnect() {
-    // Implement exponential backoff logic
-    const backoffTime = Math.min(1000 * Math.pow(2, this._reconnectAttempts), 30000);
-    this._reconnectAttempts++;
+    if (this._heartbeatInterval) {
+      clearInterval(this._heartbeatInterval);
+    }
     
-    setTimeout(async () => {
+    // While the player is online, keep their row from being removed by the server's cleanup
+    // Only the players row is refreshed, not the session's last_activity that tracks explicit actions
+    this._heartbeatInterval = setInterval(async () => {
+      if (!this.presenceManager.isTracking()) return;
+      
       try {
-        // Attempt to reconnect
-        await this.initialize();
-        
-        if (this.isConnected) {
-          // Reset reconnect counter on success
-          this._reconnectAttempts = 0;
-        }
+        await this.playerManager.updatePlayerActivity();
+        this.connectionManager.reportRequestSuccess();
       } catch (error) {
-        console.error('Reconnection attempt failed:', error);
-        // Schedule next attempt
-        this._scheduleReconnect();
+        // The channels recover by themselves, the next beat refreshes the row
+        console.error('Heartbeat failed:', error);
+        this.connectionManager.reportRequestFailure(error);
       }
-    }, backoffTime);
+    }, HEARTBEAT_INTERVAL);
   }
   
   /**
@@ -524,13 +958,52 @@ class NetworkManager {
         this.gameQueueManager.cleanup();
       }
       
+      // Stop pushing clicks and drop any unsent batch
+      if (this.clickManager) {
+        this.clickManager.cleanup();
+      }
+      
+      // Forget the profile of the destroyed session
+      if (this.profileManager) {
+        this.profileManager.cleanup();
+      }
+      
+      // Stop listening for upgrades
+      if (this.upgradeManager) {
+        this.upgradeManager.cleanup();
+      }
+      
+      // Leave the chat channels
+      if (this.chatManager) {
+        this.chatManager.cleanup();
+      }
+      
+      // Go offline and stop refreshing the players row
+      if (this.presenceManager) {
+        this.presenceManager.cleanup();
+      }
+      this._presenceChecks.clear();
+      this._verifiedPresences.clear();
+      if (this._positionSaveTimer) {
+        clearTimeout(this._positionSaveTimer);
+        this._positionSaveTimer = null;
+      }
+      this._pendingPosition = null;
+      if (this._heartbeatInterval) {
+        clearInterval(this._heartbeatInterval);
+        this._heartbeatInterval = null;
+      }
+      
+      // Drop the queued writes and stop retrying, they belong to the destroyed session
+      this.connectionManager.cleanup();
+      
       // First destroy the session in auth manager
       await this.authManager.destroySession();
       
       // Reset network state
       this.isConnected = false;
       this.isInitialized = false;
-      this._reconnectAttempts = 0;
+      this.isSpectating = false;
       
       // Clear player data
       if (this.playerManager) {
@@ -603,6 +1076,23 @@ class NetworkManager {
         // Process the server position update using the new logic
         this._processServerPositionUpdate(playerId, position, playerData, isTestPlayer);
       };
+      
+      // Only apply messages of players online on the planet they claim, anyone in the game can send any ID
+      this.realtimeManager.verifySender = (playerId, planetName) => {
+        // Test players have no presence, their row is enough
+        const row = playerId.startsWith('fake_')
+          ? this.playerManager.players.find(p => p.session_id === playerId)
+          : this.presenceManager.isOnline(playerId) && this._verifiedPresences.get(playerId);
+        return !!row && row.planet_name === planetName;
+      };
+      
+      this.realtimeManager.onMoveIntent = (playerId, intent) => {
+        // Replayed as late as positions are shown, so the replay and the positions streamed after it line up
+        this._triggerEvent('onMoveIntent', playerId, {
+          ...intent,
+          replayAt: intent.startedAt + this.interpolationDelay
+        });
+      };
 
       this.realtimeManager.onPlayerJoined = (playerId, playerData, isTestPlayer) => {
         // Skip if it's the current player (already handled elsewhere)
@@ -623,14 +1113,18 @@ class NetworkManager {
         // Log the event
         console.log(`NetworkManager received player joined: ${isTestPlayer ? 'Test Player' : 'Player'} ${playerId} on ${playerData.planet_name}`);
 
+        // Real players show once they are online, their presence join spawns them
+        if (!this.isPlayerOnline(playerId)) {
+          return;
+        }
+
         // Trigger the NetworkManager's onPlayerJoined event for the game logic
         this._triggerEvent('onPlayerJoined', playerId, playerData, isTestPlayer);
       };
       
+      // The connection manager joins the channel again when it fails
       this.realtimeManager.onSubscriptionError = (error) => {
         console.error('Realtime subscription error:', error);
-        // Schedule reconnection if needed
-        this._scheduleReconnect();
       };
       
       this.realtimeManager.onSubscriptionEvent = (type, data) => {
@@ -664,22 +1158,106 @@ class NetworkManager {
   }
 
   /**
-   * Update the player's position in the database and notify other players
+   * Stream the current player's movement to everyone in the game over broadcast
+   * Nothing is written to the database, see updateCurrentPlayerPosition
+   * @param {Object} state - Movement state in the planet's unrotated frame
+   * @param {Object} state.position - Position {x, y, z}
+   * @param {Object} [state.heading] - Unit direction of the movement {x, y, z}
+   * @param {Object|null} [state.target] - Destination of the current movement {x, y, z}
+   * @returns {Promise<boolean>} Whether the state was sent
+   */
+  async streamCurrentPlayerState(state) {
+    const playerId = this.authManager.getCurrentUserId();
+    const planetName = this.playerManager.currentPlanet;
+    if (!playerId || !planetName || !this.realtimeManager) return false;
+    
+    // Update locally first
+    this.updatePlayerPosition(playerId, state.position);
+    
+    // Broadcasts can't be queued, the others catch up with the next state once back online
+    if (this.connectionManager.isOffline()) return false;
+    
+    try {
+      return await this.realtimeManager.sendPosition(planetName, state);
+    } catch (error) {
+      console.error('Error streaming current player position:', error);
+      return false;
+    }
+  }
+  
+  /**
+   * Tell everyone in the game that the current player starts walking to a destination
+   * The others replay the movement, see RealtimeManager.sendMoveIntent
+   * @param {Object} from - Start of the path in the planet's unrotated frame {x, y, z}
+   * @param {Object} to - Destination in the planet's unrotated frame {x, y, z}
+   * @returns {Promise<boolean>} Whether the intent was sent
+   */
+  async sendMoveIntent(from, to) {
+    const planetName = this.playerManager.currentPlanet;
+    if (!planetName || !this.realtimeManager || this.connectionManager.isOffline()) return false;
+    
+    try {
+      return await this.realtimeManager.sendMoveIntent(planetName, { from, to, startedAt: Date.now() });
+    } catch (error) {
+      console.error('Error sending movement intent:', error);
+      return false;
+    }
+  }
+  
+  /**
+   * Save the player's position in the database, used to resume and by the server's rocket range check
+   * Writes are throttled to one per POSITION_SAVE_INTERVAL, the latest position is written at the end of the interval
    * @param {object} position - The position {x, y, z}
-   * @returns {Promise<void>}
    */
-  async updateCurrentPlayerPosition(position) {
+  updateCurrentPlayerPosition(position) {
+    const playerId = this.authManager.getCurrentUserId();
+    if (!playerId) return;
+    
+    // Update locally first
+    this.updatePlayerPosition(playerId, position);
+    
+    this._pendingPosition = { ...position };
+    if (this._positionSaveTimer) return;
+    
+    const wait = Math.max(0, this._lastPositionSave + POSITION_SAVE_INTERVAL - Date.now());
+    this._positionSaveTimer = setTimeout(() => this._savePendingPosition(), wait);
+  }
+  
+  /**
+   * Write the latest position waiting to be saved to the database
+   * While offline, or if the write fails, the position is queued until the connection is back
+   * @returns {void}
+   * @private
+   */
+  _savePendingPosition() {
+    this._positionSaveTimer = null;
+    
+    const position = this._pendingPosition;
+    this._pendingPosition = null;
+    if (!position) return;
+    
+    this._lastPositionSave = Date.now();
+    
+    // Written right away when possible, only the latest position matters so it replaces one still queued
+    this.connectionManager.enqueue('position', () => this._writePosition(position));
+  }
+  
+  /**
+   * Write a position to the database
+   * @param {object} position - The position {x, y, z}
+   * @returns {Promise<boolean>} Whether the position was written
+   * @private
+   */
+  async _writePosition(position) {
     try {
-      const playerId = this.authManager.getCurrentUserId();
-      if (!playerId) return;
-      
-      // Update locally first
-      this.updatePlayerPosition(playerId, position);
-      
       // Update in database via player manager
       await this.playerManager.updatePlayerPosition(position);
+      this.connectionManager.reportRequestSuccess();
+      return true;
     } catch (error) {
       console.error('Error updating current player position:', error);
+      this.connectionManager.reportRequestFailure(error);
+      return false;
     }
   }
 }
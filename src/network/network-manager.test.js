@@ -0,0 +1,188 @@
+import { describe, it, expect, vi, beforeEach, afterEach } from 'vitest';
+
+const supabase = vi.hoisted(() => ({ rpc: vi.fn() }));
+
+vi.mock('./supabase-client.js', () => ({ supabase }));
+
+import { networkManager } from './network-manager.js';
+import RealtimeManager from './realtime-manager.js';
+
+describe('NetworkManager presence checks', () => {
+  const { playerManager, gameQueueManager, presenceManager } = networkManager;
+
+  beforeEach(() => {
+    vi.spyOn(console, 'log').mockImplementation(() => {});
+    vi.spyOn(console, 'warn').mockImplementation(() => {});
+
+    gameQueueManager.currentGame = { id: 2 };
+    playerManager.players = [];
+    networkManager._presenceChecks.clear();
+    networkManager._verifiedPresences.clear();
+  });
+
+  afterEach(() => {
+    playerManager.currentPlanet = null;
+    playerManager.assignedGameId = null;
+    networkManager.isSpectating = false;
+    vi.restoreAllMocks();
+  });
+
+  it('accepts a presence matching the player row of the current game', async () => {
+    const row = { session_id: 'teammate', planet_name: 'earth', assigned_game_id: 2 };
+    playerManager.players = [row];
+
+    await expect(networkManager._verifyPresence({ session_id: 'teammate', planet_name: 'earth' })).resolves.toBe(row);
+  });
+
+  it('rejects a presence claiming another planet or game than the row', async () => {
+    vi.spyOn(playerManager, 'getPlayer').mockResolvedValue({ session_id: 'rival', planet_name: 'mars', assigned_game_id: 2 });
+
+    await expect(networkManager._verifyPresence({ session_id: 'rival', planet_name: 'earth' })).resolves.toBeNull();
+
+    playerManager.getPlayer.mockResolvedValue({ session_id: 'rival', planet_name: 'earth', assigned_game_id: 1 });
+    await expect(networkManager._verifyPresence({ session_id: 'rival', planet_name: 'earth' })).resolves.toBeNull();
+  });
+
+  it('accepts a player carried over from the previous round once they joined again', async () => {
+    const getPlayer = vi.spyOn(playerManager, 'getPlayer')
+      .mockResolvedValueOnce({ session_id: 'veteran', planet_name: 'earth', assigned_game_id: 1 })
+      .mockResolvedValueOnce({ session_id: 'veteran', planet_name: 'earth', assigned_game_id: 2 });
+    const presence = { session_id: 'veteran', planet_name: 'earth' };
+
+    // Their row still points to the previous game
+    await expect(networkManager._verifyPresence(presence)).resolves.toBeNull();
+    expect(networkManager.isPlayerOnline('veteran')).toBe(false);
+
+    // The next sync checks the row again
+    const row = await networkManager._verifyPresence(presence);
+    expect(row.assigned_game_id).toBe(2);
+    expect(getPlayer).toHaveBeenCalledTimes(2);
+  });
+
+  it('joins the new round when the player kept their planet', async () => {
+    playerManager.currentPlanet = 'earth';
+    playerManager.assignedGameId = 1;
+    expect(networkManager.needsRejoin()).toBe(true);
+
+    supabase.rpc.mockResolvedValue({
+      data: { session_id: 'me', planet_name: 'earth', color: '#FF5252', assigned_game_id: 2 },
+      error: null
+    });
+    vi.spyOn(networkManager.authManager, 'assignPlanetToUser').mockResolvedValue();
+    vi.spyOn(playerManager, 'saveCurrentPlayerToDatabase').mockResolvedValue({});
+
+    await playerManager.joinPlanet('earth');
+
+    expect(supabase.rpc).toHaveBeenCalledWith('join_planet', expect.objectContaining({ p_requested_planet: 'earth' }));
+    expect(playerManager.assignedGameId).toBe(2);
+    expect(networkManager.needsRejoin()).toBe(false);
+  });
+
+  it("doesn't join again for spectators or players without a planet", () => {
+    playerManager.assignedGameId = 1;
+    expect(networkManager.needsRejoin()).toBe(false);
+
+    playerManager.currentPlanet = 'earth';
+    networkManager.isSpectating = true;
+    expect(networkManager.needsRejoin()).toBe(false);
+  });
+
+  it('shares the game the planet was assigned for, so others check the row again after a re-join', async () => {
+    const channel = { track: vi.fn().mockResolvedValue('ok'), untrack: vi.fn() };
+    presenceManager.channel = channel;
+    presenceManager.isSubscribed = true;
+    presenceManager.player = null;
+
+    presenceManager.setPlayer('earth', '#FF5252', 1);
+    presenceManager.setPlayer('earth', '#FF5252', 1);
+    presenceManager.setPlayer('earth', '#FF5252', 2);
+
+    expect(channel.track.mock.calls).toEqual([
+      [{ planet_name: 'earth', color: '#FF5252', game_id: 1 }],
+      [{ planet_name: 'earth', color: '#FF5252', game_id: 2 }]
+    ]);
+
+    presenceManager.channel = null;
+    presenceManager.isSubscribed = false;
+    presenceManager.player = null;
+  });
+
+  it('only applies positions of players online on the planet they claim', async () => {
+    vi.spyOn(RealtimeManager.prototype, 'initialize').mockResolvedValue(true);
+    vi.spyOn(presenceManager, 'isOnline').mockImplementation(playerId => playerId === 'teammate');
+    networkManager._verifiedPresences.set('teammate', { session_id: 'teammate', planet_name: 'earth', assigned_game_id: 2 });
+    playerManager.players = [
+      { session_id: 'teammate', planet_name: 'earth' },
+      { session_id: 'rival', planet_name: 'mars' },
+      { session_id: 'fake_bot', planet_name: 'mars' }
+    ];
+
+    await networkManager._initializeRealtimeSubscription(true);
+    const { verifySender } = networkManager.realtimeManager;
+
+    expect(verifySender('teammate', 'earth')).toBe(true);
+    expect(verifySender('teammate', 'mars')).toBe(false);
+    // Has a row but no presence, anyone could claim their ID
+    expect(verifySender('rival', 'mars')).toBe(false);
+    expect(verifySender('fake_bot', 'mars')).toBe(true);
+    expect(verifySender('fake_ghost', 'mars')).toBe(false);
+
+    networkManager.realtimeManager = null;
+  });
+});
+
+describe('NetworkManager spectating', () => {
+  const { playerManager } = networkManager;
+  let onSpectatingChanged;
+
+  beforeEach(() => {
+    vi.spyOn(console, 'warn').mockImplementation(() => {});
+    vi.spyOn(networkManager, 'initializeGlobalRealtimeSubscription').mockResolvedValue(true);
+
+    onSpectatingChanged = vi.fn();
+    networkManager.on('onSpectatingChanged', onSpectatingChanged);
+  });
+
+  afterEach(() => {
+    networkManager.off('onSpectatingChanged', onSpectatingChanged);
+    networkManager.isSpectating = false;
+    networkManager.joinNextRound = true;
+    playerManager.currentPlanet = null;
+    vi.restoreAllMocks();
+  });
+
+  it('watches every planet until it stops spectating', async () => {
+    await expect(networkManager.startSpectating()).resolves.toBe(true);
+    await expect(networkManager.startSpectating()).resolves.toBe(true);
+
+    expect(networkManager.initializeGlobalRealtimeSubscription).toHaveBeenCalledTimes(1);
+    expect(onSpectatingChanged).toHaveBeenCalledWith({ isSpectating: true, joinNextRound: true });
+
+    networkManager.stopSpectating();
+    networkManager.stopSpectating();
+
+    expect(networkManager.isSpectating).toBe(false);
+    expect(onSpectatingChanged).toHaveBeenCalledTimes(2);
+    expect(onSpectatingChanged).toHaveBeenLastCalledWith({ isSpectating: false, joinNextRound: true });
+  });
+
+  it("doesn't spectate while playing on a planet or without the subscription", async () => {
+    playerManager.currentPlanet = 'earth';
+    await expect(networkManager.startSpectating()).resolves.toBe(false);
+
+    playerManager.currentPlanet = null;
+    networkManager.initializeGlobalRealtimeSubscription.mockResolvedValue(false);
+    await expect(networkManager.startSpectating()).resolves.toBe(false);
+
+    expect(networkManager.isSpectating).toBe(false);
+    expect(onSpectatingChanged).not.toHaveBeenCalled();
+  });
+
+  it('remembers whether to join the next round', async () => {
+    await networkManager.startSpectating();
+    networkManager.setJoinNextRound(false);
+
+    expect(networkManager.joinNextRound).toBe(false);
+    expect(onSpectatingChanged).toHaveBeenLastCalledWith({ isSpectating: true, joinNextRound: false });
+  });
+});
@@ -13,12 +13,18 @@ class PlayerManager {
     this.currentColor = null;
     this.currentPosition = null;
     this.isInitialized = false;
+    
+    // Game the current player's planet was assigned for (players.assigned_game_id)
+    this.assignedGameId = null;
+    
+    // Assignment strategies loaded from the database, keyed by name
+    this.assignmentStrategies = null;
   }
   
   /**
    * Initialize the player manager
    * - Load all active players from the database
-   * - Setup cleanup for inactive players
+   * Inactive players are removed by the server (cleanup_stale_players), never by clients
    * @returns {Promise<void>}
    */
   async initialize(session=null) {
@@ -28,14 +34,12 @@ class PlayerManager {
       // Load all active players from database
       await this.loadPlayers();
       
-      // Schedule cleanup of inactive players
-      this.setupInactivePlayerCleanup();
-      
       if(session) {
         // Set the current player to the session player
         this.currentPlanet = session.user.user_metadata.planet_name;
         this.currentColor = session.user.user_metadata.color;
         this.currentPosition = session.user.user_metadata.position;
+        this.assignedGameId = this.players.find(p => p.session_id === session.user.id)?.assigned_game_id ?? null;
       }
 
       this.isInitialized = true;
@@ -94,10 +98,15 @@ class PlayerManager {
   async assignPlayersToTheirPlanets() {
     try {
       // Group players by planet
-      const earthPlayers = this.players.filter(user => user.planet_name === 'earth');
-      const marsPlayers = this.players.filter(user => user.planet_name === 'mars');
+      const playersByPlanet = {};
+      this.players.forEach(user => {
+        playersByPlanet[user.planet_name] = (playersByPlanet[user.planet_name] || 0) + 1;
+      });
       
-      console.log(`Assigning ${earthPlayers.length} players to Earth and ${marsPlayers.length} players to Mars`);
+      const summary = Object.entries(playersByPlanet)
+        .map(([planetName, count]) => `${count} players to ${planetName}`)
+        .join(' and ');
+      console.log(`Assigning ${summary}`);
       
       
     } catch (error) {
@@ -106,47 +115,6 @@ class PlayerManager {
     }
   }
   
-  /**
-   * Setup a recurring job to clean up inactive players
-   */
-  setupInactivePlayerCleanup() {
-    // Run cleanup at the same interval as our inactivity threshold
-    setInterval(() => this.cleanInactivePlayers(), INACTIVE_THRESHOLD);
-    
-    // Also run cleanup immediately
-    this.cleanInactivePlayers();
-  }
-  
-  /**
-   * Clean up inactive players from the database
-   * @returns {Promise<void>}
-   */
-  async cleanInactivePlayers() {
-    try {
-      console.log("Cleaning up inactive players...");
-      
-      // Calculate the cutoff time using the same INACTIVE_THRESHOLD
-      const cutoffTime = new Date(Date.now() - INACTIVE_THRESHOLD).toISOString();
-      
-      // Delete inactive players from the database
-      const { error } = await supabase
-        .from('players')
-        .delete()
-        .lt('last_active', cutoffTime);
-      
-      if (error) {
-        throw error;
-      }
-      
-      // Refresh the local player list
-      await this.loadPlayers();
-      
-    } catch (error) {
-      console.error("Error cleaning up inactive players:", error);
-      // Don't throw, just log the error to prevent breaking the application
-    }
-  }
-  
   /**
    * Set the initial state of the player based on session data
    * @param {string} planetName - The name of the planet
@@ -234,27 +202,40 @@ class PlayerManager {
   }
   
   /**
-   * Join a random planet and assign a random color
-   * @returns {Promise<Object>} The updated session with planet assignment
+   * Get an assignment strategy from the registry in the database
+   * @param {string} name - The strategy name (game_queue.assignation_algo)
+   * @returns {Promise<Object|null>} The strategy {name, requires_choice, description} or null if unknown
    */
-  async joinPlanet() {
+  async getAssignmentStrategy(name) {
     try {
-      // Determine which planet has fewer players
-      const earthPlayers = this.players.filter(user => user.planet_name === 'earth');
-      const marsPlayers = this.players.filter(user => user.planet_name === 'mars');
-      
-      // Assign to planet with fewer players, or randomly if equal
-      let planetName;
-      if (earthPlayers.length < marsPlayers.length) {
-        planetName = 'earth';
-      } else if (marsPlayers.length < earthPlayers.length) {
-        planetName = 'mars';
-      } else {
-        // Equal players on both planets, assign randomly
-        planetName = Math.random() < 0.5 ? 'earth' : 'mars';
+      // The registry rarely changes, so load it once
+      if (!this.assignmentStrategies) {
+        const { data, error } = await supabase
+          .from('assignment_strategies')
+          .select('name, requires_choice, description');
+        
+        if (error) {
+          throw error;
+        }
+        
+        this.assignmentStrategies = new Map((data || []).map(strategy => [strategy.name, strategy]));
       }
       
-      console.log(`Assigning player to ${planetName}`);
+      return this.assignmentStrategies.get(name) || null;
+    } catch (error) {
+      console.error("Error loading assignment strategy:", error);
+      throw error;
+    }
+  }
+  
+  /**
+   * Join a planet chosen by the server with the current game's assignment strategy
+   * @param {string|null} [requestedPlanet=null] - Planet picked by the player, only used by strategies that require a choice
+   * @param {string|null} [preferredColor=null] - Color from the player's profile, a random color is used if not set
+   * @returns {Promise<Object>} The updated session with planet assignment
+   */
+  async joinPlanet(requestedPlanet = null, preferredColor = null) {
+    try {
       // Generate a random color
       const colors = [
         '#FF5252', '#FF4081', '#E040FB', '#7C4DFF',
@@ -262,10 +243,24 @@ class PlayerManager {
         '#64FFDA', '#69F0AE', '#B2FF59', '#EEFF41',
         '#FFFF00', '#FFD740', '#FFAB40', '#FF6E40'
       ];
-      const color = colors[Math.floor(Math.random() * colors.length)];
+      
+      // The server applies the game's strategy and rejects planets it does not allow
+      const { data: assignment, error } = await supabase.rpc('join_planet', {
+        p_requested_planet: requestedPlanet,
+        p_color: preferredColor || colors[Math.floor(Math.random() * colors.length)]
+      });
+      
+      if (error) {
+        throw error;
+      }
+      
+      const planetName = assignment.planet_name;
+      const color = assignment.color;
+      console.log(`Assigned player to ${planetName}`);
       
       this.currentPlanet = planetName;
       this.currentColor = color;
+      this.assignedGameId = assignment.assigned_game_id;
       
       // Update session with planet and color
       await authManager.assignPlanetToUser(planetName, color);
@@ -275,7 +270,31 @@ class PlayerManager {
       
       return { planetName, color, player };
     } catch (error) {
-      console.error("Error joining random planet:", error);
+      console.error("Error joining planet:", error);
+      throw error;
+    }
+  }
+  
+  /**
+   * Load the row of a player, whether they are active or not
+   * @param {string} sessionId - The player's session ID
+   * @returns {Promise<Object|null>} The player row, or null if the player has none
+   */
+  async getPlayer(sessionId) {
+    try {
+      const { data, error } = await supabase
+        .from('players')
+        .select('*')
+        .eq('session_id', sessionId)
+        .maybeSingle();
+      
+      if (error) {
+        throw error;
+      }
+      
+      return data;
+    } catch (error) {
+      console.error("Error loading player:", error);
       throw error;
     }
   }
@@ -0,0 +1,79 @@
+import { describe, it, expect, vi, beforeEach, afterEach } from 'vitest';
+
+const supabase = vi.hoisted(() => ({ rpc: vi.fn(), from: vi.fn() }));
+const authManager = vi.hoisted(() => ({ assignPlanetToUser: vi.fn() }));
+
+vi.mock('./supabase-client.js', () => ({ supabase }));
+vi.mock('./auth-manager.js', () => ({ authManager }));
+vi.mock('./network-manager.js', () => ({ INACTIVE_THRESHOLD: 5 * 60 * 1000 }));
+
+import { playerManager } from './player-manager.js';
+
+describe('PlayerManager planet assignment', () => {
+  beforeEach(() => {
+    vi.spyOn(console, 'log').mockImplementation(() => {});
+    vi.spyOn(console, 'error').mockImplementation(() => {});
+    vi.spyOn(playerManager, 'saveCurrentPlayerToDatabase').mockResolvedValue({ session_id: 'me' });
+
+    supabase.rpc.mockReset();
+    supabase.from.mockReset();
+    authManager.assignPlanetToUser.mockReset();
+    playerManager.assignmentStrategies = null;
+  });
+
+  afterEach(() => {
+    playerManager.currentPlanet = null;
+    playerManager.currentColor = null;
+    playerManager.assignedGameId = null;
+    vi.restoreAllMocks();
+  });
+
+  it('joins the planet the server picked', async () => {
+    supabase.rpc.mockResolvedValue({ data: { planet_name: 'mars', color: '#536DFE', assigned_game_id: 4 }, error: null });
+
+    const result = await playerManager.joinPlanet('earth', '#536DFE');
+
+    expect(supabase.rpc).toHaveBeenCalledWith('join_planet', { p_requested_planet: 'earth', p_color: '#536DFE' });
+    expect(result).toEqual({ planetName: 'mars', color: '#536DFE', player: { session_id: 'me' } });
+    expect(playerManager.currentPlanet).toBe('mars');
+    expect(playerManager.assignedGameId).toBe(4);
+    expect(authManager.assignPlanetToUser).toHaveBeenCalledWith('mars', '#536DFE');
+  });
+
+  it('picks a color of the palette without a preferred one', async () => {
+    supabase.rpc.mockResolvedValue({ data: { planet_name: 'earth', color: '#FF5252', assigned_game_id: 4 }, error: null });
+
+    await playerManager.joinPlanet();
+
+    const { p_requested_planet, p_color } = supabase.rpc.mock.calls[0][1];
+    expect(p_requested_planet).toBeNull();
+    expect(p_color).toMatch(/^#[0-9A-F]{6}$/);
+  });
+
+  it('keeps the current planet when the server refuses', async () => {
+    playerManager.currentPlanet = 'earth';
+    supabase.rpc.mockResolvedValue({ data: null, error: { message: 'Planet mars is not part of this game' } });
+
+    await expect(playerManager.joinPlanet('mars')).rejects.toEqual({ message: 'Planet mars is not part of this game' });
+
+    expect(playerManager.currentPlanet).toBe('earth');
+    expect(authManager.assignPlanetToUser).not.toHaveBeenCalled();
+  });
+
+  it('loads the strategy registry once', async () => {
+    const select = vi.fn().mockResolvedValue({
+      data: [
+        { name: 'roundrobin', requires_choice: false },
+        { name: 'free', requires_choice: true }
+      ],
+      error: null
+    });
+    supabase.from.mockReturnValue({ select });
+
+    await expect(playerManager.getAssignmentStrategy('free')).resolves.toEqual({ name: 'free', requires_choice: true });
+    await expect(playerManager.getAssignmentStrategy('unknown')).resolves.toBeNull();
+
+    expect(supabase.from).toHaveBeenCalledWith('assignment_strategies');
+    expect(select).toHaveBeenCalledTimes(1);
+  });
+});
@@ -0,0 +1,284 @@
+import { supabase } from './supabase-client.js';
+import { authManager } from './auth-manager.js';
+import { connectionManager } from './connection-manager.js';
+
+// Player colors are hex strings, anything else tracked as a color is dropped
+const COLOR_PATTERN = /^#[0-9a-f]{6}$/i;
+
+/**
+ * PresenceManager - Tracks which players are online in the current game round with Supabase Realtime Presence
+ *
+ * This class is responsible for:
+ * - Joining a presence channel scoped to the game_queue round, spectators included
+ * - Tracking the current player with their planet and color while they are on a planet
+ * - Reporting players coming online, going offline and the full list on every sync
+ *
+ * Presence ends by itself when a tab closes or loses its connection, so no client ever has to
+ * delete another player's row. Stale rows are removed by the server (cleanup_stale_players).
+ */
+class PresenceManager {
+  /**
+   * Create a new PresenceManager instance
+   * @constructor
+   */
+  constructor() {
+    // Round the channel belongs to
+    this.gameId = null;
+
+    // Presence channel of the round
+    this.channel = null;
+    this.isSubscribed = false;
+
+    // What the current player shares, null while they have no planet
+    this.player = null;
+
+    // Event callbacks
+    this.onJoin = null;
+    this.onLeave = null;
+    this.onSync = null;
+
+    // Debug mode
+    this.debug = import.meta.env.DEV;
+  }
+
+  /**
+   * Log debug messages if debug mode is enabled
+   * @param {...any} args - Arguments to log
+   * @private
+   */
+  _logDebug(...args) {
+    if (this.debug) {
+      console.log('[PresenceManager]', ...args);
+    }
+  }
+
+  /**
+   * Log error messages
+   * @param {...any} args - Arguments to log
+   * @private
+   */
+  _logError(...args) {
+    console.error('[PresenceManager]', ...args);
+  }
+
+  /**
+   * Join the presence channel of a round, leaving the previous one
+   * @param {number|null} gameId - ID of the current game
+   */
+  setRoom(gameId) {
+    gameId = gameId || null;
+    if (gameId === this.gameId) return;
+
+    this._leave();
+    this.gameId = gameId;
+
+    if (this.gameId) {
+      this._join(`presence:${this.gameId}`);
+    }
+
+    this._logDebug(`Presence room is now game ${this.gameId}`);
+  }
+
+  /**
+   * Share the current player's planet with the round, or stop sharing it
+   * The game the planet was assigned for is shared too, so other players check the player's row again after a re-join
+   * @param {string|null} planetName - The player's planet, or null when they have none (e.g. spectators)
+   * @param {string|null} [color=null] - Color of the player's SphereBot
+   * @param {number|null} [gameId=null] - Game the planet was assigned for
+   */
+  setPlayer(planetName, color = null, gameId = null) {
+    const player = planetName ? { planet_name: planetName, color: color || null, game_id: gameId || null } : null;
+
+    if (player?.planet_name === this.player?.planet_name &&
+      player?.color === this.player?.color &&
+      player?.game_id === this.player?.game_id) return;
+
+    this.player = player;
+    this._track();
+  }
+
+  /**
+   * Check whether the current player is tracked as online
+   * @returns {boolean} True if the player shares a planet on a joined channel
+   */
+  isTracking() {
+    return this.isSubscribed && !!this.player;
+  }
+
+  /**
+   * Check whether a player is online in the round
+   * @param {string} sessionId - The player's session ID
+   * @returns {boolean} True if the player is tracked on the round's channel
+   */
+  isOnline(sessionId) {
+    return this.getOnlinePlayers().some(player => player.session_id === sessionId);
+  }
+
+  /**
+   * Get the players online in the round, the current player excluded
+   * @returns {Array<Object>} Players as { session_id, planet_name, color }
+   */
+  getOnlinePlayers() {
+    if (!this.channel) return [];
+
+    const currentPlayerId = authManager.getCurrentUserId();
+    const state = this.channel.presenceState();
+
+    return Object.keys(state)
+      .filter(key => key !== currentPlayerId)
+      .map(key => this._toPlayer(key, state[key]))
+      .filter(Boolean);
+  }
+
+  /**
+   * Join a round's presence channel, keyed by session so a player's tabs count once
+   * @param {string} topic - Channel name
+   * @private
+   */
+  _join(topic) {
+    const channel = supabase
+      .channel(topic, { config: { presence: { key: authManager.getCurrentUserId() || undefined } } })
+      .on('presence', { event: 'sync' }, () => this._handleSync())
+      .on('presence', { event: 'join' }, ({ key, currentPresences, newPresences }) => this._handleJoin(key, currentPresences, newPresences))
+      .on('presence', { event: 'leave' }, ({ key, currentPresences }) => this._handleLeave(key, currentPresences));
+
+    this.channel = channel;
+
+    // Join the round's channel again whenever it fails
+    connectionManager.registerChannel('presence', () => {
+      this._leave();
+      this._join(topic);
+    });
+
+    channel.subscribe((status, error) => {
+      // A late status of a channel left since
+      if (channel !== this.channel) return;
+
+      connectionManager.reportChannelStatus('presence', status);
+
+      if (error) {
+        this._logError(`Error joining ${topic}:`, error);
+        return;
+      }
+
+      this._logDebug(`${topic}: ${status}`);
+      this.isSubscribed = status === 'SUBSCRIBED';
+
+      // Presence can only be tracked on a joined channel, also shares it again after a reconnect
+      if (this.isSubscribed) {
+        this._track();
+      }
+    });
+  }
+
+  /**
+   * Leave the round's presence channel, which ends the player's presence in it
+   * @private
+   */
+  _leave() {
+    connectionManager.unregisterChannel('presence');
+
+    if (this.channel) {
+      supabase.removeChannel(this.channel);
+      this.channel = null;
+    }
+    this.isSubscribed = false;
+  }
+
+  /**
+   * Share the current player's state on the channel, or remove it
+   * @private
+   */
+  async _track() {
+    if (!this.channel || !this.isSubscribed) return;
+
+    try {
+      const status = this.player
+        ? await this.channel.track(this.player)
+        : await this.channel.untrack();
+
+      if (status !== 'ok') {
+        this._logError(`Presence could not be updated (${status})`);
+      }
+    } catch (error) {
+      this._logError('Error updating presence:', error);
+    }
+  }
+
+  /**
+   * Handle the full list of online players
+   * @private
+   */
+  _handleSync() {
+    if (this.onSync) {
+      this.onSync(this.getOnlinePlayers());
+    }
+  }
+
+  /**
+   * Handle a player coming online
+   * Changes of what an online player shares (e.g. a new planet) only show in the next sync
+   * @param {string} key - The player's session ID
+   * @param {Array<Object>} currentPresences - The player's presences before this join
+   * @param {Array<Object>} newPresences - The presences that joined
+   * @private
+   */
+  _handleJoin(key, currentPresences, newPresences) {
+    if (key === authManager.getCurrentUserId()) return;
+
+    // Another tab of a player already online
+    if (currentPresences && currentPresences.length) return;
+
+    const player = this._toPlayer(key, newPresences);
+    if (player && this.onJoin) {
+      this.onJoin(key, player);
+    }
+  }
+
+  /**
+   * Handle a player going offline
+   * @param {string} key - The player's session ID
+   * @param {Array<Object>} currentPresences - The player's presences left after this leave
+   * @private
+   */
+  _handleLeave(key, currentPresences) {
+    if (key === authManager.getCurrentUserId()) return;
+
+    // The player is still online in another tab, or only changed what they share
+    if (currentPresences && currentPresences.length) return;
+
+    if (this.onLeave) {
+      this.onLeave(key);
+    }
+  }
+
+  /**
+   * Turn the presences of a key into a player, anyone can track anything so it is checked
+   * @param {string} key - The player's session ID
+   * @param {Array<Object>} presences - The presences of the key, latest last
+   * @returns {Object|null} The player as { session_id, planet_name, color }, or null without a planet
+   * @private
+   */
+  _toPlayer(key, presences) {
+    const presence = presences && presences[presences.length - 1];
+    if (!presence || typeof presence.planet_name !== 'string' || !presence.planet_name) return null;
+
+    return {
+      session_id: key,
+      planet_name: presence.planet_name.slice(0, 32),
+      color: COLOR_PATTERN.test(presence.color) ? presence.color : null
+    };
+  }
+
+  /**
+   * Leave the round and forget the current player
+   */
+  cleanup() {
+    this._leave();
+    this.gameId = null;
+    this.player = null;
+  }
+}
+
+// Create and export a singleton instance
+export const presenceManager = new PresenceManager();
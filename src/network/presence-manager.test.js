@@ -0,0 +1,90 @@
+import { describe, it, expect, vi, beforeEach, afterEach } from 'vitest';
+
+vi.mock('./supabase-client.js', () => ({ supabase: { removeChannel: vi.fn() } }));
+vi.mock('./auth-manager.js', () => ({ authManager: { getCurrentUserId: () => 'me' } }));
+vi.mock('./connection-manager.js', () => ({ connectionManager: { unregisterChannel: vi.fn() } }));
+
+import { presenceManager } from './presence-manager.js';
+
+describe('PresenceManager', () => {
+  let state;
+
+  beforeEach(() => {
+    vi.spyOn(console, 'log').mockImplementation(() => {});
+
+    // Presences per key as returned by the channel, latest last
+    state = {};
+    presenceManager.channel = { presenceState: () => state };
+    presenceManager.onJoin = vi.fn();
+    presenceManager.onLeave = vi.fn();
+  });
+
+  afterEach(() => {
+    presenceManager.channel = null;
+    presenceManager.onJoin = null;
+    presenceManager.onLeave = null;
+    vi.restoreAllMocks();
+  });
+
+  describe('online players', () => {
+    it('lists the players on a planet, the current player excluded', () => {
+      state = {
+        me: [{ planet_name: 'earth', color: '#FF5252' }],
+        teammate: [{ planet_name: 'earth', color: '#000000' }, { planet_name: 'mars', color: '#00E676' }],
+        spectator: [{}]
+      };
+
+      expect(presenceManager.getOnlinePlayers()).toEqual([
+        { session_id: 'teammate', planet_name: 'mars', color: '#00E676' }
+      ]);
+      expect(presenceManager.isOnline('teammate')).toBe(true);
+      expect(presenceManager.isOnline('spectator')).toBe(false);
+    });
+
+    it('drops what anyone could track instead of a planet and a color', () => {
+      state = {
+        a: [{ planet_name: { name: 'earth' } }],
+        b: [{ planet_name: '' }],
+        c: [{ planet_name: 'x'.repeat(100), color: 'red; background: url(x)' }]
+      };
+
+      expect(presenceManager.getOnlinePlayers()).toEqual([
+        { session_id: 'c', planet_name: 'x'.repeat(32), color: null }
+      ]);
+    });
+
+    it('is empty before joining a round', () => {
+      presenceManager.channel = null;
+
+      expect(presenceManager.getOnlinePlayers()).toEqual([]);
+    });
+  });
+
+  describe('joins and leaves', () => {
+    it('reports a player once, whatever the number of their tabs', () => {
+      const presence = { planet_name: 'earth', color: '#FF5252' };
+
+      presenceManager._handleJoin('teammate', [], [presence]);
+      presenceManager._handleJoin('teammate', [presence], [presence]);
+      presenceManager._handleJoin('me', [], [presence]);
+
+      expect(presenceManager.onJoin.mock.calls).toEqual([
+        ['teammate', { session_id: 'teammate', planet_name: 'earth', color: '#FF5252' }]
+      ]);
+    });
+
+    it("doesn't report spectators joining", () => {
+      presenceManager._handleJoin('spectator', [], [{}]);
+
+      expect(presenceManager.onJoin).not.toHaveBeenCalled();
+    });
+
+    it('reports a player offline once their last tab left', () => {
+      presenceManager._handleLeave('teammate', [{ planet_name: 'earth' }]);
+      expect(presenceManager.onLeave).not.toHaveBeenCalled();
+
+      presenceManager._handleLeave('teammate', []);
+      expect(presenceManager.onLeave).toHaveBeenCalledWith('teammate');
+    });
+  });
+});
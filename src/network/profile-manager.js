@@ -0,0 +1,212 @@
+import { supabase } from './supabase-client.js';
+import { authManager } from './auth-manager.js';
+
+/**
+ * Avatars a player can choose from (Font Awesome icon names)
+ * @type {string[]}
+ */
+export const PROFILE_AVATARS = [
+  'user-astronaut', 'robot', 'rocket', 'meteor', 'satellite', 'user-secret'
+];
+
+/**
+ * ProfileManager - Handles the optional player profile and cross-game statistics
+ *
+ * This class is responsible for:
+ * - Loading and saving the profile (display name, color, avatar) of the current user
+ * - Loading the statistics accumulated from finished games
+ * - Upgrading the anonymous user to an email account with a magic link
+ */
+class ProfileManager {
+  /**
+   * Create a new ProfileManager instance
+   * @constructor
+   */
+  constructor() {
+    // Profile of the current user, or null if none was saved yet
+    this.profile = null;
+
+    // Statistics of the current user, or null if no game was recorded yet
+    this.stats = null;
+
+    // Event callbacks
+    this.onProfileChanged = null;
+
+    // Debug mode
+    this.debug = import.meta.env.DEV;
+  }
+
+  /**
+   * Log debug messages if debug mode is enabled
+   * @param {...any} args - Arguments to log
+   * @private
+   */
+  _logDebug(...args) {
+    if (this.debug) {
+      console.log('[ProfileManager]', ...args);
+    }
+  }
+
+  /**
+   * Log error messages
+   * @param {...any} args - Arguments to log
+   * @private
+   */
+  _logError(...args) {
+    console.error('[ProfileManager]', ...args);
+  }
+
+  /**
+   * Check whether the current user is still anonymous
+   * @returns {boolean} True if the user has not linked an email yet
+   */
+  isAnonymous() {
+    const user = authManager.currentSession?.user;
+    return !user || user.is_anonymous !== false;
+  }
+
+  /**
+   * Get the email linked to the current user
+   * @returns {string|null} The email or null if the user is anonymous
+   */
+  getEmail() {
+    return authManager.currentSession?.user?.email || null;
+  }
+
+  /**
+   * Load the profile and statistics of the current user
+   * @returns {Promise<Object|null>} The profile or null if none was saved yet
+   */
+  async loadProfile() {
+    try {
+      const userId = authManager.getCurrentUserId();
+      if (!userId) return null;
+
+      const [profileResult, statsResult] = await Promise.all([
+        supabase.from('profiles').select('*').eq('user_id', userId).maybeSingle(),
+        supabase.from('player_stats').select('*').eq('user_id', userId).maybeSingle()
+      ]);
+
+      if (profileResult.error) throw profileResult.error;
+      if (statsResult.error) throw statsResult.error;
+
+      this.profile = profileResult.data;
+      this.stats = statsResult.data;
+      this._logDebug('Loaded profile', this.profile, this.stats);
+
+      if (this.onProfileChanged) {
+        this.onProfileChanged(this.profile);
+      }
+
+      return this.profile;
+    } catch (error) {
+      this._logError('Error loading profile:', error);
+      return null;
+    }
+  }
+
+  /**
+   * Create or update the profile of the current user
+   * @param {Object} changes - Profile fields to save
+   * @param {string} [changes.display_name] - Name shown to other players
+   * @param {string} [changes.color] - Preferred player color (#RRGGBB)
+   * @param {string} [changes.avatar] - One of PROFILE_AVATARS
+   * @returns {Promise<Object>} The saved profile
+   */
+  async saveProfile(changes) {
+    try {
+      const userId = authManager.getCurrentUserId();
+      if (!userId) {
+        throw new Error('Cannot save profile: no session');
+      }
+
+      const { data, error } = await supabase
+        .from('profiles')
+        .upsert({
+          user_id: userId,
+          ...changes,
+          updated_at: new Date().toISOString()
+        })
+        .select()
+        .single();
+
+      if (error) {
+        throw error;
+      }
+
+      this.profile = data;
+      this._logDebug('Saved profile', data);
+
+      if (this.onProfileChanged) {
+        this.onProfileChanged(this.profile);
+      }
+
+      return data;
+    } catch (error) {
+      this._logError('Error saving profile:', error);
+      throw error;
+    }
+  }
+
+  /**
+   * Link an email to the anonymous user so the profile can be used on other devices
+   * Supabase sends a confirmation link to the email; the account keeps its user ID
+   * @param {string} email - The email to link
+   * @returns {Promise<void>}
+   */
+  async upgradeToEmail(email) {
+    try {
+      const { error } = await supabase.auth.updateUser(
+        { email },
+        { emailRedirectTo: window.location.origin }
+      );
+
+      if (error) {
+        throw error;
+      }
+
+      this._logDebug(`Confirmation link sent to ${email}`);
+    } catch (error) {
+      this._logError('Error upgrading account:', error);
+      throw error;
+    }
+  }
+
+  /**
+   * Send a magic link to sign in to an existing account
+   * Used on a new device, where the browser starts with a fresh anonymous user
+   * @param {string} email - The email of the account
+   * @returns {Promise<void>}
+   */
+  async sendMagicLink(email) {
+    try {
+      const { error } = await supabase.auth.signInWithOtp({
+        email,
+        options: {
+          shouldCreateUser: false,
+          emailRedirectTo: window.location.origin
+        }
+      });
+
+      if (error) {
+        throw error;
+      }
+
+      this._logDebug(`Magic link sent to ${email}`);
+    } catch (error) {
+      this._logError('Error sending magic link:', error);
+      throw error;
+    }
+  }
+
+  /**
+   * Clean up resources used by this object
+   */
+  cleanup() {
+    this.profile = null;
+    this.stats = null;
+  }
+}
+
+// Create and export a singleton instance
+export const profileManager = new ProfileManager();
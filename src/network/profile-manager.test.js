@@ -0,0 +1,88 @@
+import { describe, it, expect, vi, beforeEach, afterEach } from 'vitest';
+
+const supabase = vi.hoisted(() => ({ from: vi.fn() }));
+const authManager = vi.hoisted(() => ({ currentSession: null, getCurrentUserId: vi.fn() }));
+
+vi.mock('./supabase-client.js', () => ({ supabase }));
+vi.mock('./auth-manager.js', () => ({ authManager }));
+
+import { profileManager } from './profile-manager.js';
+
+/**
+ * Query builder of a table, resolving to a result
+ * @param {Object} result - { data, error }
+ * @returns {Object} The query, its methods are spies
+ */
+function query(result) {
+  const builder = {
+    maybeSingle: vi.fn(async () => result),
+    single: vi.fn(async () => result)
+  };
+  ['select', 'eq', 'upsert'].forEach(method => {
+    builder[method] = vi.fn(() => builder);
+  });
+  return builder;
+}
+
+describe('ProfileManager', () => {
+  beforeEach(() => {
+    vi.spyOn(console, 'log').mockImplementation(() => {});
+    vi.spyOn(console, 'error').mockImplementation(() => {});
+
+    authManager.getCurrentUserId.mockReturnValue('me');
+    supabase.from.mockReset();
+    profileManager.onProfileChanged = vi.fn();
+  });
+
+  afterEach(() => {
+    profileManager.cleanup();
+    profileManager.onProfileChanged = null;
+    authManager.currentSession = null;
+    vi.restoreAllMocks();
+  });
+
+  it('loads the profile and the statistics of the current user', async () => {
+    const profile = { user_id: 'me', display_name: 'Ada' };
+    const stats = { user_id: 'me', games_played: 3 };
+    const tables = { profiles: query({ data: profile, error: null }), player_stats: query({ data: stats, error: null }) };
+    supabase.from.mockImplementation(table => tables[table]);
+
+    await expect(profileManager.loadProfile()).resolves.toEqual(profile);
+
+    expect(tables.profiles.eq).toHaveBeenCalledWith('user_id', 'me');
+    expect(profileManager.stats).toEqual(stats);
+    expect(profileManager.onProfileChanged).toHaveBeenCalledWith(profile);
+  });
+
+  it('has no profile without a session or when it fails to load', async () => {
+    authManager.getCurrentUserId.mockReturnValue(null);
+    await expect(profileManager.loadProfile()).resolves.toBeNull();
+    expect(supabase.from).not.toHaveBeenCalled();
+
+    authManager.getCurrentUserId.mockReturnValue('me');
+    supabase.from.mockReturnValue(query({ data: null, error: { message: 'permission denied' } }));
+    await expect(profileManager.loadProfile()).resolves.toBeNull();
+  });
+
+  it('saves the changes on the current user', async () => {
+    const saved = { user_id: 'me', color: '#FF5252' };
+    const profiles = query({ data: saved, error: null });
+    supabase.from.mockReturnValue(profiles);
+
+    await expect(profileManager.saveProfile({ color: '#FF5252' })).resolves.toEqual(saved);
+
+    expect(profiles.upsert).toHaveBeenCalledWith(expect.objectContaining({ user_id: 'me', color: '#FF5252' }));
+    expect(profileManager.profile).toEqual(saved);
+  });
+
+  it('is anonymous until an email is linked', () => {
+    expect(profileManager.isAnonymous()).toBe(true);
+
+    authManager.currentSession = { user: { is_anonymous: true } };
+    expect(profileManager.isAnonymous()).toBe(true);
+
+    authManager.currentSession = { user: { is_anonymous: false, email: 'ada@example.com' } };
+    expect(profileManager.isAnonymous()).toBe(false);
+    expect(profileManager.getEmail()).toBe('ada@example.com');
+  });
+});
@@ -1,8 +1,181 @@
 import { supabase } from './supabase-client.js';
 import { INACTIVE_THRESHOLD } from './network-manager.js';
+import { connectionManager } from './connection-manager.js';
+
+// Positions are rounded to the millimeter and directions to 1/100 to keep broadcast messages small
+const POSITION_PRECISION = 1000;
+const DIRECTION_PRECISION = 100;
+
+// Longest time a player keeps moving past their last message when the next ones are late or lost (ms)
+const MAX_EXTRAPOLATION = 250;
+
+// How fast the clock offset estimate follows slower messages, faster ones are taken right away
+const CLOCK_OFFSET_DRIFT = 0.05;
+
+/**
+ * Round a vector into a compact array
+ * @param {Object} vector - The vector {x, y, z}
+ * @param {number} precision - Steps per unit
+ * @returns {number[]} [x, y, z]
+ */
+function packVector(vector, precision) {
+  return [vector.x, vector.y, vector.z].map(value => Math.round(value * precision) / precision);
+}
+
+/**
+ * Read a vector packed by packVector, anyone can broadcast so it is checked
+ * @param {*} values - The packed vector
+ * @returns {Object|null} The vector {x, y, z}, or null if invalid
+ */
+function unpackVector(values) {
+  if (!Array.isArray(values) || values.length !== 3 || !values.every(Number.isFinite)) return null;
+  return { x: values[0], y: values[1], z: values[2] };
+}
+
+/**
+ * Encode a player's movement state into a compact broadcast message
+ * Vectors are in the planet's unrotated frame (see Game.toPlanetFrame) so every client can place them on its own planets
+ * @param {string} playerId - The player's session ID
+ * @param {string} planetName - The player's planet
+ * @param {Object} state - The movement state
+ * @param {Object} state.position - Position {x, y, z}
+ * @param {Object} [state.heading] - Unit direction of the movement {x, y, z}
+ * @param {Object|null} [state.target] - Destination of the current movement {x, y, z}, null when standing
+ * @returns {Object} The message
+ */
+export function encodePlayerState(playerId, planetName, state) {
+  return {
+    i: playerId,
+    n: planetName,
+    p: packVector(state.position, POSITION_PRECISION),
+    h: state.heading ? packVector(state.heading, DIRECTION_PRECISION) : null,
+    g: state.target ? packVector(state.target, POSITION_PRECISION) : null,
+    t: Date.now()
+  };
+}
+
+/**
+ * Decode a message built by encodePlayerState
+ * @param {Object} message - The message
+ * @returns {Object|null} { playerId, planetName, position, heading, target, sentAt }, or null if invalid
+ */
+export function decodePlayerState(message) {
+  if (!message || typeof message.i !== 'string' || typeof message.n !== 'string') return null;
+
+  const position = unpackVector(message.p);
+  if (!position) return null;
+
+  return {
+    playerId: message.i,
+    planetName: message.n,
+    position,
+    heading: unpackVector(message.h),
+    target: unpackVector(message.g),
+    sentAt: Number.isFinite(message.t) ? message.t : Date.now()
+  };
+}
+
+/**
+ * Encode a movement intent: the player walks from one point to another starting at a given time
+ * Other clients find the same path and replay the movement, so no position is sent while walking
+ * @param {string} playerId - The player's session ID
+ * @param {string} planetName - The player's planet
+ * @param {Object} intent - The movement, vectors in the planet's unrotated frame
+ * @param {Object} intent.from - Start of the path {x, y, z}
+ * @param {Object} intent.to - Destination {x, y, z}
+ * @param {number} intent.startedAt - When the movement started, in the sender's clock (ms)
+ * @returns {Object} The message
+ */
+export function encodeMoveIntent(playerId, planetName, intent) {
+  return {
+    i: playerId,
+    n: planetName,
+    a: packVector(intent.from, POSITION_PRECISION),
+    b: packVector(intent.to, POSITION_PRECISION),
+    t: intent.startedAt
+  };
+}
+
+/**
+ * Decode a message built by encodeMoveIntent
+ * @param {Object} message - The message
+ * @returns {Object|null} { playerId, planetName, from, to, startedAt }, or null if invalid
+ */
+export function decodeMoveIntent(message) {
+  if (!message || typeof message.i !== 'string' || typeof message.n !== 'string' || !Number.isFinite(message.t)) return null;
+
+  const from = unpackVector(message.a);
+  const to = unpackVector(message.b);
+  if (!from || !to) return null;
+
+  return {
+    playerId: message.i,
+    planetName: message.n,
+    from,
+    to,
+    startedAt: message.t
+  };
+}
+
+/**
+ * Move along the great circle between two points around a center, the distance to the center is interpolated linearly
+ * t above 1 keeps going along the same circle, which is used to extrapolate
+ * @param {Object} from - Start {x, y, z}
+ * @param {Object} to - End {x, y, z}
+ * @param {number} t - Progress, 0 at from and 1 at to
+ * @param {Object|null} center - Center of the sphere {x, y, z}, a straight line is used without one
+ * @returns {Object} The point {x, y, z}
+ */
+export function slerpAround(from, to, t, center) {
+  const lerp = () => ({
+    x: from.x + (to.x - from.x) * t,
+    y: from.y + (to.y - from.y) * t,
+    z: from.z + (to.z - from.z) * t
+  });
+  if (!center) return lerp();
+
+  const a = { x: from.x - center.x, y: from.y - center.y, z: from.z - center.z };
+  const b = { x: to.x - center.x, y: to.y - center.y, z: to.z - center.z };
+  const radiusA = Math.hypot(a.x, a.y, a.z);
+  const radiusB = Math.hypot(b.x, b.y, b.z);
+  if (radiusA === 0 || radiusB === 0) return lerp();
+
+  const cos = Math.min(1, Math.max(-1, (a.x * b.x + a.y * b.y + a.z * b.z) / (radiusA * radiusB)));
+  const angle = Math.acos(cos);
+
+  // Nearly the same direction, or opposite ones with no single great circle between them
+  if (angle < 1e-4 || Math.PI - angle < 1e-4) return lerp();
+
+  const sin = Math.sin(angle);
+  const weightA = Math.sin((1 - t) * angle) / sin / radiusA;
+  const weightB = Math.sin(t * angle) / sin / radiusB;
+  const radius = radiusA + (radiusB - radiusA) * t;
+
+  return {
+    x: center.x + (a.x * weightA + b.x * weightB) * radius,
+    y: center.y + (a.y * weightA + b.y * weightB) * radius,
+    z: center.z + (a.z * weightA + b.z * weightB) * radius
+  };
+}
+
+/**
+ * Angle between two points seen from a center
+ * @param {Object} from - First point {x, y, z}
+ * @param {Object} to - Second point {x, y, z}
+ * @param {Object} center - Center of the sphere {x, y, z}
+ * @returns {number} The angle in radians
+ */
+function angleAround(from, to, center) {
+  const a = { x: from.x - center.x, y: from.y - center.y, z: from.z - center.z };
+  const b = { x: to.x - center.x, y: to.y - center.y, z: to.z - center.z };
+  const lengths = Math.hypot(a.x, a.y, a.z) * Math.hypot(b.x, b.y, b.z);
+  if (lengths === 0) return 0;
+  return Math.acos(Math.min(1, Math.max(-1, (a.x * b.x + a.y * b.y + a.z * b.z) / lengths)));
+}
 
 /**
  * RealtimeManager - Handles real-time player position updates using Supabase subscriptions
+ * Positions are streamed over a broadcast channel, the players table only announces new players
  */
 class RealtimeManager {
   /**
@@ -19,21 +192,32 @@ class RealtimeManager {
     // Track the current user's ID to avoid processing own updates
     this.currentPlayerId = null;
     
-    // Position buffer to store recent positions for each player
+    // Position buffer to store recent positions for each player, ordered by the time they were sent
     this.positionBuffer = {};
     
+    // Estimated difference between our clock and each player's, network delay included (ms)
+    this.clockOffsets = {};
+    
+    // Buffer health per player, for the debug overlay
+    this.bufferStats = {};
+    
     // Configuration
-    this.throttleTime = 100; // Minimum time between processing updates for same player (ms)
-    this.lastProcessedTime = {}; // Track when we last processed an update for each player
+    this.throttleTime = 50; // Minimum time between the sending of two updates processed for the same player (ms), below the stream interval
+    this.maxBufferSize = 10; // Positions kept per player for interpolation
+    this.lastProcessedTime = {}; // Track when the last update processed for each player was sent
     
     // Debug mode
     this.debugMode = false;
     
     // Callback functions
     this.onPositionUpdate = null; // Called when a player's position is updated
+    this.onMoveIntent = null; // Called when a player starts walking to a destination
     this.onPlayerJoined = null; // Called when a new player record is inserted
     this.onSubscriptionError = null; // Called when there's a subscription error
     this.onSubscriptionEvent = null; // Called for subscription status events (connect, disconnect)
+    
+    // Checks the player and planet a message claims, see _isVerifiedSender
+    this.verifySender = null;
   }
   
   /**
@@ -109,11 +293,19 @@ class RealtimeManager {
       this._logDebug('Initializing real-time subscription for active users on all planets');
       
       // Bind the handler methods to preserve 'this' context
-      const handlePositionChange = (payload) => {
+      const handlePositionBroadcast = ({ payload }) => {
+        try {
+          this._handlePositionBroadcast(payload);
+        } catch (error) {
+          this._logError('Error handling position broadcast:', error);
+        }
+      };
+      
+      const handleMoveIntentBroadcast = ({ payload }) => {
         try {
-          this._handlePositionChange(payload);
+          this._handleMoveIntentBroadcast(payload);
         } catch (error) {
-          this._logError('Error handling position change:', error);
+          this._logError('Error handling movement intent broadcast:', error);
         }
       };
       
@@ -135,6 +327,8 @@ class RealtimeManager {
       
       const handleSubscriptionStatus = (status) => {
         try {
+          // Ignore the statuses of a channel that was replaced
+          if (channel !== this.subscription) return;
           this._handleSubscriptionStatus(status);
         } catch (error) {
           this._logError('Error handling subscription status:', error);
@@ -144,19 +338,16 @@ class RealtimeManager {
       // Create the channel with detailed debugging
       this._logDebug('Creating real-time channel with filter:', filter);
       
+      // Join the channel again whenever it fails
+      connectionManager.registerChannel('player-positions', () => this.resubscribe());
+      
       // Create the channel config with proper filter syntax
-      this.subscription = supabase
-        .channel('player-positions')
-        .on(
-          'postgres_changes', 
-          { 
-            event: 'UPDATE', 
-            schema: 'public', 
-            table: 'players',
-            filter: filter,
-          },
-          handlePositionChange
-        )
+      // Positions are broadcast between clients, they never go through the database
+      // The channel is private, the realtime.messages policies of 17_private_positions.sql decide who can send on it
+      const channel = supabase
+        .channel('player-positions', { config: { private: true, broadcast: { self: false } } })
+        .on('broadcast', { event: 'position' }, handlePositionBroadcast)
+        .on('broadcast', { event: 'move' }, handleMoveIntentBroadcast)
         .on(
           'postgres_changes',
           {
@@ -167,8 +358,10 @@ class RealtimeManager {
           },
           handlePlayerJoin
         )
-        .on('system', handleSystemMessage)
-        .subscribe(handleSubscriptionStatus);
+        .on('system', handleSystemMessage);
+      
+      this.subscription = channel;
+      channel.subscribe(handleSubscriptionStatus);
       
       this._logDebug('Real-time subscription initialized successfully with activity filter:', activeTimeThreshold);
       return true;
@@ -181,10 +374,27 @@ class RealtimeManager {
     }
   }
   
+  /**
+   * Replace the channel with a new one, keeping the buffered positions
+   * Called by the connection manager when the channel failed
+   * @returns {Promise<boolean>} Whether the new channel was created
+   */
+  async resubscribe() {
+    if (this.subscription) {
+      const channel = this.subscription;
+      this.subscription = null;
+      await supabase.removeChannel(channel);
+    }
+    
+    return this.initialize(this.currentPlayerId);
+  }
+  
   /**
    * Clean up and remove the subscription
    */
   cleanup() {
+    connectionManager.unregisterChannel('player-positions');
+    
     if (this.subscription) {
       this._logDebug('Cleaning up real-time subscription');
       this.subscription.unsubscribe();
@@ -194,48 +404,150 @@ class RealtimeManager {
     // Clear position buffers
     this.positionBuffer = {};
     this.lastProcessedTime = {};
+    this.clockOffsets = {};
+    this.bufferStats = {};
   }
   
   /**
-   * Handle a position change event from Supabase
-   * @param {Object} payload - The subscription payload
+   * Broadcast the current player's movement state to everyone in the game
+   * @param {string} planetName - The player's planet
+   * @param {Object} state - The movement state, see encodePlayerState
+   * @returns {Promise<boolean>} Whether the message was sent
+   */
+  async sendPosition(planetName, state) {
+    if (!this.subscription || !this.currentPlayerId || !planetName) {
+      return false;
+    }
+    
+    const status = await this.subscription.send({
+      type: 'broadcast',
+      event: 'position',
+      payload: encodePlayerState(this.currentPlayerId, planetName, state)
+    });
+    
+    if (status !== 'ok') {
+      this._logDebug(`Position could not be sent (${status})`);
+      return false;
+    }
+    
+    return true;
+  }
+  
+  /**
+   * Broadcast that the current player starts walking to a destination
+   * @param {string} planetName - The player's planet
+   * @param {Object} intent - The movement, see encodeMoveIntent
+   * @returns {Promise<boolean>} Whether the message was sent
+   */
+  async sendMoveIntent(planetName, intent) {
+    if (!this.subscription || !this.currentPlayerId || !planetName) {
+      return false;
+    }
+    
+    const status = await this.subscription.send({
+      type: 'broadcast',
+      event: 'move',
+      payload: encodeMoveIntent(this.currentPlayerId, planetName, intent)
+    });
+    
+    if (status !== 'ok') {
+      this._logDebug(`Movement intent could not be sent (${status})`);
+      return false;
+    }
+    
+    return true;
+  }
+  
+  /**
+   * Handle a movement intent broadcast by another player
+   * The start time is moved to our clock, the message is sent when the movement starts so it also updates the clock offset
+   * @param {Object} message - The compact message, see encodeMoveIntent
    * @private
    */
-  _handlePositionChange(payload) {
-    // Extract player data
-    const playerData = payload.new;
-    const playerId = playerData.session_id;
-    const planetName = playerData.planet_name;
+  _handleMoveIntentBroadcast(message) {
+    const intent = decodeMoveIntent(message);
+    if (!intent) {
+      this._logDebug('Dropped invalid movement intent:', message);
+      return;
+    }
+    
+    if (intent.playerId === this.currentPlayerId) return;
+    
+    if (!this._isVerifiedSender(intent.playerId, intent.planetName)) {
+      this._logDebug(`Dropped movement intent of unverified player ${intent.playerId}`);
+      return;
+    }
+    
+    this._updateClockOffset(intent.playerId, Date.now() - intent.startedAt);
+    
+    if (this.onMoveIntent) {
+      this.onMoveIntent(intent.playerId, {
+        planetName: intent.planetName,
+        from: intent.from,
+        to: intent.to,
+        sentAt: intent.startedAt,
+        startedAt: intent.startedAt + this.clockOffsets[intent.playerId]
+      });
+    }
+  }
+  
+  /**
+   * Handle a position broadcast by another player
+   * @param {Object} message - The compact message, see encodePlayerState
+   * @private
+   */
+  _handlePositionBroadcast(message) {
+    const state = decodePlayerState(message);
+    if (!state) {
+      this._logDebug('Dropped invalid position message:', message);
+      return;
+    }
+    
+    const { playerId, planetName, position } = state;
     
     // Skip processing if this is our own update or if throttled
-    if (!this._shouldProcessUpdate(playerId)) {
+    if (!this._shouldProcessUpdate(playerId, state.sentAt)) {
       return;
     }
     
-    // Create a position object
-    const position = {
-      x: playerData.position_x,
-      y: playerData.position_y,
-      z: playerData.position_z
-    };
+    if (!this._isVerifiedSender(playerId, planetName)) {
+      this._logDebug(`Dropped position of unverified player ${playerId}`);
+      return;
+    }
     
     // Check if this is a test player (session ID starts with "fake_")
     const isTestPlayer = playerId.startsWith('fake_');
     
-    this._logDebug(`Received position update for ${isTestPlayer ? 'test' : ''} player ${playerId} on planet ${planetName}:`, position);
-    
     // Store in buffer for interpolation
-    this._addPositionToBuffer(playerId, position);
+    this._addPositionToBuffer(playerId, state);
     
-    // Update last processed time
-    this.lastProcessedTime[playerId] = Date.now();
+    // Update last processed time, messages arriving out of order are still buffered
+    this.lastProcessedTime[playerId] = Math.max(this.lastProcessedTime[playerId] || 0, state.sentAt);
     
     // Call the position update callback if set
     if (this.onPositionUpdate) {
-      this.onPositionUpdate(playerId, position, playerData, isTestPlayer);
+      this.onPositionUpdate(playerId, position, {
+        session_id: playerId,
+        planet_name: planetName,
+        heading: state.heading,
+        target: state.target
+      }, isTestPlayer);
     }
   }
   
+  /**
+   * Check the player and planet a message claims before applying it
+   * Every player of the game can send on the channel and put any ID in the message, so it must match a player online on that planet
+   * Messages are dropped until the network manager sets verifySender
+   * @param {string} playerId - The session ID in the message
+   * @param {string} planetName - The planet in the message
+   * @returns {boolean} True if the message can be applied
+   * @private
+   */
+  _isVerifiedSender(playerId, planetName) {
+    return !!this.verifySender && this.verifySender(playerId, planetName);
+  }
+  
   /**
    * Handle a player join event (INSERT) from Supabase
    * @param {Object} payload - The subscription payload
@@ -265,11 +577,13 @@ class RealtimeManager {
   
   /**
    * Determine if we should process an update from this player
+   * Throttled on the time messages were sent, network jitter can deliver several at once
    * @param {string} playerId - The player ID
+   * @param {number} sentAt - When the update was sent, in the player's clock
    * @returns {boolean} True if the update should be processed
    * @private
    */
-  _shouldProcessUpdate(playerId) {
+  _shouldProcessUpdate(playerId, sentAt) {
     // Skip if this is our own update
     if (playerId === this.currentPlayerId) {
       this._logDebug('Skipping own position update');
@@ -277,9 +591,8 @@ class RealtimeManager {
     }
     
     // Check throttling
-    const now = Date.now();
-    const lastTime = this.lastProcessedTime[playerId] || 0;
-    if (now - lastTime < this.throttleTime) {
+    const lastTime = this.lastProcessedTime[playerId];
+    if (lastTime !== undefined && sentAt > lastTime && sentAt - lastTime < this.throttleTime) {
       this._logDebug(`Throttling position update for player ${playerId}`);
       return false;
     }
@@ -288,27 +601,85 @@ class RealtimeManager {
   }
   
   /**
-   * Add a position to the buffer for a player
+   * Add a movement state to the buffer for a player, in the order it was sent
    * @param {string} playerId - The player ID
-   * @param {Object} position - The position object {x, y, z}
+   * @param {Object} state - The decoded state, see decodePlayerState
    * @private
    */
-  _addPositionToBuffer(playerId, position) {
+  _addPositionToBuffer(playerId, state) {
     // Create buffer if it doesn't exist
     if (!this.positionBuffer[playerId]) {
       this.positionBuffer[playerId] = [];
     }
+    const buffer = this.positionBuffer[playerId];
+    const receivedAt = Date.now();
     
-    // Add position with timestamp
-    this.positionBuffer[playerId].push({
-      position,
-      timestamp: Date.now()
-    });
+    this._updateClockOffset(playerId, receivedAt - state.sentAt);
+    
+    // A message sent before the time already shown arrived too late to be used
+    const stats = this._getBufferStats(playerId);
+    if (stats.renderTime !== null && state.sentAt < stats.renderTime) {
+      stats.late++;
+    }
+    
+    const snapshot = {
+      position: state.position,
+      heading: state.heading,
+      target: state.target,
+      planetName: state.planetName,
+      sentAt: state.sentAt,
+      timestamp: receivedAt
+    };
+    
+    // Messages can arrive out of order, duplicates are dropped
+    let index = buffer.length;
+    while (index > 0 && buffer[index - 1].sentAt > snapshot.sentAt) {
+      index--;
+    }
+    if (index > 0 && buffer[index - 1].sentAt === snapshot.sentAt) return;
+    buffer.splice(index, 0, snapshot);
+    
+    // Limit buffer size (keep last maxBufferSize positions)
+    while (buffer.length > this.maxBufferSize) {
+      buffer.shift();
+    }
+  }
+  
+  /**
+   * Update the estimated clock offset of a player with a new message
+   * The fastest messages give the best estimate, so lower samples are taken right away and higher ones slowly,
+   * which still follows clocks drifting apart
+   * @param {string} playerId - The player ID
+   * @param {number} sample - Time received minus time sent (ms)
+   * @private
+   */
+  _updateClockOffset(playerId, sample) {
+    const offset = this.clockOffsets[playerId];
     
-    // Limit buffer size (keep last 10 positions)
-    while (this.positionBuffer[playerId].length > 10) {
-      this.positionBuffer[playerId].shift();
+    if (offset === undefined || sample < offset) {
+      this.clockOffsets[playerId] = sample;
+    } else {
+      this.clockOffsets[playerId] = offset + (sample - offset) * CLOCK_OFFSET_DRIFT;
+    }
+  }
+  
+  /**
+   * Get the buffer health of a player, created if needed
+   * @param {string} playerId - The player ID
+   * @returns {Object} The stats
+   * @private
+   */
+  _getBufferStats(playerId) {
+    if (!this.bufferStats[playerId]) {
+      this.bufferStats[playerId] = {
+        mode: 'empty',
+        renderTime: null,
+        margin: 0,
+        late: 0,
+        extrapolated: 0
+      };
     }
+    return this.bufferStats[playerId];
   }
   
   /**
@@ -333,6 +704,9 @@ class RealtimeManager {
   _handleSubscriptionStatus(status) {
     this._logDebug('Subscription status changed:', status);
     
+    // The connection manager joins the channel again when it failed
+    connectionManager.reportChannelStatus('player-positions', status);
+    
     // Forward to callback if set
     if (this.onSubscriptionEvent) {
       this.onSubscriptionEvent('status', status);
@@ -341,18 +715,130 @@ class RealtimeManager {
   
   /**
    * Get interpolated position for a player
+   * The render time is moved to the player's clock, then the position is interpolated along the planet's surface
+   * between the messages sent around it. Past the last message the player keeps moving for MAX_EXTRAPOLATION,
+   * never beyond their destination, then stops.
    * @param {string} playerId - The player ID
+   * @param {number} [renderTime=Date.now()] - Time to show, usually a little in the past so there are positions on both sides
+   * @param {Object|null} [center=null] - Center of the player's planet {x, y, z}, in the same frame as the positions
    * @returns {Object|null} The interpolated position {x, y, z} or null if not available
    */
-  getInterpolatedPosition(playerId) {
+  getInterpolatedPosition(playerId, renderTime = Date.now(), center = null) {
+    const buffer = this.positionBuffer[playerId];
+    if (!buffer || buffer.length === 0) {
+      return null;
+    }
+    
+    const stats = this._getBufferStats(playerId);
+    const senderTime = renderTime - (this.clockOffsets[playerId] || 0);
+    const latest = buffer[buffer.length - 1];
+    
+    stats.renderTime = senderTime;
+    stats.margin = latest.sentAt - senderTime;
+    
+    // Before the oldest message, hold it
+    if (senderTime <= buffer[0].sentAt) {
+      stats.mode = 'holding';
+      return buffer[0].position;
+    }
+    
+    // Between two messages
+    for (let i = 1; i < buffer.length; i++) {
+      if (buffer[i].sentAt >= senderTime) {
+        const before = buffer[i - 1];
+        const after = buffer[i];
+        const t = (senderTime - before.sentAt) / (after.sentAt - before.sentAt);
+        
+        stats.mode = 'interpolating';
+        return slerpAround(before.position, after.position, t, center);
+      }
+    }
+    
+    return this._extrapolate(buffer, senderTime, center, stats);
+  }
+  
+  /**
+   * Continue a player's movement past their last message
+   * @param {Array<Object>} buffer - The player's buffer
+   * @param {number} senderTime - Time to show, in the player's clock
+   * @param {Object|null} center - Center of the player's planet {x, y, z}
+   * @param {Object} stats - The player's buffer health
+   * @returns {Object} The position {x, y, z}
+   * @private
+   */
+  _extrapolate(buffer, senderTime, center, stats) {
+    const latest = buffer[buffer.length - 1];
+    const previous = buffer[buffer.length - 2];
+    
+    // Standing players (no destination) don't move until they say so
+    if (!previous || !latest.target || latest.sentAt <= previous.sentAt) {
+      stats.mode = 'holding';
+      return latest.position;
+    }
+    
+    if (stats.mode !== 'extrapolating' && stats.mode !== 'stalled') {
+      stats.extrapolated++;
+    }
+    
+    const ahead = Math.min(senderTime - latest.sentAt, MAX_EXTRAPOLATION);
+    stats.mode = ahead < MAX_EXTRAPOLATION ? 'extrapolating' : 'stalled';
+    
+    let t = 1 + ahead / (latest.sentAt - previous.sentAt);
+    
+    // Stop at the destination
+    if (center) {
+      const step = angleAround(previous.position, latest.position, center);
+      const remaining = angleAround(latest.position, latest.target, center);
+      if (step > 0) {
+        t = Math.min(t, 1 + remaining / step);
+      }
+    }
+    
+    return slerpAround(previous.position, latest.position, t, center);
+  }
+  
+  /**
+   * Get the buffer health of a player, shown by the network debug overlay
+   * @param {string} playerId - The player ID
+   * @returns {Object|null} { size, clockOffset, margin, mode, late, extrapolated } or null without messages.
+   * margin is how far the newest message is ahead of the time shown (ms), negative while extrapolating
+   */
+  getBufferHealth(playerId) {
     const buffer = this.positionBuffer[playerId];
     if (!buffer || buffer.length === 0) {
       return null;
     }
     
-    // For simplicity, just return the most recent position
-    // A more advanced implementation would interpolate between positions
-    return buffer[buffer.length - 1].position;
+    const stats = this._getBufferStats(playerId);
+    return {
+      size: buffer.length,
+      clockOffset: this.clockOffsets[playerId] || 0,
+      margin: stats.margin,
+      mode: stats.mode,
+      late: stats.late,
+      extrapolated: stats.extrapolated
+    };
+  }
+  
+  /**
+   * Get the latest movement state received from a player
+   * @param {string} playerId - The player ID
+   * @returns {Object|null} { position, heading, target, planetName, sentAt, timestamp } or null if none
+   */
+  getLatestState(playerId) {
+    const buffer = this.positionBuffer[playerId];
+    return buffer && buffer.length ? buffer[buffer.length - 1] : null;
+  }
+  
+  /**
+   * Forget the positions of a player, e.g. when they went offline
+   * @param {string} playerId - The player ID
+   */
+  clearPlayer(playerId) {
+    delete this.positionBuffer[playerId];
+    delete this.lastProcessedTime[playerId];
+    delete this.clockOffsets[playerId];
+    delete this.bufferStats[playerId];
   }
   
   /**
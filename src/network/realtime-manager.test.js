@@ -0,0 +1,272 @@
+import { describe, it, expect, vi, beforeEach } from 'vitest';
+
+vi.mock('./supabase-client.js', () => ({ supabase: {} }));
+vi.mock('./network-manager.js', () => ({ INACTIVE_THRESHOLD: 5 * 60 * 1000 }));
+vi.mock('./connection-manager.js', () => ({ connectionManager: { reportChannelStatus: vi.fn() } }));
+
+import RealtimeManager, { slerpAround, encodePlayerState, decodePlayerState, encodeMoveIntent, decodeMoveIntent } from './realtime-manager.js';
+
+const ORIGIN = { x: 0, y: 0, z: 0 };
+
+/**
+ * Point on a circle of the XY plane around the origin
+ * @param {number} angle - Angle from the X axis in radians
+ * @param {number} [radius=10] - Distance to the origin
+ * @returns {Object} The point {x, y, z}
+ */
+function onCircle(angle, radius = 10) {
+  return { x: Math.cos(angle) * radius, y: Math.sin(angle) * radius, z: 0 };
+}
+
+/**
+ * Expect two points to be the same within a tolerance
+ * @param {Object} actual - The point {x, y, z}
+ * @param {Object} expected - The point {x, y, z}
+ */
+function expectPoint(actual, expected) {
+  expect(actual.x).toBeCloseTo(expected.x, 5);
+  expect(actual.y).toBeCloseTo(expected.y, 5);
+  expect(actual.z).toBeCloseTo(expected.z, 5);
+}
+
+describe('slerpAround', () => {
+  it('follows the great circle instead of cutting through the planet', () => {
+    const point = slerpAround(onCircle(0), onCircle(Math.PI / 2), 0.5, ORIGIN);
+
+    expectPoint(point, onCircle(Math.PI / 4));
+  });
+
+  it('returns the ends at t = 0 and t = 1', () => {
+    const from = onCircle(0.2);
+    const to = onCircle(1.1);
+
+    expectPoint(slerpAround(from, to, 0, ORIGIN), from);
+    expectPoint(slerpAround(from, to, 1, ORIGIN), to);
+  });
+
+  it('interpolates the distance to the center linearly', () => {
+    const point = slerpAround(onCircle(0, 10), onCircle(Math.PI / 2, 12), 0.5, ORIGIN);
+
+    expect(Math.hypot(point.x, point.y, point.z)).toBeCloseTo(11, 5);
+  });
+
+  it('keeps going along the same circle past t = 1', () => {
+    const point = slerpAround(onCircle(0), onCircle(0.5), 2, ORIGIN);
+
+    expectPoint(point, onCircle(1));
+  });
+
+  it('moves around an offset center', () => {
+    const center = { x: 30, y: -5, z: 2 };
+    const offset = (point) => ({ x: point.x + center.x, y: point.y + center.y, z: point.z + center.z });
+
+    const point = slerpAround(offset(onCircle(0)), offset(onCircle(Math.PI / 2)), 0.5, center);
+
+    expectPoint(point, offset(onCircle(Math.PI / 4)));
+  });
+
+  it('falls back to a straight line without a center or a single great circle', () => {
+    expectPoint(slerpAround(onCircle(0), onCircle(Math.PI / 2), 0.5, null), { x: 5, y: 5, z: 0 });
+    expectPoint(slerpAround(onCircle(0), onCircle(Math.PI), 0.5, ORIGIN), ORIGIN);
+  });
+});
+
+describe('decodePlayerState', () => {
+  it('reads back an encoded state, rounded', () => {
+    const message = encodePlayerState('player-1', 'earth', {
+      position: { x: 1.23456, y: -2, z: 3 },
+      heading: { x: 0.7071, y: 0.7071, z: 0 },
+      target: null
+    });
+
+    const state = decodePlayerState(message);
+
+    expect(state).toEqual({
+      playerId: 'player-1',
+      planetName: 'earth',
+      position: { x: 1.235, y: -2, z: 3 },
+      heading: { x: 0.71, y: 0.71, z: 0 },
+      target: null,
+      sentAt: message.t
+    });
+  });
+
+  it('drops messages without a player, planet or valid position', () => {
+    expect(decodePlayerState(null)).toBeNull();
+    expect(decodePlayerState({ n: 'earth', p: [0, 0, 0] })).toBeNull();
+    expect(decodePlayerState({ i: 'player-1', p: [0, 0, 0] })).toBeNull();
+    expect(decodePlayerState({ i: 'player-1', n: 'earth', p: [0, 0] })).toBeNull();
+    expect(decodePlayerState({ i: 'player-1', n: 'earth', p: [0, 'x', 0] })).toBeNull();
+    expect(decodePlayerState({ i: 'player-1', n: 'earth', p: [0, Infinity, 0] })).toBeNull();
+  });
+
+  it('ignores malformed optional fields', () => {
+    vi.spyOn(Date, 'now').mockReturnValue(1234);
+
+    const state = decodePlayerState({ i: 'player-1', n: 'earth', p: [1, 2, 3], h: 'north', g: [1, 2], t: 'soon' });
+
+    expect(state.heading).toBeNull();
+    expect(state.target).toBeNull();
+    expect(state.sentAt).toBe(1234);
+
+    vi.restoreAllMocks();
+  });
+});
+
+describe('decodeMoveIntent', () => {
+  it('reads back an encoded intent, rounded', () => {
+    const message = encodeMoveIntent('player-1', 'earth', {
+      from: { x: 1.23456, y: 0, z: 0 },
+      to: { x: 0, y: 2, z: -3.00049 },
+      startedAt: 1000
+    });
+
+    expect(decodeMoveIntent(message)).toEqual({
+      playerId: 'player-1',
+      planetName: 'earth',
+      from: { x: 1.235, y: 0, z: 0 },
+      to: { x: 0, y: 2, z: -3 },
+      startedAt: 1000
+    });
+  });
+
+  it('drops intents without a player, planet, start time or valid path ends', () => {
+    const valid = { i: 'player-1', n: 'earth', a: [0, 0, 1], b: [1, 0, 0], t: 1000 };
+
+    expect(decodeMoveIntent(valid)).not.toBeNull();
+    expect(decodeMoveIntent(null)).toBeNull();
+    expect(decodeMoveIntent({ ...valid, i: 42 })).toBeNull();
+    expect(decodeMoveIntent({ ...valid, n: null })).toBeNull();
+    expect(decodeMoveIntent({ ...valid, t: 'now' })).toBeNull();
+    expect(decodeMoveIntent({ ...valid, a: [0, 0] })).toBeNull();
+    expect(decodeMoveIntent({ ...valid, b: [NaN, 0, 0] })).toBeNull();
+  });
+});
+
+describe('RealtimeManager extrapolation', () => {
+  let manager;
+
+  /**
+   * Fill a player's buffer with messages sent along the circle, 100 ms and 0.1 rad apart
+   * @param {Object|null} target - Destination of the movement
+   */
+  const walk = (target) => {
+    manager.positionBuffer.walker = [0, 1].map(index => ({
+      position: onCircle(index * 0.1),
+      heading: null,
+      target,
+      planetName: 'earth',
+      sentAt: 1000 + index * 100,
+      timestamp: 1000 + index * 100
+    }));
+    manager.clockOffsets.walker = 0;
+  };
+
+  beforeEach(() => {
+    manager = new RealtimeManager();
+  });
+
+  it('interpolates between the messages around the render time', () => {
+    walk(onCircle(1));
+
+    expectPoint(manager.getInterpolatedPosition('walker', 1050, ORIGIN), onCircle(0.05));
+    expect(manager.getBufferHealth('walker').mode).toBe('interpolating');
+  });
+
+  it('keeps a moving player going past their last message', () => {
+    walk(onCircle(1));
+
+    expectPoint(manager.getInterpolatedPosition('walker', 1150, ORIGIN), onCircle(0.15));
+    expect(manager.getBufferHealth('walker').mode).toBe('extrapolating');
+  });
+
+  it('stops extrapolating after 250 ms', () => {
+    walk(onCircle(1));
+
+    expectPoint(manager.getInterpolatedPosition('walker', 5000, ORIGIN), onCircle(0.35));
+
+    const health = manager.getBufferHealth('walker');
+    expect(health.mode).toBe('stalled');
+    expect(health.extrapolated).toBe(1);
+  });
+
+  it('never goes past the destination', () => {
+    walk(onCircle(0.12));
+
+    expectPoint(manager.getInterpolatedPosition('walker', 1200, ORIGIN), onCircle(0.12));
+  });
+
+  it('holds standing players at their last position', () => {
+    walk(null);
+
+    expectPoint(manager.getInterpolatedPosition('walker', 1200, ORIGIN), onCircle(0.1));
+    expect(manager.getBufferHealth('walker').mode).toBe('holding');
+  });
+
+  it('moves the render time to the sender clock', () => {
+    walk(onCircle(1));
+    manager.clockOffsets.walker = 500;
+
+    expectPoint(manager.getInterpolatedPosition('walker', 1550, ORIGIN), onCircle(0.05));
+  });
+});
+
+describe('RealtimeManager received messages', () => {
+  let manager;
+
+  beforeEach(() => {
+    manager = new RealtimeManager();
+    manager.currentPlayerId = 'me';
+    manager.verifySender = vi.fn((playerId, planetName) => playerId === 'teammate' && planetName === 'earth');
+    manager.onPositionUpdate = vi.fn();
+    manager.onMoveIntent = vi.fn();
+  });
+
+  const position = (playerId, planetName = 'earth') =>
+    encodePlayerState(playerId, planetName, { position: { x: 1, y: 2, z: 3 } });
+
+  const move = (playerId, planetName = 'earth') =>
+    encodeMoveIntent(playerId, planetName, { from: { x: 1, y: 2, z: 3 }, to: { x: 3, y: 2, z: 1 }, startedAt: Date.now() });
+
+  it('applies the messages of verified players', () => {
+    manager._handlePositionBroadcast(position('teammate'));
+    manager._handleMoveIntentBroadcast(move('teammate'));
+
+    expect(manager.onPositionUpdate).toHaveBeenCalledWith('teammate', { x: 1, y: 2, z: 3 }, expect.objectContaining({ planet_name: 'earth' }), false);
+    expect(manager.onMoveIntent).toHaveBeenCalledWith('teammate', expect.objectContaining({ planetName: 'earth' }));
+    expect(manager.verifySender).toHaveBeenCalledWith('teammate', 'earth');
+  });
+
+  it('drops messages with a spoofed player or planet', () => {
+    manager._handlePositionBroadcast(position('stranger'));
+    manager._handlePositionBroadcast(position('teammate', 'mars'));
+    manager._handleMoveIntentBroadcast(move('stranger'));
+    manager._handleMoveIntentBroadcast(move('teammate', 'mars'));
+
+    expect(manager.onPositionUpdate).not.toHaveBeenCalled();
+    expect(manager.onMoveIntent).not.toHaveBeenCalled();
+    expect(manager.positionBuffer).toEqual({});
+    expect(manager.clockOffsets).toEqual({});
+  });
+
+  it('drops everything until senders can be verified', () => {
+    manager.verifySender = null;
+
+    manager._handlePositionBroadcast(position('teammate'));
+    manager._handleMoveIntentBroadcast(move('teammate'));
+
+    expect(manager.onPositionUpdate).not.toHaveBeenCalled();
+    expect(manager.onMoveIntent).not.toHaveBeenCalled();
+  });
+
+  it('moves the start of a movement to the local clock', () => {
+    vi.spyOn(Date, 'now').mockReturnValue(10000);
+
+    // Sent by a clock 4 seconds behind ours
+    manager._handleMoveIntentBroadcast({ ...move('teammate'), t: 6000 });
+
+    expect(manager.onMoveIntent).toHaveBeenCalledWith('teammate', expect.objectContaining({ sentAt: 6000, startedAt: 10000 }));
+
+    vi.restoreAllMocks();
+  });
+});
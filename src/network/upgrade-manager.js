@@ -0,0 +1,323 @@
+import { supabase } from './supabase-client.js';
+import { authManager } from './auth-manager.js';
+import { connectionManager } from './connection-manager.js';
+
+/**
+ * UpgradeManager - Handles the in-round upgrades economy
+ *
+ * This class is responsible for:
+ * - Loading the catalog of upgrades that can be bought
+ * - Keeping the upgrades bought in the current game in sync through realtime
+ * - Buying upgrades through /api/purchase_upgrade, which validates the points server-side
+ * - Mirroring the server rules for multipliers, team boosts, drones and points for display
+ */
+class UpgradeManager {
+  /**
+   * Create a new UpgradeManager instance
+   * @constructor
+   */
+  constructor() {
+    // Endpoint that records purchases
+    this.endpoint = '/api/purchase_upgrade';
+
+    // Catalog of upgrades (name -> upgrade type)
+    this.catalog = new Map();
+
+    // Upgrades bought in the current game
+    this.gameId = null;
+    this.upgrades = [];
+
+    // Realtime subscription to purchases
+    this.subscription = null;
+
+    // Event callbacks
+    this.onUpgradesChanged = null;
+
+    // Debug mode
+    this.debug = import.meta.env.DEV;
+  }
+
+  /**
+   * Log debug messages if debug mode is enabled
+   * @param {...any} args - Arguments to log
+   * @private
+   */
+  _logDebug(...args) {
+    if (this.debug) {
+      console.log('[UpgradeManager]', ...args);
+    }
+  }
+
+  /**
+   * Log error messages
+   * @param {...any} args - Arguments to log
+   * @private
+   */
+  _logError(...args) {
+    console.error('[UpgradeManager]', ...args);
+  }
+
+  /**
+   * Load the catalog and the upgrades of the current game, then listen for new purchases
+   * @param {number|null} gameId - ID of the current game
+   * @returns {Promise<boolean>} Whether initialization was successful
+   */
+  async initialize(gameId) {
+    try {
+      const { data, error } = await supabase
+        .from('upgrade_types')
+        .select('*')
+        .order('cost', { ascending: true });
+
+      if (error) {
+        throw error;
+      }
+
+      this.catalog = new Map(data.map(upgrade => [upgrade.name, upgrade]));
+      this._logDebug('Loaded upgrade catalog', data);
+
+      await this.setGame(gameId);
+      this._subscribe();
+
+      return true;
+    } catch (error) {
+      this._logError('Error initializing upgrades:', error);
+      return false;
+    }
+  }
+
+  /**
+   * Switch to another game and load the upgrades bought in it
+   * @param {number|null} gameId - ID of the game
+   */
+  async setGame(gameId) {
+    if (gameId === this.gameId) return;
+
+    this.gameId = gameId || null;
+    this.upgrades = [];
+
+    if (this.gameId) {
+      const { data, error } = await supabase
+        .from('game_upgrades')
+        .select('*')
+        .eq('game_id', this.gameId);
+
+      if (error) {
+        this._logError('Error loading game upgrades:', error);
+      } else if (gameId === this.gameId) {
+        this.upgrades = data;
+      }
+    }
+
+    this._notifyChanged();
+  }
+
+  /**
+   * Subscribe to purchases made by any player
+   * @private
+   */
+  _subscribe() {
+    if (this.subscription) return;
+
+    // Join the channel again whenever it fails
+    connectionManager.registerChannel('game-upgrades', () => this.resubscribe());
+
+    const channel = supabase
+      .channel('game-upgrades')
+      .on(
+        'postgres_changes',
+        {
+          event: 'INSERT',
+          schema: 'public',
+          table: 'game_upgrades'
+        },
+        (payload) => this._addUpgrade(payload.new)
+      );
+
+    this.subscription = channel;
+    channel.subscribe((status) => {
+      // Ignore the statuses of a channel that was replaced
+      if (channel !== this.subscription) return;
+      connectionManager.reportChannelStatus('game-upgrades', status);
+    });
+  }
+
+  /**
+   * Replace the channel with a new one and reload the purchases missed in between
+   * Called by the connection manager when the channel failed
+   * @returns {Promise<void>}
+   */
+  async resubscribe() {
+    if (this.subscription) {
+      const channel = this.subscription;
+      this.subscription = null;
+      await supabase.removeChannel(channel);
+    }
+
+    this._subscribe();
+
+    // Force setGame to load the purchases again
+    const gameId = this.gameId;
+    this.gameId = null;
+    await this.setGame(gameId);
+  }
+
+  /**
+   * Add a purchase of the current game, ignoring duplicates
+   * @param {Object} upgrade - game_upgrades row
+   * @private
+   */
+  _addUpgrade(upgrade) {
+    if (!upgrade || upgrade.game_id !== this.gameId) return;
+    if (this.upgrades.some(existing => existing.id === upgrade.id)) return;
+
+    this.upgrades.push(upgrade);
+    this._notifyChanged();
+  }
+
+  /**
+   * Notify listeners that the upgrades changed
+   * @private
+   */
+  _notifyChanged() {
+    if (this.onUpgradesChanged) {
+      this.onUpgradesChanged(this.upgrades);
+    }
+  }
+
+  /**
+   * Get the upgrades of a kind bought in the current game
+   * @param {string} kind - 'multiplier', 'team_boost' or 'drone'
+   * @returns {Array} Matching game_upgrades rows
+   * @private
+   */
+  _getUpgradesOfKind(kind) {
+    return this.upgrades.filter(upgrade => this.catalog.get(upgrade.upgrade_name)?.kind === kind);
+  }
+
+  /**
+   * Count how many times a session bought an upgrade in the current game
+   * @param {string} sessionId - The session ID
+   * @param {string} upgradeName - The upgrade name
+   * @returns {number} Number of purchases
+   */
+  getOwnedCount(sessionId, upgradeName) {
+    return this.upgrades.filter(upgrade =>
+      upgrade.session_id === sessionId && upgrade.upgrade_name === upgradeName
+    ).length;
+  }
+
+  /**
+   * Get the active team boost of a planet
+   * Mirrors get_click_multiplier in 11_upgrades.sql
+   * @param {string} planetName - The planet name
+   * @returns {Object|null} {value, expiresAt} of the strongest active boost, or null
+   */
+  getActiveTeamBoost(planetName) {
+    const now = Date.now();
+
+    return this._getUpgradesOfKind('team_boost')
+      .filter(upgrade => upgrade.planet_name === planetName && new Date(upgrade.expires_at).getTime() > now)
+      .reduce((best, upgrade) => {
+        const value = Number(this.catalog.get(upgrade.upgrade_name).value);
+        const expiresAt = new Date(upgrade.expires_at).getTime();
+        return !best || value > best.value ? { value, expiresAt } : best;
+      }, null);
+  }
+
+  /**
+   * Get the multiplier the server applies to a session's clicks
+   * Mirrors get_click_multiplier in 11_upgrades.sql
+   * @param {string} sessionId - The session ID
+   * @param {string} planetName - The session's planet
+   * @returns {number} The click multiplier
+   */
+  getClickMultiplier(sessionId, planetName) {
+    const personal = this._getUpgradesOfKind('multiplier')
+      .filter(upgrade => upgrade.session_id === sessionId)
+      .reduce((sum, upgrade) => sum + Number(this.catalog.get(upgrade.upgrade_name).value), 1);
+
+    const boost = this.getActiveTeamBoost(planetName);
+
+    return personal * (boost ? boost.value : 1);
+  }
+
+  /**
+   * Count the drones working on a planet's rocket
+   * @param {string} planetName - The planet name
+   * @returns {number} Number of drones
+   */
+  getDroneCount(planetName) {
+    return this._getUpgradesOfKind('drone')
+      .filter(upgrade => upgrade.planet_name === planetName)
+      .length;
+  }
+
+  /**
+   * Get the points a session can still spend
+   * Mirrors get_upgrade_points in 11_upgrades.sql
+   * @param {string} sessionId - The session ID
+   * @param {number} contributedClicks - Clicks the session contributed in the current game
+   * @returns {number} Points left
+   */
+  getPoints(sessionId, contributedClicks) {
+    const spent = this.upgrades
+      .filter(upgrade => upgrade.session_id === sessionId)
+      .reduce((sum, upgrade) => sum + upgrade.cost, 0);
+
+    return contributedClicks - spent;
+  }
+
+  /**
+   * Buy an upgrade for the current player
+   * @param {string} upgradeName - Name of the upgrade to buy
+   * @returns {Promise<Object>} {upgrade, points} from the server
+   * @throws {Error} If the purchase was rejected
+   */
+  async purchase(upgradeName) {
+    const accessToken = authManager.currentSession?.access_token;
+    if (!accessToken) {
+      throw new Error('No session available');
+    }
+
+    const response = await fetch(this.endpoint, {
+      method: 'POST',
+      headers: {
+        'Content-Type': 'application/json',
+        Authorization: `Bearer ${accessToken}`
+      },
+      body: JSON.stringify({ upgrade: upgradeName })
+    });
+
+    const result = await response.json().catch(() => ({}));
+
+    if (!response.ok) {
+      throw new Error(result.error || `Purchase failed with status ${response.status}`);
+    }
+
+    this._logDebug(`Bought ${upgradeName}`, result);
+
+    // Don't wait for realtime to show the purchase to the buyer
+    this._addUpgrade(result.upgrade);
+
+    return result;
+  }
+
+  /**
+   * Clean up resources used by this object
+   */
+  cleanup() {
+    connectionManager.unregisterChannel('game-upgrades');
+
+    if (this.subscription) {
+      this.subscription.unsubscribe();
+      this.subscription = null;
+    }
+
+    this.gameId = null;
+    this.upgrades = [];
+  }
+}
+
+// Create and export a singleton instance
+export const upgradeManager = new UpgradeManager();
@@ -1,9 +1,18 @@
 import * as THREE from 'three';
 import * as CANNON from 'cannon-es';
 import { GameObject } from './GameObject.js';
-import { SimplexTerrain } from '../terrain/SimplexTerrain.js';
+import { SimplexTerrain, TERRAIN_GENERATOR_VERSION, getPlanetSeed } from '../terrain/SimplexTerrain.js';
+import { TerrainHeightfield } from '../terrain/TerrainHeightfield.js';
+import { NavigationGraph } from '../physics/NavigationGraph.js';
 import { Atmosphere } from './Atmosphere.js';
 
+// Depth of the collision sphere below the lowest valley, so player bodies (radius 0.5)
+// can reach every part of the terrain without touching it
+const COLLISION_MARGIN = 1;
+
+// Terrain seed used until the current game's seed is known
+const DEFAULT_TERRAIN_SEED = 42;
+
 /**
  * Planet object with visual representation and physics
  * @class
@@ -25,6 +34,10 @@ export class Planet extends GameObject {
    * @param {number} [options.waterRadius=9.9] - Radius of the water sphere (null for no water)
    * @param {string[]} [options.biomes=["plains", "mountains", "lakes"]] - Allowed biome types
    * @param {Object} [options.biomeColors={}] - Object containing colors for different biomes
+   * @param {number} [options.gravity=1] - Surface gravity applied to players
+   * @param {Object} [options.water=null] - Water sphere settings ({ radius, color, opacity }), created by PlanetSystem
+   * @param {Object} [options.atmosphere={}] - Atmosphere settings ({ color, thickness, opacity })
+   * @param {number} [options.terrainSeed] - Terrain seed of the game (game_queue.terrain_seed)
    */
   constructor(scene, world, options = {}) {
     super(scene, world);
@@ -40,12 +53,15 @@ export class Planet extends GameObject {
     this.waterRadius = options.waterRadius === undefined ? (options.radius ? options.radius * 0.99 : 9.9) : options.waterRadius; // Adjusted default based on radius
     this.biomes = options.biomes || ["plains", "mountains", "lakes"];
     this.biomeColors = options.biomeColors || {}; // Store biome colors
+    this.gravity = options.gravity || 1;
+    this.water = options.water || null;
+    this.atmosphereSettings = options.atmosphere || {};
     
-    // Use fixed seed based on planet name for consistent terrain between refreshes
-    const planetSeed = this.name === "earth" ? 123456 : 789012;
+    // Every client derives the same planet seed from the game's terrain seed
+    this.terrainSeed = options.terrainSeed ?? DEFAULT_TERRAIN_SEED;
     
     // Initialize terrain generator with planet-specific seed
-    this.terrainGenerator = new SimplexTerrain(planetSeed);
+    this.terrainGenerator = new SimplexTerrain(getPlanetSeed(this.terrainSeed, this.name));
     
     // Initialize the planet
     this.init();
@@ -59,6 +75,7 @@ export class Planet extends GameObject {
    */
   init() {
     this.createGeometry();
+    this.clearStaleTerrainData();
     
     if (!this.loadTerrainData()) {
       this.applyTerrain();
@@ -66,6 +83,8 @@ export class Planet extends GameObject {
     }
     
     this.createMesh();
+    this.createHeightfield();
+    this.createNavigationGraph();
     this.createBody();
     
     // Create atmosphere after mesh and body
@@ -89,6 +108,46 @@ export class Planet extends GameObject {
     console.log(`Created geometry for "${this.name}" with ${this.geometry.attributes.position.count} vertices`);
   }
   
+  /**
+   * Get the localStorage key of cached terrain data
+   * Keys include the generator version and the seed, so terrain from another game
+   * or from an older generator is never loaded
+   * @param {string} kind - 'terrain' or 'colors'
+   * @returns {string} The storage key
+   * @private
+   */
+  getStorageKey(kind) {
+    return `planet_${kind}_${this.name}_v${TERRAIN_GENERATOR_VERSION}_${this.terrainGenerator.seed}_${this.radius}_${this.segments}`;
+  }
+  
+  /**
+   * Remove cached terrain data of this planet that doesn't match the current seed and version
+   * @private
+   */
+  clearStaleTerrainData() {
+    try {
+      const currentKeys = [this.getStorageKey('terrain'), this.getStorageKey('colors')];
+      const prefixes = [`planet_terrain_${this.name}_`, `planet_colors_${this.name}_`];
+      
+      // Collect first, removing while iterating shifts the indices
+      const staleKeys = [];
+      for (let i = 0; i < localStorage.length; i++) {
+        const key = localStorage.key(i);
+        if (prefixes.some(prefix => key.startsWith(prefix)) && !currentKeys.includes(key)) {
+          staleKeys.push(key);
+        }
+      }
+      
+      staleKeys.forEach(key => localStorage.removeItem(key));
+      
+      if (staleKeys.length > 0) {
+        console.log(`Removed ${staleKeys.length} stale terrain cache entries for "${this.name}"`);
+      }
+    } catch (error) {
+      console.error(`Error clearing terrain cache for "${this.name}":`, error);
+    }
+  }
+  
   /**
    * Save terrain data to localStorage
    * @private
@@ -99,8 +158,8 @@ export class Planet extends GameObject {
       const positionAttribute = this.geometry.getAttribute('position');
       const positionArray = Array.from(positionAttribute.array);
       
-      // Create a storage key unique to this planet and its parameters
-      const storageKey = `planet_terrain_${this.name}_${this.radius}_${this.segments}`;
+      // Create a storage key unique to this planet, its seed and its parameters
+      const storageKey = this.getStorageKey('terrain');
       
       // Save to localStorage (convert to JSON string)
       localStorage.setItem(storageKey, JSON.stringify(positionArray));
@@ -129,7 +188,7 @@ export class Planet extends GameObject {
       const colorArray = Array.from(colorAttribute.array);
       
       // Create a storage key unique to this planet's colors
-      const storageKey = `planet_colors_${this.name}_${this.radius}_${this.segments}`;
+      const storageKey = this.getStorageKey('colors');
       
       // Save to localStorage (convert to JSON string)
       localStorage.setItem(storageKey, JSON.stringify(colorArray));
@@ -149,8 +208,8 @@ export class Planet extends GameObject {
    */
   loadTerrainData() {
     try {
-      // Create a storage key unique to this planet and its parameters
-      const storageKey = `planet_terrain_${this.name}_${this.radius}_${this.segments}`;
+      // Create a storage key unique to this planet, its seed and its parameters
+      const storageKey = this.getStorageKey('terrain');
       
       // Try to get saved data
       const savedData = localStorage.getItem(storageKey);
@@ -199,7 +258,7 @@ export class Planet extends GameObject {
   loadColorData() {
     try {
       // Create a storage key unique to this planet's colors
-      const storageKey = `planet_colors_${this.name}_${this.radius}_${this.segments}`;
+      const storageKey = this.getStorageKey('colors');
       
       // Try to get saved color data
       const savedData = localStorage.getItem(storageKey);
@@ -292,6 +351,9 @@ export class Planet extends GameObject {
     // Store the radius in userData for path finding and other systems
     this.mesh.userData.radius = this.radius;
     
+    // Lets other systems tell planets apart from the other objects in the scene
+    this.mesh.userData.isPlanet = true;
+    
     // Position the mesh
     this.mesh.position.copy(this.position);
     
@@ -304,13 +366,41 @@ export class Planet extends GameObject {
     console.log(`Created mesh for "${this.name}" at position:`, this.position);
   }
   
+  /**
+   * Create the heightfield used to keep players, paths and gravity on the actual terrain
+   * @private
+   */
+  createHeightfield() {
+    this.heightfield = new TerrainHeightfield(this.geometry, this.mesh);
+    
+    // Share it with systems that only have the mesh (click controls, path finding)
+    this.mesh.userData.heightfield = this.heightfield;
+    
+    console.log(`Created heightfield for "${this.name}" with surface radius ${this.heightfield.minRadius.toFixed(2)}-${this.heightfield.maxRadius.toFixed(2)}`);
+  }
+  
+  /**
+   * Create the navigation graph used to find walkable paths on the terrain
+   * @private
+   */
+  createNavigationGraph() {
+    this.navigationGraph = new NavigationGraph(this.heightfield, {
+      waterRadius: this.waterRadius
+    });
+    
+    // Share it with systems that only have the mesh (click controls, path finding)
+    this.mesh.userData.navigationGraph = this.navigationGraph;
+  }
+  
   /**
    * Create the physics body for the planet
+   * The sphere sits below the lowest valley and only catches bodies that fall through;
+   * the terrain surface itself is enforced with the heightfield by the planet gravity
    * @private
    */
   createBody() {
     // Create physics shape and body
-    const shape = new CANNON.Sphere(this.radius);
+    const shape = new CANNON.Sphere(this.heightfield.minRadius - COLLISION_MARGIN);
     
     this.body = new CANNON.Body({
       mass: 0, // Static body
@@ -332,10 +422,10 @@ export class Planet extends GameObject {
    * @private
    */
   createAtmosphere() {
-    // Determine atmosphere color based on planet type
-    const atmosphereColor = this.name === 'earth' ? 0x87CEEB : 0xEAA189; // Light blue for Earth, reddish for Mars
-    const atmosphereThickness = this.name === 'earth' ? 0.8 : 0.5; // Thicker for Earth
-    const atmosphereOpacity = this.name === 'earth' ? 0.6 : 0.4; // More opaque for Earth
+    // Thicker, more opaque clouds for planets with a denser atmosphere
+    const atmosphereColor = this.atmosphereSettings.color ?? 0xffffff; // White clouds by default
+    const atmosphereThickness = this.atmosphereSettings.thickness ?? 0.5;
+    const atmosphereOpacity = this.atmosphereSettings.opacity ?? 0.4;
 
     this.atmosphere = new Atmosphere({
         radius: this.radius * 1.15, // Start atmosphere higher above the planet surface (was 1.05)
@@ -343,7 +433,7 @@ export class Planet extends GameObject {
         particles: 4879, // Reduced particle count by 30% (was 6970)
         minParticleSize: 20, // Reverted min size (was 40)
         maxParticleSize: 40, // Reverted max size (was 80)
-        color: 0xffffff, // Use white color for the clouds
+        color: atmosphereColor,
         opacity: atmosphereOpacity,
         density: 0.6,
         scale: 8,
@@ -482,6 +572,120 @@ export class Planet extends GameObject {
     console.log(`Updated terrain for "${this.name}" with new parameters`);
   }
   
+  /**
+   * Regenerate the terrain from a game's terrain seed
+   * @param {number} terrainSeed - Terrain seed of the game (game_queue.terrain_seed)
+   * @returns {boolean} True if the terrain changed
+   */
+  setTerrainSeed(terrainSeed) {
+    if (terrainSeed === undefined || terrainSeed === null || terrainSeed === this.terrainSeed) {
+      return false;
+    }
+    
+    this.terrainSeed = terrainSeed;
+    this.regenerateTerrain();
+    
+    console.log(`Regenerated terrain for "${this.name}" from terrain seed ${terrainSeed}`);
+    return true;
+  }
+  
+  /**
+   * Turn this planet into another planet type
+   * Keeps the mesh (and its rotation), body and position so controls and rockets stay attached
+   * @param {Object} options - Planet options of the new type (see getPlanetOptions in PlanetDefinitions.js)
+   * @param {number} [options.terrainSeed] - Terrain seed to generate the new terrain from, defaults to the current one
+   * @returns {boolean} True if the planet changed
+   */
+  applyDefinition(options) {
+    if (options.name === this.name) {
+      return false;
+    }
+    
+    this.name = options.name;
+    this.radius = options.radius || this.radius;
+    this.color = options.color || this.color;
+    this.noiseAmplitude = options.noiseAmplitude || this.noiseAmplitude;
+    this.noiseScale = options.noiseScale || this.noiseScale;
+    this.waterRadius = options.waterRadius ?? null;
+    this.biomes = options.biomes || this.biomes;
+    this.biomeColors = options.biomeColors || {};
+    this.gravity = options.gravity || 1;
+    this.water = options.water || null;
+    this.atmosphereSettings = options.atmosphere || {};
+    this.terrainSeed = options.terrainSeed ?? this.terrainSeed;
+    
+    this.mesh.name = this.name;
+    this.mesh.userData.radius = this.radius;
+    this.regenerateTerrain();
+    
+    // Rebuild the clouds with the new atmosphere settings
+    if (this.atmosphere) {
+      this.atmosphere.dispose();
+      if (this.atmosphere.parent) {
+        this.atmosphere.parent.remove(this.atmosphere);
+      }
+    }
+    this.createAtmosphere();
+    
+    console.log(`Planet changed to "${this.name}"`);
+    return true;
+  }
+  
+  /**
+   * Move the planet to another place in the system
+   * The position vector is updated in place, so objects sharing it (the rocket) follow
+   * @param {THREE.Vector3} position - New center of the planet
+   */
+  setPosition(position) {
+    this.position.copy(position);
+    this.mesh.position.copy(position);
+    this.body.position.set(position.x, position.y, position.z);
+
+    if (this.waterMesh) {
+      this.waterMesh.position.copy(position);
+    }
+  }
+
+  /**
+   * Rebuild the terrain from the current name, seed and terrain parameters
+   * Rebuilds the geometry, colors, heightfield, navigation graph and collision sphere,
+   * keeping the mesh (and its rotation) and the obstacles registered on the navigation graph
+   * @private
+   */
+  regenerateTerrain() {
+    this.terrainGenerator = new SimplexTerrain(getPlanetSeed(this.terrainSeed, this.name));
+    
+    // Build the new terrain on a fresh sphere
+    const previousGeometry = this.geometry;
+    this.createGeometry();
+    this.clearStaleTerrainData();
+    
+    if (!this.loadTerrainData()) {
+      this.applyTerrain();
+      this.saveTerrainData();
+    }
+    
+    if (!this.loadColorData()) {
+      this.applyBiomeColors();
+    }
+    this.saveColorData();
+    
+    this.mesh.geometry = this.geometry;
+    previousGeometry.dispose();
+    
+    // Surface queries and paths follow the new terrain
+    const obstacles = this.navigationGraph ? this.navigationGraph.obstacles : [];
+    this.createHeightfield();
+    this.createNavigationGraph();
+    obstacles.forEach(({ object, radius }) => this.navigationGraph.addObstacle(object, radius));
+    
+    // Keep the collision sphere under the new lowest valley
+    const shape = this.body.shapes[0];
+    shape.radius = this.heightfield.minRadius - COLLISION_MARGIN;
+    shape.updateBoundingSphereRadius();
+    this.body.updateBoundingRadius();
+  }
+  
   /**
    * Update the planet's position and rotation
    * Called every frame by the game loop
@@ -0,0 +1,180 @@
+import * as THREE from 'three';
+
+/**
+ * Definitions of every planet type a game can feature
+ * Games pick a theme of 2 to MAX_PLANETS planets on the server (public.planet_themes) and clients build the planets listed
+ * in game_queue.planets from these definitions.
+ * Names, radius and gravity must match public.planet_definitions (13_planet_definitions.sql)
+ */
+export const PLANET_DEFINITIONS = {
+  earth: {
+    displayName: 'Earth',
+    teamName: 'Terrans',
+    uiColor: '#4CAF50',
+    radius: 15,
+    gravity: 1.5, // Earth is about 1g, scaled up for faster falling
+    color: 0x888888, // Base color (used as fallback)
+    noiseAmplitude: 0.8,
+    noiseScale: 8,
+    biomes: ['plains', 'mountains', 'lakes'],
+    biomeColors: {
+      water: 0x1a8bb9, // Blue for water/lakes
+      plains: 0x98bf6b, // Green for plains
+      mountains: 0xaaaaaa, // Gray for mountains
+      snow: 0xffffff // White for snow caps
+    },
+    water: { radius: 14.85, color: 0x1a8bb9, opacity: 0.4 },
+    atmosphere: { color: 0xffffff, thickness: 0.8, opacity: 0.6 }
+  },
+  mars: {
+    displayName: 'Mars',
+    teamName: 'Martians',
+    uiColor: '#FF5722',
+    radius: 15,
+    gravity: 0.57, // Mars is about 0.38g, same proportional increase as Earth
+    color: 0xff8e5e,
+    noiseAmplitude: 0.7,
+    noiseScale: 8,
+    biomes: ['plains', 'mountains'],
+    biomeColors: {
+      plains: 0xD87F57, // Dusty orange/light reddish-brown
+      mountains: 0x8B4513, // Darker, rockier reddish-brown
+      snow: 0xFFCCAA // Very light rusty/pinkish for high altitude/ice
+    },
+    water: null, // No water on Mars
+    atmosphere: { color: 0xffffff, thickness: 0.5, opacity: 0.4 }
+  },
+  ice: {
+    displayName: 'Ice World',
+    teamName: 'Cryonauts',
+    uiColor: '#4FC3F7',
+    radius: 15,
+    gravity: 1.1,
+    color: 0xdceff7,
+    noiseAmplitude: 0.9,
+    noiseScale: 10,
+    biomes: ['plains', 'mountains', 'lakes'],
+    biomeColors: {
+      water: 0xa5d8f3, // Frozen lakes
+      plains: 0xe8f4fa, // Packed snow
+      mountains: 0x8fb8cc, // Blue glacier ice
+      snow: 0xffffff // Fresh snow on the peaks
+    },
+    water: { radius: 14.9, color: 0xbfe6ff, opacity: 0.7 }, // Sea ice
+    atmosphere: { color: 0xffffff, thickness: 0.9, opacity: 0.7 }
+  },
+  volcanic: {
+    displayName: 'Volcanic World',
+    teamName: 'Magmites',
+    uiColor: '#FFB300',
+    radius: 15,
+    gravity: 1.2,
+    color: 0x3b3030,
+    noiseAmplitude: 1.0,
+    noiseScale: 7,
+    biomes: ['plains', 'mountains', 'lakes'],
+    biomeColors: {
+      water: 0xff5a1f, // Lava lakes
+      plains: 0x3b3030, // Cooled basalt
+      mountains: 0x1e1a1a, // Obsidian ridges
+      snow: 0x6b5f5a // Ash on the peaks
+    },
+    water: { radius: 14.7, color: 0xff4500, opacity: 0.8 }, // Lava seas
+    atmosphere: { color: 0x8c8079, thickness: 0.6, opacity: 0.5 } // Ash clouds
+  }
+};
+
+/**
+ * Planets built before the current game is known, and for games created before themes existed
+ */
+export const DEFAULT_PLANETS = ['earth', 'mars'];
+
+/**
+ * Most planets a game can feature
+ */
+export const MAX_PLANETS = 4;
+
+/**
+ * Distance from the center of the system to every planet (separation = 2 * radius for two planets)
+ * Must match ORBIT_RADIUS in api/push_clicks.js
+ */
+export const ORBIT_RADIUS = 30;
+
+/**
+ * Get the position of a planet in the orbit layout
+ * Planets are spread evenly on a ring facing the overview camera, starting on the left,
+ * so two planets sit left and right of the center
+ * Must match getPlanetSlot in api/push_clicks.js
+ * @param {number} index - Index of the planet in game_queue.planets
+ * @param {number} count - Number of planets in the game
+ * @returns {THREE.Vector3} The planet's center
+ */
+export function getPlanetSlot(index, count) {
+  const angle = Math.PI + (index / count) * Math.PI * 2;
+
+  // Round away floating point noise so two planets sit exactly on the x axis
+  return new THREE.Vector3(
+    Math.round(Math.cos(angle) * ORBIT_RADIUS * 1000) / 1000,
+    Math.round(Math.sin(angle) * ORBIT_RADIUS * 1000) / 1000,
+    0
+  );
+}
+
+/**
+ * Get the definition of a planet type
+ * @param {string} name - Planet name, e.g. 'earth'
+ * @returns {Object|null} The definition, or null if the planet type doesn't exist
+ */
+export function getPlanetDefinition(name) {
+  return PLANET_DEFINITIONS[name] || null;
+}
+
+/**
+ * Get the display name of a planet, falling back to the capitalized name for unknown planets
+ * @param {string} name - Planet name
+ * @returns {string} Name shown to players
+ */
+export function getPlanetDisplayName(name) {
+  return getPlanetDefinition(name)?.displayName || name.charAt(0).toUpperCase() + name.slice(1);
+}
+
+/**
+ * Get the name of a planet's team
+ * @param {string} name - Planet name
+ * @returns {string} Name of the planet's inhabitants
+ */
+export function getPlanetTeamName(name) {
+  return getPlanetDefinition(name)?.teamName || `${getPlanetDisplayName(name)} Settlers`;
+}
+
+/**
+ * Build the Planet constructor options of a planet type
+ * @param {string} name - Planet name
+ * @returns {Object} Options for new Planet() and Planet.applyDefinition()
+ * @throws {Error} If the planet type doesn't exist
+ */
+export function getPlanetOptions(name) {
+  const definition = getPlanetDefinition(name);
+  if (!definition) {
+    throw new Error(`Unknown planet type "${name}"`);
+  }
+
+  const biomeColors = {};
+  Object.entries(definition.biomeColors).forEach(([biome, color]) => {
+    biomeColors[biome] = new THREE.Color(color);
+  });
+
+  return {
+    name,
+    radius: definition.radius,
+    gravity: definition.gravity,
+    color: definition.color,
+    noiseAmplitude: definition.noiseAmplitude,
+    noiseScale: definition.noiseScale,
+    waterRadius: definition.water ? definition.water.radius : null,
+    water: definition.water,
+    biomes: definition.biomes,
+    biomeColors,
+    atmosphere: definition.atmosphere
+  };
+}
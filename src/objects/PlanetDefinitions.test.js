@@ -0,0 +1,55 @@
+import { describe, it, expect } from 'vitest';
+import * as THREE from 'three';
+import {
+  PLANET_DEFINITIONS,
+  MAX_PLANETS,
+  ORBIT_RADIUS,
+  getPlanetSlot,
+  getPlanetDisplayName,
+  getPlanetTeamName,
+  getPlanetOptions
+} from './PlanetDefinitions.js';
+
+describe('getPlanetSlot', () => {
+  it('puts two planets left and right of the center', () => {
+    // Exactly on the x axis, without floating point noise
+    expect(getPlanetSlot(0, 2).distanceTo(new THREE.Vector3(-ORBIT_RADIUS, 0, 0))).toBe(0);
+    expect(getPlanetSlot(1, 2).distanceTo(new THREE.Vector3(ORBIT_RADIUS, 0, 0))).toBe(0);
+  });
+
+  it('spreads more planets evenly on the ring', () => {
+    for (let count = 3; count <= MAX_PLANETS; count++) {
+      const slots = Array.from({ length: count }, (_, index) => getPlanetSlot(index, count));
+      const side = slots[0].distanceTo(slots[1]);
+
+      slots.forEach((slot, index) => {
+        expect(slot.length()).toBeCloseTo(ORBIT_RADIUS, 2);
+        expect(slot.distanceTo(slots[(index + 1) % count])).toBeCloseTo(side, 2);
+      });
+    }
+  });
+});
+
+describe('planet definitions', () => {
+  it('builds the options of every planet type', () => {
+    Object.keys(PLANET_DEFINITIONS).forEach(name => {
+      const options = getPlanetOptions(name);
+
+      expect(options.name).toBe(name);
+      expect(options.radius).toBeGreaterThan(0);
+      expect(Object.values(options.biomeColors).every(color => color instanceof THREE.Color)).toBe(true);
+      expect(options.waterRadius).toBe(PLANET_DEFINITIONS[name].water ? PLANET_DEFINITIONS[name].water.radius : null);
+    });
+  });
+
+  it('rejects unknown planet types', () => {
+    expect(() => getPlanetOptions('pluto')).toThrow('Unknown planet type "pluto"');
+  });
+
+  it('names unknown planets and their team from the planet name', () => {
+    expect(getPlanetDisplayName('mars')).toBe('Mars');
+    expect(getPlanetTeamName('mars')).toBe('Martians');
+    expect(getPlanetDisplayName('pluto')).toBe('Pluto');
+    expect(getPlanetTeamName('pluto')).toBe('Pluto Settlers');
+  });
+});
@@ -2,9 +2,10 @@ import * as THREE from 'three';
 import { Planet } from './Planet.js';
 import { PlanetRotationControls } from '../controls/PlanetRotationControls.js';
 import { Rocket } from './Rocket.js';
+import { DEFAULT_PLANETS, getPlanetOptions, getPlanetSlot } from './PlanetDefinitions.js';
 
 /**
- * Manages the planetary system with two competing planets
+ * Manages the planetary system with the competing planets of a game, built from planet definitions
  * @class
  */
 export class PlanetSystem {
@@ -12,20 +13,21 @@ export class PlanetSystem {
    * Create the planetary system
    * @param {THREE.Scene} scene - The Three.js scene
    * @param {CANNON.World} world - The Cannon.js world
+   * @param {string[]} [planetNames=DEFAULT_PLANETS] - Planet types to create, in slot order
    */
-  constructor(scene, world) {
+  constructor(scene, world, planetNames = DEFAULT_PLANETS) {
     this.scene = scene;
     this.world = world;
     this.planets = [];
     this.planetControls = [];
     this.rockets = [];
-    this.playerBodies = {
-      earth: [],
-      mars: []
-    };
+    this.playerBodies = {};
+    planetNames.forEach(planetName => {
+      this.playerBodies[planetName] = [];
+    });
     
     // Initialize planets with fixed initial rotation
-    this.createPlanets();
+    this.createPlanets(planetNames);
     
     // Add rockets to north poles
     this.addRockets();
@@ -35,7 +37,7 @@ export class PlanetSystem {
   
   /**
    * Add a player body to a specific planet
-   * @param {string} planetName - The name of the planet ("earth" or "mars")
+   * @param {string} planetName - The name of the planet
    * @param {CANNON.Body} body - The physics body to add
    */
   addPlayerBody(planetName, body) {
@@ -51,7 +53,7 @@ export class PlanetSystem {
   
   /**
    * Remove a player body from a specific planet
-   * @param {string} planetName - The name of the planet ("earth" or "mars")
+   * @param {string} planetName - The name of the planet
    * @param {CANNON.Body} body - The physics body to remove
    */
   removePlayerBody(planetName, body) {
@@ -114,138 +116,222 @@ export class PlanetSystem {
   }
   
   /**
-   * Create both planets with consistent initial rotation
+   * Create the planets from their definitions with consistent initial rotation
+   * @param {string[]} planetNames - Planet types to create, in slot order
+   * @private
+   */
+  createPlanets(planetNames) {
+    planetNames.forEach((planetName, index) => {
+      this.createPlanet(planetName, getPlanetSlot(index, planetNames.length));
+    });
+    
+    // Add rotation controls to all planets
+    this.planets.forEach(planet => this.addRotationControls(planet));
+    
+    console.log(`Planets ${planetNames.join(', ')} created with consistent initial rotation`);
+  }
+  
+  /**
+   * Create a planet from its definition, with its water sphere
+   * @param {string} planetName - Planet type
+   * @param {THREE.Vector3} position - Center of the planet
+   * @param {number} [terrainSeed] - Terrain seed of the game
+   * @returns {Planet} The new planet
    * @private
    */
-  createPlanets() {
+  createPlanet(planetName, position, terrainSeed) {
     // Calculate 69% more segments for much smoother surface (20 -> 34)
     const increasedSegments = Math.round(Math.round(20 * 1.3) * 1.3);
     
-    // New radius (30% smaller than 21)
-    const newRadius = 15; 
-    // New water sphere radius (scaled proportionally)
-    const waterRadius = 14.85; // Simplified: 15 * (14.85 / 15)
-    // New planet positions (separation = 2 * radius)
-    const planetSeparation = 30;
-
-    // --- Define Biome Colors ---
-    const earthColors = {
-      water: new THREE.Color(0x1a8bb9),   // Blue for water/lakes
-      plains: new THREE.Color(0x98bf6b), // Green for plains
-      mountains: new THREE.Color(0xaaaaaa), // Gray for mountains
-      snow: new THREE.Color(0xffffff)      // White for snow caps
-    };
-
-    const marsColors = {
-      // No water on Mars
-      plains: new THREE.Color(0xD87F57),    // Dusty orange/light reddish-brown
-      mountains: new THREE.Color(0x8B4513), // Darker, rockier reddish-brown
-      snow: new THREE.Color(0xFFCCAA)       // Very light rusty/pinkish for high altitude/ice
-    };
-    // --- End Biome Colors ---
-
-    // Create first planet (Earth)
-    const earth = new Planet(this.scene, this.world, {
-      radius: newRadius,
-      segments: increasedSegments,
-      position: new THREE.Vector3(-planetSeparation, 0, 0), // Position left
-      color: 0x888888, // Base color (used as fallback)
-      noiseAmplitude: 0.8, 
-      noiseScale: 8,    
-      name: "earth",
-      waterRadius: waterRadius, 
-      biomes: ["plains", "mountains", "lakes"], 
-      biomeColors: earthColors // Pass Earth's biome colors
-    });
-    
-    // Create second planet (Mars)
-    const mars = new Planet(this.scene, this.world, {
-      radius: newRadius,
+    const planet = new Planet(this.scene, this.world, {
+      ...getPlanetOptions(planetName),
       segments: increasedSegments,
-      position: new THREE.Vector3(planetSeparation, 0, 0), // Position right
-      color: 0xff8e5e, // Base color (used as fallback)
-      noiseAmplitude: 0.7, 
-      noiseScale: 8,
-      name: "mars",
-      waterRadius: null, 
-      biomes: ["plains", "mountains"], 
-      biomeColors: marsColors // Pass Mars' biome colors
+      position,
+      terrainSeed
     });
     
     // Set fixed initial rotation
-    earth.mesh.rotation.set(0, 0, 0);
-    mars.mesh.rotation.set(0, 0, 0);
+    planet.mesh.rotation.set(0, 0, 0);
     
-    // Add planets to the array
-    this.planets.push(earth);
-    this.planets.push(mars);
+    this.planets.push(planet);
     
-    // Add water sphere only to Earth
-    this.createWaterSpheres(waterRadius);
+    // Add water sphere to planets that have water
+    this.createWaterSphere(planet);
     
-    // Add rotation controls to both planets
-    this.planets.forEach(planet => this.addRotationControls(planet));
+    return planet;
+  }
+  
+  /**
+   * Remove a planet with its water, rotation controls and rocket
+   * @param {Planet} planet - The planet to remove
+   * @private
+   */
+  removePlanet(planet) {
+    const controls = this.planetControls.find(control => control.planet === planet);
+    if (controls) {
+      controls.dispose();
+      this.planetControls.splice(this.planetControls.indexOf(controls), 1);
+    }
+    
+    const rocket = this.getRocket(planet);
+    if (rocket) {
+      rocket.dispose();
+      this.rockets.splice(this.rockets.indexOf(rocket), 1);
+    }
+    
+    this.removeWaterSphere(planet);
+    planet.dispose();
+    this.planets.splice(this.planets.indexOf(planet), 1);
     
-    console.log('Both planets created with consistent initial rotation');
+    console.log(`Removed planet ${planet.name}`);
   }
   
   /**
-   * Create water spheres for each planet
+   * Create the water sphere of a planet from its water settings
+   * @param {Planet} planet - The planet
    * @private
-   * @param {number} waterRadius - The radius for the water spheres
    */
-  createWaterSpheres(waterRadius = 9.9) {
-    // Water sphere parameters
+  createWaterSphere(planet) {
+    if (!planet.water) {
+      console.log(`Skipping water sphere for ${planet.name}`);
+      return;
+    }
+    
     const waterSegments = 34; // Match the higher terrain resolution
-    const waterColor = 0x1a8bb9; // Changed to cyan-blue for more Earth-like oceans
-    const waterOpacity = 0.4; // Increased transparency for more realistic oceans
     
-    this.planets.forEach(planet => {
-      // Skip Mars (no water)
-      if (planet.name === "mars") {
-        console.log(`Skipping water sphere for ${planet.name}`);
+    // Create water sphere geometry
+    const waterGeometry = new THREE.SphereGeometry(
+      planet.water.radius,
+      waterSegments,
+      waterSegments
+    );
+    
+    // Create transparent material
+    const waterMaterial = new THREE.MeshPhongMaterial({
+      color: planet.water.color,
+      transparent: true,
+      opacity: planet.water.opacity,
+      side: THREE.DoubleSide
+    });
+    
+    // Create water mesh
+    const waterMesh = new THREE.Mesh(waterGeometry, waterMaterial);
+    waterMesh.name = `${planet.name}Water`;
+    waterMesh.userData.planetName = planet.name;
+    
+    // Position water at the same position as the planet
+    waterMesh.position.copy(planet.position);
+    
+    // Add to scene
+    this.scene.add(waterMesh);
+    
+    // Store reference to water mesh in planet
+    planet.waterMesh = waterMesh;
+    
+    console.log(`Added water sphere to ${planet.name}`);
+  }
+  
+  /**
+   * Remove the water sphere of a planet
+   * @param {Planet} planet - The planet
+   * @private
+   */
+  removeWaterSphere(planet) {
+    if (!planet.waterMesh) return;
+    
+    planet.waterMesh.geometry.dispose();
+    planet.waterMesh.material.dispose();
+    this.scene.remove(planet.waterMesh);
+    planet.waterMesh = null;
+  }
+  
+  /**
+   * Get a planet by name
+   * @param {string} name - Planet name
+   * @returns {Planet} The planet object
+   */
+  getPlanet(name) {
+    return this.planets.find(planet => planet.name === name);
+  }
+  
+  /**
+   * Turn the planets into the planet types of a game
+   * Planets keep their slot, controls and rocket; players must be respawned by the caller
+   * @param {string[]} planetNames - Planet types of the game (game_queue.planets), in slot order
+   * @param {number} [terrainSeed] - Terrain seed of the game, so changed planets are only generated once
+   * @returns {boolean} True if any planet changed
+   */
+  setPlanets(planetNames, terrainSeed) {
+    if (!Array.isArray(planetNames) || planetNames.length < 2) {
+      return false;
+    }
+    
+    let changed = false;
+    
+    // Remove the planets this game has no slot for
+    while (this.planets.length > planetNames.length) {
+      this.removePlanet(this.planets[this.planets.length - 1]);
+      changed = true;
+    }
+    
+    planetNames.forEach((planetName, index) => {
+      const position = getPlanetSlot(index, planetNames.length);
+      const planet = this.planets[index];
+      
+      // Add the planets the previous game didn't have
+      if (!planet) {
+        const newPlanet = this.createPlanet(planetName, position, terrainSeed);
+        this.addRotationControls(newPlanet);
+        this.addRocket(newPlanet);
+        changed = true;
         return;
       }
       
-      // Create water sphere geometry
-      const waterGeometry = new THREE.SphereGeometry(
-        waterRadius,
-        waterSegments,
-        waterSegments
-      );
-      
-      // Create transparent blue material
-      const waterMaterial = new THREE.MeshPhongMaterial({
-        color: waterColor,
-        transparent: true,
-        opacity: waterOpacity,
-        side: THREE.DoubleSide
-      });
-      
-      // Create water mesh
-      const waterMesh = new THREE.Mesh(waterGeometry, waterMaterial);
-      waterMesh.name = `${planet.name}Water`;
-      
-      // Position water at the same position as the planet
-      waterMesh.position.copy(planet.position);
+      // Apply both changes, the layout moves when the number of planets changes
+      const typeChanged = planet.applyDefinition({ ...getPlanetOptions(planetName), terrainSeed });
+      const moved = !planet.position.equals(position);
+      if (moved) {
+        planet.setPosition(position);
+      }
       
-      // Add to scene
-      this.scene.add(waterMesh);
+      if (!typeChanged && !moved) {
+        return;
+      }
+      changed = true;
       
-      // Store reference to water mesh in planet
-      planet.waterMesh = waterMesh;
+      this.removeWaterSphere(planet);
+      this.createWaterSphere(planet);
       
-      console.log(`Added water sphere to ${planet.name}`);
+      // Move the rocket to the new planet's north pole
+      const rocket = this.getRocket(planet);
+      if (rocket) {
+        rocket.setPlanetName(planet.name);
+        rocket.position.set(planet.position.x, planet.position.y + planet.radius, planet.position.z);
+        rocket.updateWithPlanetRotation(planet.mesh.quaternion.clone());
+      }
     });
+    
+    if (changed) {
+      // Player bodies are tracked per planet name
+      this.playerBodies = {};
+      planetNames.forEach(planetName => {
+        this.playerBodies[planetName] = [];
+      });
+      this.resetPlayerBodies();
+    }
+    
+    return changed;
   }
   
   /**
-   * Get a planet by name
-   * @param {string} name - Planet name ('earth' or 'mars')
-   * @returns {Planet} The planet object
+   * Regenerate every planet's terrain from a game's terrain seed
+   * @param {number} terrainSeed - Terrain seed of the game (game_queue.terrain_seed)
+   * @returns {boolean} True if any planet changed
    */
-  getPlanet(name) {
-    return this.planets.find(planet => planet.name === name);
+  setTerrainSeed(terrainSeed) {
+    return this.planets
+      .map(planet => planet.setTerrainSeed(terrainSeed))
+      .some(changed => changed);
   }
   
   /**
@@ -255,6 +341,9 @@ export class PlanetSystem {
     // Update planets
     this.planets.forEach(planet => planet.update(deltaTime));
     
+    // Update rockets (animates their upgrade drones)
+    this.rockets.forEach(rocket => rocket.update(deltaTime));
+    
     // Update rotation controls for each planet
     this.planetControls.forEach(controls => controls.update());
     
@@ -290,6 +379,16 @@ export class PlanetSystem {
     });
   }
   
+  /**
+   * Get the rocket standing on a planet
+   * @param {Planet} planet - The planet
+   * @returns {Rocket|undefined} The planet's rocket
+   */
+  getRocket(planet) {
+    // Rockets share the planet's position vector, which stays the same when the planet changes type
+    return this.rockets.find(rocket => rocket.planetPosition === planet.position);
+  }
+  
   /**
    * Get all planet names
    * @returns {string[]} Array of planet names
@@ -335,38 +434,51 @@ export class PlanetSystem {
    * @private
    */
   addRockets() {
-    this.planets.forEach(planet => {
-      // Calculate north pole position (top of the planet)
-      const rocketPosition = new THREE.Vector3(
-        planet.position.x,
-        planet.position.y + planet.radius,
-        planet.position.z
-      );
-      
-      // Create a rocket at the north pole
-      const rocket = new Rocket(this.scene, this.world, {
-        position: rocketPosition,
-        planetPosition: planet.position, // Pass planet position
-        size: 1.5,
-        planetName: planet.name
-      });
-      
-      // Register the rocket with the planet for rotation
-      const controls = this.planetControls.find(control => control.planet === planet);
-      if (controls) {
-        if (!controls.rockets) {
-          controls.rockets = [];
-        }
-        controls.rockets.push(rocket);
-      }
-      
-      // Store reference to the rocket
-      this.rockets.push(rocket);
-      
-      console.log(`Added rocket to ${planet.name}'s north pole`);
-    });
+    this.planets.forEach(planet => this.addRocket(planet));
     
     // Immediately position rockets correctly
     this.updateRocketPositions();
   }
+  
+  /**
+   * Add a rocket at the north pole of a planet
+   * @param {Planet} planet - The planet
+   * @private
+   */
+  addRocket(planet) {
+    // Calculate north pole position (top of the planet)
+    const rocketPosition = new THREE.Vector3(
+      planet.position.x,
+      planet.position.y + planet.radius,
+      planet.position.z
+    );
+    
+    // Create a rocket at the north pole
+    const rocket = new Rocket(this.scene, this.world, {
+      position: rocketPosition,
+      planetPosition: planet.position, // Pass planet position
+      size: 1.5,
+      planetName: planet.name
+    });
+    
+    // Register the rocket with the planet for rotation
+    const controls = this.planetControls.find(control => control.planet === planet);
+    if (controls) {
+      if (!controls.rockets) {
+        controls.rockets = [];
+      }
+      controls.rockets.push(rocket);
+    }
+    
+    // Players walk around the launch pad (radius 1.54 * size) instead of through it
+    planet.navigationGraph.addObstacle(rocket.mesh, rocket.size * 2);
+    
+    // Store reference to the rocket
+    this.rockets.push(rocket);
+    
+    // Place it with the planet's current rotation
+    rocket.updateWithPlanetRotation(planet.mesh.quaternion.clone());
+    
+    console.log(`Added rocket to ${planet.name}'s north pole`);
+  }
 } 
\ No newline at end of file
@@ -1,11 +1,22 @@
 import * as THREE from 'three';
 import * as CANNON from 'cannon-es';
+import gsap from 'gsap';
 import { GameObject } from './GameObject.js';
+import { DEFAULT_PLANETS } from './PlanetDefinitions.js';
+import { soundManager } from '../audio/SoundManager.js';
 
 // Default clicks needed per state
 const DEFAULT_CLICKS_PER_STATE = 720;
 // Number of construction states (0-4)
 const NUM_STATES = 5;
+// Construction state in which each part is added
+const PART_STATES = {
+  launchPad: 0,
+  stage1: 1,
+  stage2: 2,
+  fins: 3,
+  noseCone: 4
+};
 
 /**
  * Rocket object placed at the north pole of a planet
@@ -32,12 +43,22 @@ export class Rocket extends GameObject {
     this.planetPosition = options.planetPosition || new THREE.Vector3(0, 0, 0);
     this.rotation = options.rotation || 0;
     this.size = options.size || 1;
-    this.planetName = options.planetName || 'earth';
+    this.planetName = options.planetName || DEFAULT_PLANETS[0];
 
     // Buildable properties
     this.type = 'rocket';
     this.currentState = 0; // Initial state (0-4)
     this.currentClickCount = 0;
+    this.inFlight = false; // True while the victory cinematic is flying the rocket
+    this.displayedState = 0; // Construction state currently shown by the mesh
+    this.parts = []; // Meshes added to the rocket as construction progresses
+    this.scaffolding = null;
+    this.hitbox = null;
+    this.launchPad = null;
+    
+    // Upgrade drones orbiting the rocket
+    this.droneGroup = null;
+    this.drones = [];
     this.clicksNeededPerState = options.clicksPerState || DEFAULT_CLICKS_PER_STATE;
     this.totalClicksNeeded = this.clicksNeededPerState * (NUM_STATES - 1); // Total clicks to reach final state
 
@@ -92,6 +113,18 @@ export class Rocket extends GameObject {
 
     let currentY = 0; // Keep track of vertical position for stacking
 
+    // --- Launch Pad ---
+    const padHeight = 0.2 * this.size;
+    const padRadius = 1.4 * this.size;
+    const padGeo = new THREE.CylinderGeometry(padRadius, padRadius * 1.1, padHeight, 8);
+    const padMesh = new THREE.Mesh(padGeo, darkGreyMaterial);
+    padMesh.position.y = currentY + padHeight / 2;
+    padMesh.name = 'rocketLaunchPad';
+    padMesh.userData = { ...this.mesh.userData }; // Copy userData including planetName
+    this._registerPart(padMesh, PART_STATES.launchPad, currentY + padHeight);
+    this.mesh.add(padMesh);
+    currentY += padHeight;
+
     // --- Stage 1 (Booster) ---
     const stage1Height = 2.0 * this.size;
     const stage1Radius = 0.4 * this.size;
@@ -100,7 +133,9 @@ export class Rocket extends GameObject {
     stage1Mesh.position.y = currentY + stage1Height / 2;
     stage1Mesh.name = 'rocketStage1';
     stage1Mesh.userData = { ...this.mesh.userData }; // Copy userData including planetName
+    this._registerPart(stage1Mesh, PART_STATES.stage1, currentY + stage1Height);
     this.mesh.add(stage1Mesh);
+    const stage1Bottom = currentY;
     currentY += stage1Height;
 
     // --- Interstage ---
@@ -111,6 +146,7 @@ export class Rocket extends GameObject {
     interstageMesh.position.y = currentY + interstageHeight / 2;
     interstageMesh.name = 'rocketInterstage';
     interstageMesh.userData = { ...this.mesh.userData }; // Copy userData including planetName
+    this._registerPart(interstageMesh, PART_STATES.stage2, currentY + interstageHeight);
     this.mesh.add(interstageMesh);
     currentY += interstageHeight;
 
@@ -122,6 +158,7 @@ export class Rocket extends GameObject {
     stage2Mesh.position.y = currentY + stage2Height / 2;
     stage2Mesh.name = 'rocketStage2';
     stage2Mesh.userData = { ...this.mesh.userData }; // Copy userData including planetName
+    this._registerPart(stage2Mesh, PART_STATES.stage2, currentY + stage2Height);
     this.mesh.add(stage2Mesh);
     currentY += stage2Height;
 
@@ -132,7 +169,11 @@ export class Rocket extends GameObject {
     noseMesh.position.y = currentY + noseHeight / 2;
     noseMesh.name = 'rocketNoseCone';
     noseMesh.userData = { ...this.mesh.userData }; // Copy userData including planetName
+    this._registerPart(noseMesh, PART_STATES.noseCone, currentY + noseHeight);
     this.mesh.add(noseMesh);
+    
+    // Full height of the assembled rocket, used to size the scaffolding
+    this.fullHeight = currentY + noseHeight;
 
     // --- Fins (4) attached to Stage 1 ---
     const finCount = 4;
@@ -152,16 +193,20 @@ export class Rocket extends GameObject {
       // Position near the bottom of stage 1, extending outwards
       fin.position.set(
         Math.cos(angle) * attachRadius,
-        finHeight * 0.3, // Position slightly up from the base
+        stage1Bottom + finHeight * 0.3, // Position slightly up from the base of stage 1
         Math.sin(angle) * attachRadius
       );
       
       // Rotate fin to align radially
       fin.rotation.y = -angle; // Align the flat side outwards
       
+      this._registerPart(fin, PART_STATES.fins, stage1Bottom + finHeight * 0.8);
       this.mesh.add(fin);
     }
     
+    // Scaffolding around the rocket while it's being built
+    this.createScaffolding();
+    
     // Apply specified initial rotation (if any, around the local Y axis)
     this.mesh.rotation.y = this.rotation;
     
@@ -171,6 +216,9 @@ export class Rocket extends GameObject {
     // Create hit box for increased clickable area
     this.createHitBox();
     
+    // Only show the parts of the initial construction state
+    this.updateMeshForState();
+    
     // Set the final position of the group
     this.mesh.position.copy(this.position);
     
@@ -180,13 +228,79 @@ export class Rocket extends GameObject {
     console.log(`2-Stage Rocket mesh created at position (${this.position.x.toFixed(2)}, ${this.position.y.toFixed(2)}, ${this.position.z.toFixed(2)})`);
   }
   
+  /**
+   * Remember a rocket part and the construction state that adds it
+   * @param {THREE.Mesh} part - The part mesh
+   * @param {number} state - Construction state in which the part appears
+   * @param {number} topY - Height of the top of the part above the rocket base
+   * @private
+   */
+  _registerPart(part, state, topY) {
+    part.userData.buildState = state;
+    part.userData.topY = topY;
+    part.userData.assembledY = part.position.y;
+    this.parts.push(part);
+    
+    if (part.name === 'rocketLaunchPad') {
+      this.launchPad = part;
+    }
+  }
+  
+  /**
+   * Create the scaffolding tower that surrounds the rocket during construction
+   * @private
+   */
+  createScaffolding() {
+    this.scaffolding = new THREE.Group();
+    this.scaffolding.name = 'rocketScaffolding';
+    
+    const scaffoldMaterial = new THREE.MeshStandardMaterial({
+      color: 0xd4a017,
+      roughness: 0.7,
+      metalness: 0.6
+    });
+    
+    // Built for the full rocket height and scaled down to the height built so far
+    const height = this.fullHeight;
+    const halfWidth = 0.9 * this.size;
+    const poleThickness = 0.06 * this.size;
+    const levelSpacing = 0.5 * this.size;
+    
+    // Four poles on the diagonals, clear of the fins
+    const poleGeo = new THREE.BoxGeometry(poleThickness, height, poleThickness);
+    const corners = [[1, 1], [1, -1], [-1, -1], [-1, 1]];
+    corners.forEach(([x, z]) => {
+      const pole = new THREE.Mesh(poleGeo, scaffoldMaterial);
+      pole.position.set(x * halfWidth, height / 2, z * halfWidth);
+      pole.userData = { ...this.mesh.userData };
+      this.scaffolding.add(pole);
+    });
+    
+    // Horizontal beams joining the poles at every level
+    const beamGeo = new THREE.BoxGeometry(halfWidth * 2, poleThickness, poleThickness);
+    for (let y = levelSpacing; y < height; y += levelSpacing) {
+      for (let side = 0; side < 4; side++) {
+        const beam = new THREE.Mesh(beamGeo, scaffoldMaterial);
+        const angle = side * Math.PI / 2;
+        beam.position.set(Math.sin(angle) * halfWidth, y, Math.cos(angle) * halfWidth);
+        beam.rotation.y = angle;
+        beam.userData = { ...this.mesh.userData };
+        this.scaffolding.add(beam);
+      }
+    }
+    
+    // Keep the progress bar anchored to the rocket itself
+    this.scaffolding.userData.ignoreBounds = true;
+    this.mesh.add(this.scaffolding);
+  }
+  
   /**
    * Create a hitbox for the rocket to increase clickable area
    * @private
    */
   createHitBox() {
     // Calculate the total height and maximum radius of the rocket
-    const totalHeight = 4.0 * this.size; // Approximate total height of the rocket
+    const totalHeight = this.fullHeight; // Height of the fully assembled rocket
     const maxRadius = 1.0 * this.size;   // Max radius including fins
     
     // Create a larger hitbox cylinder for the rocket
@@ -223,10 +337,52 @@ export class Rocket extends GameObject {
     
     // Add to the mesh group
     this.mesh.add(hitbox);
+    this.hitbox = hitbox;
     
     console.log('Added hitbox to rocket for increased clickable area');
   }
   
+  /**
+   * Resize the hitbox to the height built so far
+   * Never smaller than the first stage so an unbuilt rocket stays easy to click
+   * @private
+   */
+  updateHitBox() {
+    if (!this.hitbox) return;
+    
+    const height = Math.max(this.getBuiltHeight(), 2.0 * this.size);
+    this.hitbox.scale.y = height / this.fullHeight;
+    this.hitbox.position.y = height / 2;
+  }
+  
+  /**
+   * Get the height of the parts built so far
+   * @returns {number} Height of the top of the highest visible part above the rocket base
+   */
+  getBuiltHeight() {
+    return this.parts.reduce((height, part) => {
+      return part.userData.buildState <= this.currentState ? Math.max(height, part.userData.topY) : height;
+    }, 0);
+  }
+  
+  /**
+   * Leave the launch pad on the ground, e.g. when the rocket lifts off
+   */
+  detachLaunchPad() {
+    if (this.launchPad && this.launchPad.parent === this.mesh) {
+      this.scene.attach(this.launchPad);
+    }
+  }
+  
+  /**
+   * Put the launch pad back under the rocket after detachLaunchPad()
+   */
+  reattachLaunchPad() {
+    if (this.launchPad && this.launchPad.parent !== this.mesh) {
+      this.mesh.attach(this.launchPad);
+    }
+  }
+  
   /**
    * Create a static physics body for the rocket
    * @private
@@ -298,7 +454,26 @@ export class Rocket extends GameObject {
     // Apply the quaternion to orient the rocket
     this.mesh.quaternion.copy(quaternion);
   }
-  
+
+  /**
+   * Move the rocket to another planet type (when a game changes the planet it stands on)
+   * @param {string} planetName - Name of the planet
+   */
+  setPlanetName(planetName) {
+    this.planetName = planetName;
+
+    // Every part carries a copy of the planet name for click identification,
+    // including the parts that aren't built yet (not attached to the group)
+    const objects = this.mesh ? [this.mesh, ...this.parts] : this.parts;
+    objects.forEach(root => {
+      root.traverse(object => {
+        if (object.userData.planetName !== undefined) {
+          object.userData.planetName = planetName;
+        }
+      });
+    });
+  }
+
   /**
    * Update rocket rotation based on planet rotation
    * @param {THREE.Quaternion} planetQuaternion - The planet's rotation quaternion
@@ -306,6 +481,9 @@ export class Rocket extends GameObject {
   updateWithPlanetRotation(planetQuaternion) {
     if (!this.mesh || !this.body) return;
     
+    // Leave the rocket alone while the victory cinematic is flying it
+    if (this.inFlight) return;
+    
     // Get planet center
     const planetCenter = this.planetPosition.clone();
     
@@ -358,30 +536,119 @@ export class Rocket extends GameObject {
   
   /**
    * Custom update method for rocket
+   * @param {number} [deltaTime=1/60] - Time since last update in seconds
    */
-  update() {
+  update(deltaTime = 1/60) {
     // The rocket is static, so no standard update needed
     // The rocket position/rotation is updated by the planet system
+    
+    // Spin the drones around the rocket and bob them up and down
+    if (this.droneGroup && this.drones.length > 0) {
+      this.droneGroup.rotation.y += deltaTime * 1.2;
+      const time = performance.now() / 1000;
+      this.drones.forEach((drone, index) => {
+        drone.position.y = drone.userData.baseY + Math.sin(time * 2 + index) * 0.15 * this.size;
+      });
+    }
+  }
+  
+  /**
+   * Show one drone orbiting the rocket per drone upgrade bought for its planet
+   * @param {number} count - Number of drones
+   */
+  setDroneCount(count) {
+    if (count === this.drones.length) return;
+    
+    if (!this.droneGroup) {
+      this.droneGroup = new THREE.Group();
+      this.droneGroup.name = 'rocketDrones';
+      // Drones shouldn't move the progress bar around as they orbit
+      this.droneGroup.userData.ignoreBounds = true;
+      this.mesh.add(this.droneGroup);
+    }
+    
+    // Add missing drones
+    while (this.drones.length < count) {
+      const drone = new THREE.Group();
+      
+      const body = new THREE.Mesh(
+        new THREE.OctahedronGeometry(0.18 * this.size, 0),
+        new THREE.MeshStandardMaterial({ color: 0xffd740, emissive: 0x664400, metalness: 0.6, roughness: 0.3 })
+      );
+      const rotor = new THREE.Mesh(
+        new THREE.TorusGeometry(0.22 * this.size, 0.03 * this.size, 6, 16),
+        new THREE.MeshBasicMaterial({ color: 0x333333 })
+      );
+      rotor.rotation.x = Math.PI / 2;
+      drone.add(body);
+      drone.add(rotor);
+      
+      drone.userData.baseY = (1.5 + this.drones.length * 0.8) * this.size;
+      this.droneGroup.add(drone);
+      this.drones.push(drone);
+    }
+    
+    // Remove extra drones (e.g. when a new game starts)
+    while (this.drones.length > count) {
+      const drone = this.drones.pop();
+      this.droneGroup.remove(drone);
+      drone.traverse(child => {
+        if (child.geometry) child.geometry.dispose();
+        if (child.material) child.material.dispose();
+      });
+    }
+    
+    // Spread the drones evenly around the rocket
+    this.drones.forEach((drone, index) => {
+      const angle = (index / this.drones.length) * Math.PI * 2;
+      const orbitRadius = 1.6 * this.size;
+      drone.position.set(Math.cos(angle) * orbitRadius, drone.userData.baseY, Math.sin(angle) * orbitRadius);
+    });
   }
 
   /**
    * Adds a click to the rocket's construction progress.
+   * @param {number} [amount=1] - Clicks the click is worth, e.g. with an upgrade multiplier.
    */
-  addClick() {
+  addClick(amount = 1) {
     if (this.currentState >= NUM_STATES - 1) {
       console.log('Rocket already fully built!');
       return; // Already completed
     }
 
-    this.currentClickCount++;
+    this.currentClickCount = Math.min(this.currentClickCount + amount, this.totalClicksNeeded);
     console.log('Rocket click count', this.currentClickCount);
 
     // TODO: Add visual feedback for the click (+1 effect) - Step 4
 
     this.updateState();
 
-    // TODO: Save click to database - Step 6
-    // TODO: Notify other clients via real-time updates - Step 7
+    // Clicks are pushed to the server by the ClickManager and the
+    // authoritative total comes back through setClickCount()
+  }
+
+  /**
+   * Sets the total click count, e.g. from the server-side total.
+   * Jumps directly to the matching construction state.
+   * @param {number} count - The total number of clicks.
+   * @returns {boolean} True if the construction state changed.
+   */
+  setClickCount(count) {
+    this.currentClickCount = Math.max(0, Math.min(count, this.totalClicksNeeded));
+
+    const newState = Math.min(
+      Math.floor(this.currentClickCount / this.clicksNeededPerState),
+      NUM_STATES - 1
+    );
+
+    if (newState === this.currentState) {
+      return false;
+    }
+
+    this.currentState = newState;
+    console.log(`Rocket synced to state ${this.currentState}`);
+    this.updateMeshForState(true);
+    return true;
   }
 
   /**
@@ -395,8 +662,8 @@ export class Rocket extends GameObject {
       this.currentState++;
       console.log(`Rocket reached state ${this.currentState}`);
 
-      // TODO: Update visual appearance based on new state - Step 8
-      this.updateMeshForState();
+      this.updateMeshForState(true);
+      soundManager.playAt(this.currentState === NUM_STATES - 1 ? 'rocketComplete' : 'rocketStage', this.mesh);
 
       if (this.currentState === NUM_STATES - 1) {
         console.log('ROCKET CONSTRUCTION COMPLETE!');
@@ -407,23 +674,64 @@ export class Rocket extends GameObject {
 
   /**
    * Updates the rocket's mesh based on the current construction state.
-   * Placeholder for visual updates.
-   * @private
+   * Shows the parts added up to the current state and hides the rest.
+   * @param {boolean} [animate=false] - Whether newly added parts are assembled with an animation
    */
-  updateMeshForState() {
+  updateMeshForState(animate = false) {
     console.log(`Updating rocket mesh for state: ${this.currentState}`);
-    // In a real implementation, this would modify the geometry/materials
-    // or swap models based on this.currentState.
-    // For now, we can just log it.
-
-    // Example: Maybe change the color slightly for demonstration
-    const stage1Mesh = this.mesh.getObjectByName('rocketStage1');
-    if (stage1Mesh) {
-        const lerpFactor = this.currentState / (NUM_STATES - 1);
-        const startColor = new THREE.Color(0xffffff); // White
-        const endColor = new THREE.Color(0x00ff00); // Green
-        stage1Mesh.material.color.lerpColors(startColor, endColor, lerpFactor);
+    
+    this.parts.forEach(part => {
+      const state = part.userData.buildState;
+      
+      // Finish any running assembly so the part starts from its assembled pose
+      gsap.killTweensOf(part.position);
+      gsap.killTweensOf(part.scale);
+      part.position.y = part.userData.assembledY;
+      part.scale.setScalar(1);
+      part.visible = state <= this.currentState;
+      
+      // Parts added since the last update drop into place from above
+      if (animate && part.visible && state > this.displayedState) {
+        const delay = (state - this.displayedState - 1) * 0.3;
+        gsap.from(part.position, {
+          y: part.userData.assembledY + 3 * this.size,
+          duration: 0.8,
+          delay,
+          ease: 'bounce.out'
+        });
+        gsap.from(part.scale, { x: 0.01, y: 0.01, z: 0.01, duration: 0.4, delay, ease: 'back.out' });
+      }
+    });
+    
+    // The scaffolding grows with the rocket and comes down once it's complete
+    if (this.scaffolding) {
+      gsap.killTweensOf(this.scaffolding.scale);
+      const complete = this.currentState >= NUM_STATES - 1;
+      const targetScale = Math.min(Math.max(this.getBuiltHeight() + 0.5 * this.size, 1.0 * this.size) / this.fullHeight, 1);
+      
+      if (complete) {
+        if (animate && this.scaffolding.visible) {
+          gsap.to(this.scaffolding.scale, {
+            y: 0.01,
+            duration: 0.6,
+            ease: 'power2.in',
+            onComplete: () => { this.scaffolding.visible = false; }
+          });
+        } else {
+          this.scaffolding.visible = false;
+        }
+      } else {
+        this.scaffolding.visible = true;
+        if (animate) {
+          gsap.to(this.scaffolding.scale, { y: targetScale, duration: 0.6, ease: 'power2.out' });
+        } else {
+          this.scaffolding.scale.y = targetScale;
+        }
+      }
     }
+    
+    this.updateHitBox();
+    this.displayedState = this.currentState;
   }
 
   /**
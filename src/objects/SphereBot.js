@@ -1,7 +1,14 @@
 import * as THREE from 'three';
 import * as CANNON from 'cannon-es';
+import gsap from 'gsap';
 import { GameObject } from './GameObject.js';
 
+/**
+ * Emotes a SphereBot can play
+ * @type {string[]}
+ */
+export const EMOTES = ['wave', 'jump', 'dance'];
+
 /**
  * SphereBot with a sphere body, cylinder legs, and simple eyes
  * @class
@@ -30,6 +37,10 @@ export class SphereBot extends GameObject {
     this.bobAmplitude = 0.05; // Height of the bob
     this.bobSpeed = 10.5 + Math.random() * 1.0; // Speed of the bob (slightly randomized)
     
+    // Offsets animated by emotes, applied on top of the physics pose
+    this.emoteState = { lift: 0, spin: 0, tilt: 0 };
+    this.emoteTimeline = null;
+    
     // Initialize the object
     this.init();
   }
@@ -181,6 +192,18 @@ export class SphereBot extends GameObject {
       const upVector = new THREE.Vector3(0, 1, 0);
       this.mesh.quaternion.setFromUnitVectors(upVector.negate(), gravityDir);
       
+      // Emotes spin the bot around its up axis and rock it sideways
+      if (this.emoteState.spin || this.emoteState.tilt) {
+        this.mesh.quaternion.multiply(new THREE.Quaternion().setFromEuler(
+          new THREE.Euler(0, this.emoteState.spin, this.emoteState.tilt)
+        ));
+      }
+      
+      // Emotes can lift the bot off the ground (jumps, dance hops)
+      if (this.emoteState.lift) {
+        this.mesh.position.add(gravityDir.clone().multiplyScalar(-this.emoteState.lift));
+      }
+      
       // Apply sinusoidal movement - offset in the direction away from planet
       const bobOffset = this.bobAmplitude * Math.sin(this.animTime * this.bobSpeed);
       const offsetVec = gravityDir.clone().multiplyScalar(-bobOffset);
@@ -203,6 +226,63 @@ export class SphereBot extends GameObject {
     }
   }
   
+  /**
+   * Play an emote animation, replacing the one already playing
+   * Only the mesh moves, the physics body stays where it is
+   * @param {string} name - One of EMOTES
+   * @returns {boolean} Whether the emote exists
+   */
+  playEmote(name) {
+    if (!EMOTES.includes(name)) return false;
+    
+    this.stopEmote();
+    
+    const state = this.emoteState;
+    const timeline = gsap.timeline({ onComplete: () => this.stopEmote() });
+    
+    switch (name) {
+      case 'wave':
+        // Rock from side to side a few times
+        timeline
+          .to(state, { tilt: 0.35, duration: 0.15, ease: 'sine.out' })
+          .to(state, { tilt: -0.35, duration: 0.3, ease: 'sine.inOut', repeat: 3, yoyo: true })
+          .to(state, { tilt: 0, duration: 0.15, ease: 'sine.in' });
+        break;
+      case 'jump':
+        // Two hops, the second one higher
+        timeline
+          .to(state, { lift: 0.8, duration: 0.25, ease: 'power2.out' })
+          .to(state, { lift: 0, duration: 0.25, ease: 'power2.in' })
+          .to(state, { lift: 1.4, duration: 0.3, ease: 'power2.out' })
+          .to(state, { lift: 0, duration: 0.3, ease: 'bounce.out' });
+        break;
+      case 'dance':
+        // Spin around while bouncing and swaying
+        timeline
+          .to(state, { spin: Math.PI * 4, duration: 2, ease: 'power1.inOut' }, 0)
+          .to(state, { lift: 0.3, duration: 0.25, ease: 'sine.inOut', repeat: 7, yoyo: true }, 0)
+          .to(state, { tilt: 0.2, duration: 0.5, ease: 'sine.inOut', repeat: 3, yoyo: true }, 0);
+        break;
+    }
+    
+    this.emoteTimeline = timeline;
+    return true;
+  }
+  
+  /**
+   * Stop the emote playing and go back to the physics pose
+   */
+  stopEmote() {
+    if (this.emoteTimeline) {
+      this.emoteTimeline.kill();
+      this.emoteTimeline = null;
+    }
+    
+    this.emoteState.lift = 0;
+    this.emoteState.spin = 0;
+    this.emoteState.tilt = 0;
+  }
+  
   /**
    * Find the nearest planet to this SphereBot
    * @returns {Object|null} The nearest planet or null if none found
@@ -214,9 +294,9 @@ export class SphereBot extends GameObject {
     let nearestPlanet = null;
     let minDistance = Infinity;
     
-    // Search for objects named "earth" or "mars" in the scene
+    // Search for planet meshes in the scene
     this.scene.traverse(object => {
-      if (object.name === "earth" || object.name === "mars") {
+      if (object.userData.isPlanet) {
         const distance = object.position.distanceTo(this.mesh.position);
         if (distance < minDistance) {
           minDistance = distance;
@@ -248,6 +328,8 @@ export class SphereBot extends GameObject {
    * @override
    */
   dispose() {
+    this.stopEmote();
+    
     // Dispose of specific geometries and materials
     if (this.bodyMesh) {
       this.bodyMesh.geometry.dispose();
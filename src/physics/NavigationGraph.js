@@ -0,0 +1,417 @@
+import * as THREE from 'three';
+
+/**
+ * Walkable graph over a planet surface with A* path finding
+ * Nodes are the vertices of the planet's sphere grid, placed on the terrain by its heightfield.
+ * Edges cost their length, made more expensive by slope and water, and rocket areas are blocked.
+ * @class
+ */
+export class NavigationGraph {
+  /**
+   * Create a navigation graph for a planet
+   * @param {TerrainHeightfield} heightfield - Heightfield of the planet's terrain
+   * @param {Object} options - Configuration options
+   * @param {number|null} [options.waterRadius=null] - Radius of the water sphere (null for no water)
+   * @param {number} [options.waterCost=20] - Cost multiplier for walking under the water level
+   * @param {number} [options.slopeCost=4] - Extra cost per unit of slope (rise over run)
+   * @param {number} [options.maxSlope=1] - Steepest walkable slope (1 is 45 degrees)
+   * @param {number} [options.sampleSpacing=0.5] - Distance between points of the returned path
+   */
+  constructor(heightfield, options = {}) {
+    this.heightfield = heightfield;
+    this.waterRadius = options.waterRadius ?? null;
+    this.waterCost = options.waterCost || 20;
+    this.slopeCost = options.slopeCost ?? 4;
+    this.maxSlope = options.maxSlope || 1;
+    this.sampleSpacing = options.sampleSpacing || 0.5;
+
+    // Objects players must walk around ({object, radius})
+    this.obstacles = [];
+
+    this.buildGraph();
+  }
+
+  /**
+   * Create the nodes and edges from the heightfield grid
+   * The poles collapse into a single node each and the seam column is shared
+   * @private
+   */
+  buildGraph() {
+    const width = this.heightfield.widthSegments;
+    const height = this.heightfield.heightSegments;
+
+    this.nodes = [];
+
+    // Node index of a grid vertex
+    const nodeAt = (ix, iy) => {
+      if (iy === 0) return 0;
+      if (iy === height) return 1 + (height - 1) * width;
+      return 1 + (iy - 1) * width + ((ix % width) + width) % width;
+    };
+
+    const addNode = (ix, iy) => {
+      const phi = (ix / width) * Math.PI * 2;
+      const theta = (iy / height) * Math.PI;
+
+      // Same parametrization as THREE.SphereGeometry
+      const direction = new THREE.Vector3(
+        -Math.cos(phi) * Math.sin(theta),
+        Math.cos(theta),
+        Math.sin(phi) * Math.sin(theta)
+      ).normalize();
+
+      const radius = this.heightfield.getRadiusAtDirection(direction);
+
+      this.nodes.push({
+        index: this.nodes.length,
+        direction,
+        radius,
+        position: direction.clone().multiplyScalar(radius),
+        neighbors: []
+      });
+    };
+
+    addNode(0, 0);
+    for (let iy = 1; iy < height; iy++) {
+      for (let ix = 0; ix < width; ix++) {
+        addNode(ix, iy);
+      }
+    }
+    addNode(0, height);
+
+    // Connect every vertex to its 8 grid neighbours
+    const connect = (a, b) => {
+      if (a === b || this.nodes[a].neighbors.some(edge => edge.node === b)) return;
+
+      const cost = this._getEdgeCost(this.nodes[a], this.nodes[b]);
+      this.nodes[a].neighbors.push({ node: b, cost });
+      this.nodes[b].neighbors.push({ node: a, cost });
+    };
+
+    for (let iy = 1; iy < height; iy++) {
+      for (let ix = 0; ix < width; ix++) {
+        const node = nodeAt(ix, iy);
+        connect(node, nodeAt(ix + 1, iy));
+        connect(node, nodeAt(ix - 1, iy + 1));
+        connect(node, nodeAt(ix, iy + 1));
+        connect(node, nodeAt(ix + 1, iy + 1));
+        if (iy === 1) {
+          connect(node, nodeAt(ix, 0));
+        }
+      }
+    }
+
+    console.log(`Navigation graph built with ${this.nodes.length} nodes`);
+  }
+
+  /**
+   * Cost of walking between two surface points of the planet's local frame
+   * @param {Object} from - Point with position and radius
+   * @param {Object} to - Point with position and radius
+   * @returns {number} Cost of the step (Infinity if too steep)
+   * @private
+   */
+  _getEdgeCost(from, to) {
+    const length = from.position.distanceTo(to.position);
+    const rise = Math.abs(to.radius - from.radius);
+    const run = Math.sqrt(Math.max(length * length - rise * rise, 1e-6));
+    const slope = rise / run;
+
+    if (slope > this.maxSlope) {
+      return Infinity;
+    }
+
+    let cost = length * (1 + slope * this.slopeCost);
+
+    // Players can wade through lakes, but only when going around them is much longer
+    if (this.waterRadius !== null && (from.radius < this.waterRadius || to.radius < this.waterRadius)) {
+      cost *= this.waterCost;
+    }
+
+    return cost;
+  }
+
+  /**
+   * Block the area around an object, such as a rocket
+   * The object's world position is read on every search, so it can move with the planet
+   * @param {THREE.Object3D} object - The object to walk around
+   * @param {number} radius - Distance from the object that players can't enter
+   */
+  addObstacle(object, radius) {
+    this.obstacles.push({ object, radius });
+  }
+
+  /**
+   * Stop blocking the area around an object
+   * @param {THREE.Object3D} object - The object previously passed to addObstacle
+   */
+  removeObstacle(object) {
+    this.obstacles = this.obstacles.filter(obstacle => obstacle.object !== object);
+  }
+
+  /**
+   * Convert a world point to the planet's local frame
+   * @param {THREE.Vector3|CANNON.Vec3} worldPoint - Point in world space
+   * @returns {THREE.Vector3} The point in the planet's local frame
+   * @private
+   */
+  _toLocal(worldPoint) {
+    const planet = this.heightfield.object;
+    const inverseQuaternion = planet.quaternion.clone().invert();
+
+    return new THREE.Vector3(worldPoint.x, worldPoint.y, worldPoint.z)
+      .sub(planet.position)
+      .applyQuaternion(inverseQuaternion);
+  }
+
+  /**
+   * Convert a point of the planet's local frame to world space
+   * @param {THREE.Vector3} localPoint - Point in the planet's local frame
+   * @returns {THREE.Vector3} The point in world space
+   * @private
+   */
+  _toWorld(localPoint) {
+    const planet = this.heightfield.object;
+
+    return localPoint.clone()
+      .applyQuaternion(planet.quaternion)
+      .add(planet.position);
+  }
+
+  /**
+   * Get a surface point of the planet's local frame in a direction
+   * @param {THREE.Vector3} direction - Normalized direction in the planet's local frame
+   * @returns {Object} Point with direction, radius and position
+   * @private
+   */
+  _getSurfacePoint(direction) {
+    const radius = this.heightfield.getRadiusAtDirection(direction);
+
+    return {
+      direction,
+      radius,
+      position: direction.clone().multiplyScalar(radius)
+    };
+  }
+
+  /**
+   * Check whether a surface point is inside a blocked area
+   * @param {THREE.Vector3} position - Point in the planet's local frame
+   * @param {Array} blockedAreas - Obstacles in the planet's local frame ({position, radius})
+   * @returns {boolean} True if blocked
+   * @private
+   */
+  _isBlocked(position, blockedAreas) {
+    return blockedAreas.some(area => area.position.distanceTo(position) < area.radius);
+  }
+
+  /**
+   * Find the node closest to a direction
+   * @param {THREE.Vector3} direction - Normalized direction in the planet's local frame
+   * @returns {Object} The closest node
+   * @private
+   */
+  _findClosestNode(direction) {
+    let closest = null;
+    let bestDot = -Infinity;
+
+    for (const node of this.nodes) {
+      const dot = node.direction.dot(direction);
+      if (dot > bestDot) {
+        bestDot = dot;
+        closest = node;
+      }
+    }
+
+    return closest;
+  }
+
+  /**
+   * Run A* between two nodes
+   * @param {Object} startNode - Node to start from
+   * @param {Object} goalNode - Node to reach
+   * @param {Set<number>} blockedNodes - Indices of nodes that can't be entered
+   * @returns {Object[]|null} Nodes from start to goal, or null if the goal can't be reached
+   * @private
+   */
+  _search(startNode, goalNode, blockedNodes) {
+    const nodeCount = this.nodes.length;
+    const gScore = new Float64Array(nodeCount).fill(Infinity);
+    const fScore = new Float64Array(nodeCount).fill(Infinity);
+    const cameFrom = new Int32Array(nodeCount).fill(-1);
+    const closed = new Uint8Array(nodeCount);
+
+    // Straight-line distance never overestimates, since every edge costs at least its length
+    const heuristic = node => node.position.distanceTo(goalNode.position);
+
+    gScore[startNode.index] = 0;
+    fScore[startNode.index] = heuristic(startNode);
+    const open = [startNode.index];
+
+    while (open.length > 0) {
+      // The graph has about a thousand nodes, so a linear scan of the open set is fast enough
+      let bestIndex = 0;
+      for (let i = 1; i < open.length; i++) {
+        if (fScore[open[i]] < fScore[open[bestIndex]]) {
+          bestIndex = i;
+        }
+      }
+      const current = open[bestIndex];
+      open.splice(bestIndex, 1);
+
+      if (current === goalNode.index) {
+        const path = [];
+        for (let index = current; index !== -1; index = cameFrom[index]) {
+          path.unshift(this.nodes[index]);
+        }
+        return path;
+      }
+
+      closed[current] = 1;
+
+      for (const edge of this.nodes[current].neighbors) {
+        if (closed[edge.node] || blockedNodes.has(edge.node) || edge.cost === Infinity) continue;
+
+        const tentative = gScore[current] + edge.cost;
+        if (tentative < gScore[edge.node]) {
+          if (gScore[edge.node] === Infinity) {
+            open.push(edge.node);
+          }
+          cameFrom[edge.node] = current;
+          gScore[edge.node] = tentative;
+          fScore[edge.node] = tentative + heuristic(this.nodes[edge.node]);
+        }
+      }
+    }
+
+    return null;
+  }
+
+  /**
+   * Sample the surface along the great circle between two points
+   * @param {THREE.Vector3} fromDirection - Normalized start direction in the planet's local frame
+   * @param {THREE.Vector3} toDirection - Normalized end direction in the planet's local frame
+   * @returns {Object[]} Surface points from start to end, about sampleSpacing apart
+   * @private
+   */
+  _sampleArc(fromDirection, toDirection) {
+    const angle = fromDirection.angleTo(toDirection);
+    const steps = Math.max(1, Math.ceil((angle * this.heightfield.maxRadius) / this.sampleSpacing));
+    const rotation = new THREE.Quaternion().setFromUnitVectors(fromDirection, toDirection);
+    const step = new THREE.Quaternion();
+    const points = [];
+
+    for (let i = 0; i <= steps; i++) {
+      step.identity().slerp(rotation, i / steps);
+      points.push(this._getSurfacePoint(fromDirection.clone().applyQuaternion(step)));
+    }
+
+    return points;
+  }
+
+  /**
+   * Cost of walking straight along a list of surface points
+   * @param {Object[]} points - Surface points
+   * @param {Array} blockedAreas - Obstacles in the planet's local frame
+   * @returns {number} Total cost (Infinity if it crosses a blocked area or a cliff)
+   * @private
+   */
+  _getPointsCost(points, blockedAreas) {
+    let cost = 0;
+
+    for (let i = 1; i < points.length; i++) {
+      if (this._isBlocked(points[i].position, blockedAreas)) {
+        return Infinity;
+      }
+      cost += this._getEdgeCost(points[i - 1], points[i]);
+    }
+
+    return cost;
+  }
+
+  /**
+   * Find the cheapest walkable path between two world points on the planet
+   * @param {THREE.Vector3} start - Starting point (near the surface)
+   * @param {THREE.Vector3} end - Ending point (near the surface)
+   * @returns {THREE.Vector3[]|null} World points on the terrain, or null if the end can't be reached
+   */
+  findPath(start, end) {
+    const startDirection = this._toLocal(start).normalize();
+    const endDirection = this._toLocal(end).normalize();
+
+    // Obstacles move with the planet, so read their position in the planet's frame now.
+    // Players already inside a blocked area (spawned next to a rocket) may walk out of it
+    const startPoint = this._getSurfacePoint(startDirection);
+    const blockedAreas = this.obstacles
+      .map(obstacle => ({
+        position: this._toLocal(obstacle.object.getWorldPosition(new THREE.Vector3())),
+        radius: obstacle.radius
+      }))
+      .filter(area => area.position.distanceTo(startPoint.position) >= area.radius);
+
+    const endPoint = this._getSurfacePoint(endDirection);
+    if (this._isBlocked(endPoint.position, blockedAreas)) {
+      console.log('Navigation target is inside a blocked area');
+      return null;
+    }
+
+    const startNode = this._findClosestNode(startDirection);
+    const goalNode = this._findClosestNode(endDirection);
+
+    // The closest nodes may fall inside a blocked area even when the points don't
+    const blockedNodes = new Set();
+    this.nodes.forEach(node => {
+      if (node !== startNode && node !== goalNode && this._isBlocked(node.position, blockedAreas)) {
+        blockedNodes.add(node.index);
+      }
+    });
+
+    const nodePath = this._search(startNode, goalNode, blockedNodes);
+    if (!nodePath) {
+      console.log('No walkable path found');
+      return null;
+    }
+
+    // Walk from the exact start to the exact end through the nodes in between
+    const waypoints = [
+      startDirection,
+      ...nodePath.slice(1, -1).map(node => node.direction),
+      endDirection
+    ];
+
+    const segmentCosts = [];
+    for (let i = 0; i < waypoints.length - 1; i++) {
+      segmentCosts.push(this._getPointsCost(this._sampleArc(waypoints[i], waypoints[i + 1]), blockedAreas));
+    }
+
+    // Skip waypoints when going straight is not more expensive than following the grid
+    const arcs = [];
+    let from = 0;
+    while (from < waypoints.length - 1) {
+      let to = waypoints.length - 1;
+
+      while (to > from + 1) {
+        const shortcut = this._sampleArc(waypoints[from], waypoints[to]);
+
+        let gridCost = 0;
+        for (let i = from; i < to; i++) {
+          gridCost += segmentCosts[i];
+        }
+
+        if (this._getPointsCost(shortcut, blockedAreas) <= gridCost) break;
+        to--;
+      }
+
+      arcs.push(this._sampleArc(waypoints[from], waypoints[to]));
+      from = to;
+    }
+
+    // Join the arcs, dropping the point shared by consecutive arcs
+    const points = [];
+    arcs.forEach((arc, index) => {
+      (index === 0 ? arc : arc.slice(1)).forEach(point => points.push(this._toWorld(point.position)));
+    });
+
+    return points;
+  }
+}
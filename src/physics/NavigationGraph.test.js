@@ -0,0 +1,119 @@
+import { describe, it, expect, vi, beforeEach } from 'vitest';
+import * as THREE from 'three';
+import { NavigationGraph } from './NavigationGraph.js';
+
+const RADIUS = 10;
+
+/**
+ * Heightfield of a smooth planet, with an optional wall of cliffs
+ * @param {Function} [isWall] - Whether a direction is on top of the wall
+ * @returns {Object} The heightfield, as used by NavigationGraph
+ */
+function createHeightfield(isWall = () => false) {
+  return {
+    widthSegments: 24,
+    heightSegments: 12,
+    maxRadius: RADIUS + 5,
+    object: new THREE.Object3D(),
+    getRadiusAtDirection: (direction) => (isWall(direction) ? RADIUS + 5 : RADIUS)
+  };
+}
+
+/**
+ * Point on the surface of the smooth planet
+ * @param {number} x - Direction x
+ * @param {number} y - Direction y
+ * @param {number} z - Direction z
+ * @returns {THREE.Vector3} The point
+ */
+function surfacePoint(x, y, z) {
+  return new THREE.Vector3(x, y, z).normalize().multiplyScalar(RADIUS);
+}
+
+/**
+ * Length of a path
+ * @param {THREE.Vector3[]} points - The path
+ * @returns {number} Sum of the distances between consecutive points
+ */
+function pathLength(points) {
+  let length = 0;
+  for (let i = 1; i < points.length; i++) {
+    length += points[i - 1].distanceTo(points[i]);
+  }
+  return length;
+}
+
+describe('NavigationGraph.findPath', () => {
+  beforeEach(() => {
+    vi.spyOn(console, 'log').mockImplementation(() => {});
+  });
+
+  it('goes straight along the great circle on open ground', () => {
+    const graph = new NavigationGraph(createHeightfield());
+    const start = surfacePoint(1, 0, 0);
+    const end = surfacePoint(0, 0, 1);
+
+    const path = graph.findPath(start, end);
+
+    expect(path[0].distanceTo(start)).toBeLessThan(1e-6);
+    expect(path[path.length - 1].distanceTo(end)).toBeLessThan(1e-6);
+    expect(pathLength(path)).toBeCloseTo((Math.PI / 2) * RADIUS, 1);
+    path.forEach(point => expect(point.length()).toBeCloseTo(RADIUS, 6));
+  });
+
+  it('returns world points when the planet moved', () => {
+    const heightfield = createHeightfield();
+    heightfield.object.position.set(30, 0, 0);
+    heightfield.object.quaternion.setFromAxisAngle(new THREE.Vector3(0, 1, 0), Math.PI / 3);
+    heightfield.object.updateMatrixWorld();
+
+    const graph = new NavigationGraph(heightfield);
+    const start = surfacePoint(1, 0, 0).add(heightfield.object.position);
+    const end = surfacePoint(0, 1, 1).add(heightfield.object.position);
+
+    const path = graph.findPath(start, end);
+
+    expect(path[0].distanceTo(start)).toBeLessThan(1e-6);
+    expect(path[path.length - 1].distanceTo(end)).toBeLessThan(1e-6);
+    path.forEach(point => expect(point.distanceTo(heightfield.object.position)).toBeCloseTo(RADIUS, 6));
+  });
+
+  it('walks around an obstacle', () => {
+    const graph = new NavigationGraph(createHeightfield());
+    const rocket = new THREE.Object3D();
+    rocket.position.copy(surfacePoint(1, 0, 1));
+    graph.addObstacle(rocket, 2);
+
+    const path = graph.findPath(surfacePoint(1, 0, 0), surfacePoint(0, 0, 1));
+
+    expect(path).not.toBeNull();
+    path.forEach(point => expect(point.distanceTo(rocket.position)).toBeGreaterThanOrEqual(2));
+    expect(pathLength(path)).toBeGreaterThan((Math.PI / 2) * RADIUS);
+  });
+
+  it('returns null when the target is inside an obstacle', () => {
+    const graph = new NavigationGraph(createHeightfield());
+    const rocket = new THREE.Object3D();
+    rocket.position.copy(surfacePoint(0, 0, 1));
+    graph.addObstacle(rocket, 2);
+
+    expect(graph.findPath(surfacePoint(1, 0, 0), surfacePoint(0, 0, 1))).toBeNull();
+  });
+
+  it('lets players walk out of an obstacle they stand in', () => {
+    const graph = new NavigationGraph(createHeightfield());
+    const rocket = new THREE.Object3D();
+    rocket.position.copy(surfacePoint(1, 0, 0));
+    graph.addObstacle(rocket, 2);
+
+    expect(graph.findPath(surfacePoint(1, 0, 0), surfacePoint(0, 0, 1))).not.toBeNull();
+  });
+
+  it('returns null when cliffs close off the target', () => {
+    // A ring of cliffs around the north pole, too steep to climb
+    const isWall = (direction) => direction.y > 0.6 && direction.y < 0.85;
+    const graph = new NavigationGraph(createHeightfield(isWall));
+
+    expect(graph.findPath(surfacePoint(1, 0, 0), surfacePoint(0, 1, 0))).toBeNull();
+  });
+});
@@ -52,12 +52,15 @@ export class PhysicsWorld {
   
   /**
    * Create a static sphere body for a planet
+   * With a heightfield, the sphere sits under the lowest point of the terrain so it doesn't
+   * hold bodies above valleys; the surface is then enforced by the planet gravity
    * @param {number} radius - Planet radius
    * @param {THREE.Vector3} position - Planet position
+   * @param {TerrainHeightfield} [heightfield=null] - Heightfield of the planet's displaced terrain
    * @returns {CANNON.Body} - The created physics body
    */
-  createPlanetBody(radius, position) {
-    const shape = new CANNON.Sphere(radius);
+  createPlanetBody(radius, position, heightfield = null) {
+    const shape = new CANNON.Sphere(heightfield ? Math.min(radius, heightfield.minRadius) : radius);
     const body = new CANNON.Body({
       mass: 0, // Static body
       material: this.defaultMaterial
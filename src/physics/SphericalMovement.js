@@ -1,6 +1,12 @@
 import * as THREE from 'three';
 import * as CANNON from 'cannon-es';
 
+// Distance walked between two footsteps
+const FOOTSTEP_STRIDE = 0.9;
+
+// Time step used to catch up with a movement that started earlier (seconds)
+const CATCH_UP_STEP = 1 / 60;
+
 /**
  * Handles movement of objects along spherical paths
  * Provides smooth movement with acceleration and deceleration
@@ -32,6 +38,10 @@ export class SphericalMovement {
     this.currentDistance = 0;
     this.planet = null;
     this.planetRadius = 15;
+    this.heightfield = null;
+    
+    // Distance walked since the last footstep
+    this.strideDistance = 0;
     
     // Animation timing
     this.startTime = 0;
@@ -42,6 +52,7 @@ export class SphericalMovement {
     this.onMoveStart = null;
     this.onMoveProgress = null;
     this.onMoveComplete = null;
+    this.onStep = null; // Called at every footstep with the position of the moved object
     
     // Debug visualization
     this.progressMarker = null;
@@ -62,9 +73,11 @@ export class SphericalMovement {
    * @param {Object} planetData - Data about the planet (for gravity/orientation)
    * @param {THREE.Vector3} planetData.position - Planet center position
    * @param {number} planetData.radius - Planet radius
+   * @param {TerrainHeightfield} [planetData.heightfield] - Heightfield of the planet's terrain
+   * @param {number} [elapsed=0] - Seconds since the movement started, e.g. when replaying another player's movement late
    * @returns {boolean} True if movement was started
    */
-  startMovement(pathPoints, body, mesh, planetData) {
+  startMovement(pathPoints, body, mesh, planetData, elapsed = 0) {
     if (!pathPoints || pathPoints.length < 2 || !body) {
       console.warn('Invalid path or body for movement');
       return false;
@@ -76,10 +89,12 @@ export class SphericalMovement {
     this.targetMesh = mesh;
     this.pathIndex = 0;
     this.currentDistance = 0;
+    this.strideDistance = 0;
     
     // Store planet data
     this.planet = planetData;
     this.planetRadius = planetData.radius || 15;
+    this.heightfield = planetData.heightfield || null;
     
     // Debug log the start and end points of the path
     console.log('Movement start:', {
@@ -95,8 +110,8 @@ export class SphericalMovement {
     this.totalPathLength = this.calculatePathLength(pathPoints);
     
     // Set timing parameters
-    this.startTime = performance.now() / 1000; // Convert to seconds
-    this.lastTime = this.startTime;
+    this.startTime = performance.now() / 1000 - elapsed; // Convert to seconds
+    this.lastTime = this.startTime + elapsed;
     this.journeyLength = this.totalPathLength;
     this.isMoving = true;
     
@@ -115,9 +130,31 @@ export class SphericalMovement {
       });
     }
     
+    // Catch up with the time already elapsed, without footsteps
+    if (elapsed > 0 && this.moveAlongPath(this.calculateDistanceAfter(elapsed))) {
+      this.completeMovement();
+    }
+    
     return true;
   }
   
+  /**
+   * Calculate how far the movement goes in a given time, following the acceleration and deceleration
+   * @param {number} elapsedTime - Time since the movement started (seconds)
+   * @returns {number} Distance along the path
+   * @private
+   */
+  calculateDistanceAfter(elapsedTime) {
+    let distance = 0;
+    
+    for (let time = 0; time < elapsedTime; time += CATCH_UP_STEP) {
+      const step = Math.min(CATCH_UP_STEP, elapsedTime - time);
+      distance += this.calculateSpeed(time + step) * step;
+    }
+    
+    return distance;
+  }
+  
   /**
    * Update the movement animation
    * @param {number} deltaTime - Time in seconds since last update
@@ -145,6 +182,15 @@ export class SphericalMovement {
     // Update position along the path
     const reachedEnd = this.moveAlongPath(distanceToMove);
     
+    // Footsteps at a regular stride, so they speed up with the movement
+    this.strideDistance += distanceToMove;
+    if (this.strideDistance >= FOOTSTEP_STRIDE) {
+      this.strideDistance -= FOOTSTEP_STRIDE;
+      if (this.onStep) {
+        this.onStep(this.targetMesh || this.targetBody.position);
+      }
+    }
+    
     // Update progress marker if it exists
     this.updateProgressMarker();
     
@@ -245,33 +291,19 @@ export class SphericalMovement {
     const t = Math.min(1, (this.currentDistance - distanceCovered) / segmentLength);
     
     // Interpolate between the two points
+    // updatePosition puts the result back on the planet surface
     const interpolatedPosition = start.clone().lerp(end, t);
     
-    // Ensure consistent planet surface contact by normalizing to the planet radius
-    if (this.planet && this.planet.position) {
-      const planetCenter = this.planet.position;
-      const dirFromCenter = interpolatedPosition.clone().sub(planetCenter).normalize();
-      
-      // Adjust position to be exactly at planet radius
-      const surfacePosition = planetCenter.clone().add(dirFromCenter.multiplyScalar(this.planetRadius));
-      
-      // Log debug info occasionally
-      if (Math.floor(this.currentDistance) % 5 === 0) {
-        console.log('Movement update:', {
-          pathProgress: `${(this.currentDistance / this.totalPathLength * 100).toFixed(1)}%`,
-          rawPosition: interpolatedPosition.clone(),
-          adjustedPosition: surfacePosition.clone(),
-          distanceFromCenter: surfacePosition.distanceTo(planetCenter)
-        });
-      }
-      
-      // Use the corrected surface position
-      this.updatePosition(surfacePosition);
-    } else {
-      // Use the interpolated position if no planet data
-      this.updatePosition(interpolatedPosition);
+    // Log debug info occasionally
+    if (Math.floor(this.currentDistance) % 5 === 0) {
+      console.log('Movement update:', {
+        pathProgress: `${(this.currentDistance / this.totalPathLength * 100).toFixed(1)}%`,
+        rawPosition: interpolatedPosition.clone()
+      });
     }
     
+    this.updatePosition(interpolatedPosition);
+    
     // Update current path index
     this.pathIndex = i;
     
@@ -280,12 +312,38 @@ export class SphericalMovement {
     return remainingDistance < 0.01;
   }
   
+  /**
+   * Move a position onto the planet surface
+   * Follows the terrain when the planet has a heightfield, the base sphere otherwise
+   * @param {THREE.Vector3} position - Position near the surface
+   * @returns {THREE.Vector3} The position on the surface
+   * @private
+   */
+  projectToSurface(position) {
+    if (!this.planet || !this.planet.position) {
+      return position;
+    }
+    
+    // Keep the body resting on the ground, like it does when standing still
+    const bodyRadius = this.targetBody && this.targetBody.shapes[0] ? this.targetBody.shapes[0].radius : 0;
+    
+    if (this.heightfield) {
+      return this.heightfield.projectToSurface(position, bodyRadius);
+    }
+    
+    const planetCenter = this.planet.position;
+    const dirFromCenter = position.clone().sub(planetCenter).normalize();
+    return planetCenter.clone().add(dirFromCenter.multiplyScalar(this.planetRadius + bodyRadius));
+  }
+  
   /**
    * Update the position of the target body and mesh
-   * @param {THREE.Vector3} position - New position
+   * @param {THREE.Vector3} position - New position, moved onto the planet surface
    * @private
    */
   updatePosition(position) {
+    position = this.projectToSurface(position);
+    
     if (this.targetBody) {
       // Update physics body position
       this.targetBody.position.set(position.x, position.y, position.z);
@@ -0,0 +1,76 @@
+import { describe, it, expect, vi, beforeEach, afterEach } from 'vitest';
+import * as THREE from 'three';
+import * as CANNON from 'cannon-es';
+import { SphericalMovement } from './SphericalMovement.js';
+
+// A quarter of a great circle on a planet of radius 10, about 15.7 units long
+const PATH = Array.from({ length: 21 }, (_, i) => {
+  const angle = (i / 20) * Math.PI / 2;
+  return new THREE.Vector3(Math.sin(angle) * 10, Math.cos(angle) * 10, 0);
+});
+
+const PLANET = { position: new THREE.Vector3(), radius: 10 };
+
+describe('SphericalMovement footsteps', () => {
+  let now;
+  let movement;
+  let body;
+
+  /**
+   * Run the movement frame by frame until it ends
+   */
+  const walk = () => {
+    for (let frame = 0; frame < 60 * 10 && movement.isMoving; frame++) {
+      now += 1000 / 60;
+      movement.update();
+    }
+  };
+
+  beforeEach(() => {
+    vi.spyOn(console, 'log').mockImplementation(() => {});
+    now = 0;
+    vi.spyOn(performance, 'now').mockImplementation(() => now);
+
+    movement = new SphericalMovement({ speed: 10 });
+    movement.onStep = vi.fn();
+    body = new CANNON.Body({ mass: 1, shape: new CANNON.Sphere(0.5) });
+  });
+
+  afterEach(() => {
+    vi.restoreAllMocks();
+  });
+
+  it('calls onStep at a regular stride with the moved object', () => {
+    movement.startMovement(PATH, body, null, PLANET);
+    walk();
+
+    expect(movement.isMoving).toBe(false);
+    // One step every 0.9 units walked, the last frame may stop short of one
+    const expectedSteps = movement.totalPathLength / 0.9;
+    expect(Math.abs(movement.onStep.mock.calls.length - expectedSteps)).toBeLessThanOrEqual(1);
+    expect(movement.onStep).toHaveBeenCalledWith(body.position);
+  });
+
+  it('passes the mesh when there is one', () => {
+    const mesh = new THREE.Object3D();
+
+    movement.startMovement(PATH, body, mesh, PLANET);
+    walk();
+
+    expect(movement.onStep).toHaveBeenCalledWith(mesh);
+  });
+
+  it('has no steps for the part of a replayed movement it catches up with', () => {
+    movement.startMovement(PATH, body, null, PLANET, 1);
+
+    // A second of walking caught up at once, silently
+    expect(movement.currentDistance).toBeGreaterThan(5);
+    expect(movement.onStep).not.toHaveBeenCalled();
+
+    walk();
+
+    const remainingSteps = (movement.totalPathLength - 5) / 0.9;
+    expect(movement.onStep.mock.calls.length).toBeGreaterThan(0);
+    expect(movement.onStep.mock.calls.length).toBeLessThan(remainingSteps);
+  });
+});
@@ -2,7 +2,8 @@ import * as THREE from 'three';
 
 /**
  * Handles path finding between two points on a spherical surface
- * Calculates geodesic (great circle) paths which are the shortest paths between points on a sphere
+ * Calculates geodesic (great circle) paths which are the shortest paths between points on a sphere,
+ * or walkable paths around obstacles when the planet has a NavigationGraph
  * @class
  */
 export class SphericalPathFinder {
@@ -188,9 +189,11 @@ export class SphericalPathFinder {
    * @param {THREE.Vector3} end - The ending point (can be not on surface)
    * @param {THREE.Vector3} planetCenter - The center of the planet
    * @param {number} planetRadius - The radius of the planet
-   * @returns {Array} Array of points defining the path
+   * @param {TerrainHeightfield} [heightfield=null] - Terrain to place the points on instead of the sphere
+   * @param {NavigationGraph} [navigationGraph=null] - Graph used to walk around lakes, steep slopes and rockets
+   * @returns {Array|null} Array of points defining the path, or null if the navigation graph can't reach the end
    */
-  findPath(start, end, planetCenter, planetRadius) {
+  findPath(start, end, planetCenter, planetRadius, heightfield = null, navigationGraph = null) {
     // Debug the input points
     console.log('Finding path with inputs:', {
       start: start.clone(),
@@ -199,6 +202,17 @@ export class SphericalPathFinder {
       planetRadius: planetRadius
     });
     
+    // Only walkable paths on planets with a navigation graph, the great circle would cross lakes and rockets
+    if (navigationGraph) {
+      const walkablePath = navigationGraph.findPath(start, end);
+      if (walkablePath && walkablePath.length > 1) {
+        console.log('Walkable path created with', walkablePath.length, 'points');
+        return walkablePath;
+      }
+      console.log('No walkable path, the target can\'t be reached');
+      return null;
+    }
+    
     // Calculate vectors from planet center to start and end points
     const startToPlanetCenter = start.clone().sub(planetCenter);
     const endToPlanetCenter = end.clone().sub(planetCenter);
@@ -299,6 +313,11 @@ export class SphericalPathFinder {
       }
     }
     
+    // Lift or lower the points onto the terrain so the path follows hills and valleys
+    if (heightfield) {
+      pathPoints.forEach(point => heightfield.projectToSurface(point, 0, point));
+    }
+    
     // Debug the output
     console.log('Path created with', pathPoints.length, 'points');
     
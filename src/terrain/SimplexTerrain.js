@@ -1,5 +1,42 @@
 import { createNoise3D } from 'simplex-noise';
 
+// Bump whenever a change here (or in how planets use it) alters the generated terrain,
+// so terrain cached in localStorage by older versions is thrown away
+export const TERRAIN_GENERATOR_VERSION = 2;
+
+/**
+ * Derive the seed of one planet from the terrain seed of a game
+ * @param {number} terrainSeed - Terrain seed of the game (game_queue.terrain_seed)
+ * @param {string} planetName - Name of the planet
+ * @returns {number} Unsigned 32-bit seed for the planet
+ */
+export function getPlanetSeed(terrainSeed, planetName) {
+  // FNV-1a over the planet name, mixed with the game seed
+  let hash = 2166136261 ^ terrainSeed;
+  for (let i = 0; i < planetName.length; i++) {
+    hash ^= planetName.charCodeAt(i);
+    hash = Math.imul(hash, 16777619);
+  }
+  return hash >>> 0;
+}
+
+/**
+ * Create a deterministic random number generator (mulberry32)
+ * @param {number} seed - 32-bit seed
+ * @returns {function(): number} Function returning numbers in [0, 1)
+ * @private
+ */
+function createSeededRandom(seed) {
+  let state = seed >>> 0;
+  return () => {
+    state = (state + 0x6D2B79F5) >>> 0;
+    let t = state;
+    t = Math.imul(t ^ (t >>> 15), t | 1);
+    t ^= t + Math.imul(t ^ (t >>> 7), t | 61);
+    return ((t ^ (t >>> 14)) >>> 0) / 4294967296;
+  };
+}
+
 /**
  * Handles terrain generation using Simplex Noise
  * @class
@@ -8,21 +45,22 @@ export class SimplexTerrain {
   /**
    * Create a new SimplexTerrain instance
    * @constructor
+   * @param {number} [seed=42] - Seed of the terrain, the same seed always generates the same terrain
    */
   constructor(seed = 42) {
-    // Use a fixed seed for consistent terrain generation between refreshes
+    // Use a fixed seed for consistent terrain generation between refreshes and clients
     this.seed = seed;
+    const random = createSeededRandom(seed);
     
-    // We can't directly seed the simplex-noise library, but we can
-    // use consistent offset values based on the seed to achieve similar effect
+    // Offset the sampled coordinates by the seed
     this.seedOffsets = {
-      x: Math.cos(seed) * 10000,
-      y: Math.sin(seed) * 10000,
-      z: Math.tan(seed) * 10000
+      x: random() * 10000,
+      y: random() * 10000,
+      z: random() * 10000
     };
     
-    // Create 3D noise function
-    this.noise3D = createNoise3D();
+    // Create 3D noise function with a permutation table built from the seed
+    this.noise3D = createNoise3D(random);
     console.log(`SimplexTerrain initialized with seed: ${seed}`);
     
     // Test the noise function
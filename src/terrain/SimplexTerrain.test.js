@@ -0,0 +1,48 @@
+import { describe, it, expect, vi, beforeEach, afterEach } from 'vitest';
+import * as THREE from 'three';
+import { SimplexTerrain, getPlanetSeed } from './SimplexTerrain.js';
+
+/**
+ * Vertex positions of a small planet generated with a seed
+ * @param {number} seed - Terrain seed
+ * @returns {number[]} The positions
+ */
+function generate(seed) {
+  const geometry = new THREE.SphereGeometry(10, 24, 16);
+  new SimplexTerrain(seed).applyNoiseToGeometry(geometry, 2, 5, 10, 9.9, ['plains', 'mountains', 'lakes']);
+  return Array.from(geometry.attributes.position.array);
+}
+
+describe('getPlanetSeed', () => {
+  it('gives every planet of a game its own 32-bit seed', () => {
+    const earth = getPlanetSeed(1234, 'earth');
+
+    expect(Number.isInteger(earth)).toBe(true);
+    expect(earth).toBeGreaterThanOrEqual(0);
+    expect(earth).toBeLessThan(2 ** 32);
+    expect(getPlanetSeed(1234, 'mars')).not.toBe(earth);
+    expect(getPlanetSeed(1235, 'earth')).not.toBe(earth);
+  });
+
+  it('is the same on every client', () => {
+    expect(getPlanetSeed(1234, 'earth')).toBe(getPlanetSeed(1234, 'earth'));
+  });
+});
+
+describe('SimplexTerrain', () => {
+  beforeEach(() => {
+    vi.spyOn(console, 'log').mockImplementation(() => {});
+  });
+
+  afterEach(() => {
+    vi.restoreAllMocks();
+  });
+
+  it('generates the same terrain from the same seed', () => {
+    expect(generate(99)).toEqual(generate(99));
+  });
+
+  it('generates other terrain from another seed', () => {
+    expect(generate(99)).not.toEqual(generate(100));
+  });
+});
@@ -0,0 +1,159 @@
+import * as THREE from 'three';
+
+/**
+ * Samples the surface of a planet from its displaced sphere geometry
+ * The terrain noise only moves vertices along their direction from the center, so the
+ * surface can be described as a radius for every direction (a heightfield on the sphere)
+ * @class
+ */
+export class TerrainHeightfield {
+  /**
+   * Create a heightfield from a displaced THREE.SphereGeometry
+   * @param {THREE.SphereGeometry} geometry - The planet geometry after terrain was applied
+   * @param {THREE.Object3D} object - The planet mesh, used to convert world points to the planet's rotated frame
+   */
+  constructor(geometry, object) {
+    this.object = object;
+
+    // SphereGeometry lays out (widthSegments + 1) x (heightSegments + 1) vertices,
+    // row by row from the north pole, so the grid can be read straight from the positions
+    this.widthSegments = geometry.parameters.widthSegments;
+    this.heightSegments = geometry.parameters.heightSegments;
+
+    // Copy of the displaced vertices, laid out as the grid
+    const positionAttribute = geometry.attributes.position;
+    this.positions = Float32Array.from(positionAttribute.array);
+    this.minRadius = Infinity;
+    this.maxRadius = 0;
+
+    for (let i = 0; i < positionAttribute.count; i++) {
+      const radius = Math.sqrt(
+        positionAttribute.getX(i) ** 2 +
+        positionAttribute.getY(i) ** 2 +
+        positionAttribute.getZ(i) ** 2
+      );
+
+      this.minRadius = Math.min(this.minRadius, radius);
+      this.maxRadius = Math.max(this.maxRadius, radius);
+    }
+
+    // Reused to avoid allocations in per-frame queries
+    this._direction = new THREE.Vector3();
+    this._inverseQuaternion = new THREE.Quaternion();
+  }
+
+  /**
+   * Get the surface radius in a direction of the planet's local frame
+   * Intersects the direction with the grid triangle it points at
+   * @param {THREE.Vector3} direction - Normalized direction in the planet's local frame
+   * @returns {number} Distance from the planet center to the surface
+   */
+  getRadiusAtDirection(direction) {
+    // Inverse of the SphereGeometry parametrization:
+    // x = -cos(phi) * sin(theta), y = cos(theta), z = sin(phi) * sin(theta)
+    const theta = Math.acos(THREE.MathUtils.clamp(direction.y, -1, 1));
+    let phi = Math.atan2(direction.z, -direction.x);
+    if (phi < 0) {
+      phi += Math.PI * 2;
+    }
+
+    const u = (phi / (Math.PI * 2)) * this.widthSegments;
+    const v = (theta / Math.PI) * this.heightSegments;
+
+    const ix = Math.min(Math.floor(u), this.widthSegments - 1);
+    const iy = Math.min(Math.floor(v), this.heightSegments - 1);
+    const fx = u - ix;
+    const fy = v - iy;
+
+    // SphereGeometry splits each cell along the (ix, iy) - (ix + 1, iy + 1) diagonal,
+    // so intersect the direction with the same triangle the mesh renders.
+    // Cells touching a pole only have the triangle that isn't collapsed into it
+    let upperTriangle = fx >= fy;
+    if (iy === 0) {
+      upperTriangle = false;
+    } else if (iy === this.heightSegments - 1) {
+      upperTriangle = true;
+    }
+
+    const row = this.widthSegments + 1;
+    const corner = iy * row + ix;
+    const diagonal = (iy + 1) * row + ix + 1;
+    const side = upperTriangle ? corner + 1 : (iy + 1) * row + ix;
+
+    return this._intersectTriangle(direction, corner, side, diagonal);
+  }
+
+  /**
+   * Distance from the planet center to a triangle of the grid along a direction
+   * @param {THREE.Vector3} direction - Normalized direction in the planet's local frame
+   * @param {number} a - Index of the first vertex
+   * @param {number} b - Index of the second vertex
+   * @param {number} c - Index of the third vertex
+   * @returns {number} Distance to the triangle's plane
+   * @private
+   */
+  _intersectTriangle(direction, a, b, c) {
+    const p = this.positions;
+    const ax = p[a * 3], ay = p[a * 3 + 1], az = p[a * 3 + 2];
+
+    // Triangle normal from two edges
+    const e1x = p[b * 3] - ax, e1y = p[b * 3 + 1] - ay, e1z = p[b * 3 + 2] - az;
+    const e2x = p[c * 3] - ax, e2y = p[c * 3 + 1] - ay, e2z = p[c * 3 + 2] - az;
+    const nx = e1y * e2z - e1z * e2y;
+    const ny = e1z * e2x - e1x * e2z;
+    const nz = e1x * e2y - e1y * e2x;
+
+    const facing = nx * direction.x + ny * direction.y + nz * direction.z;
+    const radiusAtA = Math.sqrt(ax * ax + ay * ay + az * az);
+
+    // Guard against a direction parallel to the triangle
+    if (Math.abs(facing) < 1e-9) {
+      return radiusAtA;
+    }
+
+    return (nx * ax + ny * ay + nz * az) / facing;
+  }
+
+  /**
+   * Get the normalized direction from the planet center to a world point, in the planet's local frame
+   * @param {THREE.Vector3|CANNON.Vec3} worldPoint - Point in world space
+   * @returns {THREE.Vector3} Shared vector holding the local direction
+   * @private
+   */
+  _getLocalDirection(worldPoint) {
+    this._inverseQuaternion.copy(this.object.quaternion).invert();
+
+    return this._direction
+      .set(worldPoint.x, worldPoint.y, worldPoint.z)
+      .sub(this.object.position)
+      .normalize()
+      .applyQuaternion(this._inverseQuaternion);
+  }
+
+  /**
+   * Get the surface radius below (or above) a world point
+   * @param {THREE.Vector3|CANNON.Vec3} worldPoint - Point in world space
+   * @returns {number} Distance from the planet center to the surface along the point's direction
+   */
+  getSurfaceRadius(worldPoint) {
+    return this.getRadiusAtDirection(this._getLocalDirection(worldPoint));
+  }
+
+  /**
+   * Move a world point onto the surface along its direction from the planet center
+   * @param {THREE.Vector3|CANNON.Vec3} worldPoint - Point in world space
+   * @param {number} [offset=0] - Height above the surface
+   * @param {THREE.Vector3} [target] - Vector to store the result in
+   * @returns {THREE.Vector3} The point on the surface
+   */
+  projectToSurface(worldPoint, offset = 0, target = new THREE.Vector3()) {
+    const radius = this.getSurfaceRadius(worldPoint) + offset;
+
+    return target
+      .set(worldPoint.x, worldPoint.y, worldPoint.z)
+      .sub(this.object.position)
+      .normalize()
+      .multiplyScalar(radius)
+      .add(this.object.position);
+  }
+}
@@ -0,0 +1,63 @@
+import { describe, it, expect, vi, beforeEach, afterEach } from 'vitest';
+import * as THREE from 'three';
+import { SimplexTerrain } from './SimplexTerrain.js';
+import { TerrainHeightfield } from './TerrainHeightfield.js';
+
+describe('TerrainHeightfield', () => {
+  let geometry;
+  let planet;
+  let heightfield;
+
+  beforeEach(() => {
+    vi.spyOn(console, 'log').mockImplementation(() => {});
+
+    geometry = new THREE.SphereGeometry(10, 32, 24);
+    new SimplexTerrain(7).applyNoiseToGeometry(geometry, 2, 5, 10, 9.9, ['plains', 'mountains', 'lakes']);
+
+    // An offset and turned planet, like the ones of the orbit layout
+    planet = new THREE.Object3D();
+    planet.position.set(-30, 0, 0);
+    planet.rotation.set(0.3, 1.2, 0);
+    planet.updateMatrixWorld();
+
+    heightfield = new TerrainHeightfield(geometry, planet);
+  });
+
+  afterEach(() => {
+    vi.restoreAllMocks();
+  });
+
+  it('finds the displaced radius of every vertex', () => {
+    const positions = geometry.attributes.position;
+    const vertex = new THREE.Vector3();
+
+    for (let i = 0; i < positions.count; i += 37) {
+      vertex.fromBufferAttribute(positions, i);
+      expect(heightfield.getRadiusAtDirection(vertex.clone().normalize())).toBeCloseTo(vertex.length(), 4);
+    }
+  });
+
+  it('stays between the lowest and highest vertex between them', () => {
+    for (let i = 0; i < 50; i++) {
+      const direction = new THREE.Vector3(Math.sin(i), Math.cos(i * 1.7), Math.sin(i * 0.3)).normalize();
+      const radius = heightfield.getRadiusAtDirection(direction);
+
+      expect(radius).toBeGreaterThanOrEqual(heightfield.minRadius - 1e-6);
+      expect(radius).toBeLessThanOrEqual(heightfield.maxRadius + 1e-6);
+    }
+  });
+
+  it('projects world points onto the surface of the moved and rotated planet', () => {
+    const vertex = new THREE.Vector3().fromBufferAttribute(geometry.attributes.position, 200);
+    const worldVertex = planet.localToWorld(vertex.clone());
+
+    // A point far above that vertex
+    const above = worldVertex.clone().sub(planet.position).multiplyScalar(3).add(planet.position);
+
+    const projected = heightfield.projectToSurface(above);
+    expect(projected.distanceTo(worldVertex)).toBeLessThan(1e-4);
+
+    const lifted = heightfield.projectToSurface(above, 0.5);
+    expect(lifted.distanceTo(planet.position)).toBeCloseTo(vertex.length() + 0.5, 4);
+  });
+});
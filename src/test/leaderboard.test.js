@@ -0,0 +1,102 @@
+import { describe, it, expect, vi, beforeEach, afterEach } from 'vitest';
+
+// Service role client returning the current game and the leaderboard functions' results
+const supabase = vi.hoisted(() => ({
+  currentGame: null,
+  from() {
+    const query = { single: async () => ({ data: supabase.currentGame, error: null }) };
+    ['select', 'not', 'order', 'limit'].forEach(method => {
+      query[method] = () => query;
+    });
+    return query;
+  },
+  rpc: vi.fn()
+}));
+
+vi.mock('@supabase/supabase-js', () => ({ createClient: () => supabase }));
+
+import handler from '../../api/leaderboard.js';
+
+/**
+ * Call the handler
+ * @param {Object} [query] - Query string parameters
+ * @returns {Promise<Object>} The response, with statusCode, headers and body
+ */
+async function get(query = {}) {
+  const res = {
+    headers: {},
+    setHeader(name, value) {
+      this.headers[name] = value;
+    },
+    status(code) {
+      this.statusCode = code;
+      return this;
+    },
+    json(data) {
+      this.body = data;
+      return this;
+    }
+  };
+
+  await handler({ method: 'GET', query }, res);
+  return res;
+}
+
+describe('/api/leaderboard', () => {
+  beforeEach(() => {
+    vi.spyOn(console, 'error').mockImplementation(() => {});
+
+    supabase.currentGame = { id: 7 };
+    supabase.rpc.mockReset();
+    supabase.rpc.mockImplementation(async (name) => ({
+      data: {
+        get_round_leaderboard: { earth: [{ session_id: 'a', clicks: 30 }] },
+        get_alltime_leaderboard: [{ session_id: 'a', total_clicks: 900 }],
+        get_planet_win_record: { wins: { earth: 2 }, ties: 1 }
+      }[name],
+      error: null
+    }));
+  });
+
+  afterEach(() => {
+    vi.restoreAllMocks();
+  });
+
+  it('returns the round of the current game, the all-time leaderboard and the planet record', async () => {
+    const res = await get();
+
+    expect(res.statusCode).toBe(200);
+    expect(res.body).toEqual({
+      success: true,
+      round: { gameId: 7, planets: { earth: [{ session_id: 'a', clicks: 30 }] } },
+      allTime: [{ session_id: 'a', total_clicks: 900 }],
+      planetRecord: { wins: { earth: 2 }, ties: 1 }
+    });
+    expect(res.headers['Cache-Control']).toContain('s-maxage');
+  });
+
+  it('returns the requested game with at most 50 players', async () => {
+    await get({ gameId: '5', limit: '500' });
+
+    expect(supabase.rpc).toHaveBeenCalledWith('get_round_leaderboard', { p_game_id: 5, p_limit: 50 });
+    expect(supabase.rpc).toHaveBeenCalledWith('get_alltime_leaderboard', { p_limit: 50 });
+  });
+
+  it('has an empty round between games', async () => {
+    supabase.currentGame = null;
+
+    const res = await get();
+
+    expect(res.body.round).toEqual({ gameId: null, planets: {} });
+    expect(supabase.rpc).not.toHaveBeenCalledWith('get_round_leaderboard', expect.anything());
+  });
+
+  it('fails when a leaderboard can not be read', async () => {
+    supabase.rpc.mockResolvedValue({ data: null, error: { message: 'permission denied' } });
+
+    const res = await get();
+
+    expect(res.statusCode).toBe(500);
+    expect(res.body.error).toContain('permission denied');
+  });
+});
@@ -0,0 +1,107 @@
+import { describe, it, expect, vi, beforeEach, afterEach } from 'vitest';
+
+// Service role client whose tables the tests fill
+const supabase = vi.hoisted(() => ({
+  tables: {},
+  auth: { getUser: vi.fn() },
+  from(table) {
+    const result = this.tables[table] ?? { data: null, error: null };
+    const query = {
+      single: async () => result,
+      maybeSingle: async () => result
+    };
+    ['select', 'not', 'order', 'limit', 'eq'].forEach(method => {
+      query[method] = () => query;
+    });
+    return query;
+  },
+  rpc: vi.fn()
+}));
+
+vi.mock('@supabase/supabase-js', () => ({ createClient: () => supabase }));
+
+import handler from '../../api/purchase_upgrade.js';
+
+/**
+ * Call the handler with an upgrade to buy
+ * @param {Object} [body] - Request body
+ * @returns {Promise<Object>} The response, with statusCode and body
+ */
+async function purchase(body = { upgrade: 'multiplier' }) {
+  const res = {
+    status(code) {
+      this.statusCode = code;
+      return this;
+    },
+    json(data) {
+      this.body = data;
+      return this;
+    }
+  };
+
+  await handler({ method: 'POST', headers: { authorization: 'Bearer token' }, body }, res);
+  return res;
+}
+
+describe('/api/purchase_upgrade', () => {
+  beforeEach(() => {
+    vi.spyOn(console, 'log').mockImplementation(() => {});
+    vi.spyOn(console, 'error').mockImplementation(() => {});
+
+    supabase.auth.getUser.mockResolvedValue({ data: { user: { id: 'session' } }, error: null });
+    supabase.tables = {
+      game_queue: { data: { id: 7, current_state: 'active' }, error: null },
+      players: { data: { planet_name: 'earth' }, error: null },
+      flagged_sessions: { data: null, error: null }
+    };
+    supabase.rpc.mockReset();
+    supabase.rpc.mockResolvedValue({ data: { upgrade: { name: 'multiplier', level: 1 }, points: 20 }, error: null });
+  });
+
+  afterEach(() => {
+    vi.restoreAllMocks();
+  });
+
+  it("buys the upgrade for the player's planet in the active game", async () => {
+    const res = await purchase();
+
+    expect(res.statusCode).toBe(200);
+    expect(res.body).toEqual({ success: true, gameId: 7, upgrade: { name: 'multiplier', level: 1 }, points: 20 });
+    expect(supabase.rpc).toHaveBeenCalledWith('purchase_upgrade', {
+      p_game_id: 7,
+      p_session_id: 'session',
+      p_planet_name: 'earth',
+      p_upgrade_name: 'multiplier'
+    });
+  });
+
+  it('passes on the reason the database refused the purchase', async () => {
+    supabase.rpc.mockResolvedValue({ data: null, error: { code: 'P0001', message: 'Not enough points' } });
+
+    const res = await purchase();
+
+    expect(res.statusCode).toBe(400);
+    expect(res.body.error).toBe('Not enough points');
+  });
+
+  it('fails on other database errors', async () => {
+    supabase.rpc.mockResolvedValue({ data: null, error: { code: '57014', message: 'statement timeout' } });
+
+    expect((await purchase()).statusCode).toBe(500);
+  });
+
+  it('rejects purchases outside of an active game, without a planet or from flagged sessions', async () => {
+    expect((await purchase({ upgrade: '' })).statusCode).toBe(400);
+
+    supabase.tables.flagged_sessions.data = { flagged: true };
+    expect((await purchase()).statusCode).toBe(403);
+
+    supabase.tables.players.data = { planet_name: null };
+    expect((await purchase()).statusCode).toBe(403);
+
+    supabase.tables.game_queue.data = { id: 7, current_state: 'cooldown' };
+    expect((await purchase()).statusCode).toBe(409);
+
+    expect(supabase.rpc).not.toHaveBeenCalled();
+  });
+});
@@ -0,0 +1,209 @@
+import { describe, it, expect, vi, beforeEach, afterEach } from 'vitest';
+
+// Service role client whose tables and functions the tests fill
+const supabase = vi.hoisted(() => ({
+  tables: {},
+  functions: {},
+  auth: { getUser: vi.fn() },
+  from(table) {
+    const result = this.tables[table] ?? { data: null, error: null };
+    const query = {
+      single: async () => result,
+      maybeSingle: async () => result
+    };
+    ['select', 'not', 'order', 'limit', 'eq'].forEach(method => {
+      query[method] = () => query;
+    });
+    return query;
+  },
+  rpc: vi.fn()
+}));
+
+vi.mock('@supabase/supabase-js', () => ({ createClient: () => supabase }));
+
+import handler from '../../api/push_clicks.js';
+import { getPlanetSlot } from '../objects/PlanetDefinitions.js';
+
+/**
+ * Call the handler with a click batch
+ * @param {Object} [body] - Request body
+ * @param {Object} [headers] - Request headers
+ * @returns {Promise<Object>} The response, with statusCode and body
+ */
+async function push(body = { clicks: 10, gameId: 7 }, headers = { authorization: 'Bearer token' }) {
+  const res = {
+    status(code) {
+      this.statusCode = code;
+      return this;
+    },
+    json(data) {
+      this.body = data;
+      return this;
+    }
+  };
+
+  await handler({ method: 'POST', headers, body }, res);
+  return res;
+}
+
+describe('/api/push_clicks', () => {
+  let player;
+
+  beforeEach(() => {
+    vi.spyOn(console, 'log').mockImplementation(() => {});
+    vi.spyOn(console, 'warn').mockImplementation(() => {});
+    vi.spyOn(console, 'error').mockImplementation(() => {});
+
+    // Standing next to the rocket of earth, the first of two planets of radius 10
+    player = { planet_name: 'earth', last_click_push_at: null, position_x: -30, position_y: 10, position_z: 1 };
+
+    supabase.auth.getUser.mockResolvedValue({ data: { user: { id: 'session' } }, error: null });
+    supabase.tables = {
+      game_queue: { data: { id: 7, current_state: 'active', planets: ['earth', 'mars'] }, error: null },
+      players: { data: player, error: null },
+      flagged_sessions: { data: null, error: null },
+      planet_definitions: { data: { radius: 10 }, error: null }
+    };
+    supabase.functions = { get_click_multiplier: 1 };
+    supabase.rpc.mockReset();
+    supabase.rpc.mockImplementation(async (name) => ({ data: supabase.functions[name] ?? null, error: null }));
+  });
+
+  afterEach(() => {
+    vi.restoreAllMocks();
+  });
+
+  it('records the batch for the player\'s planet in the active game', async () => {
+    const res = await push();
+
+    expect(res.statusCode).toBe(200);
+    expect(res.body).toEqual(expect.objectContaining({ success: true, gameId: 7, planet: 'earth', clicks: 10 }));
+    expect(supabase.rpc).toHaveBeenCalledWith('append_click_contribution', {
+      p_game_id: 7,
+      p_planet_name: 'earth',
+      p_session_id: 'session',
+      p_clicks: 10
+    });
+  });
+
+  it('only accepts POST requests with an access token', async () => {
+    const res = { status: vi.fn(() => res), json: vi.fn(() => res) };
+    await handler({ method: 'GET', headers: {} }, res);
+    expect(res.status).toHaveBeenCalledWith(405);
+
+    expect((await push(undefined, {})).statusCode).toBe(401);
+
+    supabase.auth.getUser.mockResolvedValue({ data: null, error: { message: 'Invalid JWT' } });
+    expect((await push()).statusCode).toBe(401);
+  });
+
+  it('rejects invalid batches', async () => {
+    for (const clicks of [0, -5, 1.5, 'many', 1001]) {
+      const res = await push({ clicks, gameId: 7 });
+      expect(res.statusCode).toBe(400);
+    }
+
+    expect(supabase.rpc).not.toHaveBeenCalled();
+  });
+
+  it('rejects clicks outside of an active game or from players without a planet', async () => {
+    supabase.tables.game_queue.data = { id: 7, current_state: 'waiting_for_players', planets: ['earth', 'mars'] };
+    expect((await push()).statusCode).toBe(409);
+
+    supabase.tables.game_queue.data = { id: 7, current_state: 'active', planets: ['earth', 'mars'] };
+    player.planet_name = null;
+    expect((await push()).statusCode).toBe(403);
+  });
+
+  it('rate limits pushes that come in faster than the push rate', async () => {
+    player.last_click_push_at = new Date(Date.now() - 500).toISOString();
+
+    const res = await push();
+
+    expect(res.statusCode).toBe(429);
+    expect(res.body.retryAfter).toBe(2);
+    expect(supabase.rpc).not.toHaveBeenCalledWith('append_click_contribution', expect.anything());
+  });
+
+  it('records a violation for more clicks than a person can make', async () => {
+    supabase.functions.record_click_violation = false;
+    player.last_click_push_at = new Date(Date.now() - 2000).toISOString();
+
+    const res = await push({ clicks: 40, gameId: 7 });
+
+    expect(res.statusCode).toBe(422);
+    expect(res.body.flagged).toBe(false);
+    expect(supabase.rpc).toHaveBeenCalledWith('record_click_violation', expect.objectContaining({
+      p_game_id: 7,
+      p_session_id: 'session',
+      p_flag_after: 3
+    }));
+    expect(supabase.rpc).not.toHaveBeenCalledWith('append_click_contribution', expect.anything());
+  });
+
+  it("doesn't let idle time be banked for a bigger batch", async () => {
+    player.last_click_push_at = new Date(Date.now() - 60 * 1000).toISOString();
+
+    // 15 clicks per second over at most 3 push intervals
+    expect((await push({ clicks: 90, gameId: 7 })).statusCode).toBe(200);
+    expect((await push({ clicks: 91, gameId: 7 })).statusCode).toBe(422);
+  });
+
+  it('ignores flagged sessions', async () => {
+    supabase.tables.flagged_sessions = { data: { flagged: true }, error: null };
+
+    const res = await push();
+
+    expect(res.statusCode).toBe(403);
+    expect(res.body.error).toBe('Session flagged for suspicious activity');
+  });
+
+  it('rejects clicks from players away from their rocket', async () => {
+    player.position_x = 30;
+    expect((await push()).body.error).toBe('Too far from the rocket');
+
+    player.position_x = null;
+    expect((await push()).statusCode).toBe(403);
+  });
+
+  it('applies the upgrade multiplier to the recorded clicks', async () => {
+    supabase.functions.get_click_multiplier = 1.5;
+
+    const res = await push({ clicks: 9, gameId: 7 });
+
+    expect(res.body).toEqual(expect.objectContaining({ clicks: 9, effectiveClicks: 14 }));
+    expect(supabase.rpc).toHaveBeenCalledWith('get_click_multiplier', { p_game_id: 7, p_session_id: 'session', p_planet_name: 'earth' });
+    expect(supabase.rpc).toHaveBeenCalledWith('append_click_contribution', expect.objectContaining({ p_clicks: 14 }));
+    expect(supabase.rpc).toHaveBeenCalledWith('accrue_drone_clicks', { p_game_id: 7 });
+  });
+
+  it('finds the rocket of every planet of 3 and 4 planet games where clients place it', async () => {
+    for (const planets of [['mars', 'earth', 'volcanic'], ['volcanic', 'mars', 'ice', 'earth']]) {
+      supabase.tables.game_queue.data = { id: 7, current_state: 'active', planets };
+      const slot = getPlanetSlot(planets.indexOf('earth'), planets.length);
+
+      Object.assign(player, { position_x: slot.x, position_y: slot.y + 10, position_z: 1 });
+      expect((await push()).statusCode).toBe(200);
+
+      // Where the rocket of earth is in a two planet game
+      Object.assign(player, { position_x: -30, position_y: 10, position_z: 1 });
+      expect((await push()).statusCode).toBe(403);
+    }
+  });
+
+  it('rejects clicks for a planet that is not part of the game', async () => {
+    supabase.tables.game_queue.data = { id: 7, current_state: 'active', planets: ['mars', 'volcanic', 'ice'] };
+
+    expect((await push()).body.error).toBe('Too far from the rocket');
+  });
+
+  it('rejects clicks made for another game', async () => {
+    expect((await push({ clicks: 10 })).statusCode).toBe(400);
+
+    const res = await push({ clicks: 10, gameId: 6 });
+
+    expect(res.statusCode).toBe(409);
+    expect(res.body.error).toBe('Clicks belong to another game');
+    expect(supabase.rpc).not.toHaveBeenCalled();
+  });
+});
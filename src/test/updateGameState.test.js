@@ -0,0 +1,135 @@
+import { describe, it, expect, vi, beforeEach, afterEach } from 'vitest';
+
+// Service role client holding the current game, updates and functions are spies
+const supabase = vi.hoisted(() => ({
+  currentGame: null,
+  functions: {},
+  update: null,
+  from() {
+    const query = {
+      single: async () => ({ data: supabase.currentGame, error: null }),
+      update: (data) => {
+        supabase.update(data);
+        return { eq: async () => ({ error: null }) };
+      }
+    };
+    ['select', 'not', 'order', 'limit'].forEach(method => {
+      query[method] = () => query;
+    });
+    return query;
+  },
+  rpc: null
+}));
+
+vi.mock('@supabase/supabase-js', () => ({ createClient: () => supabase }));
+
+import handler from '../../api/updateGameState.js';
+
+/**
+ * Run the cron handler once
+ * @returns {Promise<Object>} The response, with statusCode and body
+ */
+async function run() {
+  const res = {
+    status(code) {
+      this.statusCode = code;
+      return this;
+    },
+    json(data) {
+      this.body = data;
+      return this;
+    }
+  };
+
+  await handler({ method: 'GET' }, res);
+  return res;
+}
+
+describe('/api/updateGameState', () => {
+  const NOW = new Date('2026-01-01T00:10:00Z');
+
+  beforeEach(() => {
+    vi.useFakeTimers();
+    vi.setSystemTime(NOW);
+    vi.spyOn(console, 'log').mockImplementation(() => {});
+    vi.spyOn(console, 'error').mockImplementation(() => {});
+
+    supabase.currentGame = {
+      id: 7,
+      current_state: 'active',
+      started_at: '2026-01-01T00:08:00Z',
+      active_duration: 360,
+      cooldown_duration: 120,
+      waiting_duration: 60
+    };
+    supabase.functions = { cleanup_stale_players: 0 };
+    supabase.update = vi.fn();
+    supabase.rpc = vi.fn(async (name) => ({ data: supabase.functions[name] ?? null, error: null }));
+  });
+
+  afterEach(() => {
+    vi.useRealTimers();
+    vi.restoreAllMocks();
+  });
+
+  it('checks for a winner while the game is active', async () => {
+    const res = await run();
+
+    expect(supabase.rpc).toHaveBeenCalledWith('check_game_victory', { p_game_id: 7 });
+    expect(res.body).toEqual(expect.objectContaining({ success: true, stateChanged: false }));
+    expect(supabase.update).not.toHaveBeenCalled();
+  });
+
+  it('reports the victory the database declared without writing the game again', async () => {
+    supabase.functions.check_game_victory = { id: 7, current_state: 'victory', winner_planet: 'mars' };
+
+    const res = await run();
+
+    expect(res.body).toEqual(expect.objectContaining({ stateChanged: true, newState: 'victory' }));
+    expect(supabase.update).not.toHaveBeenCalled();
+  });
+
+  it('ends the game without a winner once its time is up', async () => {
+    supabase.currentGame.started_at = '2026-01-01T00:04:00Z';
+
+    const res = await run();
+
+    expect(res.body.newState).toBe('ended');
+    expect(supabase.update).toHaveBeenCalledWith({ current_state: 'ended', ended_at: NOW });
+  });
+
+  it('gives the winners time to pick a target, then targets the strongest rival', async () => {
+    Object.assign(supabase.currentGame, { current_state: 'victory', ended_at: '2026-01-01T00:09:50Z', target_pick_duration: 20 });
+
+    await run();
+    expect(supabase.rpc).not.toHaveBeenCalledWith('finalize_victory_target', expect.anything());
+    expect(supabase.update).not.toHaveBeenCalled();
+
+    supabase.currentGame.ended_at = '2026-01-01T00:09:30Z';
+    const res = await run();
+
+    expect(supabase.rpc).toHaveBeenCalledWith('finalize_victory_target', { p_game_id: 7 });
+    expect(res.body.newState).toBe('cooldown');
+    expect(supabase.update).toHaveBeenCalledWith({ current_state: 'cooldown', ended_at: NOW });
+  });
+
+  it('moves on as soon as the winners picked a target', async () => {
+    Object.assign(supabase.currentGame, {
+      current_state: 'victory',
+      ended_at: '2026-01-01T00:09:55Z',
+      target_pick_duration: 20,
+      victory_target: 'earth'
+    });
+
+    expect((await run()).body.newState).toBe('cooldown');
+  });
+
+  it('creates games with the round robin assignment by default', async () => {
+    supabase.currentGame = null;
+    supabase.functions.create_new_game = { id: 8 };
+
+    await run();
+
+    expect(supabase.rpc).toHaveBeenCalledWith('create_new_game', expect.objectContaining({ p_assignation_algo: 'roundrobin' }));
+  });
+});
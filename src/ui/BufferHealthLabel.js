@@ -0,0 +1,128 @@
+import * as THREE from 'three';
+
+// Canvas size of a label, the sprite keeps its aspect ratio
+const CANVAS_WIDTH = 256;
+const CANVAS_HEIGHT = 112;
+
+// Width of the label in world units, SphereBots are 1 unit wide
+const WORLD_WIDTH = 2.4;
+
+// Border color for each interpolation mode
+const MODE_COLORS = {
+  interpolating: '#4CAF50',
+  holding: '#2196F3',
+  extrapolating: '#FFC107',
+  stalled: '#F44336',
+  empty: '#9E9E9E'
+};
+
+/**
+ * Debug label above a remote SphereBot showing the health of its position buffer
+ * (messages buffered, margin ahead of the time shown, clock offset, late and extrapolated messages).
+ */
+export class BufferHealthLabel {
+  /**
+   * @param {Object} options - Configuration options.
+   * @param {THREE.Object3D} options.parent - Object the label floats above, usually a SphereBot mesh.
+   * @param {number} [options.height=1.2] - Height above the parent's origin, along its up axis.
+   */
+  constructor(options) {
+    this.parent = options.parent;
+    this.height = options.height || 1.2;
+
+    this.canvas = null;
+    this.texture = null;
+    this.sprite = null;
+    this.isDisposed = false;
+
+    this._init();
+  }
+
+  /**
+   * Creates the canvas and adds the sprite to the parent.
+   * @private
+   */
+  _init() {
+    this.canvas = document.createElement('canvas');
+    this.canvas.width = CANVAS_WIDTH;
+    this.canvas.height = CANVAS_HEIGHT;
+    if (!this.canvas.getContext('2d')) {
+      this.isDisposed = true;
+      return;
+    }
+
+    this.texture = new THREE.CanvasTexture(this.canvas);
+    this.texture.colorSpace = THREE.SRGBColorSpace;
+
+    this.sprite = new THREE.Sprite(new THREE.SpriteMaterial({
+      map: this.texture,
+      transparent: true,
+      depthTest: false,
+      depthWrite: false
+    }));
+    this.sprite.scale.set(WORLD_WIDTH, WORLD_WIDTH * CANVAS_HEIGHT / CANVAS_WIDTH, 1);
+    this.sprite.center.set(0.5, 0);
+    this.sprite.position.set(0, this.height, 0);
+    this.sprite.renderOrder = 11;
+    this.parent.add(this.sprite);
+
+    this.update(null);
+  }
+
+  /**
+   * Redraws the label.
+   * @param {Object|null} health - Buffer health from NetworkManager.getBufferHealth, null before the first message.
+   */
+  update(health) {
+    if (this.isDisposed) return;
+
+    const mode = health ? health.mode : 'empty';
+    const lines = health
+      ? [
+          `${mode} · ${health.size} buffered`,
+          `margin ${Math.round(health.margin)} ms · offset ${Math.round(health.clockOffset)} ms`,
+          `late ${health.late} · extrapolated ${health.extrapolated}`
+        ]
+      : ['no position received'];
+
+    const ctx = this.canvas.getContext('2d');
+    ctx.clearRect(0, 0, CANVAS_WIDTH, CANVAS_HEIGHT);
+
+    ctx.fillStyle = 'rgba(0, 0, 0, 0.75)';
+    ctx.strokeStyle = MODE_COLORS[mode] || MODE_COLORS.empty;
+    ctx.lineWidth = 4;
+    ctx.beginPath();
+    ctx.roundRect(2, 2, CANVAS_WIDTH - 4, CANVAS_HEIGHT - 4, 10);
+    ctx.fill();
+    ctx.stroke();
+
+    ctx.font = '18px monospace';
+    ctx.fillStyle = '#ffffff';
+    ctx.textAlign = 'center';
+    ctx.textBaseline = 'middle';
+    lines.forEach((line, index) => {
+      ctx.fillText(line, CANVAS_WIDTH / 2, CANVAS_HEIGHT / 2 + (index - (lines.length - 1) / 2) * 30);
+    });
+
+    this.texture.needsUpdate = true;
+  }
+
+  /**
+   * Removes the label.
+   */
+  dispose() {
+    if (this.isDisposed) return;
+    this.isDisposed = true;
+
+    if (this.sprite) {
+      this.parent.remove(this.sprite);
+      this.sprite.material.dispose();
+      this.sprite = null;
+    }
+    if (this.texture) {
+      this.texture.dispose();
+      this.texture = null;
+    }
+    this.canvas = null;
+  }
+}
@@ -0,0 +1,217 @@
+import { MAX_MESSAGE_LENGTH } from '../network/chat-manager.js';
+
+/**
+ * Tab labels of the chat scopes.
+ */
+const SCOPE_LABELS = {
+  planet: 'Team',
+  global: 'Everyone'
+};
+
+/**
+ * Panel with the team and global chats of the current game.
+ */
+export class ChatPanel {
+  /**
+   * @param {Object} options - Configuration options.
+   * @param {Object} options.networkManager - The NetworkManager used to read and send messages.
+   * @param {HTMLElement} [options.button] - Button opening the panel, it counts the messages missed while hidden.
+   */
+  constructor(options = {}) {
+    this.networkManager = options.networkManager;
+    this.button = options.button || null;
+
+    this.container = null;
+    this.isVisible = false;
+    this.scope = 'global';
+    this.message = '';
+    this.unread = 0;
+
+    this.networkManager.on('onChatMessage', (message) => {
+      if (this.isVisible && message.scope === this.scope) {
+        this.render();
+      } else if (message.sessionId !== this.networkManager.authManager.getCurrentUserId()) {
+        this.unread++;
+        this.updateButton();
+      }
+    });
+
+    // A new game starts with an empty chat, and joining a planet opens the team chat
+    this.networkManager.on('onChatRoomChanged', () => {
+      this.unread = 0;
+      this.updateButton();
+      this.render();
+    });
+  }
+
+  /**
+   * Shows the panel if hidden, hides it otherwise.
+   */
+  toggle() {
+    if (this.isVisible) {
+      this.hide();
+    } else {
+      this.show();
+    }
+  }
+
+  /**
+   * Creates the panel, on the team chat when the player is on a planet.
+   */
+  show() {
+    this.hide();
+    this.message = '';
+    this.unread = 0;
+    this.updateButton();
+
+    if (this.networkManager.chatManager.canSend('planet')) {
+      this.scope = 'planet';
+    }
+
+    this.container = document.createElement('div');
+    this.container.id = 'chatPanel';
+    this.container.innerHTML = `
+      <div class="chat-tabs">
+        ${Object.entries(SCOPE_LABELS).map(([scope, label]) =>
+          `<button class="chat-tab" data-scope="${scope}">${label}</button>`
+        ).join('')}
+      </div>
+      <ul class="chat-messages" id="chatMessages"></ul>
+      <form class="chat-form" id="chatForm">
+        <input type="text" id="chatInput" maxlength="${MAX_MESSAGE_LENGTH}" autocomplete="off" placeholder="Say something...">
+      </form>
+      <div class="chat-status" id="chatStatus"></div>
+    `;
+
+    this.container.querySelectorAll('.chat-tab').forEach(tab => {
+      tab.addEventListener('click', () => {
+        this.scope = tab.dataset.scope;
+        this.message = '';
+        this.render();
+        this.focus();
+      });
+    });
+
+    const input = this.container.querySelector('#chatInput');
+    this.container.querySelector('#chatForm').addEventListener('submit', (event) => {
+      event.preventDefault();
+      this.send(input.value);
+    });
+    input.addEventListener('keydown', (event) => {
+      // Keep game shortcuts (L, M...) from firing while typing
+      event.stopPropagation();
+      if (event.key === 'Escape') {
+        this.hide();
+      }
+    });
+
+    document.body.appendChild(this.container);
+    this.isVisible = true;
+
+    this.render();
+  }
+
+  /**
+   * Removes the panel.
+   */
+  hide() {
+    if (this.container && this.container.parentNode) {
+      this.container.parentNode.removeChild(this.container);
+    }
+    this.container = null;
+    this.isVisible = false;
+  }
+
+  /**
+   * Moves the keyboard focus to the message input.
+   */
+  focus() {
+    const input = this.container && this.container.querySelector('#chatInput');
+    if (input) {
+      input.focus();
+    }
+  }
+
+  /**
+   * Sends a message to the selected scope, keeping the text if it was rejected.
+   * @param {string} text - The message.
+   */
+  async send(text) {
+    if (!text.trim()) return;
+
+    const scope = this.scope;
+    try {
+      await this.networkManager.sendChatMessage(scope, text);
+      this.message = '';
+
+      const input = this.container && this.container.querySelector('#chatInput');
+      if (input && scope === this.scope) {
+        input.value = '';
+      }
+    } catch (error) {
+      this.message = error.message;
+    }
+    this.render();
+  }
+
+  /**
+   * Renders the tabs and the messages of the selected scope.
+   */
+  render() {
+    if (!this.container) return;
+
+    const chatManager = this.networkManager.chatManager;
+    const currentUserId = this.networkManager.authManager.getCurrentUserId();
+
+    this.container.querySelectorAll('.chat-tab').forEach(tab => {
+      tab.classList.toggle('active', tab.dataset.scope === this.scope);
+    });
+
+    const input = this.container.querySelector('#chatInput');
+    const canSend = chatManager.canSend(this.scope);
+    input.disabled = !canSend;
+    input.placeholder = canSend
+      ? (this.scope === 'planet' ? 'Talk with your team...' : 'Talk with everyone...')
+      : (!chatManager.gameId ? 'Waiting for a game...' : (this.scope === 'planet' ? 'Join a planet to talk with your team' : 'Join a planet to chat'));
+
+    // Messages are built as nodes, never as HTML, since anyone can broadcast them
+    const list = this.container.querySelector('#chatMessages');
+    list.replaceChildren(...chatManager.getMessages(this.scope).map(message => {
+      const item = document.createElement('li');
+      const name = document.createElement('strong');
+      name.textContent = message.sessionId === currentUserId ? 'You' : (message.name || 'Player');
+      if (message.color) {
+        name.style.color = message.color;
+      }
+      item.append(name, `: ${message.text}`);
+      return item;
+    }));
+
+    if (!list.children.length) {
+      const empty = document.createElement('li');
+      empty.className = 'chat-empty';
+      empty.textContent = 'No messages in this game yet.';
+      list.append(empty);
+    }
+    list.scrollTop = list.scrollHeight;
+
+    this.container.querySelector('#chatStatus').textContent = this.message;
+  }
+
+  /**
+   * Shows the number of missed messages on the button.
+   */
+  updateButton() {
+    if (!this.button) return;
+
+    let badge = this.button.querySelector('.chat-unread');
+    if (!badge) {
+      badge = document.createElement('span');
+      badge.className = 'chat-unread';
+      this.button.appendChild(badge);
+    }
+
+    badge.textContent = this.unread > 99 ? '99+' : String(this.unread);
+    badge.style.display = this.unread > 0 ? 'inline-block' : 'none';
+  }
+}
@@ -0,0 +1,126 @@
+import { EMOTES } from '../objects/SphereBot.js';
+
+/**
+ * Icons and labels of the menu entries (Font Awesome icon names).
+ */
+const ENTRIES = {
+  wave: { icon: 'hand', label: 'Wave' },
+  jump: { icon: 'arrow-up', label: 'Jump' },
+  dance: { icon: 'music', label: 'Dance' },
+  ping: { icon: 'location-crosshairs', label: 'Ping' }
+};
+
+// Distance of the entries from the center of the menu in pixels
+const MENU_RADIUS = 70;
+
+/**
+ * Radial menu with the emotes and the ping action, opened around the pointer.
+ */
+export class EmoteMenu {
+  /**
+   * @param {Object} options - Configuration options.
+   * @param {Function} options.onEmote - Called with the emote name when an emote is picked.
+   * @param {Function} options.onPing - Called when the ping action is picked.
+   */
+  constructor(options = {}) {
+    this.onEmote = options.onEmote;
+    this.onPing = options.onPing;
+
+    this.container = null;
+    this.isVisible = false;
+
+    // Last pointer position, the menu opens around it
+    this.pointer = { x: window.innerWidth / 2, y: window.innerHeight / 2 };
+    document.addEventListener('pointermove', (event) => {
+      this.pointer = { x: event.clientX, y: event.clientY };
+    });
+  }
+
+  /**
+   * Shows the menu if hidden, hides it otherwise.
+   */
+  toggle() {
+    if (this.isVisible) {
+      this.hide();
+    } else {
+      this.show();
+    }
+  }
+
+  /**
+   * Creates the menu around the pointer, kept inside the window.
+   */
+  show() {
+    this.hide();
+
+    const names = [...EMOTES, 'ping'];
+    const margin = MENU_RADIUS + 40;
+    const x = Math.min(Math.max(this.pointer.x, margin), window.innerWidth - margin);
+    const y = Math.min(Math.max(this.pointer.y, margin), window.innerHeight - margin);
+
+    this.container = document.createElement('div');
+    this.container.id = 'emoteMenu';
+    this.container.style.left = `${x}px`;
+    this.container.style.top = `${y}px`;
+    this.container.innerHTML = names.map((name, index) => {
+      // Start at the top and go clockwise
+      const angle = -Math.PI / 2 + index / names.length * Math.PI * 2;
+      const { icon, label } = ENTRIES[name] || { icon: 'face-smile', label: name };
+      return `
+        <button class="emote-entry" data-name="${name}" title="${label} (${index + 1})"
+          style="left: ${Math.cos(angle) * MENU_RADIUS}px; top: ${Math.sin(angle) * MENU_RADIUS}px;">
+          <i class="fa-solid fa-${icon}"></i>
+          <span>${label}</span>
+        </button>
+      `;
+    }).join('');
+
+    this.container.querySelectorAll('.emote-entry').forEach(entry => {
+      entry.addEventListener('click', () => this.pick(entry.dataset.name));
+    });
+
+    document.body.appendChild(this.container);
+    this.isVisible = true;
+  }
+
+  /**
+   * Removes the menu.
+   */
+  hide() {
+    if (this.container && this.container.parentNode) {
+      this.container.parentNode.removeChild(this.container);
+    }
+    this.container = null;
+    this.isVisible = false;
+  }
+
+  /**
+   * Picks the entry of a number key while the menu is open.
+   * @param {string} key - The pressed key.
+   * @returns {boolean} Whether the key picked an entry.
+   */
+  handleKey(key) {
+    if (!this.isVisible) return false;
+
+    const names = [...EMOTES, 'ping'];
+    const name = names[Number(key) - 1];
+    if (!name) return false;
+
+    this.pick(name);
+    return true;
+  }
+
+  /**
+   * Plays the picked emote or arms the ping, then closes the menu.
+   * @param {string} name - Emote name or 'ping'.
+   */
+  pick(name) {
+    this.hide();
+
+    if (name === 'ping') {
+      if (this.onPing) this.onPing();
+    } else if (this.onEmote) {
+      this.onEmote(name);
+    }
+  }
+}
@@ -0,0 +1,236 @@
+import { getPlanetDisplayName } from '../objects/PlanetDefinitions.js';
+
+/**
+ * Overlay that shows the round leaderboard per planet, the all-time leaderboard
+ * and the planet-vs-planet win record.
+ */
+export class LeaderboardPanel {
+  /**
+   * @param {Object} options - Configuration options.
+   * @param {Object} options.leaderboardManager - The LeaderboardManager to load the leaderboards with.
+   * @param {Function} [options.getCurrentUserId] - Returns the current user ID, used to highlight the player.
+   * @param {number} [options.refreshInterval=10000] - Milliseconds between refreshes while visible.
+   */
+  constructor(options = {}) {
+    this.leaderboardManager = options.leaderboardManager;
+    this.getCurrentUserId = options.getCurrentUserId || (() => null);
+    this.refreshInterval = options.refreshInterval || 10000;
+
+    this.container = null;
+    this.isVisible = false;
+    this.activeTab = 'round';
+    this.refreshTimer = null;
+  }
+
+  /**
+   * Shows the panel if hidden, hides it otherwise.
+   */
+  toggle() {
+    if (this.isVisible) {
+      this.hide();
+    } else {
+      this.show();
+    }
+  }
+
+  /**
+   * Creates the panel, loads the leaderboards and refreshes them while visible.
+   */
+  show() {
+    this.hide();
+
+    this.container = document.createElement('div');
+    this.container.id = 'leaderboardPanel';
+    this.container.innerHTML = `
+      <div class="leaderboard-tabs">
+        <button data-tab="round">This round</button>
+        <button data-tab="allTime">All time</button>
+        <button data-tab="planets">Planets</button>
+      </div>
+      <div id="leaderboardContent">Loading...</div>
+    `;
+
+    this.container.querySelectorAll('.leaderboard-tabs button').forEach(button => {
+      button.addEventListener('click', () => {
+        this.activeTab = button.dataset.tab;
+        this.render();
+      });
+    });
+
+    document.body.appendChild(this.container);
+    this.isVisible = true;
+
+    // Render the last known leaderboard right away, then refresh it
+    this.render();
+    this.refresh();
+    this.refreshTimer = setInterval(() => this.refresh(), this.refreshInterval);
+  }
+
+  /**
+   * Removes the panel and stops refreshing.
+   */
+  hide() {
+    if (this.refreshTimer) {
+      clearInterval(this.refreshTimer);
+      this.refreshTimer = null;
+    }
+
+    if (this.container && this.container.parentNode) {
+      this.container.parentNode.removeChild(this.container);
+    }
+    this.container = null;
+    this.isVisible = false;
+  }
+
+  /**
+   * Loads the leaderboards from the server and renders them.
+   */
+  async refresh() {
+    await this.leaderboardManager.fetchLeaderboard();
+    this.render();
+  }
+
+  /**
+   * Renders the active tab from the last loaded leaderboard.
+   */
+  render() {
+    if (!this.container) return;
+
+    this.container.querySelectorAll('.leaderboard-tabs button').forEach(button => {
+      button.classList.toggle('active', button.dataset.tab === this.activeTab);
+    });
+
+    const content = this.container.querySelector('#leaderboardContent');
+    const leaderboard = this.leaderboardManager.leaderboard;
+    if (!leaderboard) {
+      content.textContent = 'Loading...';
+      return;
+    }
+
+    content.innerHTML = '';
+
+    switch (this.activeTab) {
+      case 'round':
+        this._renderRound(content, leaderboard.round);
+        break;
+      case 'allTime':
+        this._renderAllTime(content, leaderboard.allTime);
+        break;
+      case 'planets':
+        this._renderPlanetRecord(content, leaderboard.planetRecord);
+        break;
+    }
+  }
+
+  /**
+   * Renders the top contributors of the current round per planet.
+   * @param {HTMLElement} content - Element to render into.
+   * @param {Object} round - {gameId, planets}
+   * @private
+   */
+  _renderRound(content, round) {
+    const planets = Object.entries(round?.planets || {});
+    if (planets.length === 0) {
+      content.textContent = 'No clicks this round yet.';
+      return;
+    }
+
+    planets.forEach(([planetName, players]) => {
+      const title = document.createElement('h4');
+      title.textContent = getPlanetDisplayName(planetName).toUpperCase();
+      title.className = `leaderboard-planet leaderboard-planet-${planetName}`;
+      content.appendChild(title);
+
+      content.appendChild(this._createList(players, player => `${player.clicks}`));
+    });
+  }
+
+  /**
+   * Renders the players with the most clicks across all games.
+   * @param {HTMLElement} content - Element to render into.
+   * @param {Array} players - All-time leaderboard entries.
+   * @private
+   */
+  _renderAllTime(content, players) {
+    if (!players || players.length === 0) {
+      content.textContent = 'No finished games yet.';
+      return;
+    }
+
+    content.appendChild(this._createList(players, player => `${player.total_clicks} (${player.mvp_count} MVP)`));
+  }
+
+  /**
+   * Renders the number of games won by each planet.
+   * @param {HTMLElement} content - Element to render into.
+   * @param {Object} record - {wins, ties}
+   * @private
+   */
+  _renderPlanetRecord(content, record) {
+    const list = document.createElement('ol');
+    list.className = 'leaderboard-list';
+
+    Object.entries(record?.wins || {})
+      .sort(([, a], [, b]) => b - a)
+      .forEach(([planetName, wins]) => {
+        list.appendChild(this._createRow(getPlanetDisplayName(planetName).toUpperCase(), `${wins} wins`));
+      });
+
+    list.appendChild(this._createRow('Ties', `${record?.ties || 0}`));
+    content.appendChild(list);
+  }
+
+  /**
+   * Creates a ranked list of players.
+   * @param {Array} players - Entries with user_id, display_name and avatar.
+   * @param {Function} getScore - Returns the score text for an entry.
+   * @returns {HTMLElement} The list element.
+   * @private
+   */
+  _createList(players, getScore) {
+    const list = document.createElement('ol');
+    list.className = 'leaderboard-list';
+    const currentUserId = this.getCurrentUserId();
+
+    players.forEach(player => {
+      const name = player.display_name || `Player ${String(player.user_id).slice(0, 6)}`;
+      const row = this._createRow(name, getScore(player), player.avatar);
+      if (player.user_id === currentUserId) {
+        row.classList.add('current-player');
+      }
+      list.appendChild(row);
+    });
+
+    return list;
+  }
+
+  /**
+   * Creates a single leaderboard row.
+   * @param {string} name - Name shown on the left.
+   * @param {string} score - Score shown on the right.
+   * @param {string} [avatar] - Font Awesome icon name.
+   * @returns {HTMLElement} The row element.
+   * @private
+   */
+  _createRow(name, score, avatar) {
+    const row = document.createElement('li');
+
+    const nameElement = document.createElement('span');
+    nameElement.className = 'leaderboard-name';
+    if (avatar) {
+      const icon = document.createElement('i');
+      icon.className = `fa-solid fa-${avatar}`;
+      nameElement.appendChild(icon);
+      nameElement.appendChild(document.createTextNode(' '));
+    }
+    nameElement.appendChild(document.createTextNode(name));
+
+    const scoreElement = document.createElement('span');
+    scoreElement.className = 'leaderboard-score';
+    scoreElement.textContent = score;
+
+    row.appendChild(nameElement);
+    row.appendChild(scoreElement);
+    return row;
+  }
+}
@@ -0,0 +1,66 @@
+import { getPlanetDisplayName } from '../objects/PlanetDefinitions.js';
+
+/**
+ * Shows one button per planet so the player can choose where to join.
+ * Used in place of the join button when the game's assignment strategy lets players choose.
+ */
+export class PlanetPicker {
+  /**
+   * @param {Object} options - Configuration options.
+   * @param {string[]} options.planets - Names of the planets the player can choose from.
+   * @param {Function} options.onSelect - Called with the chosen planet name.
+   * @param {Object} [options.playerCounts={}] - Current number of players per planet.
+   * @param {string} [options.title='Choose your planet'] - Text shown above the buttons.
+   * @param {boolean} [options.showPlayerCounts=true] - Whether to show the player count on each button.
+   */
+  constructor(options = {}) {
+    this.planets = options.planets || [];
+    this.onSelect = options.onSelect || null;
+    this.playerCounts = options.playerCounts || {};
+    this.title = options.title || 'Choose your planet';
+    this.showPlayerCounts = options.showPlayerCounts !== false;
+    this.container = null;
+  }
+
+  /**
+   * Creates the picker and adds it to the page.
+   */
+  show() {
+    this.hide();
+
+    this.container = document.createElement('div');
+    this.container.id = 'planetPicker';
+
+    const title = document.createElement('div');
+    title.className = 'planet-picker-title';
+    title.textContent = this.title;
+    this.container.appendChild(title);
+
+    this.planets.forEach(planetName => {
+      const button = document.createElement('button');
+      button.className = `btn btn-primary planet-option planet-option-${planetName}`;
+      button.textContent = this.showPlayerCounts
+        ? `${getPlanetDisplayName(planetName)} (${this.playerCounts[planetName] || 0})`
+        : getPlanetDisplayName(planetName);
+      button.addEventListener('click', () => {
+        this.hide();
+        if (this.onSelect) {
+          this.onSelect(planetName);
+        }
+      });
+      this.container.appendChild(button);
+    });
+
+    document.body.appendChild(this.container);
+  }
+
+  /**
+   * Removes the picker from the page.
+   */
+  hide() {
+    if (this.container && this.container.parentNode) {
+      this.container.parentNode.removeChild(this.container);
+    }
+    this.container = null;
+  }
+}
@@ -0,0 +1,175 @@
+import { PROFILE_AVATARS } from '../network/profile-manager.js';
+
+/**
+ * Panel where the player edits their profile, links an email and sees their stats.
+ */
+export class ProfilePanel {
+  /**
+   * @param {Object} options - Configuration options.
+   * @param {Object} options.profileManager - The ProfileManager to read and save the profile with.
+   */
+  constructor(options = {}) {
+    this.profileManager = options.profileManager;
+    this.container = null;
+    this.isVisible = false;
+  }
+
+  /**
+   * Shows the panel if hidden, hides it otherwise.
+   */
+  toggle() {
+    if (this.isVisible) {
+      this.hide();
+    } else {
+      this.show();
+    }
+  }
+
+  /**
+   * Creates the panel from the current profile and adds it to the page.
+   */
+  show() {
+    this.hide();
+
+    const profile = this.profileManager.profile || {};
+
+    this.container = document.createElement('div');
+    this.container.id = 'profilePanel';
+    this.container.innerHTML = `
+      <h3>Profile</h3>
+      <label>Name <input type="text" id="profileName" maxlength="24"></label>
+      <label>Color <input type="color" id="profileColor"></label>
+      <div class="profile-avatars" id="profileAvatars"></div>
+      <button class="btn btn-primary" id="profileSave">Save</button>
+      <h3>Account</h3>
+      <div id="profileAccount"></div>
+      <h3>Stats</h3>
+      <div id="profileStats"></div>
+      <div class="profile-message" id="profileMessage"></div>
+    `;
+
+    // Fill the inputs from the saved profile (set as properties so user text is never parsed as HTML)
+    this.container.querySelector('#profileName').value = profile.display_name || '';
+    this.container.querySelector('#profileColor').value = profile.color || '#448AFF';
+
+    // Avatar choices
+    let selectedAvatar = profile.avatar || PROFILE_AVATARS[0];
+    const avatars = this.container.querySelector('#profileAvatars');
+    PROFILE_AVATARS.forEach(avatar => {
+      const option = document.createElement('button');
+      option.className = `profile-avatar${avatar === selectedAvatar ? ' selected' : ''}`;
+      option.innerHTML = `<i class="fa-solid fa-${avatar}"></i>`;
+      option.addEventListener('click', () => {
+        selectedAvatar = avatar;
+        avatars.querySelectorAll('.profile-avatar').forEach(el => el.classList.remove('selected'));
+        option.classList.add('selected');
+      });
+      avatars.appendChild(option);
+    });
+
+    this.container.querySelector('#profileSave').addEventListener('click', async () => {
+      try {
+        await this.profileManager.saveProfile({
+          display_name: this.container.querySelector('#profileName').value.trim() || null,
+          color: this.container.querySelector('#profileColor').value.toUpperCase(),
+          avatar: selectedAvatar
+        });
+        this._showMessage('Profile saved. Your color is used from the next game you join.');
+      } catch (error) {
+        this._showMessage(`Could not save profile: ${error.message}`);
+      }
+    });
+
+    this._renderAccount();
+    this._renderStats();
+
+    document.body.appendChild(this.container);
+    this.isVisible = true;
+  }
+
+  /**
+   * Removes the panel from the page.
+   */
+  hide() {
+    if (this.container && this.container.parentNode) {
+      this.container.parentNode.removeChild(this.container);
+    }
+    this.container = null;
+    this.isVisible = false;
+  }
+
+  /**
+   * Renders the email upgrade form, or the linked email for upgraded accounts.
+   * @private
+   */
+  _renderAccount() {
+    const account = this.container.querySelector('#profileAccount');
+
+    if (!this.profileManager.isAnonymous()) {
+      account.textContent = `Signed in as ${this.profileManager.getEmail()}`;
+      return;
+    }
+
+    account.innerHTML = `
+      <p>Link an email to keep your profile and stats on any device.</p>
+      <input type="email" id="profileEmail" placeholder="you@example.com">
+      <button class="btn btn-primary" id="profileLinkEmail">Link email</button>
+      <button class="btn btn-secondary" id="profileSignIn">I already have an account</button>
+    `;
+
+    const getEmail = () => account.querySelector('#profileEmail').value.trim();
+
+    account.querySelector('#profileLinkEmail').addEventListener('click', async () => {
+      try {
+        await this.profileManager.upgradeToEmail(getEmail());
+        this._showMessage('Check your inbox to confirm your email.');
+      } catch (error) {
+        this._showMessage(`Could not link email: ${error.message}`);
+      }
+    });
+
+    account.querySelector('#profileSignIn').addEventListener('click', async () => {
+      try {
+        await this.profileManager.sendMagicLink(getEmail());
+        this._showMessage('Check your inbox for a sign-in link.');
+      } catch (error) {
+        this._showMessage(`Could not send link: ${error.message}`);
+      }
+    });
+  }
+
+  /**
+   * Renders the statistics accumulated from finished games.
+   * @private
+   */
+  _renderStats() {
+    const statsElement = this.container.querySelector('#profileStats');
+    const stats = this.profileManager.stats;
+
+    if (!stats) {
+      statsElement.textContent = 'Play a game to start collecting stats.';
+      return;
+    }
+
+    const wins = Object.entries(stats.wins || {})
+      .map(([planetName, count]) => `${planetName}: ${count}`)
+      .join(', ') || 'none';
+
+    statsElement.innerHTML = `
+      <div class="status-item">Total clicks: ${stats.total_clicks}</div>
+      <div class="status-item">Games played: ${stats.games_played}</div>
+      <div class="status-item">Wins: ${wins}</div>
+      <div class="status-item">MVP: ${stats.mvp_count}</div>
+    `;
+  }
+
+  /**
+   * Shows a feedback message at the bottom of the panel.
+   * @param {string} text - The message to show.
+   * @private
+   */
+  _showMessage(text) {
+    if (!this.container) return;
+    this.container.querySelector('#profileMessage').textContent = text;
+  }
+}
@@ -177,8 +177,8 @@ export class ProgressBar {
   updatePosition() {
     if (!this.targetObject || !this.isVisible) return;
 
-    // Calculate bounding box of the target object
-    const targetBox = new THREE.Box3().setFromObject(this.targetObject);
+    // Calculate bounding box of the visible parts of the target object
+    const targetBox = this._getTargetBounds();
     const targetSize = new THREE.Vector3();
     targetBox.getSize(targetSize);
     const targetCenter = new THREE.Vector3();
@@ -227,6 +227,49 @@ export class ProgressBar {
     }
   }
 
+  /**
+   * Computes the bounding box of the visible meshes of the target object.
+   * Hitboxes and objects flagged with userData.ignoreBounds are skipped, so the bar
+   * follows the actual shape of objects that grow, like a rocket under construction.
+   * @returns {THREE.Box3} The bounding box in world space.
+   * @private
+   */
+  _getTargetBounds() {
+    const targetBox = new THREE.Box3();
+    const meshBox = new THREE.Box3();
+
+    this.targetObject.updateWorldMatrix(true, true);
+    this.targetObject.traverseVisible(object => {
+      if (!object.geometry || object.userData.isHitbox || this._isIgnored(object)) return;
+
+      if (!object.geometry.boundingBox) {
+        object.geometry.computeBoundingBox();
+      }
+      meshBox.copy(object.geometry.boundingBox).applyMatrix4(object.matrixWorld);
+      targetBox.union(meshBox);
+    });
+
+    // Fall back to the whole object if nothing visible was found
+    if (targetBox.isEmpty()) {
+      targetBox.setFromObject(this.targetObject);
+    }
+
+    return targetBox;
+  }
+
+  /**
+   * Checks if an object or one of its ancestors up to the target is excluded from the bounds.
+   * @param {THREE.Object3D} object - The object to check.
+   * @returns {boolean} True if the object should be skipped.
+   * @private
+   */
+  _isIgnored(object) {
+    for (let current = object; current && current !== this.targetObject; current = current.parent) {
+      if (current.userData.ignoreBounds) return true;
+    }
+    return false;
+  }
+
   /**
    * Updates the visual progress.
    * @param {number} progressPercent - The progress value (0-100).
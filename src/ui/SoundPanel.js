@@ -0,0 +1,106 @@
+/**
+ * Panel with the mute toggle and the master, music and sound effects volumes.
+ */
+export class SoundPanel {
+  /**
+   * @param {Object} options - Configuration options.
+   * @param {Object} options.soundManager - The SoundManager whose settings are edited.
+   * @param {HTMLElement} [options.button] - Button opening the panel, its icon shows whether sounds are muted.
+   */
+  constructor(options = {}) {
+    this.soundManager = options.soundManager;
+    this.button = options.button || null;
+
+    this.container = null;
+    this.isVisible = false;
+
+    // Keep the button icon in sync when the mute key is used with the panel closed
+    this.soundManager.onSettingsChanged = () => {
+      this.updateButton();
+      if (this.isVisible) {
+        this.render();
+      }
+    };
+    this.updateButton();
+  }
+
+  /**
+   * Shows the panel if hidden, hides it otherwise.
+   */
+  toggle() {
+    if (this.isVisible) {
+      this.hide();
+    } else {
+      this.show();
+    }
+  }
+
+  /**
+   * Creates the panel.
+   */
+  show() {
+    this.hide();
+
+    this.container = document.createElement('div');
+    this.container.id = 'soundPanel';
+    this.container.innerHTML = `
+      <h3>Sound</h3>
+      <label class="sound-mute">
+        <input type="checkbox" id="soundMuted"> Mute all sounds (M)
+      </label>
+      <label class="sound-volume">Master <input type="range" min="0" max="100" data-channel="master"></label>
+      <label class="sound-volume">Music <input type="range" min="0" max="100" data-channel="music"></label>
+      <label class="sound-volume">Effects <input type="range" min="0" max="100" data-channel="sfx"></label>
+    `;
+
+    this.container.querySelector('#soundMuted').addEventListener('change', (event) => {
+      this.soundManager.setMuted(event.target.checked);
+    });
+    this.container.querySelectorAll('input[type="range"]').forEach(slider => {
+      slider.addEventListener('input', () => {
+        this.soundManager.setVolume(slider.dataset.channel, slider.value / 100);
+      });
+    });
+
+    document.body.appendChild(this.container);
+    this.isVisible = true;
+
+    this.render();
+  }
+
+  /**
+   * Removes the panel.
+   */
+  hide() {
+    if (this.container && this.container.parentNode) {
+      this.container.parentNode.removeChild(this.container);
+    }
+    this.container = null;
+    this.isVisible = false;
+  }
+
+  /**
+   * Shows the current settings in the panel.
+   */
+  render() {
+    if (!this.container) return;
+
+    const settings = this.soundManager.getSettings();
+    this.container.querySelector('#soundMuted').checked = settings.muted;
+    this.container.querySelectorAll('input[type="range"]').forEach(slider => {
+      slider.value = Math.round(settings[slider.dataset.channel] * 100);
+      slider.disabled = settings.muted;
+    });
+  }
+
+  /**
+   * Shows a muted or playing speaker on the button.
+   */
+  updateButton() {
+    const icon = this.button && this.button.querySelector('i');
+    if (!icon) return;
+
+    const muted = this.soundManager.getSettings().muted;
+    icon.className = muted ? 'fa-solid fa-volume-xmark' : 'fa-solid fa-volume-high';
+  }
+}
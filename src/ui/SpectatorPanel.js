@@ -0,0 +1,111 @@
+/**
+ * Live scoreboard shown to spectators, with the option to join the next round automatically.
+ */
+export class SpectatorPanel {
+  /**
+   * @param {Object} options - Configuration options.
+   * @param {Object} options.networkManager - The NetworkManager holding the spectating state.
+   * @param {Function} options.getStandings - Returns the planets as { name, displayName, teamName, players, progress }.
+   * @param {Function} [options.onWatchPlanet] - Called with a planet name to move the camera to it.
+   * @param {number} [options.refreshInterval=1000] - Milliseconds between re-renders while visible.
+   */
+  constructor(options = {}) {
+    this.networkManager = options.networkManager;
+    this.getStandings = options.getStandings;
+    this.onWatchPlanet = options.onWatchPlanet || null;
+    this.refreshInterval = options.refreshInterval || 1000;
+
+    this.container = null;
+    this.isVisible = false;
+    this.refreshTimer = null;
+
+    // Show the panel for as long as the player spectates
+    this.networkManager.on('onSpectatingChanged', ({ isSpectating }) => {
+      if (isSpectating && !this.isVisible) {
+        this.show();
+      } else if (!isSpectating) {
+        this.hide();
+      } else {
+        this.render();
+      }
+    });
+  }
+
+  /**
+   * Creates the panel and keeps the scoreboard up to date while visible.
+   */
+  show() {
+    this.hide();
+
+    this.container = document.createElement('div');
+    this.container.id = 'spectatorPanel';
+    this.container.innerHTML = `
+      <h3><i class="fa-solid fa-eye"></i> Spectating</h3>
+      <p class="spectator-hint">Drag the empty space to look around, scroll to zoom.</p>
+      <ul class="spectator-standings" id="spectatorStandings"></ul>
+      <label class="spectator-queue">
+        <input type="checkbox" id="spectatorJoinNext"> Join the next round automatically
+      </label>
+    `;
+
+    this.container.querySelector('#spectatorJoinNext').addEventListener('change', (event) => {
+      this.networkManager.setJoinNextRound(event.target.checked);
+    });
+
+    document.body.appendChild(this.container);
+    this.isVisible = true;
+
+    this.render();
+    // Progress and player counts change all the time, re-render regularly
+    this.refreshTimer = setInterval(() => this.render(), this.refreshInterval);
+  }
+
+  /**
+   * Removes the panel and stops refreshing.
+   */
+  hide() {
+    if (this.refreshTimer) {
+      clearInterval(this.refreshTimer);
+      this.refreshTimer = null;
+    }
+
+    if (this.container && this.container.parentNode) {
+      this.container.parentNode.removeChild(this.container);
+    }
+    this.container = null;
+    this.isVisible = false;
+  }
+
+  /**
+   * Renders the planets from the closest to launching to the farthest.
+   */
+  render() {
+    if (!this.container) return;
+
+    const standings = [...this.getStandings()].sort((a, b) => b.progress - a.progress);
+
+    const list = this.container.querySelector('#spectatorStandings');
+    list.innerHTML = standings.map(planet => `
+      <li>
+        <div class="spectator-planet">
+          <strong class="planet-name-${planet.name}">${planet.displayName}</strong>
+          <span>${planet.players} ${planet.teamName}</span>
+        </div>
+        <div class="spectator-progress"><div style="width: ${Math.round(planet.progress)}%"></div></div>
+        <button class="btn btn-secondary" data-planet="${planet.name}" title="Watch ${planet.displayName}">
+          <i class="fa-solid fa-binoculars"></i>
+        </button>
+      </li>
+    `).join('');
+
+    list.querySelectorAll('button[data-planet]').forEach(button => {
+      button.addEventListener('click', () => {
+        if (this.onWatchPlanet) {
+          this.onWatchPlanet(button.dataset.planet);
+        }
+      });
+    });
+
+    this.container.querySelector('#spectatorJoinNext').checked = this.networkManager.joinNextRound;
+  }
+}
@@ -0,0 +1,153 @@
+import * as THREE from 'three';
+import gsap from 'gsap';
+
+// Canvas size of a bubble, the sprite keeps its aspect ratio
+const CANVAS_WIDTH = 512;
+const LINE_HEIGHT = 40;
+const PADDING = 18;
+const MAX_LINES = 3;
+
+// Width of the bubble in world units, SphereBots are 1 unit wide
+const WORLD_WIDTH = 4;
+
+/**
+ * Speech bubble showing a chat message above a SphereBot, fading out after a few seconds.
+ */
+export class SpeechBubble {
+  /**
+   * @param {Object} options - Configuration options.
+   * @param {THREE.Object3D} options.parent - Object the bubble floats above, usually a SphereBot mesh.
+   * @param {string} options.text - The message.
+   * @param {string} [options.color='#44aa88'] - Border color, the sender's color.
+   * @param {number} [options.height=1.6] - Height above the parent's origin, along its up axis.
+   * @param {number} [options.duration=6] - Seconds the bubble stays before fading out.
+   */
+  constructor(options) {
+    this.parent = options.parent;
+    this.text = options.text;
+    this.color = options.color || '#44aa88';
+    this.height = options.height || 1.6;
+    this.duration = options.duration || 6;
+
+    this.sprite = null;
+    this.fadeTween = null;
+    this.isDisposed = false;
+
+    this._init();
+  }
+
+  /**
+   * Draws the message and adds the sprite to the parent.
+   * @private
+   */
+  _init() {
+    const canvas = document.createElement('canvas');
+    const ctx = canvas.getContext('2d');
+    if (!ctx) {
+      this.isDisposed = true;
+      return;
+    }
+
+    ctx.font = '28px Arial';
+    const lines = this._wrapText(ctx, this.text, CANVAS_WIDTH - PADDING * 2);
+
+    canvas.width = CANVAS_WIDTH;
+    canvas.height = lines.length * LINE_HEIGHT + PADDING * 2;
+
+    // Resizing the canvas resets its state
+    ctx.fillStyle = 'rgba(255, 255, 255, 0.92)';
+    ctx.strokeStyle = this.color;
+    ctx.lineWidth = 6;
+    ctx.beginPath();
+    ctx.roundRect(3, 3, canvas.width - 6, canvas.height - 6, 20);
+    ctx.fill();
+    ctx.stroke();
+
+    ctx.font = '28px Arial';
+    ctx.fillStyle = '#222222';
+    ctx.textAlign = 'center';
+    ctx.textBaseline = 'middle';
+    lines.forEach((line, index) => {
+      ctx.fillText(line, canvas.width / 2, PADDING + LINE_HEIGHT * (index + 0.5));
+    });
+
+    const texture = new THREE.CanvasTexture(canvas);
+    texture.colorSpace = THREE.SRGBColorSpace;
+
+    this.sprite = new THREE.Sprite(new THREE.SpriteMaterial({
+      map: texture,
+      transparent: true,
+      depthWrite: false
+    }));
+    this.sprite.scale.set(WORLD_WIDTH, WORLD_WIDTH * canvas.height / canvas.width, 1);
+    this.sprite.center.set(0.5, 0);
+    this.sprite.position.set(0, this.height, 0);
+    this.sprite.renderOrder = 10;
+    this.parent.add(this.sprite);
+
+    this.fadeTween = gsap.to(this.sprite.material, {
+      opacity: 0,
+      delay: this.duration,
+      duration: 0.6,
+      onComplete: () => this.dispose()
+    });
+  }
+
+  /**
+   * Splits the message into the lines that fit the bubble, ending with an ellipsis if it's too long.
+   * @param {CanvasRenderingContext2D} ctx - Context with the font set.
+   * @param {string} text - The message.
+   * @param {number} maxWidth - Widest line in pixels.
+   * @returns {string[]} The lines.
+   * @private
+   */
+  _wrapText(ctx, text, maxWidth) {
+    const lines = [];
+    let line = '';
+
+    for (const word of text.split(' ')) {
+      const candidate = line ? `${line} ${word}` : word;
+      if (ctx.measureText(candidate).width <= maxWidth || !line) {
+        line = candidate;
+      } else {
+        lines.push(line);
+        line = word;
+      }
+    }
+    lines.push(line);
+
+    if (lines.length > MAX_LINES) {
+      lines.length = MAX_LINES;
+      lines[MAX_LINES - 1] += '…';
+    }
+
+    // Cut words too long for a line
+    return lines.map(current => {
+      let fitted = current;
+      while (fitted.length > 1 && ctx.measureText(fitted).width > maxWidth) {
+        fitted = fitted.slice(0, -2) + '…';
+      }
+      return fitted;
+    });
+  }
+
+  /**
+   * Removes the bubble right away.
+   */
+  dispose() {
+    if (this.isDisposed) return;
+    this.isDisposed = true;
+
+    if (this.fadeTween) {
+      this.fadeTween.kill();
+      this.fadeTween = null;
+    }
+
+    if (this.sprite) {
+      this.parent.remove(this.sprite);
+      this.sprite.material.map.dispose();
+      this.sprite.material.dispose();
+      this.sprite = null;
+    }
+  }
+}
@@ -0,0 +1,168 @@
+/**
+ * Panel where the player spends click points on upgrades for the current game.
+ */
+export class UpgradePanel {
+  /**
+   * @param {Object} options - Configuration options.
+   * @param {Object} options.networkManager - The NetworkManager used to read points and buy upgrades.
+   * @param {number} [options.refreshInterval=1000] - Milliseconds between re-renders while visible.
+   */
+  constructor(options = {}) {
+    this.networkManager = options.networkManager;
+    this.refreshInterval = options.refreshInterval || 1000;
+
+    this.container = null;
+    this.isVisible = false;
+    this.refreshTimer = null;
+    this.message = '';
+  }
+
+  /**
+   * Shows the panel if hidden, hides it otherwise.
+   */
+  toggle() {
+    if (this.isVisible) {
+      this.hide();
+    } else {
+      this.show();
+    }
+  }
+
+  /**
+   * Creates the panel and keeps points and boosts up to date while visible.
+   */
+  show() {
+    this.hide();
+    this.message = '';
+
+    this.container = document.createElement('div');
+    this.container.id = 'upgradePanel';
+    this.container.innerHTML = `
+      <h3>Upgrades</h3>
+      <div class="upgrade-summary" id="upgradeSummary"></div>
+      <ul class="upgrade-list" id="upgradeList"></ul>
+      <div class="upgrade-message" id="upgradeMessage"></div>
+    `;
+
+    document.body.appendChild(this.container);
+    this.isVisible = true;
+
+    this.render();
+    // Points grow with every pushed batch and boosts expire, so re-render regularly
+    this.refreshTimer = setInterval(() => this.render(), this.refreshInterval);
+  }
+
+  /**
+   * Removes the panel and stops refreshing.
+   */
+  hide() {
+    if (this.refreshTimer) {
+      clearInterval(this.refreshTimer);
+      this.refreshTimer = null;
+    }
+
+    if (this.container && this.container.parentNode) {
+      this.container.parentNode.removeChild(this.container);
+    }
+    this.container = null;
+    this.isVisible = false;
+  }
+
+  /**
+   * Renders the points, the active bonuses and the upgrades that can be bought.
+   */
+  render() {
+    if (!this.container) return;
+
+    const upgradeManager = this.networkManager.upgradeManager;
+    const sessionId = this.networkManager.authManager.getCurrentUserId();
+    const planetName = this.networkManager.playerManager.currentPlanet;
+    const points = this.networkManager.getUpgradePoints();
+    const gameActive = this.networkManager.getCurrentGameState() === 'active';
+
+    // Points and bonuses
+    const summary = this.container.querySelector('#upgradeSummary');
+    const multiplier = this.networkManager.getClickMultiplier();
+    const boost = planetName ? upgradeManager.getActiveTeamBoost(planetName) : null;
+    const drones = planetName ? upgradeManager.getDroneCount(planetName) : 0;
+
+    summary.innerHTML = '';
+    summary.appendChild(this._createStatus(`Points: ${points}`));
+    summary.appendChild(this._createStatus(`Click multiplier: x${multiplier.toFixed(1)}`));
+    if (boost) {
+      const secondsLeft = Math.max(0, Math.ceil((boost.expiresAt - Date.now()) / 1000));
+      summary.appendChild(this._createStatus(`Team boost: x${boost.value} for ${secondsLeft}s`));
+    }
+    summary.appendChild(this._createStatus(`Drones on your rocket: ${drones}`));
+
+    // Catalog
+    const list = this.container.querySelector('#upgradeList');
+    list.innerHTML = '';
+
+    upgradeManager.catalog.forEach(upgrade => {
+      const owned = upgradeManager.getOwnedCount(sessionId, upgrade.name);
+      const soldOut = upgrade.max_per_game !== null && owned >= upgrade.max_per_game;
+
+      const item = document.createElement('li');
+
+      const details = document.createElement('div');
+      details.className = 'upgrade-details';
+      const name = document.createElement('strong');
+      name.textContent = upgrade.name.replace(/_/g, ' ');
+      const description = document.createElement('span');
+      description.textContent = upgrade.description || '';
+      details.appendChild(name);
+      details.appendChild(description);
+      if (upgrade.max_per_game !== null) {
+        const limit = document.createElement('span');
+        limit.textContent = `Owned ${owned}/${upgrade.max_per_game}`;
+        details.appendChild(limit);
+      }
+
+      const button = document.createElement('button');
+      button.className = 'btn btn-primary';
+      button.textContent = soldOut ? 'Maxed' : `${upgrade.cost} pts`;
+      button.disabled = !gameActive || !planetName || soldOut || points < upgrade.cost;
+      button.addEventListener('click', () => this._purchase(upgrade.name, button));
+
+      item.appendChild(details);
+      item.appendChild(button);
+      list.appendChild(item);
+    });
+
+    this.container.querySelector('#upgradeMessage').textContent =
+      this.message || (gameActive ? '' : 'Upgrades can be bought while a game is in progress.');
+  }
+
+  /**
+   * Buys an upgrade and shows the result.
+   * @param {string} upgradeName - Name of the upgrade.
+   * @param {HTMLButtonElement} button - The button that was clicked.
+   * @private
+   */
+  async _purchase(upgradeName, button) {
+    button.disabled = true;
+
+    try {
+      await this.networkManager.purchaseUpgrade(upgradeName);
+      this.message = `Bought ${upgradeName.replace(/_/g, ' ')}.`;
+    } catch (error) {
+      this.message = `Could not buy upgrade: ${error.message}`;
+    }
+
+    this.render();
+  }
+
+  /**
+   * Creates a status line.
+   * @param {string} text - Text of the line.
+   * @returns {HTMLElement} The line element.
+   * @private
+   */
+  _createStatus(text) {
+    const element = document.createElement('div');
+    element.className = 'status-item';
+    element.textContent = text;
+    return element;
+  }
+}
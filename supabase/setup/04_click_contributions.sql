@@ -0,0 +1,80 @@
+-- Click Contributions
+-- This file adds persistent, server-authoritative click tracking to the game queue
+-- This needs to be executed in the Supabase SQL Editor after 02_game_queue.sql
+
+-- Store batched click contributions per planet and per session on each game
+-- Structure: { "<planet_name>": { "<session_id>": [30, 23, 34, 55] } }
+ALTER TABLE public.game_queue
+  ADD COLUMN IF NOT EXISTS click_contributions JSONB NOT NULL DEFAULT '{}'::jsonb;
+
+-- Backfill existing records that may have a NULL value from a previous schema
+UPDATE public.game_queue
+SET click_contributions = '{}'::jsonb
+WHERE click_contributions IS NULL;
+
+-- Track when each session last pushed a batch of clicks (used for rate limiting)
+ALTER TABLE public.players
+  ADD COLUMN IF NOT EXISTS last_click_push_at TIMESTAMP WITH TIME ZONE;
+
+-- The own-row UPDATE policy lets clients write any column of their row, including last_click_push_at,
+-- which would let them skip the rate limit. Clients only write the columns below (src/network/player-manager.js),
+-- every other column (and those added by later files) is written by the server
+REVOKE INSERT, UPDATE ON public.players FROM anon, authenticated;
+GRANT INSERT (session_id, planet_name, color, last_active, position_x, position_y, position_z)
+  ON public.players TO anon, authenticated;
+GRANT UPDATE (session_id, planet_name, color, last_active, position_x, position_y, position_z)
+  ON public.players TO anon, authenticated;
+
+-- Append a batch of clicks to a session's contribution array
+-- The update is done in a single statement so concurrent pushes never overwrite each other
+CREATE OR REPLACE FUNCTION public.append_click_contribution(
+  p_game_id INTEGER,
+  p_planet_name TEXT,
+  p_session_id TEXT,
+  p_clicks INTEGER
+)
+RETURNS JSON AS $$
+DECLARE
+  updated_game RECORD;
+BEGIN
+  -- Validate the batch
+  IF p_clicks IS NULL OR p_clicks <= 0 THEN
+    RAISE EXCEPTION 'Invalid click batch. Must be a positive integer';
+  END IF;
+
+  -- Create the planet entry if needed, then append to the session array
+  UPDATE public.game_queue
+  SET click_contributions = jsonb_set(
+    jsonb_set(
+      click_contributions,
+      ARRAY[p_planet_name],
+      COALESCE(click_contributions -> p_planet_name, '{}'::jsonb)
+    ),
+    ARRAY[p_planet_name, p_session_id],
+    COALESCE(click_contributions -> p_planet_name -> p_session_id, '[]'::jsonb) || to_jsonb(p_clicks)
+  )
+  WHERE id = p_game_id
+  AND current_state = 'active'
+  RETURNING *
+  INTO updated_game;
+
+  IF NOT FOUND THEN
+    RAISE EXCEPTION 'Game with ID % not found or not active', p_game_id;
+  END IF;
+
+  -- Record the push time for rate limiting
+  UPDATE public.players
+  SET last_click_push_at = NOW()
+  WHERE session_id = p_session_id;
+
+  RETURN row_to_json(updated_game);
+END;
+$$ LANGUAGE plpgsql SECURITY DEFINER;
+
+-- Only the API endpoint (service role) may append contributions
+-- Functions are executable by PUBLIC by default, so the grant alone doesn't keep clients from calling it
+REVOKE EXECUTE ON FUNCTION public.append_click_contribution(INTEGER, TEXT, TEXT, INTEGER) FROM PUBLIC, anon, authenticated;
+GRANT EXECUTE ON FUNCTION public.append_click_contribution(INTEGER, TEXT, TEXT, INTEGER) TO service_role;
+
+COMMENT ON COLUMN public.game_queue.click_contributions IS 'Batched click counts per planet and session: { planet: { session_id: [batch, ...] } }';
+COMMENT ON FUNCTION public.append_click_contribution IS 'Atomically appends a click batch for a session to the active game. Called by /api/push_clicks.';
@@ -0,0 +1,46 @@
+-- Rocket Progress
+-- This file aggregates click contributions into per-planet totals on each game
+-- so every client can sync its rockets from the same server-side numbers
+-- This needs to be executed in the Supabase SQL Editor after 04_click_contributions.sql
+
+-- Store the aggregated click totals per planet
+-- Structure: { "<planet_name>": 1234 }
+ALTER TABLE public.game_queue
+  ADD COLUMN IF NOT EXISTS click_totals JSONB NOT NULL DEFAULT '{}'::jsonb;
+
+-- Sum every batch of every session for each planet
+CREATE OR REPLACE FUNCTION public.calculate_click_totals(p_contributions JSONB)
+RETURNS JSONB AS $$
+  SELECT COALESCE(jsonb_object_agg(t.planet_name, t.total), '{}'::jsonb)
+  FROM (
+    SELECT
+      p.key AS planet_name,
+      COALESCE(SUM(b.value::INTEGER), 0) AS total
+    FROM jsonb_each(COALESCE(p_contributions, '{}'::jsonb)) AS p
+    LEFT JOIN LATERAL jsonb_each(p.value) AS s ON true
+    LEFT JOIN LATERAL jsonb_array_elements_text(s.value) AS b ON true
+    GROUP BY p.key
+  ) t;
+$$ LANGUAGE sql IMMUTABLE;
+
+-- Keep click_totals in sync whenever click_contributions changes
+CREATE OR REPLACE FUNCTION public.update_click_totals()
+RETURNS TRIGGER AS $$
+BEGIN
+  NEW.click_totals := public.calculate_click_totals(NEW.click_contributions);
+  RETURN NEW;
+END;
+$$ LANGUAGE plpgsql;
+
+DROP TRIGGER IF EXISTS trg_game_queue_click_totals ON public.game_queue;
+CREATE TRIGGER trg_game_queue_click_totals
+  BEFORE INSERT OR UPDATE OF click_contributions ON public.game_queue
+  FOR EACH ROW
+  EXECUTE FUNCTION public.update_click_totals();
+
+-- Backfill totals for existing games
+UPDATE public.game_queue
+SET click_totals = public.calculate_click_totals(click_contributions);
+
+COMMENT ON COLUMN public.game_queue.click_totals IS 'Aggregated click totals per planet, maintained from click_contributions by trigger';
+COMMENT ON FUNCTION public.calculate_click_totals IS 'Sums all click batches per planet from a click_contributions object.';
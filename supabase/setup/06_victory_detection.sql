@@ -0,0 +1,80 @@
+-- Victory Detection
+-- This file lets the server decide the winner of a game from the persisted click totals
+-- This needs to be executed in the Supabase SQL Editor after 05_rocket_progress.sql
+
+-- Clicks a planet needs to complete its rocket
+-- Default matches the client rocket: 720 clicks per state x 4 states
+ALTER TABLE public.game_queue
+  ADD COLUMN IF NOT EXISTS clicks_to_win INTEGER NOT NULL DEFAULT 2880;
+
+-- Return the planet that reached the goal first, or NULL if none did
+-- If several planets are over the goal, the one with the most clicks wins
+CREATE OR REPLACE FUNCTION public.find_winning_planet(
+  p_click_totals JSONB,
+  p_clicks_to_win INTEGER
+)
+RETURNS TEXT AS $$
+  SELECT t.key
+  FROM jsonb_each_text(COALESCE(p_click_totals, '{}'::jsonb)) AS t
+  WHERE t.value::INTEGER >= p_clicks_to_win
+  ORDER BY t.value::INTEGER DESC
+  LIMIT 1;
+$$ LANGUAGE sql IMMUTABLE;
+
+-- Recalculate totals and declare victory in the same update that adds the winning clicks
+-- Row updates are serialized, so only the first batch that crosses the goal can win
+CREATE OR REPLACE FUNCTION public.update_click_totals()
+RETURNS TRIGGER AS $$
+DECLARE
+  winner TEXT;
+BEGIN
+  NEW.click_totals := public.calculate_click_totals(NEW.click_contributions);
+
+  IF NEW.current_state = 'active' THEN
+    winner := public.find_winning_planet(NEW.click_totals, NEW.clicks_to_win);
+
+    IF winner IS NOT NULL THEN
+      NEW.current_state := 'victory';
+      NEW.winner_planet := winner;
+      NEW.ended_at := NOW();
+    END IF;
+  END IF;
+
+  RETURN NEW;
+END;
+$$ LANGUAGE plpgsql;
+
+-- Declare victory for a game if a planet has already reached the goal
+-- Used by the cron handler as a safety net; returns NULL when there is no winner yet
+CREATE OR REPLACE FUNCTION public.check_game_victory(
+  p_game_id INTEGER
+)
+RETURNS JSON AS $$
+DECLARE
+  updated_game RECORD;
+BEGIN
+  UPDATE public.game_queue
+  SET
+    current_state = 'victory',
+    winner_planet = public.find_winning_planet(click_totals, clicks_to_win),
+    ended_at = NOW()
+  WHERE id = p_game_id
+  AND current_state = 'active'
+  AND public.find_winning_planet(click_totals, clicks_to_win) IS NOT NULL
+  RETURNING *
+  INTO updated_game;
+
+  IF NOT FOUND THEN
+    RETURN NULL;
+  END IF;
+
+  RETURN row_to_json(updated_game);
+END;
+$$ LANGUAGE plpgsql SECURITY DEFINER;
+
+-- Only /api/updateGameState (service role) declares winners
+REVOKE EXECUTE ON FUNCTION public.check_game_victory(INTEGER) FROM PUBLIC, anon, authenticated;
+GRANT EXECUTE ON FUNCTION public.check_game_victory(INTEGER) TO service_role;
+
+COMMENT ON COLUMN public.game_queue.clicks_to_win IS 'Total clicks a planet needs to complete its rocket and win the game';
+COMMENT ON FUNCTION public.check_game_victory IS 'Sets current_state to victory and winner_planet if a planet reached clicks_to_win. Called by /api/updateGameState.';
@@ -0,0 +1,127 @@
+-- Click Anti-Cheat
+-- This file tracks suspicious click activity and discounts flagged sessions from the rocket totals
+-- This needs to be executed in the Supabase SQL Editor after 06_victory_detection.sql
+
+-- Sessions caught breaking the click rules, per game
+CREATE TABLE IF NOT EXISTS public.flagged_sessions (
+  session_id TEXT NOT NULL,
+  game_id INTEGER NOT NULL REFERENCES public.game_queue (id) ON DELETE CASCADE,
+  violations INTEGER NOT NULL DEFAULT 0,
+  last_reason TEXT,
+  flagged BOOLEAN NOT NULL DEFAULT false,
+  created_at TIMESTAMP WITH TIME ZONE DEFAULT NOW(),
+  updated_at TIMESTAMP WITH TIME ZONE DEFAULT NOW(),
+  PRIMARY KEY (session_id, game_id)
+);
+
+-- Add index for looking up the flagged sessions of a game
+CREATE INDEX IF NOT EXISTS idx_flagged_sessions_game
+  ON public.flagged_sessions (game_id)
+  WHERE flagged;
+
+-- Enable Row Level Security (RLS)
+ALTER TABLE public.flagged_sessions ENABLE ROW LEVEL SECURITY;
+
+-- Only the service role can read or write flags
+CREATE POLICY "Allow service role to manage flagged_sessions"
+  ON public.flagged_sessions
+  FOR ALL
+  TO service_role
+  USING (true);
+
+-- Sum every batch of every session for each planet, skipping the excluded sessions
+CREATE OR REPLACE FUNCTION public.calculate_click_totals(
+  p_contributions JSONB,
+  p_excluded_sessions TEXT[]
+)
+RETURNS JSONB AS $$
+  SELECT COALESCE(jsonb_object_agg(t.planet_name, t.total), '{}'::jsonb)
+  FROM (
+    SELECT
+      p.key AS planet_name,
+      COALESCE(SUM(b.value::INTEGER) FILTER (WHERE NOT s.key = ANY(COALESCE(p_excluded_sessions, '{}'))), 0) AS total
+    FROM jsonb_each(COALESCE(p_contributions, '{}'::jsonb)) AS p
+    LEFT JOIN LATERAL jsonb_each(p.value) AS s ON true
+    LEFT JOIN LATERAL jsonb_array_elements_text(s.value) AS b ON true
+    GROUP BY p.key
+  ) t;
+$$ LANGUAGE sql IMMUTABLE;
+
+-- Recalculate totals without flagged sessions and declare victory when the goal is reached
+CREATE OR REPLACE FUNCTION public.update_click_totals()
+RETURNS TRIGGER AS $$
+DECLARE
+  winner TEXT;
+BEGIN
+  NEW.click_totals := public.calculate_click_totals(
+    NEW.click_contributions,
+    ARRAY(
+      SELECT f.session_id
+      FROM public.flagged_sessions f
+      WHERE f.game_id = NEW.id
+      AND f.flagged
+    )
+  );
+
+  IF NEW.current_state = 'active' THEN
+    winner := public.find_winning_planet(NEW.click_totals, NEW.clicks_to_win);
+
+    IF winner IS NOT NULL THEN
+      NEW.current_state := 'victory';
+      NEW.winner_planet := winner;
+      NEW.ended_at := NOW();
+    END IF;
+  END IF;
+
+  RETURN NEW;
+END;
+$$ LANGUAGE plpgsql;
+
+-- Record a rule violation for a session and flag it once it reaches the limit
+-- Returns whether the session is flagged
+CREATE OR REPLACE FUNCTION public.record_click_violation(
+  p_game_id INTEGER,
+  p_session_id TEXT,
+  p_reason TEXT,
+  p_flag_after INTEGER
+)
+RETURNS BOOLEAN AS $$
+DECLARE
+  is_flagged BOOLEAN;
+BEGIN
+  INSERT INTO public.flagged_sessions (session_id, game_id, violations, last_reason, flagged)
+  VALUES (p_session_id, p_game_id, 1, p_reason, 1 >= p_flag_after)
+  ON CONFLICT (session_id, game_id) DO UPDATE
+  SET
+    violations = flagged_sessions.violations + 1,
+    last_reason = p_reason,
+    flagged = flagged_sessions.flagged OR flagged_sessions.violations + 1 >= p_flag_after,
+    updated_at = NOW()
+  RETURNING flagged
+  INTO is_flagged;
+
+  -- Recalculate the totals so the flagged session's clicks stop counting
+  IF is_flagged THEN
+    UPDATE public.game_queue
+    SET click_contributions = click_contributions
+    WHERE id = p_game_id;
+  END IF;
+
+  RETURN is_flagged;
+END;
+$$ LANGUAGE plpgsql SECURITY DEFINER;
+
+-- Only /api/push_clicks (service role) may flag sessions
+REVOKE EXECUTE ON FUNCTION public.record_click_violation(INTEGER, TEXT, TEXT, INTEGER) FROM PUBLIC, anon, authenticated;
+GRANT EXECUTE ON FUNCTION public.record_click_violation(INTEGER, TEXT, TEXT, INTEGER) TO service_role;
+
+-- The checks of /api/push_clicks only hold if clients can't append contributions directly,
+-- revoked again for databases set up before 04_click_contributions.sql revoked it
+REVOKE EXECUTE ON FUNCTION public.append_click_contribution(INTEGER, TEXT, TEXT, INTEGER) FROM PUBLIC, anon, authenticated;
+
+-- Backfill totals for existing games
+UPDATE public.game_queue
+SET click_contributions = click_contributions;
+
+COMMENT ON TABLE public.flagged_sessions IS 'Click rule violations per session and game. Flagged sessions are excluded from click_totals.';
+COMMENT ON FUNCTION public.record_click_violation IS 'Counts a click violation for a session and flags it after p_flag_after violations. Called by /api/push_clicks.';
@@ -0,0 +1,208 @@
+-- Planet Assignment
+-- This file moves planet assignment to the server and applies the game's assignation_algo
+-- This needs to be executed in the Supabase SQL Editor after 07_click_anticheat.sql
+
+-- Number of players that joined each game, used for round-robin assignment
+ALTER TABLE public.game_queue
+  ADD COLUMN IF NOT EXISTS join_count INTEGER NOT NULL DEFAULT 0;
+
+-- Game the player's planet was assigned for
+ALTER TABLE public.players
+  ADD COLUMN IF NOT EXISTS assigned_game_id INTEGER;
+
+-- Planets players can be assigned to
+CREATE OR REPLACE FUNCTION public.get_planet_names()
+RETURNS TEXT[] AS $$
+  SELECT ARRAY['earth', 'mars'];
+$$ LANGUAGE sql IMMUTABLE;
+
+-- Registry of assignment strategies
+-- Each strategy points to a function (p_game_id INTEGER, p_requested_planet TEXT) RETURNS TEXT
+CREATE TABLE IF NOT EXISTS public.assignment_strategies (
+  name TEXT PRIMARY KEY,
+  function_name TEXT NOT NULL,
+  requires_choice BOOLEAN NOT NULL DEFAULT false,
+  description TEXT
+);
+
+-- Enable Row Level Security (RLS)
+ALTER TABLE public.assignment_strategies ENABLE ROW LEVEL SECURITY;
+
+-- Clients read the registry to know whether they must pick a planet
+CREATE POLICY "Allow public read access to assignment_strategies"
+  ON public.assignment_strategies
+  FOR SELECT
+  USING (true);
+
+-- Round-robin: alternate planets in join order
+CREATE OR REPLACE FUNCTION public.assign_planet_roundrobin(
+  p_game_id INTEGER,
+  p_requested_planet TEXT
+)
+RETURNS TEXT AS $$
+DECLARE
+  planets TEXT[] := public.get_planet_names();
+  join_position INTEGER;
+BEGIN
+  UPDATE public.game_queue
+  SET join_count = join_count + 1
+  WHERE id = p_game_id
+  RETURNING join_count
+  INTO join_position;
+
+  RETURN planets[((join_position - 1) % array_length(planets, 1)) + 1];
+END;
+$$ LANGUAGE plpgsql;
+
+-- Random: any planet with the same probability
+CREATE OR REPLACE FUNCTION public.assign_planet_random(
+  p_game_id INTEGER,
+  p_requested_planet TEXT
+)
+RETURNS TEXT AS $$
+DECLARE
+  planets TEXT[] := public.get_planet_names();
+BEGIN
+  RETURN planets[floor(random() * array_length(planets, 1))::INTEGER + 1];
+END;
+$$ LANGUAGE plpgsql;
+
+-- Free: the player picks, as long as the planet exists
+CREATE OR REPLACE FUNCTION public.assign_planet_free(
+  p_game_id INTEGER,
+  p_requested_planet TEXT
+)
+RETURNS TEXT AS $$
+BEGIN
+  IF p_requested_planet IS NULL OR NOT p_requested_planet = ANY(public.get_planet_names()) THEN
+    RAISE EXCEPTION 'Planet % is not available. Choose one of %', p_requested_planet, public.get_planet_names();
+  END IF;
+
+  RETURN p_requested_planet;
+END;
+$$ LANGUAGE plpgsql;
+
+INSERT INTO public.assignment_strategies (name, function_name, requires_choice, description)
+VALUES
+  ('roundrobin', 'assign_planet_roundrobin', false, 'Alternate planets in join order'),
+  ('random', 'assign_planet_random', false, 'Assign a random planet'),
+  ('free', 'assign_planet_free', true, 'Let the player choose a planet')
+ON CONFLICT (name) DO UPDATE
+SET
+  function_name = EXCLUDED.function_name,
+  requires_choice = EXCLUDED.requires_choice,
+  description = EXCLUDED.description;
+
+-- Only registered strategies can be used by a game
+ALTER TABLE public.game_queue
+  DROP CONSTRAINT IF EXISTS game_queue_assignation_algo_check;
+
+ALTER TABLE public.game_queue
+  DROP CONSTRAINT IF EXISTS game_queue_assignation_algo_fkey;
+
+ALTER TABLE public.game_queue
+  ADD CONSTRAINT game_queue_assignation_algo_fkey
+  FOREIGN KEY (assignation_algo) REFERENCES public.assignment_strategies (name);
+
+-- Assign the current player to a planet using the current game's strategy
+-- Players keep their planet for the rest of the game once assigned
+CREATE OR REPLACE FUNCTION public.join_planet(
+  p_requested_planet TEXT DEFAULT NULL,
+  p_color TEXT DEFAULT NULL
+)
+RETURNS JSON AS $$
+DECLARE
+  player_session TEXT := auth.uid()::TEXT;
+  current_game RECORD;
+  strategy RECORD;
+  existing_player RECORD;
+  planet TEXT;
+  saved_player RECORD;
+BEGIN
+  IF player_session IS NULL THEN
+    RAISE EXCEPTION 'Must be signed in to join a planet';
+  END IF;
+
+  -- Get the most recent game record
+  SELECT *
+  FROM public.game_queue
+  WHERE current_state != 'ended'
+  ORDER BY id DESC
+  LIMIT 1
+  INTO current_game;
+
+  IF NOT FOUND THEN
+    RAISE EXCEPTION 'No game to join';
+  END IF;
+
+  -- Keep the planet already assigned for this game
+  SELECT *
+  FROM public.players
+  WHERE session_id = player_session
+  INTO existing_player;
+
+  IF FOUND AND existing_player.assigned_game_id = current_game.id THEN
+    RETURN row_to_json(existing_player);
+  END IF;
+
+  -- Run the game's strategy
+  SELECT *
+  FROM public.assignment_strategies
+  WHERE name = current_game.assignation_algo
+  INTO strategy;
+
+  EXECUTE format('SELECT public.%I($1, $2)', strategy.function_name)
+  USING current_game.id, p_requested_planet
+  INTO planet;
+
+  -- Allow the planet change for this transaction only
+  PERFORM set_config('app.assigning_planet', player_session, true);
+
+  INSERT INTO public.players (session_id, planet_name, color, last_active, assigned_game_id)
+  VALUES (player_session, planet, COALESCE(p_color, '#FFFFFF'), NOW(), current_game.id)
+  ON CONFLICT (session_id) DO UPDATE
+  SET
+    planet_name = EXCLUDED.planet_name,
+    color = COALESCE(p_color, players.color),
+    last_active = EXCLUDED.last_active,
+    assigned_game_id = EXCLUDED.assigned_game_id
+  RETURNING *
+  INTO saved_player;
+
+  RETURN row_to_json(saved_player);
+END;
+$$ LANGUAGE plpgsql SECURITY DEFINER;
+
+GRANT EXECUTE ON FUNCTION public.join_planet(TEXT, TEXT) TO authenticated;
+
+-- Reject planet and game changes that do not come from join_planet
+-- A client setting assigned_game_id itself would make join_planet keep its row and skip the game's strategy
+-- (join_count lives on game_queue, which only the service role can write)
+-- Test players created from the debug panel (fake_ session IDs) are allowed
+CREATE OR REPLACE FUNCTION public.enforce_planet_assignment()
+RETURNS TRIGGER AS $$
+BEGIN
+  IF TG_OP = 'UPDATE'
+    AND NEW.planet_name IS NOT DISTINCT FROM OLD.planet_name
+    AND NEW.assigned_game_id IS NOT DISTINCT FROM OLD.assigned_game_id THEN
+    RETURN NEW;
+  END IF;
+
+  IF current_setting('app.assigning_planet', true) = NEW.session_id
+    OR NEW.session_id LIKE 'fake\_%'
+    OR auth.role() = 'service_role' THEN
+    RETURN NEW;
+  END IF;
+
+  RAISE EXCEPTION 'Planets are assigned by join_planet()';
+END;
+$$ LANGUAGE plpgsql;
+
+DROP TRIGGER IF EXISTS trg_players_planet_assignment ON public.players;
+CREATE TRIGGER trg_players_planet_assignment
+  BEFORE INSERT OR UPDATE OF planet_name, assigned_game_id ON public.players
+  FOR EACH ROW
+  EXECUTE FUNCTION public.enforce_planet_assignment();
+
+COMMENT ON TABLE public.assignment_strategies IS 'Registry of planet assignment strategies usable as game_queue.assignation_algo';
+COMMENT ON FUNCTION public.join_planet IS 'Assigns the signed-in player to a planet with the current game''s strategy and saves the player row.';
@@ -0,0 +1,163 @@
+-- Player Profiles and Statistics
+-- This file adds optional player profiles and statistics that accumulate across games
+-- This needs to be executed in the Supabase SQL Editor after 08_planet_assignment.sql
+
+-- Optional profile linked to the (anonymous or upgraded) Supabase user
+CREATE TABLE IF NOT EXISTS public.profiles (
+  user_id UUID PRIMARY KEY REFERENCES auth.users (id) ON DELETE CASCADE,
+  display_name TEXT CHECK (display_name IS NULL OR char_length(display_name) BETWEEN 1 AND 24),
+  color TEXT CHECK (color IS NULL OR color ~ '^#[0-9A-Fa-f]{6}$'),
+  avatar TEXT,
+  created_at TIMESTAMP WITH TIME ZONE DEFAULT NOW(),
+  updated_at TIMESTAMP WITH TIME ZONE DEFAULT NOW()
+);
+
+-- Enable Row Level Security (RLS)
+ALTER TABLE public.profiles ENABLE ROW LEVEL SECURITY;
+
+-- Profiles are shown to other players (e.g. names on leaderboards)
+CREATE POLICY "Allow public read access to profiles"
+  ON public.profiles
+  FOR SELECT
+  USING (true);
+
+-- Players can create and edit only their own profile
+CREATE POLICY "Allow users to insert their own profile"
+  ON public.profiles
+  FOR INSERT
+  WITH CHECK (auth.uid() = user_id);
+
+CREATE POLICY "Allow users to update their own profile"
+  ON public.profiles
+  FOR UPDATE
+  USING (auth.uid() = user_id);
+
+-- Statistics accumulated from every finished game
+-- wins structure: { "<planet_name>": 3 }
+CREATE TABLE IF NOT EXISTS public.player_stats (
+  user_id UUID PRIMARY KEY REFERENCES auth.users (id) ON DELETE CASCADE,
+  total_clicks BIGINT NOT NULL DEFAULT 0,
+  games_played INTEGER NOT NULL DEFAULT 0,
+  wins JSONB NOT NULL DEFAULT '{}'::jsonb,
+  mvp_count INTEGER NOT NULL DEFAULT 0,
+  updated_at TIMESTAMP WITH TIME ZONE DEFAULT NOW()
+);
+
+-- Enable Row Level Security (RLS)
+ALTER TABLE public.player_stats ENABLE ROW LEVEL SECURITY;
+
+-- Stats are public, but only written by the database when a game finishes
+CREATE POLICY "Allow public read access to player_stats"
+  ON public.player_stats
+  FOR SELECT
+  USING (true);
+
+-- When the statistics of a game were added to player_stats
+ALTER TABLE public.game_queue
+  ADD COLUMN IF NOT EXISTS stats_recorded_at TIMESTAMP WITH TIME ZONE;
+
+-- Add the clicks of a finished game to player_stats, once per game
+-- Every session that contributed clicks played the game; the top contributor of the game is its MVP
+-- Flagged sessions are skipped
+-- The contributions and winner are read from the game itself, clients can't pass their own
+DROP FUNCTION IF EXISTS public.record_game_stats(INTEGER, JSONB, TEXT);
+CREATE OR REPLACE FUNCTION public.record_game_stats(
+  p_game_id INTEGER
+)
+RETURNS VOID AS $$
+DECLARE
+  v_contributions JSONB;
+  v_winner_planet TEXT;
+BEGIN
+  -- Claim the game, so its statistics are only added once
+  UPDATE public.game_queue
+  SET stats_recorded_at = NOW()
+  WHERE id = p_game_id
+  AND current_state IN ('victory', 'ended')
+  AND stats_recorded_at IS NULL
+  RETURNING click_contributions, winner_planet
+  INTO v_contributions, v_winner_planet;
+
+  IF NOT FOUND THEN
+    RETURN;
+  END IF;
+
+  WITH session_totals AS (
+    SELECT
+      s.key AS session_id,
+      p.key AS planet_name,
+      SUM(b.value::INTEGER) AS clicks
+    FROM jsonb_each(COALESCE(v_contributions, '{}'::jsonb)) AS p
+    CROSS JOIN LATERAL jsonb_each(p.value) AS s
+    CROSS JOIN LATERAL jsonb_array_elements_text(s.value) AS b
+    WHERE s.key NOT IN (
+      SELECT f.session_id
+      FROM public.flagged_sessions f
+      WHERE f.game_id = p_game_id
+      AND f.flagged
+    )
+    GROUP BY s.key, p.key
+  ),
+  game_players AS (
+    SELECT
+      t.session_id::UUID AS user_id,
+      t.planet_name,
+      t.clicks,
+      t.clicks = MAX(t.clicks) OVER () AS is_mvp
+    FROM session_totals t
+    -- Only sessions that still exist in auth.users can have stats
+    WHERE EXISTS (SELECT 1 FROM auth.users u WHERE u.id::TEXT = t.session_id)
+  )
+  INSERT INTO public.player_stats (user_id, total_clicks, games_played, wins, mvp_count)
+  SELECT
+    g.user_id,
+    g.clicks,
+    1,
+    CASE WHEN g.planet_name = v_winner_planet THEN jsonb_build_object(g.planet_name, 1) ELSE '{}'::jsonb END,
+    CASE WHEN g.is_mvp THEN 1 ELSE 0 END
+  FROM game_players g
+  ON CONFLICT (user_id) DO UPDATE
+  SET
+    total_clicks = player_stats.total_clicks + EXCLUDED.total_clicks,
+    games_played = player_stats.games_played + 1,
+    wins = player_stats.wins || (
+      SELECT COALESCE(jsonb_object_agg(w.key, COALESCE((player_stats.wins ->> w.key)::INTEGER, 0) + w.value::INTEGER), '{}'::jsonb)
+      FROM jsonb_each_text(EXCLUDED.wins) AS w
+    ),
+    mvp_count = player_stats.mvp_count + EXCLUDED.mvp_count,
+    updated_at = NOW();
+END;
+$$ LANGUAGE plpgsql SECURITY DEFINER;
+
+-- Only the trigger below records statistics
+REVOKE EXECUTE ON FUNCTION public.record_game_stats(INTEGER) FROM PUBLIC, anon, authenticated;
+GRANT EXECUTE ON FUNCTION public.record_game_stats(INTEGER) TO service_role;
+
+-- Record the statistics once, when a game reaches victory or ends
+-- Runs after the update, so the contributions added and the victory declared by the same update are counted
+-- SECURITY DEFINER so it can call record_game_stats whoever updated the game
+CREATE OR REPLACE FUNCTION public.record_finished_game_stats()
+RETURNS TRIGGER AS $$
+BEGIN
+  PERFORM public.record_game_stats(NEW.id);
+
+  RETURN NULL;
+END;
+$$ LANGUAGE plpgsql SECURITY DEFINER;
+
+DROP TRIGGER IF EXISTS trg_game_queue_record_stats ON public.game_queue;
+CREATE TRIGGER trg_game_queue_record_stats
+  AFTER UPDATE ON public.game_queue
+  FOR EACH ROW
+  WHEN (NEW.current_state IN ('victory', 'ended') AND NEW.stats_recorded_at IS NULL)
+  EXECUTE FUNCTION public.record_finished_game_stats();
+
+-- Games that finished before this file was executed are not counted
+UPDATE public.game_queue
+SET stats_recorded_at = COALESCE(ended_at, NOW())
+WHERE current_state IN ('victory', 'ended', 'cooldown')
+AND stats_recorded_at IS NULL;
+
+COMMENT ON TABLE public.profiles IS 'Optional display name, color and avatar for a player, kept across games';
+COMMENT ON TABLE public.player_stats IS 'Clicks, games played, wins per planet and MVP awards accumulated from finished games';
+COMMENT ON FUNCTION public.record_game_stats IS 'Adds the click contributions of a finished game to player_stats, once. Called by trg_game_queue_record_stats, not executable by clients.';
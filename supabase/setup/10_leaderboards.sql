@@ -0,0 +1,113 @@
+-- Leaderboards
+-- This file adds read functions for the per-round and all-time leaderboards and the planet win record
+-- This needs to be executed in the Supabase SQL Editor after 09_player_profiles.sql
+
+-- Top contributors of a game per planet, skipping flagged sessions
+-- Structure: { "<planet_name>": [{ "user_id": "...", "display_name": "...", "avatar": "...", "clicks": 120 }] }
+CREATE OR REPLACE FUNCTION public.get_round_leaderboard(
+  p_game_id INTEGER,
+  p_limit INTEGER DEFAULT 10
+)
+RETURNS JSON AS $$
+  WITH session_totals AS (
+    SELECT
+      p.key AS planet_name,
+      s.key AS session_id,
+      SUM(b.value::INTEGER) AS clicks
+    FROM public.game_queue g
+    CROSS JOIN LATERAL jsonb_each(g.click_contributions) AS p
+    CROSS JOIN LATERAL jsonb_each(p.value) AS s
+    CROSS JOIN LATERAL jsonb_array_elements_text(s.value) AS b
+    WHERE g.id = p_game_id
+    AND s.key NOT IN (
+      SELECT f.session_id
+      FROM public.flagged_sessions f
+      WHERE f.game_id = p_game_id
+      AND f.flagged
+    )
+    GROUP BY p.key, s.key
+  ),
+  ranked AS (
+    SELECT
+      t.*,
+      ROW_NUMBER() OVER (PARTITION BY t.planet_name ORDER BY t.clicks DESC) AS rank
+    FROM session_totals t
+  )
+  SELECT COALESCE(json_object_agg(planets.planet_name, planets.players), '{}'::json)
+  FROM (
+    SELECT
+      r.planet_name,
+      json_agg(
+        json_build_object(
+          'user_id', r.session_id,
+          'display_name', pr.display_name,
+          'avatar', pr.avatar,
+          'clicks', r.clicks
+        )
+        ORDER BY r.rank
+      ) AS players
+    FROM ranked r
+    LEFT JOIN public.profiles pr ON pr.user_id::TEXT = r.session_id
+    WHERE r.rank <= p_limit
+    GROUP BY r.planet_name
+  ) planets;
+$$ LANGUAGE sql STABLE SECURITY DEFINER;
+
+-- Players with the most clicks across all games
+CREATE OR REPLACE FUNCTION public.get_alltime_leaderboard(
+  p_limit INTEGER DEFAULT 10
+)
+RETURNS JSON AS $$
+  SELECT COALESCE(json_agg(leaders ORDER BY leaders.total_clicks DESC), '[]'::json)
+  FROM (
+    SELECT
+      st.user_id,
+      pr.display_name,
+      pr.avatar,
+      st.total_clicks,
+      st.games_played,
+      st.wins,
+      st.mvp_count
+    FROM public.player_stats st
+    LEFT JOIN public.profiles pr ON pr.user_id = st.user_id
+    ORDER BY st.total_clicks DESC
+    LIMIT p_limit
+  ) leaders;
+$$ LANGUAGE sql STABLE SECURITY DEFINER;
+
+-- Number of games won by each planet, and games that ended without a winner
+-- Only games with counted clicks are ties, rounds that expired without players or clicks are not
+-- Structure: { "wins": { "earth": 4, "mars": 2 }, "ties": 1 }
+CREATE OR REPLACE FUNCTION public.get_planet_win_record()
+RETURNS JSON AS $$
+  SELECT json_build_object(
+    'wins', (
+      SELECT COALESCE(json_object_agg(w.winner_planet, w.games), '{}'::json)
+      FROM (
+        SELECT winner_planet, COUNT(*) AS games
+        FROM public.game_queue
+        WHERE winner_planet IS NOT NULL
+        GROUP BY winner_planet
+      ) w
+    ),
+    'ties', (
+      SELECT COUNT(*)
+      FROM public.game_queue
+      WHERE winner_planet IS NULL
+      AND current_state = 'ended'
+      AND EXISTS (
+        SELECT 1
+        FROM jsonb_each_text(click_totals) AS t
+        WHERE t.value::INTEGER > 0
+      )
+    )
+  );
+$$ LANGUAGE sql STABLE SECURITY DEFINER;
+
+GRANT EXECUTE ON FUNCTION public.get_round_leaderboard(INTEGER, INTEGER) TO anon, authenticated, service_role;
+GRANT EXECUTE ON FUNCTION public.get_alltime_leaderboard(INTEGER) TO anon, authenticated, service_role;
+GRANT EXECUTE ON FUNCTION public.get_planet_win_record() TO anon, authenticated, service_role;
+
+COMMENT ON FUNCTION public.get_round_leaderboard IS 'Top contributors per planet for a game. Used by /api/leaderboard.';
+COMMENT ON FUNCTION public.get_alltime_leaderboard IS 'Players with the most clicks across all games. Used by /api/leaderboard.';
+COMMENT ON FUNCTION public.get_planet_win_record IS 'Games won per planet and games that ended in a tie. Used by /api/leaderboard.';
@@ -0,0 +1,274 @@
+-- Upgrades
+-- This file adds an in-round economy where contributed clicks buy click multipliers, team boosts and drones
+-- This needs to be executed in the Supabase SQL Editor after 10_leaderboards.sql
+
+-- Registry of the upgrades that can be bought
+-- kind:
+--   multiplier - personal, adds value to the session's click multiplier for the rest of the game
+--   team_boost - multiplies the clicks of everyone on the buyer's planet by value for duration_seconds
+--   drone      - adds value clicks per second to the buyer's contributions for the rest of the game
+CREATE TABLE IF NOT EXISTS public.upgrade_types (
+  name TEXT PRIMARY KEY,
+  kind TEXT NOT NULL CHECK (kind IN ('multiplier', 'team_boost', 'drone')),
+  cost INTEGER NOT NULL CHECK (cost > 0),
+  value NUMERIC NOT NULL CHECK (value > 0),
+  duration_seconds INTEGER,
+  max_per_game INTEGER,
+  description TEXT
+);
+
+-- Enable Row Level Security (RLS)
+ALTER TABLE public.upgrade_types ENABLE ROW LEVEL SECURITY;
+
+-- Everyone can read the catalog, only the service role can change it
+CREATE POLICY "Allow public read access to upgrade_types"
+  ON public.upgrade_types
+  FOR SELECT
+  USING (true);
+
+CREATE POLICY "Allow service role to manage upgrade_types"
+  ON public.upgrade_types
+  FOR ALL
+  TO service_role
+  USING (true);
+
+INSERT INTO public.upgrade_types (name, kind, cost, value, duration_seconds, max_per_game, description)
+VALUES
+  ('click_multiplier', 'multiplier', 150, 0.5, NULL, 4, 'Each of your clicks counts 50% more'),
+  ('team_boost', 'team_boost', 400, 2, 30, NULL, 'Doubles the clicks of your whole planet for 30 seconds'),
+  ('drone', 'drone', 250, 1, NULL, 3, 'A drone orbits your rocket and adds 1 click per second')
+ON CONFLICT (name) DO NOTHING;
+
+-- Upgrades bought in each game
+CREATE TABLE IF NOT EXISTS public.game_upgrades (
+  id SERIAL PRIMARY KEY,
+  game_id INTEGER NOT NULL REFERENCES public.game_queue (id) ON DELETE CASCADE,
+  session_id TEXT NOT NULL,
+  planet_name TEXT NOT NULL,
+  upgrade_name TEXT NOT NULL REFERENCES public.upgrade_types (name),
+  cost INTEGER NOT NULL,
+  purchased_at TIMESTAMP WITH TIME ZONE DEFAULT NOW(),
+  expires_at TIMESTAMP WITH TIME ZONE,
+  -- Last time drone clicks were added to the contributions (drones only)
+  last_accrued_at TIMESTAMP WITH TIME ZONE
+);
+
+-- Add index for looking up the upgrades of a game
+CREATE INDEX IF NOT EXISTS idx_game_upgrades_game
+  ON public.game_upgrades (game_id, session_id);
+
+-- Enable Row Level Security (RLS)
+ALTER TABLE public.game_upgrades ENABLE ROW LEVEL SECURITY;
+
+-- Everyone can see the upgrades (to show boosts and drones), only the service role can add them
+CREATE POLICY "Allow public read access to game_upgrades"
+  ON public.game_upgrades
+  FOR SELECT
+  USING (true);
+
+CREATE POLICY "Allow service role to manage game_upgrades"
+  ON public.game_upgrades
+  FOR ALL
+  TO service_role
+  USING (true);
+
+-- Enable realtime for game_upgrades so clients see purchases as they happen
+ALTER PUBLICATION supabase_realtime ADD TABLE public.game_upgrades;
+
+-- Points a session can still spend in a game: every contributed click earns a point
+CREATE OR REPLACE FUNCTION public.get_upgrade_points(
+  p_game_id INTEGER,
+  p_session_id TEXT
+)
+RETURNS INTEGER AS $$
+  SELECT (
+    SELECT COALESCE(SUM(b.value::INTEGER), 0)
+    FROM public.game_queue g
+    CROSS JOIN LATERAL jsonb_each(g.click_contributions) AS p
+    CROSS JOIN LATERAL jsonb_array_elements_text(COALESCE(p.value -> p_session_id, '[]'::jsonb)) AS b
+    WHERE g.id = p_game_id
+  ) - (
+    SELECT COALESCE(SUM(u.cost), 0)
+    FROM public.game_upgrades u
+    WHERE u.game_id = p_game_id
+    AND u.session_id = p_session_id
+  )::INTEGER;
+$$ LANGUAGE sql STABLE;
+
+-- Multiplier applied to a batch of clicks: personal multipliers times the strongest active team boost
+CREATE OR REPLACE FUNCTION public.get_click_multiplier(
+  p_game_id INTEGER,
+  p_session_id TEXT,
+  p_planet_name TEXT
+)
+RETURNS NUMERIC AS $$
+  SELECT (
+    1 + COALESCE((
+      SELECT SUM(t.value)
+      FROM public.game_upgrades u
+      JOIN public.upgrade_types t ON t.name = u.upgrade_name
+      WHERE u.game_id = p_game_id
+      AND u.session_id = p_session_id
+      AND t.kind = 'multiplier'
+    ), 0)
+  ) * COALESCE((
+    SELECT MAX(t.value)
+    FROM public.game_upgrades u
+    JOIN public.upgrade_types t ON t.name = u.upgrade_name
+    WHERE u.game_id = p_game_id
+    AND u.planet_name = p_planet_name
+    AND t.kind = 'team_boost'
+    AND u.expires_at > NOW()
+  ), 1);
+$$ LANGUAGE sql STABLE;
+
+-- Buy an upgrade for a session, checking the points and the per-game limit
+-- Returns { "upgrade": <game_upgrades row>, "points": <points left> }
+CREATE OR REPLACE FUNCTION public.purchase_upgrade(
+  p_game_id INTEGER,
+  p_session_id TEXT,
+  p_planet_name TEXT,
+  p_upgrade_name TEXT
+)
+RETURNS JSON AS $$
+DECLARE
+  upgrade_type RECORD;
+  owned INTEGER;
+  points INTEGER;
+  purchase RECORD;
+BEGIN
+  -- Lock the game so concurrent purchases of the same session can't spend the same points
+  PERFORM 1
+  FROM public.game_queue
+  WHERE id = p_game_id
+  AND current_state = 'active'
+  FOR UPDATE;
+
+  IF NOT FOUND THEN
+    RAISE EXCEPTION 'Game with ID % not found or not active', p_game_id;
+  END IF;
+
+  SELECT * INTO upgrade_type
+  FROM public.upgrade_types
+  WHERE name = p_upgrade_name;
+
+  IF NOT FOUND THEN
+    RAISE EXCEPTION 'Unknown upgrade %', p_upgrade_name;
+  END IF;
+
+  IF upgrade_type.max_per_game IS NOT NULL THEN
+    SELECT COUNT(*) INTO owned
+    FROM public.game_upgrades
+    WHERE game_id = p_game_id
+    AND session_id = p_session_id
+    AND upgrade_name = p_upgrade_name;
+
+    IF owned >= upgrade_type.max_per_game THEN
+      RAISE EXCEPTION 'Upgrade % can only be bought % times per game', p_upgrade_name, upgrade_type.max_per_game;
+    END IF;
+  END IF;
+
+  points := public.get_upgrade_points(p_game_id, p_session_id);
+  IF points < upgrade_type.cost THEN
+    RAISE EXCEPTION 'Not enough points: % needed, % available', upgrade_type.cost, points;
+  END IF;
+
+  INSERT INTO public.game_upgrades (game_id, session_id, planet_name, upgrade_name, cost, expires_at, last_accrued_at)
+  VALUES (
+    p_game_id,
+    p_session_id,
+    p_planet_name,
+    p_upgrade_name,
+    upgrade_type.cost,
+    CASE WHEN upgrade_type.duration_seconds IS NOT NULL THEN NOW() + make_interval(secs => upgrade_type.duration_seconds) END,
+    CASE WHEN upgrade_type.kind = 'drone' THEN NOW() END
+  )
+  RETURNING * INTO purchase;
+
+  RETURN json_build_object(
+    'upgrade', row_to_json(purchase),
+    'points', points - upgrade_type.cost
+  );
+END;
+$$ LANGUAGE plpgsql SECURITY DEFINER;
+
+-- Add the clicks made by drones since they were last accrued to their owners' contributions
+-- Drones are only accrued once at least p_min_seconds have passed, to keep the number of writes low
+-- Returns the number of clicks added
+CREATE OR REPLACE FUNCTION public.accrue_drone_clicks(
+  p_game_id INTEGER,
+  p_min_seconds INTEGER DEFAULT 5
+)
+RETURNS INTEGER AS $$
+DECLARE
+  drone_owner RECORD;
+  added INTEGER := 0;
+BEGIN
+  -- Lock the game so two accruals can't count the same seconds twice
+  PERFORM 1
+  FROM public.game_queue
+  WHERE id = p_game_id
+  AND current_state = 'active'
+  FOR UPDATE;
+
+  IF NOT FOUND THEN
+    RETURN 0;
+  END IF;
+
+  FOR drone_owner IN
+    SELECT
+      u.session_id,
+      u.planet_name,
+      FLOOR(SUM(EXTRACT(EPOCH FROM (NOW() - u.last_accrued_at)) * t.value))::INTEGER AS clicks
+    FROM public.game_upgrades u
+    JOIN public.upgrade_types t ON t.name = u.upgrade_name
+    WHERE u.game_id = p_game_id
+    AND t.kind = 'drone'
+    AND u.last_accrued_at <= NOW() - make_interval(secs => p_min_seconds)
+    GROUP BY u.session_id, u.planet_name
+  LOOP
+    IF drone_owner.clicks > 0 THEN
+      -- Same update as append_click_contribution, without touching the player's push rate limit
+      UPDATE public.game_queue
+      SET click_contributions = jsonb_set(
+        jsonb_set(
+          click_contributions,
+          ARRAY[drone_owner.planet_name],
+          COALESCE(click_contributions -> drone_owner.planet_name, '{}'::jsonb)
+        ),
+        ARRAY[drone_owner.planet_name, drone_owner.session_id],
+        COALESCE(click_contributions -> drone_owner.planet_name -> drone_owner.session_id, '[]'::jsonb) || to_jsonb(drone_owner.clicks)
+      )
+      WHERE id = p_game_id
+      AND current_state = 'active';
+
+      added := added + drone_owner.clicks;
+    END IF;
+
+    UPDATE public.game_upgrades
+    SET last_accrued_at = NOW()
+    WHERE game_id = p_game_id
+    AND session_id = drone_owner.session_id
+    AND last_accrued_at <= NOW() - make_interval(secs => p_min_seconds);
+  END LOOP;
+
+  RETURN added;
+END;
+$$ LANGUAGE plpgsql SECURITY DEFINER;
+
+-- Only the API endpoints and the cron handler (service role) may spend points and add clicks
+REVOKE EXECUTE ON FUNCTION public.get_upgrade_points(INTEGER, TEXT) FROM PUBLIC, anon, authenticated;
+REVOKE EXECUTE ON FUNCTION public.get_click_multiplier(INTEGER, TEXT, TEXT) FROM PUBLIC, anon, authenticated;
+REVOKE EXECUTE ON FUNCTION public.purchase_upgrade(INTEGER, TEXT, TEXT, TEXT) FROM PUBLIC, anon, authenticated;
+REVOKE EXECUTE ON FUNCTION public.accrue_drone_clicks(INTEGER, INTEGER) FROM PUBLIC, anon, authenticated;
+
+GRANT EXECUTE ON FUNCTION public.get_upgrade_points(INTEGER, TEXT) TO service_role;
+GRANT EXECUTE ON FUNCTION public.get_click_multiplier(INTEGER, TEXT, TEXT) TO service_role;
+GRANT EXECUTE ON FUNCTION public.purchase_upgrade(INTEGER, TEXT, TEXT, TEXT) TO service_role;
+GRANT EXECUTE ON FUNCTION public.accrue_drone_clicks(INTEGER, INTEGER) TO service_role;
+
+COMMENT ON TABLE public.upgrade_types IS 'Catalog of upgrades that can be bought with click points during a game';
+COMMENT ON TABLE public.game_upgrades IS 'Upgrades bought per game and session. Used for click multipliers, team boosts and drones.';
+COMMENT ON FUNCTION public.get_click_multiplier IS 'Multiplier applied to a click batch by /api/push_clicks.';
+COMMENT ON FUNCTION public.purchase_upgrade IS 'Spends click points on an upgrade. Called by /api/purchase_upgrade.';
+COMMENT ON FUNCTION public.accrue_drone_clicks IS 'Adds drone clicks to the contributions. Called by /api/updateGameState and /api/push_clicks.';
@@ -0,0 +1,10 @@
+-- Terrain Seeds
+-- This file gives every game its own terrain seed so all clients generate the same planets
+-- This needs to be executed in the Supabase SQL Editor after 11_upgrades.sql
+
+-- Seed of the planets' terrain for a game
+-- Every new game (and every existing row) gets a random seed; clients derive each planet's seed from it
+ALTER TABLE public.game_queue
+  ADD COLUMN IF NOT EXISTS terrain_seed INTEGER NOT NULL DEFAULT floor(random() * 2147483647)::INTEGER;
+
+COMMENT ON COLUMN public.game_queue.terrain_seed IS 'Seed the clients use to generate the planets terrain for the game';
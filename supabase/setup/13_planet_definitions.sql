@@ -0,0 +1,254 @@
+-- Planet Definitions
+-- This file makes planets data-driven: every game picks a theme, a pair of planet types, instead of always Earth vs Mars
+-- This needs to be executed in the Supabase SQL Editor after 12_terrain_seeds.sql
+
+-- Planet types a game can feature
+-- Names, radius and gravity must match PLANET_DEFINITIONS in src/objects/PlanetDefinitions.js,
+-- which also holds the visuals (biomes, colors, water and atmosphere)
+CREATE TABLE IF NOT EXISTS public.planet_definitions (
+  name TEXT PRIMARY KEY,
+  display_name TEXT NOT NULL,
+  team_name TEXT NOT NULL,
+  radius NUMERIC NOT NULL DEFAULT 15 CHECK (radius > 0),
+  gravity NUMERIC NOT NULL CHECK (gravity > 0),
+  has_water BOOLEAN NOT NULL DEFAULT false,
+  description TEXT
+);
+
+-- Enable Row Level Security (RLS)
+ALTER TABLE public.planet_definitions ENABLE ROW LEVEL SECURITY;
+
+-- Everyone can read the definitions, only the service role can change them
+CREATE POLICY "Allow public read access to planet_definitions"
+  ON public.planet_definitions
+  FOR SELECT
+  USING (true);
+
+CREATE POLICY "Allow service role to manage planet_definitions"
+  ON public.planet_definitions
+  FOR ALL
+  TO service_role
+  USING (true);
+
+INSERT INTO public.planet_definitions (name, display_name, team_name, radius, gravity, has_water, description)
+VALUES
+  ('earth', 'Earth', 'Terrans', 15, 1.5, true, 'Green plains, gray mountains and blue lakes'),
+  ('mars', 'Mars', 'Martians', 15, 0.57, false, 'Dusty red plains and rocky mountains, no water'),
+  ('ice', 'Ice World', 'Cryonauts', 15, 1.1, true, 'Snowfields, glaciers and frozen seas'),
+  ('volcanic', 'Volcanic World', 'Magmites', 15, 1.2, true, 'Basalt plains, obsidian ridges and lava lakes')
+ON CONFLICT (name) DO UPDATE
+SET
+  display_name = EXCLUDED.display_name,
+  team_name = EXCLUDED.team_name,
+  radius = EXCLUDED.radius,
+  gravity = EXCLUDED.gravity,
+  has_water = EXCLUDED.has_water,
+  description = EXCLUDED.description;
+
+-- Raise an error unless every planet of the list is defined
+CREATE OR REPLACE FUNCTION public.validate_planet_names(
+  p_planets TEXT[]
+)
+RETURNS VOID AS $$
+DECLARE
+  unknown_planet TEXT;
+BEGIN
+  SELECT p
+  FROM unnest(p_planets) AS p
+  WHERE NOT EXISTS (SELECT 1 FROM public.planet_definitions d WHERE d.name = p)
+  LIMIT 1
+  INTO unknown_planet;
+
+  IF unknown_planet IS NOT NULL THEN
+    RAISE EXCEPTION 'Planet % is not defined in planet_definitions', unknown_planet;
+  END IF;
+END;
+$$ LANGUAGE plpgsql STABLE;
+
+-- Pairs of planets a game can be played on
+-- weight: relative chance of the theme being picked for a new game (0 disables it)
+-- The client places the planets left to right in array order
+CREATE TABLE IF NOT EXISTS public.planet_themes (
+  name TEXT PRIMARY KEY,
+  planets TEXT[] NOT NULL CHECK (cardinality(planets) = 2),
+  weight INTEGER NOT NULL DEFAULT 1 CHECK (weight >= 0),
+  description TEXT
+);
+
+-- Enable Row Level Security (RLS)
+ALTER TABLE public.planet_themes ENABLE ROW LEVEL SECURITY;
+
+-- Everyone can read the themes, only the service role can change them
+CREATE POLICY "Allow public read access to planet_themes"
+  ON public.planet_themes
+  FOR SELECT
+  USING (true);
+
+CREATE POLICY "Allow service role to manage planet_themes"
+  ON public.planet_themes
+  FOR ALL
+  TO service_role
+  USING (true);
+
+-- Themes can only use defined planets (arrays can't have foreign keys)
+CREATE OR REPLACE FUNCTION public.validate_planet_theme()
+RETURNS TRIGGER AS $$
+BEGIN
+  PERFORM public.validate_planet_names(NEW.planets);
+  RETURN NEW;
+END;
+$$ LANGUAGE plpgsql;
+
+DROP TRIGGER IF EXISTS trg_planet_themes_validate ON public.planet_themes;
+CREATE TRIGGER trg_planet_themes_validate
+  BEFORE INSERT OR UPDATE OF planets ON public.planet_themes
+  FOR EACH ROW
+  EXECUTE FUNCTION public.validate_planet_theme();
+
+INSERT INTO public.planet_themes (name, planets, weight, description)
+VALUES
+  ('classic', ARRAY['earth', 'mars'], 2, 'Earth vs Mars'),
+  ('fire_and_ice', ARRAY['ice', 'volcanic'], 1, 'An ice world vs a volcanic world'),
+  ('cold_war', ARRAY['mars', 'ice'], 1, 'Mars vs an ice world')
+ON CONFLICT (name) DO UPDATE
+SET
+  planets = EXCLUDED.planets,
+  weight = EXCLUDED.weight,
+  description = EXCLUDED.description;
+
+-- Theme and planets of each game
+-- planets is copied from the theme so editing a theme doesn't change games already created
+ALTER TABLE public.game_queue
+  ADD COLUMN IF NOT EXISTS theme TEXT REFERENCES public.planet_themes (name);
+
+ALTER TABLE public.game_queue
+  ADD COLUMN IF NOT EXISTS planets TEXT[] NOT NULL DEFAULT ARRAY['earth', 'mars'];
+
+-- Games created before themes existed were played on Earth vs Mars
+UPDATE public.game_queue
+SET theme = 'classic'
+WHERE theme IS NULL;
+
+-- Pick a theme for new games, weighted by planet_themes.weight
+-- A theme set explicitly on insert is kept
+CREATE OR REPLACE FUNCTION public.assign_game_theme()
+RETURNS TRIGGER AS $$
+DECLARE
+  picked_theme RECORD;
+BEGIN
+  IF NEW.theme IS NULL THEN
+    -- Weighted random pick: the smallest -ln(u) / weight wins with probability weight / total
+    SELECT name, planets
+    FROM public.planet_themes
+    WHERE weight > 0
+    ORDER BY -ln(1.0 - random()) / weight
+    LIMIT 1
+    INTO picked_theme;
+  ELSE
+    SELECT name, planets
+    FROM public.planet_themes
+    WHERE name = NEW.theme
+    INTO picked_theme;
+  END IF;
+
+  IF picked_theme.name IS NOT NULL THEN
+    NEW.theme := picked_theme.name;
+    NEW.planets := picked_theme.planets;
+  END IF;
+
+  PERFORM public.validate_planet_names(NEW.planets);
+
+  RETURN NEW;
+END;
+$$ LANGUAGE plpgsql;
+
+DROP TRIGGER IF EXISTS trg_game_queue_assign_theme ON public.game_queue;
+CREATE TRIGGER trg_game_queue_assign_theme
+  BEFORE INSERT ON public.game_queue
+  FOR EACH ROW
+  EXECUTE FUNCTION public.assign_game_theme();
+
+-- The winner must be one of the game's planets, instead of 'earth' or 'mars'
+ALTER TABLE public.game_queue
+  DROP CONSTRAINT IF EXISTS game_queue_winner_planet_check;
+
+ALTER TABLE public.game_queue
+  DROP CONSTRAINT IF EXISTS game_queue_winner_planet_fkey;
+
+ALTER TABLE public.game_queue
+  ADD CONSTRAINT game_queue_winner_planet_fkey
+  FOREIGN KEY (winner_planet) REFERENCES public.planet_definitions (name);
+
+ALTER TABLE public.game_queue
+  ADD CONSTRAINT game_queue_winner_planet_check
+  CHECK (winner_planet IS NULL OR winner_planet = ANY(planets));
+
+-- Planets players can be assigned to in a game
+-- Replaces the fixed list of 08_planet_assignment.sql
+DROP FUNCTION IF EXISTS public.get_planet_names();
+
+CREATE OR REPLACE FUNCTION public.get_planet_names(
+  p_game_id INTEGER
+)
+RETURNS TEXT[] AS $$
+  SELECT planets
+  FROM public.game_queue
+  WHERE id = p_game_id;
+$$ LANGUAGE sql STABLE;
+
+-- Round-robin: alternate the game's planets in join order
+CREATE OR REPLACE FUNCTION public.assign_planet_roundrobin(
+  p_game_id INTEGER,
+  p_requested_planet TEXT
+)
+RETURNS TEXT AS $$
+DECLARE
+  game_planets TEXT[] := public.get_planet_names(p_game_id);
+  join_position INTEGER;
+BEGIN
+  UPDATE public.game_queue
+  SET join_count = join_count + 1
+  WHERE id = p_game_id
+  RETURNING join_count
+  INTO join_position;
+
+  RETURN game_planets[((join_position - 1) % array_length(game_planets, 1)) + 1];
+END;
+$$ LANGUAGE plpgsql;
+
+-- Random: any of the game's planets with the same probability
+CREATE OR REPLACE FUNCTION public.assign_planet_random(
+  p_game_id INTEGER,
+  p_requested_planet TEXT
+)
+RETURNS TEXT AS $$
+DECLARE
+  game_planets TEXT[] := public.get_planet_names(p_game_id);
+BEGIN
+  RETURN game_planets[floor(random() * array_length(game_planets, 1))::INTEGER + 1];
+END;
+$$ LANGUAGE plpgsql;
+
+-- Free: the player picks, as long as the planet is part of the game
+CREATE OR REPLACE FUNCTION public.assign_planet_free(
+  p_game_id INTEGER,
+  p_requested_planet TEXT
+)
+RETURNS TEXT AS $$
+DECLARE
+  game_planets TEXT[] := public.get_planet_names(p_game_id);
+BEGIN
+  IF p_requested_planet IS NULL OR NOT p_requested_planet = ANY(game_planets) THEN
+    RAISE EXCEPTION 'Planet % is not available. Choose one of %', p_requested_planet, game_planets;
+  END IF;
+
+  RETURN p_requested_planet;
+END;
+$$ LANGUAGE plpgsql;
+
+COMMENT ON TABLE public.planet_definitions IS 'Planet types a game can feature. Visuals live in src/objects/PlanetDefinitions.js';
+COMMENT ON TABLE public.planet_themes IS 'Pairs of planet types, one is picked at random (by weight) for every new game';
+COMMENT ON COLUMN public.game_queue.theme IS 'Theme picked for the game from planet_themes';
+COMMENT ON COLUMN public.game_queue.planets IS 'Planet types of the game, left to right. Clients build the planets from it';
+COMMENT ON FUNCTION public.assign_game_theme IS 'Picks a weighted random theme for new games and copies its planets. Called by trg_game_queue_assign_theme.';
+COMMENT ON FUNCTION public.get_planet_names(INTEGER) IS 'Planets players can be assigned to in a game. Used by the assignment strategies.';
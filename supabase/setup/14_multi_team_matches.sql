@@ -0,0 +1,222 @@
+-- Multi-Team Matches
+-- This file allows games of 3 and 4 planets, balances players across all of them and lets the winner pick which rival to destroy
+-- This needs to be executed in the Supabase SQL Editor after 13_planet_definitions.sql
+
+-- Themes can now feature 2 to 4 planets
+-- Must match MAX_PLANETS in src/objects/PlanetDefinitions.js
+ALTER TABLE public.planet_themes
+  DROP CONSTRAINT IF EXISTS planet_themes_planets_check;
+
+ALTER TABLE public.planet_themes
+  ADD CONSTRAINT planet_themes_planets_check
+  CHECK (cardinality(planets) BETWEEN 2 AND 4);
+
+INSERT INTO public.planet_themes (name, planets, weight, description)
+VALUES
+  ('triple_threat', ARRAY['earth', 'mars', 'ice'], 1, 'Earth vs Mars vs an ice world'),
+  ('four_worlds', ARRAY['earth', 'mars', 'ice', 'volcanic'], 1, 'Every planet type against each other')
+ON CONFLICT (name) DO UPDATE
+SET
+  planets = EXCLUDED.planets,
+  weight = EXCLUDED.weight,
+  description = EXCLUDED.description;
+
+-- Balanced: the game's planet with the fewest players, ties broken at random
+-- Round-robin only alternates join order, this counts the players already assigned to each planet
+CREATE OR REPLACE FUNCTION public.assign_planet_balanced(
+  p_game_id INTEGER,
+  p_requested_planet TEXT
+)
+RETURNS TEXT AS $$
+DECLARE
+  game_planets TEXT[];
+  planet TEXT;
+BEGIN
+  -- Lock the game so concurrent joins see each other's assignments
+  SELECT planets
+  FROM public.game_queue
+  WHERE id = p_game_id
+  FOR UPDATE
+  INTO game_planets;
+
+  SELECT p
+  FROM unnest(game_planets) AS p
+  ORDER BY (
+    SELECT COUNT(*)
+    FROM public.players pl
+    WHERE pl.assigned_game_id = p_game_id
+    AND pl.planet_name = p
+  ), random()
+  LIMIT 1
+  INTO planet;
+
+  RETURN planet;
+END;
+$$ LANGUAGE plpgsql;
+
+INSERT INTO public.assignment_strategies (name, function_name, requires_choice, description)
+VALUES
+  ('balanced', 'assign_planet_balanced', false, 'Assign the planet with the fewest players')
+ON CONFLICT (name) DO UPDATE
+SET
+  function_name = EXCLUDED.function_name,
+  requires_choice = EXCLUDED.requires_choice,
+  description = EXCLUDED.description;
+
+-- Rival planet destroyed by the winner's rocket
+-- Picked by the winning team, or defaulted to the strongest rival once target_pick_duration has passed
+ALTER TABLE public.game_queue
+  ADD COLUMN IF NOT EXISTS victory_target TEXT REFERENCES public.planet_definitions (name);
+
+ALTER TABLE public.game_queue
+  ADD COLUMN IF NOT EXISTS target_pick_duration INTEGER NOT NULL DEFAULT 20;
+
+ALTER TABLE public.game_queue
+  DROP CONSTRAINT IF EXISTS game_queue_victory_target_check;
+
+ALTER TABLE public.game_queue
+  ADD CONSTRAINT game_queue_victory_target_check
+  CHECK (victory_target IS NULL OR (victory_target = ANY(planets) AND victory_target <> winner_planet));
+
+-- Return the rival with the most clicks, the closest to completing its own rocket
+CREATE OR REPLACE FUNCTION public.get_default_victory_target(
+  p_planets TEXT[],
+  p_winner_planet TEXT,
+  p_click_totals JSONB
+)
+RETURNS TEXT AS $$
+  SELECT p
+  FROM unnest(p_planets) WITH ORDINALITY AS t(p, position)
+  WHERE p <> p_winner_planet
+  ORDER BY COALESCE((p_click_totals ->> p)::INTEGER, 0) DESC, position
+  LIMIT 1;
+$$ LANGUAGE sql IMMUTABLE;
+
+-- Two planet games have a single rival, target it in the update that declares victory
+-- Runs after trg_game_queue_click_totals (triggers fire in name order), which can declare victory itself
+CREATE OR REPLACE FUNCTION public.set_victory_target()
+RETURNS TRIGGER AS $$
+BEGIN
+  IF NEW.current_state = 'victory'
+    AND NEW.winner_planet IS NOT NULL
+    AND NEW.victory_target IS NULL
+    AND cardinality(NEW.planets) = 2 THEN
+    NEW.victory_target := public.get_default_victory_target(NEW.planets, NEW.winner_planet, NEW.click_totals);
+  END IF;
+
+  RETURN NEW;
+END;
+$$ LANGUAGE plpgsql;
+
+DROP TRIGGER IF EXISTS trg_game_queue_victory_target ON public.game_queue;
+CREATE TRIGGER trg_game_queue_victory_target
+  BEFORE UPDATE ON public.game_queue
+  FOR EACH ROW
+  EXECUTE FUNCTION public.set_victory_target();
+
+-- Target the default rival if the winners haven't picked one
+-- Used by the cron handler before moving the game to cooldown
+CREATE OR REPLACE FUNCTION public.finalize_victory_target(
+  p_game_id INTEGER
+)
+RETURNS JSON AS $$
+DECLARE
+  updated_game RECORD;
+BEGIN
+  UPDATE public.game_queue
+  SET victory_target = public.get_default_victory_target(planets, winner_planet, click_totals)
+  WHERE id = p_game_id
+  AND current_state = 'victory'
+  AND victory_target IS NULL
+  RETURNING *
+  INTO updated_game;
+
+  IF NOT FOUND THEN
+    SELECT *
+    FROM public.game_queue
+    WHERE id = p_game_id
+    INTO updated_game;
+  END IF;
+
+  RETURN row_to_json(updated_game);
+END;
+$$ LANGUAGE plpgsql SECURITY DEFINER;
+
+-- Pick the rival destroyed by the winner's rocket
+-- Only players of the winning planet can pick while target_pick_duration runs, after that anyone's call
+-- sets the default target so clients don't wait for the cron
+-- Returns the target of the game
+CREATE OR REPLACE FUNCTION public.choose_victory_target(
+  p_target_planet TEXT DEFAULT NULL
+)
+RETURNS TEXT AS $$
+DECLARE
+  player_session TEXT := auth.uid()::TEXT;
+  current_game RECORD;
+  player RECORD;
+BEGIN
+  IF player_session IS NULL THEN
+    RAISE EXCEPTION 'Must be signed in to choose a target';
+  END IF;
+
+  SELECT *
+  FROM public.game_queue
+  WHERE current_state = 'victory'
+  ORDER BY id DESC
+  LIMIT 1
+  FOR UPDATE
+  INTO current_game;
+
+  IF NOT FOUND THEN
+    RAISE EXCEPTION 'No game is waiting for a victory target';
+  END IF;
+
+  -- First pick wins
+  IF current_game.victory_target IS NOT NULL THEN
+    RETURN current_game.victory_target;
+  END IF;
+
+  IF NOW() < current_game.ended_at + make_interval(secs => current_game.target_pick_duration) THEN
+    SELECT *
+    FROM public.players
+    WHERE session_id = player_session
+    INTO player;
+
+    IF NOT FOUND
+      OR player.assigned_game_id IS DISTINCT FROM current_game.id
+      OR player.planet_name <> current_game.winner_planet THEN
+      RAISE EXCEPTION 'Only the % can choose the target', current_game.winner_planet;
+    END IF;
+
+    IF p_target_planet IS NULL
+      OR p_target_planet = current_game.winner_planet
+      OR NOT p_target_planet = ANY(current_game.planets) THEN
+      RAISE EXCEPTION 'Planet % is not a rival. Choose one of %', p_target_planet, array_remove(current_game.planets, current_game.winner_planet);
+    END IF;
+  ELSE
+    -- Pick window is over, the strongest rival is targeted whatever was requested
+    p_target_planet := public.get_default_victory_target(current_game.planets, current_game.winner_planet, current_game.click_totals);
+  END IF;
+
+  UPDATE public.game_queue
+  SET victory_target = p_target_planet
+  WHERE id = current_game.id;
+
+  RETURN p_target_planet;
+END;
+$$ LANGUAGE plpgsql SECURITY DEFINER;
+
+-- Only /api/updateGameState (service role) finalizes the target, signed-in players choose it
+REVOKE EXECUTE ON FUNCTION public.finalize_victory_target(INTEGER) FROM PUBLIC, anon, authenticated;
+REVOKE EXECUTE ON FUNCTION public.choose_victory_target(TEXT) FROM PUBLIC, anon;
+GRANT EXECUTE ON FUNCTION public.finalize_victory_target(INTEGER) TO service_role;
+GRANT EXECUTE ON FUNCTION public.choose_victory_target(TEXT) TO authenticated;
+
+COMMENT ON TABLE public.planet_themes IS 'Sets of 2 to 4 planet types, one is picked at random (by weight) for every new game';
+COMMENT ON COLUMN public.game_queue.planets IS 'Planet types of the game, in orbit order. Clients build the planets from it';
+COMMENT ON COLUMN public.game_queue.victory_target IS 'Rival planet destroyed by the winner''s rocket';
+COMMENT ON COLUMN public.game_queue.target_pick_duration IS 'Seconds the winning team has to choose victory_target before the strongest rival is targeted';
+COMMENT ON FUNCTION public.assign_planet_balanced IS 'Assigns the game''s planet with the fewest players. Registered as the balanced strategy.';
+COMMENT ON FUNCTION public.set_victory_target IS 'Targets the only rival of two planet games on victory. Called by trg_game_queue_victory_target.';
+COMMENT ON FUNCTION public.finalize_victory_target IS 'Targets the strongest rival if the winners haven''t picked one. Called by /api/updateGameState.';
+COMMENT ON FUNCTION public.choose_victory_target IS 'Lets the winning team pick the rival destroyed by their rocket, or sets the default once the pick window is over.';
@@ -0,0 +1,44 @@
+-- Player Presence
+-- This file moves the cleanup of inactive players to the server, clients track who is online with Realtime Presence
+-- This needs to be executed in the Supabase SQL Editor after 14_multi_team_matches.sql
+
+-- Online players refresh their last_active every minute (HEARTBEAT_INTERVAL in src/network/network-manager.js),
+-- rows that weren't refreshed for p_inactive_seconds belong to players that are gone
+-- Must stay above the heartbeat interval, the default matches INACTIVE_THRESHOLD
+CREATE OR REPLACE FUNCTION public.cleanup_stale_players(
+  p_inactive_seconds INTEGER DEFAULT 300
+)
+RETURNS INTEGER AS $$
+DECLARE
+  removed_count INTEGER;
+BEGIN
+  DELETE FROM public.players
+  WHERE last_active < now() - make_interval(secs => p_inactive_seconds);
+
+  GET DIAGNOSTICS removed_count = ROW_COUNT;
+
+  RETURN removed_count;
+END;
+$$ LANGUAGE plpgsql SECURITY DEFINER;
+
+REVOKE EXECUTE ON FUNCTION public.cleanup_stale_players(INTEGER) FROM PUBLIC, anon, authenticated;
+GRANT EXECUTE ON FUNCTION public.cleanup_stale_players(INTEGER) TO service_role;
+
+-- Players can still delete their own row (e.g. when their session expired)
+DROP POLICY IF EXISTS "Allow users to delete their own player records" ON public.players;
+CREATE POLICY "Allow users to delete their own player records"
+  ON public.players
+  FOR DELETE
+  USING (auth.uid()::text = session_id);
+
+-- Restrictive, so no other DELETE policy added from the dashboard lets a client delete someone else's row
+-- The service role bypasses RLS and does the cleanup
+DROP POLICY IF EXISTS "Only allow users to delete their own player records" ON public.players;
+CREATE POLICY "Only allow users to delete their own player records"
+  ON public.players
+  AS RESTRICTIVE
+  FOR DELETE
+  TO anon, authenticated
+  USING (auth.uid()::text = session_id);
+
+COMMENT ON FUNCTION public.cleanup_stale_players IS 'Deletes the players rows not refreshed for p_inactive_seconds. Called by /api/updateGameState, clients never delete other players.';
@@ -0,0 +1,163 @@
+-- Private Chat
+-- This file makes the chat channels private and sends every message from the server with the sender's session
+-- This needs to be executed in the Supabase SQL Editor after 15_player_presence.sql
+
+-- Chat topics are chat:<game_id>:global and chat:<game_id>:planet:<planet_name> (src/network/chat-manager.js)
+-- Only the channels joined with { private: true } are checked, the other channels stay public
+
+-- Everyone signed in (spectators included) can read the global chat of a game
+DROP POLICY IF EXISTS "Allow reading the global chat" ON realtime.messages;
+CREATE POLICY "Allow reading the global chat"
+  ON realtime.messages
+  FOR SELECT
+  TO authenticated
+  USING (
+    realtime.messages.extension = 'broadcast'
+    AND realtime.topic() LIKE 'chat:%:global'
+  );
+
+-- The chat, emotes and pings of a planet are only for the players assigned to it in that game
+DROP POLICY IF EXISTS "Allow players to read their planet chat" ON realtime.messages;
+CREATE POLICY "Allow players to read their planet chat"
+  ON realtime.messages
+  FOR SELECT
+  TO authenticated
+  USING (
+    realtime.messages.extension = 'broadcast'
+    AND EXISTS (
+      SELECT 1 FROM public.players
+      WHERE session_id = auth.uid()::text
+        AND realtime.topic() = 'chat:' || assigned_game_id || ':planet:' || planet_name
+    )
+  );
+
+-- Clients never broadcast on the chat topics themselves, a sender could claim any session in the payload
+-- send_chat_message and send_chat_signal broadcast for them with the session of auth.uid()
+DROP POLICY IF EXISTS "Allow players to write in the global chat" ON realtime.messages;
+DROP POLICY IF EXISTS "Allow players to write in their planet chat" ON realtime.messages;
+
+-- Get the current player's row if they have a planet in the current game
+-- Raises when they don't, so only the players of the game can chat
+CREATE OR REPLACE FUNCTION public.get_chat_sender()
+RETURNS public.players AS $$
+DECLARE
+  player_session TEXT := auth.uid()::TEXT;
+  current_game_id INTEGER;
+  sender public.players;
+BEGIN
+  IF player_session IS NULL THEN
+    RAISE EXCEPTION 'Must be signed in to chat';
+  END IF;
+
+  SELECT id
+  FROM public.game_queue
+  WHERE current_state != 'ended'
+  ORDER BY id DESC
+  LIMIT 1
+  INTO current_game_id;
+
+  SELECT *
+  FROM public.players
+  WHERE session_id = player_session
+    AND assigned_game_id = current_game_id
+    AND planet_name IS NOT NULL
+  INTO sender;
+
+  IF NOT FOUND THEN
+    RAISE EXCEPTION 'Join a planet to chat';
+  END IF;
+
+  RETURN sender;
+END;
+$$ LANGUAGE plpgsql SECURITY DEFINER;
+
+REVOKE EXECUTE ON FUNCTION public.get_chat_sender() FROM PUBLIC, anon, authenticated;
+
+-- Send a message to the global chat or the sender's planet chat
+-- The text is filtered again by every receiver (src/network/chat-manager.js)
+CREATE OR REPLACE FUNCTION public.send_chat_message(
+  p_scope TEXT,
+  p_text TEXT,
+  p_name TEXT DEFAULT NULL,
+  p_color TEXT DEFAULT NULL
+)
+RETURNS JSONB AS $$
+DECLARE
+  sender public.players := public.get_chat_sender();
+  message JSONB;
+BEGIN
+  IF p_scope NOT IN ('planet', 'global') THEN
+    RAISE EXCEPTION 'Unknown chat scope %', p_scope;
+  END IF;
+
+  IF COALESCE(btrim(p_text), '') = '' THEN
+    RAISE EXCEPTION 'Message is empty';
+  END IF;
+
+  message := jsonb_build_object(
+    'id', gen_random_uuid()::TEXT,
+    'gameId', sender.assigned_game_id,
+    'planetName', CASE WHEN p_scope = 'planet' THEN sender.planet_name END,
+    'scope', p_scope,
+    'sessionId', sender.session_id,
+    'name', left(COALESCE(p_name, ''), 24),
+    'color', p_color,
+    'text', left(p_text, 200),
+    'sentAt', floor(extract(epoch FROM now()) * 1000)
+  );
+
+  PERFORM realtime.send(
+    message,
+    'message',
+    CASE
+      WHEN p_scope = 'planet' THEN 'chat:' || sender.assigned_game_id || ':planet:' || sender.planet_name
+      ELSE 'chat:' || sender.assigned_game_id || ':global'
+    END,
+    true
+  );
+
+  RETURN message;
+END;
+$$ LANGUAGE plpgsql SECURITY DEFINER;
+
+REVOKE EXECUTE ON FUNCTION public.send_chat_message(TEXT, TEXT, TEXT, TEXT) FROM PUBLIC, anon;
+GRANT EXECUTE ON FUNCTION public.send_chat_message(TEXT, TEXT, TEXT, TEXT) TO authenticated;
+
+-- Send an emote or a ping to the sender's planet
+CREATE OR REPLACE FUNCTION public.send_chat_signal(
+  p_event TEXT,
+  p_data JSONB,
+  p_color TEXT DEFAULT NULL
+)
+RETURNS JSONB AS $$
+DECLARE
+  sender public.players := public.get_chat_sender();
+  signal JSONB;
+BEGIN
+  IF p_event NOT IN ('emote', 'ping') THEN
+    RAISE EXCEPTION 'Unknown signal %', p_event;
+  END IF;
+
+  signal := COALESCE(p_data, '{}'::JSONB) || jsonb_build_object(
+    'gameId', sender.assigned_game_id,
+    'planetName', sender.planet_name,
+    'sessionId', sender.session_id,
+    'color', p_color
+  );
+
+  PERFORM realtime.send(
+    signal,
+    p_event,
+    'chat:' || sender.assigned_game_id || ':planet:' || sender.planet_name,
+    true
+  );
+
+  RETURN signal;
+END;
+$$ LANGUAGE plpgsql SECURITY DEFINER;
+
+REVOKE EXECUTE ON FUNCTION public.send_chat_signal(TEXT, JSONB, TEXT) FROM PUBLIC, anon;
+GRANT EXECUTE ON FUNCTION public.send_chat_signal(TEXT, JSONB, TEXT) TO authenticated;
+
+COMMENT ON FUNCTION public.send_chat_message IS 'Broadcasts a chat message of the signed-in player on their game''s private chat topics, with their session as the sender.';
+COMMENT ON FUNCTION public.send_chat_signal IS 'Broadcasts an emote or ping of the signed-in player to their planet, with their session as the sender.';
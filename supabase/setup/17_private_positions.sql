@@ -0,0 +1,42 @@
+-- Private Positions
+-- This file makes the player-positions broadcast channel private, so only the players of the current game can send on it
+-- This needs to be executed in the Supabase SQL Editor after 16_private_chat.sql
+
+-- The channel carries the position and move messages of src/network/realtime-manager.js
+-- Broadcast messages don't carry their sender, so receivers also check the session ID of each message against
+-- the presence of that player (NetworkManager, see README-game-queue.md)
+
+-- Everyone signed in (spectators included) can watch the players move
+DROP POLICY IF EXISTS "Allow reading player positions" ON realtime.messages;
+CREATE POLICY "Allow reading player positions"
+  ON realtime.messages
+  FOR SELECT
+  TO authenticated
+  USING (
+    realtime.messages.extension = 'broadcast'
+    AND realtime.topic() = 'player-positions'
+  );
+
+-- Only players with a planet in the current game can send positions and movements
+DROP POLICY IF EXISTS "Allow players of the game to send positions" ON realtime.messages;
+CREATE POLICY "Allow players of the game to send positions"
+  ON realtime.messages
+  FOR INSERT
+  TO authenticated
+  WITH CHECK (
+    realtime.messages.extension = 'broadcast'
+    AND realtime.topic() = 'player-positions'
+    AND EXISTS (
+      SELECT 1
+      FROM public.players
+      WHERE session_id = auth.uid()::text
+        AND planet_name IS NOT NULL
+        AND assigned_game_id = (
+          SELECT id
+          FROM public.game_queue
+          WHERE current_state != 'ended'
+          ORDER BY id DESC
+          LIMIT 1
+        )
+    )
+  );